@@ -0,0 +1,182 @@
+/**
+ * @fileoverview Budget accounting
+ * @description A Budget covers the organisation, one agent or one workflow
+ * (`scope_id`) for a daily, weekly, monthly or yearly period. Each charge is
+ * an append-only BudgetSpend row for the budget's current period, and a
+ * period's spend is the sum of its rows, so concurrent charges cannot
+ * overwrite each other. `current_spend_cents` on the Budget is a copy of
+ * that sum for display. Each alert threshold raises an Alert the first time
+ * it is crossed in a period, and a budget with `enforce_hard_limit` blocks
+ * work that would take it past `limit_cents`. Periods roll over when a
+ * budget is next read and on the rolloverBudgets sweep.
+ */
+
+const BUDGET_PERIODS = ['daily', 'weekly', 'monthly', 'yearly'];
+const DEFAULT_BUDGET_THRESHOLDS = [80, 100];
+const SPEND_PAGE_SIZE = 500;
+
+function addBudgetPeriod(date, period) {
+  const next = new Date(date);
+  if (period === 'daily') next.setUTCDate(next.getUTCDate() + 1);
+  else if (period === 'weekly') next.setUTCDate(next.getUTCDate() + 7);
+  else if (period === 'yearly') next.setUTCFullYear(next.getUTCFullYear() + 1);
+  else next.setUTCMonth(next.getUTCMonth() + 1);
+  return next;
+}
+
+function budgetThresholds(budget) {
+  return budget.alert_thresholds?.length
+    ? budget.alert_thresholds
+    : DEFAULT_BUDGET_THRESHOLDS.map((percent) => ({ percent, alerted: false }));
+}
+
+function roundCents(cents) {
+  return Math.round(cents * 1e4) / 1e4;
+}
+
+/**
+ * Sum of the BudgetSpend rows charged to `budget` in the period starting at
+ * `periodStart`
+ */
+async function periodSpend(base44, budget, periodStart = budget.period_start ?? null) {
+  let total = 0;
+  for (let skip = 0; ; skip += SPEND_PAGE_SIZE) {
+    const rows = await base44.asServiceRole.entities.BudgetSpend.filter(
+      { budget_id: budget.id, period_start: periodStart },
+      'created_date',
+      SPEND_PAGE_SIZE,
+      skip
+    );
+    total += rows.reduce((sum, row) => sum + (row.amount_cents || 0), 0);
+    if (rows.length < SPEND_PAGE_SIZE) return roundCents(total);
+  }
+}
+
+/**
+ * Moves a budget whose period has ended into the period containing `now`.
+ * Spend and threshold alerts start again from zero; the closed period's
+ * total is kept as `previous_spend_cents`.
+ */
+export async function rollBudget(base44, budget, now = new Date()) {
+  if (!BUDGET_PERIODS.includes(budget.period) || !budget.period_end || new Date(budget.period_end) > now) {
+    return budget;
+  }
+
+  let start = new Date(budget.period_end);
+  let end = addBudgetPeriod(start, budget.period);
+  while (end <= now) {
+    start = end;
+    end = addBudgetPeriod(start, budget.period);
+  }
+
+  const changes = {
+    period_start: start.toISOString(),
+    period_end: end.toISOString(),
+    previous_spend_cents: await periodSpend(base44, budget),
+    current_spend_cents: 0,
+    alert_thresholds: budgetThresholds(budget).map((threshold) => ({ ...threshold, alerted: false, alerted_at: null })),
+    ...(budget.status === 'exceeded' && { status: 'active' })
+  };
+  await base44.asServiceRole.entities.Budget.update(budget.id, changes);
+  return { ...budget, ...changes };
+}
+
+/**
+ * Active budgets covering `context` (`org_id`, and `agent_id` or
+ * `workflow_id` when known), rolled into the current period.
+ */
+async function applicableBudgets(base44, context) {
+  if (!context.org_id) return [];
+  const budgets = await base44.asServiceRole.entities.Budget.filter({ org_id: context.org_id });
+  const applicable = [];
+  for (const budget of budgets) {
+    const covers = budget.scope === 'organization' ||
+      (budget.scope === 'agent' && budget.scope_id && budget.scope_id === context.agent_id) ||
+      (budget.scope === 'workflow' && budget.scope_id && budget.scope_id === context.workflow_id);
+    if (covers && ['active', 'exceeded'].includes(budget.status)) {
+      applicable.push(await rollBudget(base44, budget));
+    }
+  }
+  return applicable;
+}
+
+/**
+ * The first hard-limited budget that is used up or would be taken past its
+ * limit by `estimateCents` more spend, or null when the work may go ahead.
+ */
+export async function budgetBlocking(base44, context, estimateCents = 0) {
+  for (const budget of await applicableBudgets(base44, context)) {
+    if (!budget.enforce_hard_limit) continue;
+    const spend = await periodSpend(base44, budget);
+    if (spend >= budget.limit_cents || spend + estimateCents > budget.limit_cents) {
+      return { ...budget, current_spend_cents: spend };
+    }
+  }
+  return null;
+}
+
+export function budgetMessage(budget) {
+  const remaining = Math.max(Math.round((budget.limit_cents - (budget.current_spend_cents || 0)) * 100) / 100, 0);
+  return `Budget ${budget.name || budget.id} has ${remaining}¢ of ${budget.limit_cents}¢ left until ${budget.period_end}`;
+}
+
+/**
+ * Charges `costCents` to every budget covering `context` and raises an
+ * Alert for thresholds crossed by it. Returns the alerts raised, which the
+ * caller publishes as `alert.created` events.
+ */
+export async function recordBudgetSpend(base44, context, costCents) {
+  if (!(costCents > 0)) return [];
+
+  const alerts = [];
+  for (const budget of await applicableBudgets(base44, context)) {
+    const period_start = budget.period_start ?? null;
+    await base44.asServiceRole.entities.BudgetSpend.create({
+      budget_id: budget.id,
+      period_start,
+      amount_cents: costCents,
+      agent_id: context.agent_id || null,
+      workflow_id: context.workflow_id || null,
+      run_id: context.run_id || null,
+      org_id: context.org_id
+    });
+
+    // Thresholds are compared with the current flags, not the ones read
+    // before the charge, so a concurrent charge that alerted first wins
+    const spend = await periodSpend(base44, budget, period_start);
+    const [current] = await base44.asServiceRole.entities.Budget.filter({ id: budget.id });
+    const crossed = [];
+    const alert_thresholds = budgetThresholds(current || budget).map((threshold) => {
+      if (threshold.alerted || spend < (budget.limit_cents * threshold.percent) / 100) return threshold;
+      crossed.push(threshold.percent);
+      return { ...threshold, alerted: true, alerted_at: new Date().toISOString() };
+    });
+
+    await base44.asServiceRole.entities.Budget.update(budget.id, {
+      current_spend_cents: spend,
+      alert_thresholds,
+      ...(spend >= budget.limit_cents && { status: 'exceeded' })
+    });
+    if (crossed.length === 0) continue;
+
+    const percent = Math.max(...crossed);
+    alerts.push(await base44.asServiceRole.entities.Alert.create({
+      alert_type: 'budget_threshold',
+      severity: percent >= 100 ? 'critical' : 'medium',
+      title: `Budget ${budget.name || budget.id} reached ${percent}%`,
+      description: `${spend}¢ of ${budget.limit_cents}¢ spent this ${budget.period} period`,
+      metadata: {
+        budget_id: budget.id,
+        threshold_percent: percent,
+        current_spend_cents: spend,
+        limit_cents: budget.limit_cents,
+        agent_id: context.agent_id || null,
+        workflow_id: context.workflow_id || null,
+        run_id: context.run_id || null
+      },
+      status: 'active',
+      org_id: context.org_id
+    }));
+  }
+  return alerts;
+}
@@ -0,0 +1,235 @@
+/**
+ * Connector Specification Tests
+ *
+ * Tests for converting OpenAPI 3, Swagger 2 and Postman documents into
+ * connector operations, using the petstore fixtures in ./fixtures
+ */
+
+import { describe, it, expect } from 'vitest';
+import { SpecError, convertDocument, detectFormat, slug } from './connectorSpec.ts';
+import openApi3 from './fixtures/petstore.openapi3.json';
+import swagger2 from './fixtures/petstore.swagger2.json';
+import postman from './fixtures/petstore.postman.json';
+
+const operation = (result, id) => result.converted.operations.find(op => op.id === id);
+const locations = (op) => op.parameters.map(({ name, in: location, required }) => [name, location, required]);
+
+const specCode = (fn) => {
+  try {
+    fn();
+  } catch (error) {
+    expect(error).toBeInstanceOf(SpecError);
+    return error.code;
+  }
+  throw new Error('expected a SpecError');
+};
+
+describe('detectFormat', () => {
+  it('recognises each fixture', () => {
+    expect(detectFormat(openApi3)).toBe('openapi3');
+    expect(detectFormat(swagger2)).toBe('swagger2');
+    expect(detectFormat(postman)).toBe('postman');
+  });
+
+  it('rejects other documents', () => {
+    expect(specCode(() => detectFormat({ openapi: '2.0' }))).toBe('UNSUPPORTED_FORMAT');
+    expect(specCode(() => detectFormat({ asyncapi: '2.6.0' }))).toBe('UNSUPPORTED_FORMAT');
+    expect(specCode(() => detectFormat(null))).toBe('UNSUPPORTED_FORMAT');
+  });
+});
+
+describe('convertDocument', () => {
+  it('rejects a document without operations', () => {
+    expect(specCode(() => convertDocument({ openapi: '3.1.0', info: { title: 'Empty' }, paths: {} }))).toBe('INVALID_SPEC');
+  });
+});
+
+describe('OpenAPI 3', () => {
+  const result = convertDocument(openApi3);
+
+  it('reads the definition fields, server variables and preferred security scheme', () => {
+    expect(result.format).toBe('openapi3');
+    expect(result.warnings).toEqual([]);
+    expect(result.converted).toMatchObject({
+      name: 'Petstore',
+      description: 'Pets and their owners',
+      version: '1.2.0',
+      base_url: 'https://eu.petstore.example.com/v1',
+      auth_type: 'oauth2',
+      auth_config: {
+        oauth_authorize_url: 'https://auth.petstore.example.com/authorize',
+        oauth_token_url: 'https://auth.petstore.example.com/token',
+        oauth_scopes: ['pets:read', 'pets:write']
+      }
+    });
+  });
+
+  it('lists one operation per method, deriving ids the spec leaves out', () => {
+    expect(result.converted.operations.map(op => `${op.id} ${op.method} ${op.endpoint}`)).toEqual([
+      'list_pets GET /pets',
+      'create_pet POST /pets',
+      'get_pets_by_pet_id GET /pets/{petId}',
+      'delete_pet DELETE /pets/{petId}'
+    ]);
+    expect(operation(result, 'list_pets').tags).toEqual(['pets']);
+    expect(operation(result, 'delete_pet').deprecated).toBe(true);
+  });
+
+  it('records where each parameter goes and skips cookies', () => {
+    const list = operation(result, 'list_pets');
+    expect(locations(list)).toEqual([['limit', 'query', false]]);
+    expect(list.input_schema).toEqual({
+      type: 'object',
+      properties: { limit: { type: 'integer', maximum: 100, description: 'Page size' } }
+    });
+  });
+
+  it('merges path-level parameters, letting the operation override them', () => {
+    expect(locations(operation(result, 'get_pets_by_pet_id'))).toEqual([
+      ['petId', 'path', true],
+      ['X-Request-Id', 'header', true]
+    ]);
+    expect(locations(operation(result, 'delete_pet'))).toEqual([
+      ['petId', 'path', true],
+      ['X-Request-Id', 'header', false]
+    ]);
+  });
+
+  it('spreads a referenced object body into body parameters', () => {
+    const create = operation(result, 'create_pet');
+    expect(create.request_content_type).toBe('application/json');
+    expect(locations(create)).toEqual([['name', 'body', true], ['tag', 'body', false]]);
+    expect(create.input_schema.required).toEqual(['name']);
+  });
+
+  it('inlines response references and cuts off recursive ones', () => {
+    const list = operation(result, 'list_pets');
+    expect(list.output_schema.items.properties.owner.properties.name).toEqual({ type: 'string' });
+    expect(JSON.stringify(list.output_schema)).toContain('Recursive reference #/components/schemas/');
+    expect(operation(result, 'get_pets_by_pet_id').output_schema.type).toBe('object');
+    expect(operation(result, 'delete_pet').output_schema).toEqual({});
+  });
+
+  it('warns when there is no usable server URL', () => {
+    const { warnings, converted } = convertDocument({ ...openApi3, servers: [{ url: '/v1' }] });
+    expect(converted.base_url).toBe('/v1');
+    expect(warnings).toEqual(['Server URL /v1 is relative; set base_url before installing']);
+  });
+});
+
+describe('Swagger 2', () => {
+  const result = convertDocument(swagger2);
+
+  it('builds the base URL from host, base path and the https scheme', () => {
+    expect(result.format).toBe('swagger2');
+    expect(result.warnings).toEqual([]);
+    expect(result.converted).toMatchObject({
+      name: 'Petstore',
+      version: '1.0.0',
+      base_url: 'https://petstore.example.com/v2',
+      auth_type: 'api_key',
+      auth_config: { api_key_in: 'header', api_key_name: 'api_key' }
+    });
+  });
+
+  it('spreads a body parameter schema into body parameters', () => {
+    const add = operation(result, 'add_pet');
+    expect(add.request_content_type).toBe('application/json');
+    expect(locations(add)).toEqual([['id', 'body', false], ['name', 'body', true], ['status', 'body', false]]);
+    expect(add.output_schema.properties.status).toEqual({ type: 'string', enum: ['available', 'sold'] });
+  });
+
+  it('keeps the type fields of non-body parameters as their schema', () => {
+    const find = operation(result, 'find_pets_by_status');
+    expect(find.request_content_type).toBeUndefined();
+    expect(find.parameters[0]).toEqual({
+      name: 'status',
+      in: 'query',
+      required: true,
+      description: '',
+      schema: { type: 'array', items: { type: 'string', enum: ['available', 'sold'] } }
+    });
+  });
+
+  it('sends form data fields as a form body', () => {
+    const upload = operation(result, 'upload_file');
+    expect(upload.request_content_type).toBe('multipart/form-data');
+    expect(locations(upload)).toEqual([
+      ['petId', 'path', true],
+      ['additionalMetadata', 'body', false],
+      ['file', 'body', true]
+    ]);
+  });
+
+  it('warns when there is no host', () => {
+    const { host: _host, ...noHost } = swagger2;
+    const { warnings, converted } = convertDocument(noHost);
+    expect(converted.base_url).toBe('');
+    expect(warnings).toEqual(['No host in the document; set base_url before installing']);
+  });
+});
+
+describe('Postman', () => {
+  const result = convertDocument(postman);
+
+  it('resolves the base URL from collection variables and warns about other hosts', () => {
+    expect(result.format).toBe('postman');
+    expect(result.converted).toMatchObject({
+      name: 'Petstore',
+      description: 'Pets and their owners',
+      base_url: 'https://api.petstore.example.com',
+      auth_type: 'api_key',
+      auth_config: { api_key_in: 'header', api_key_name: 'Authorization' }
+    });
+    expect(result.warnings).toEqual([
+      'Requests use 2 different hosts; https://api.petstore.example.com was used as the base URL'
+    ]);
+  });
+
+  it('names operations after requests and tags them with their folder', () => {
+    expect(result.converted.operations.map(op => `${op.id} ${op.method} ${op.endpoint} ${op.tags || ''}`)).toEqual([
+      'list_pets GET /pets Pets',
+      'get_pet GET /pets/{petId} Pets',
+      'create_pet POST /pets Pets',
+      'upload_photo POST /pets/{petId}/photos '
+    ]);
+  });
+
+  it('reads enabled query parameters and custom headers', () => {
+    const list = operation(result, 'list_pets');
+    expect(locations(list)).toEqual([['limit', 'query', false], ['X-Tenant', 'header', false]]);
+    expect(list.parameters[0].description).toBe('Page size');
+  });
+
+  it('turns :name and unresolved {{name}} segments into path parameters', () => {
+    expect(operation(result, 'get_pet').parameters).toEqual([
+      { name: 'petId', in: 'path', required: true, description: 'Pet id', schema: { type: 'string' } }
+    ]);
+    expect(locations(operation(result, 'upload_photo'))[0]).toEqual(['petId', 'path', true]);
+  });
+
+  it('infers body and response schemas from examples', () => {
+    const create = operation(result, 'create_pet');
+    expect(create.request_content_type).toBe('application/json');
+    expect(create.input_schema.properties).toEqual({ name: { type: 'string' }, age: { type: 'integer' } });
+
+    expect(operation(result, 'list_pets').output_schema).toEqual({
+      type: 'array',
+      items: { type: 'object', properties: { id: { type: 'integer' }, name: { type: 'string' }, price: { type: 'number' } } }
+    });
+  });
+
+  it('reads form data fields, marking files as binary', () => {
+    const upload = operation(result, 'upload_photo');
+    expect(upload.request_content_type).toBe('multipart/form-data');
+    expect(upload.input_schema.properties.photo).toEqual({ type: 'string', format: 'binary' });
+    expect(upload.input_schema.properties.caption).toEqual({ type: 'string' });
+  });
+});
+
+describe('slug', () => {
+  it('makes a provider key from a title', () => {
+    expect(slug('Petstore API v2')).toBe('petstore-api-v2');
+    expect(slug('!!!')).toBe('custom');
+  });
+});
@@ -0,0 +1,626 @@
+/**
+ * @fileoverview Connector specification parsers
+ * @description Converts a parsed OpenAPI 3.x, Swagger 2 or Postman
+ * collection (v2.0 / v2.1) document into the name, auth settings, base URL
+ * and operations of a ConnectorDefinition. Used by importConnectorSpec,
+ * which handles reading JSON or YAML source and saving the result.
+ */
+
+const HTTP_METHODS = ['get', 'post', 'put', 'patch', 'delete', 'head', 'options'];
+// $ref chains deeper than this are treated as recursive and left open
+const MAX_REF_DEPTH = 8;
+
+export class SpecError extends Error {
+  constructor(message, code = 'INVALID_SPEC') {
+    super(message);
+    this.name = 'SpecError';
+    this.code = code;
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Parsing helpers
+// ---------------------------------------------------------------------------
+
+export function detectFormat(doc) {
+  if (typeof doc?.openapi === 'string' && doc.openapi.startsWith('3')) return 'openapi3';
+  if (String(doc?.swagger) === '2.0') return 'swagger2';
+  if (String(doc?.info?.schema || '').includes('postman') || Array.isArray(doc?.item)) return 'postman';
+  throw new SpecError('Unsupported document: expected OpenAPI 3.x, Swagger 2.0 or a Postman collection', 'UNSUPPORTED_FORMAT');
+}
+
+function snakeCase(value) {
+  return String(value)
+    .replace(/([a-z0-9])([A-Z])/g, '$1_$2')
+    .replace(/[^a-zA-Z0-9]+/g, '_')
+    .replace(/^_+|_+$/g, '')
+    .toLowerCase();
+}
+
+function humanize(id) {
+  const words = id.replace(/_/g, ' ');
+  return words.charAt(0).toUpperCase() + words.slice(1);
+}
+
+export function slug(value) {
+  return snakeCase(value).replace(/_/g, '-') || 'custom';
+}
+
+function textOf(value) {
+  if (!value) return '';
+  return typeof value === 'string' ? value : value.content || '';
+}
+
+/**
+ * Operation id from the spec, or one derived from method and path:
+ * GET /users/{id}/posts becomes get_users_by_id_posts.
+ */
+function operationId(explicit, method, path, used) {
+  let id = explicit ? snakeCase(explicit) : '';
+  if (!id) {
+    const parts = path.split('/').filter(Boolean).map((part) => {
+      const param = part.match(/^\{(.+)\}$/);
+      return param ? `by_${snakeCase(param[1])}` : snakeCase(part);
+    });
+    id = [method.toLowerCase(), ...parts].join('_');
+  }
+  let unique = id;
+  for (let n = 2; used.has(unique); n++) unique = `${id}_${n}`;
+  used.add(unique);
+  return unique;
+}
+
+/**
+ * Inlines local `#/...` references. Recursive structures are cut off after
+ * MAX_REF_DEPTH levels.
+ */
+function createResolver(doc, warnings) {
+  const lookup = (ref) => {
+    if (!ref.startsWith('#/')) {
+      warnings.add(`External reference ${ref} was not resolved`);
+      return undefined;
+    }
+    return ref.slice(2).split('/').reduce(
+      (node, key) => node?.[key.replace(/~1/g, '/').replace(/~0/g, '~')],
+      doc
+    );
+  };
+
+  const resolve = (node, depth = 0) => {
+    if (Array.isArray(node)) return node.map((item) => resolve(item, depth));
+    if (!node || typeof node !== 'object') return node;
+    if (typeof node.$ref === 'string') {
+      if (depth >= MAX_REF_DEPTH) return { type: 'object', description: `Recursive reference ${node.$ref}` };
+      const target = lookup(node.$ref);
+      if (target === undefined) return { description: `Unresolved reference ${node.$ref}` };
+      const { $ref: _ref, ...siblings } = node;
+      return resolve({ ...target, ...siblings }, depth + 1);
+    }
+    const out = {};
+    for (const [key, value] of Object.entries(node)) {
+      out[key] = resolve(value, depth);
+    }
+    return out;
+  };
+
+  return resolve;
+}
+
+/**
+ * JSON Schema guessed from an example value (Postman bodies and responses)
+ */
+function inferSchema(value) {
+  if (value === null || value === undefined) return {};
+  if (Array.isArray(value)) return { type: 'array', items: value.length > 0 ? inferSchema(value[0]) : {} };
+  if (typeof value === 'object') {
+    return {
+      type: 'object',
+      properties: Object.fromEntries(Object.entries(value).map(([key, item]) => [key, inferSchema(item)]))
+    };
+  }
+  if (typeof value === 'number') return { type: Number.isInteger(value) ? 'integer' : 'number' };
+  return { type: typeof value };
+}
+
+function buildInputSchema(parameters) {
+  const schema = { type: 'object', properties: {} };
+  const required = [];
+  for (const param of parameters) {
+    schema.properties[param.name] = {
+      ...(param.schema || { type: 'string' }),
+      ...(param.description && { description: param.description })
+    };
+    if (param.required) required.push(param.name);
+  }
+  if (required.length > 0) schema.required = required;
+  return schema;
+}
+
+/**
+ * Spreads an object request body into one body parameter per property so
+ * callers pass flat inputs; anything else becomes a single `body` input.
+ */
+function bodyParameters(schema, required) {
+  if (schema?.type === 'object' || schema?.properties) {
+    const requiredProps = new Set(schema.required || []);
+    return Object.entries(schema.properties || {}).map(([name, prop]) => ({
+      name,
+      in: 'body',
+      required: requiredProps.has(name),
+      description: prop.description || '',
+      schema: prop
+    }));
+  }
+  return [{ name: 'body', in: 'body', required: Boolean(required), description: 'Request body', schema: schema || {} }];
+}
+
+/**
+ * Merges path-level and operation-level parameters; operation-level ones
+ * win for the same name and location.
+ */
+function mergeParameters(shared = [], own = []) {
+  const byKey = new Map();
+  for (const param of [...shared, ...own]) {
+    if (param?.name && param?.in) byKey.set(`${param.in}:${param.name}`, param);
+  }
+  return [...byKey.values()];
+}
+
+function finishOperation(op) {
+  return { ...op, input_schema: buildInputSchema(op.parameters) };
+}
+
+// ---------------------------------------------------------------------------
+// OpenAPI 3.x
+// ---------------------------------------------------------------------------
+
+function openApiAuth(schemes, security) {
+  const entries = Object.entries(schemes || {});
+  if (entries.length === 0) return { auth_type: 'custom', auth_config: {} };
+
+  const preferred = security?.flatMap((requirement) => Object.keys(requirement || {})) || [];
+  const [, scheme] = entries.find(([name]) => preferred.includes(name)) || entries[0];
+
+  switch (scheme.type) {
+    case 'oauth2': {
+      const flows = scheme.flows || {};
+      const flow = flows.authorizationCode || flows.clientCredentials || Object.values(flows)[0] || {};
+      return {
+        auth_type: 'oauth2',
+        auth_config: {
+          ...(flow.authorizationUrl && { oauth_authorize_url: flow.authorizationUrl }),
+          ...(flow.tokenUrl && { oauth_token_url: flow.tokenUrl }),
+          oauth_scopes: Object.keys(flow.scopes || {})
+        }
+      };
+    }
+    case 'openIdConnect':
+      return { auth_type: 'oauth2', auth_config: { openid_connect_url: scheme.openIdConnectUrl } };
+    case 'http':
+      return String(scheme.scheme).toLowerCase() === 'basic'
+        ? { auth_type: 'basic', auth_config: {} }
+        : { auth_type: 'api_key', auth_config: { api_key_in: 'header', api_key_name: 'Authorization' } };
+    case 'apiKey':
+      return { auth_type: 'api_key', auth_config: { api_key_in: scheme.in, api_key_name: scheme.name } };
+    default:
+      return { auth_type: 'custom', auth_config: {} };
+  }
+}
+
+function openApiServer(servers, warnings) {
+  const server = servers?.[0];
+  if (!server?.url) {
+    warnings.add('No server URL in the document; set base_url before installing');
+    return '';
+  }
+  let url = server.url;
+  for (const [name, variable] of Object.entries(server.variables || {})) {
+    url = url.replace(`{${name}}`, variable.default ?? '');
+  }
+  if (!/^https?:\/\//.test(url)) warnings.add(`Server URL ${url} is relative; set base_url before installing`);
+  return url.replace(/\/$/, '');
+}
+
+function pickContent(content) {
+  const types = Object.keys(content || {});
+  const type = types.find((t) => t.includes('json')) || types[0];
+  return type ? { type, schema: content[type].schema || {} } : null;
+}
+
+function successResponse(responses) {
+  const codes = Object.keys(responses || {}).sort();
+  const code = codes.find((c) => /^2\d\d$/.test(c)) || codes.find((c) => c === '2XX') || (responses?.default ? 'default' : null);
+  return code ? responses[code] : null;
+}
+
+function fromOpenApi3(doc, warnings) {
+  const resolve = createResolver(doc, warnings);
+  const used = new Set();
+  const operations = [];
+
+  for (const [path, rawItem] of Object.entries(doc.paths || {})) {
+    const item = resolve(rawItem);
+    for (const method of HTTP_METHODS) {
+      const op = item[method];
+      if (!op) continue;
+
+      const parameters = mergeParameters(item.parameters, op.parameters)
+        .filter((param) => param.in !== 'cookie')
+        .map((param) => ({
+          name: param.name,
+          in: param.in,
+          required: param.in === 'path' || Boolean(param.required),
+          description: param.description || '',
+          schema: param.schema || { type: 'string' }
+        }));
+
+      let requestContentType;
+      if (op.requestBody) {
+        const body = pickContent(op.requestBody.content);
+        if (body) {
+          requestContentType = body.type;
+          parameters.push(...bodyParameters(body.schema, op.requestBody.required));
+        }
+      }
+
+      const response = successResponse(op.responses);
+      const output = response ? pickContent(response.content) : null;
+
+      const id = operationId(op.operationId, method, path, used);
+      operations.push(finishOperation({
+        id,
+        name: op.summary || humanize(id),
+        description: op.description || op.summary || '',
+        method: method.toUpperCase(),
+        endpoint: path,
+        parameters,
+        ...(requestContentType && { request_content_type: requestContentType }),
+        output_schema: output?.schema || {},
+        ...(op.tags?.length && { tags: op.tags }),
+        ...(op.deprecated && { deprecated: true })
+      }));
+    }
+  }
+
+  const auth = openApiAuth(doc.components?.securitySchemes, doc.security);
+  return {
+    name: doc.info?.title || 'Imported API',
+    description: textOf(doc.info?.description),
+    version: doc.info?.version || null,
+    base_url: openApiServer(doc.servers, warnings),
+    ...auth,
+    operations
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Swagger 2.0
+// ---------------------------------------------------------------------------
+
+function swaggerAuth(definitions, security) {
+  const entries = Object.entries(definitions || {});
+  if (entries.length === 0) return { auth_type: 'custom', auth_config: {} };
+
+  const preferred = security?.flatMap((requirement) => Object.keys(requirement || {})) || [];
+  const [, scheme] = entries.find(([name]) => preferred.includes(name)) || entries[0];
+
+  switch (scheme.type) {
+    case 'oauth2':
+      return {
+        auth_type: 'oauth2',
+        auth_config: {
+          ...(scheme.authorizationUrl && { oauth_authorize_url: scheme.authorizationUrl }),
+          ...(scheme.tokenUrl && { oauth_token_url: scheme.tokenUrl }),
+          oauth_scopes: Object.keys(scheme.scopes || {})
+        }
+      };
+    case 'basic':
+      return { auth_type: 'basic', auth_config: {} };
+    case 'apiKey':
+      return { auth_type: 'api_key', auth_config: { api_key_in: scheme.in, api_key_name: scheme.name } };
+    default:
+      return { auth_type: 'custom', auth_config: {} };
+  }
+}
+
+function swaggerParamSchema(param) {
+  const { name: _name, in: _in, required: _required, description: _description, ...schema } = param;
+  return schema.type ? schema : { type: 'string' };
+}
+
+function fromSwagger2(doc, warnings) {
+  const resolve = createResolver(doc, warnings);
+  const used = new Set();
+  const operations = [];
+
+  for (const [path, rawItem] of Object.entries(doc.paths || {})) {
+    const item = resolve(rawItem);
+    for (const method of HTTP_METHODS) {
+      const op = item[method];
+      if (!op) continue;
+
+      const parameters = [];
+      const formFields = [];
+      for (const param of mergeParameters(item.parameters, op.parameters)) {
+        if (param.in === 'body') {
+          parameters.push(...bodyParameters(param.schema, param.required));
+        } else if (param.in === 'formData') {
+          formFields.push({
+            name: param.name,
+            in: 'body',
+            required: Boolean(param.required),
+            description: param.description || '',
+            schema: swaggerParamSchema(param)
+          });
+        } else {
+          parameters.push({
+            name: param.name,
+            in: param.in,
+            required: param.in === 'path' || Boolean(param.required),
+            description: param.description || '',
+            schema: swaggerParamSchema(param)
+          });
+        }
+      }
+      parameters.push(...formFields);
+
+      const consumes = op.consumes || doc.consumes || [];
+      const requestContentType = formFields.length > 0
+        ? consumes.find((t) => t.includes('form')) || 'application/x-www-form-urlencoded'
+        : parameters.some((p) => p.in === 'body') ? 'application/json' : undefined;
+
+      const response = successResponse(op.responses);
+      const id = operationId(op.operationId, method, path, used);
+      operations.push(finishOperation({
+        id,
+        name: op.summary || humanize(id),
+        description: op.description || op.summary || '',
+        method: method.toUpperCase(),
+        endpoint: path,
+        parameters,
+        ...(requestContentType && { request_content_type: requestContentType }),
+        output_schema: response?.schema || {},
+        ...(op.tags?.length && { tags: op.tags }),
+        ...(op.deprecated && { deprecated: true })
+      }));
+    }
+  }
+
+  let baseUrl = '';
+  if (doc.host) {
+    const scheme = (doc.schemes || []).includes('https') ? 'https' : doc.schemes?.[0] || 'https';
+    baseUrl = `${scheme}://${doc.host}${doc.basePath || ''}`.replace(/\/$/, '');
+  } else {
+    warnings.add('No host in the document; set base_url before installing');
+  }
+
+  return {
+    name: doc.info?.title || 'Imported API',
+    description: textOf(doc.info?.description),
+    version: doc.info?.version || null,
+    base_url: baseUrl,
+    ...swaggerAuth(doc.securityDefinitions, doc.security),
+    operations
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Postman collections
+// ---------------------------------------------------------------------------
+
+function postmanAuth(auth) {
+  if (!auth?.type) return { auth_type: 'custom', auth_config: {} };
+  const settings = Object.fromEntries((auth[auth.type] || []).map((entry) => [entry.key, entry.value]));
+
+  switch (auth.type) {
+    case 'oauth2':
+      return {
+        auth_type: 'oauth2',
+        auth_config: {
+          ...(settings.authUrl && { oauth_authorize_url: settings.authUrl }),
+          ...(settings.accessTokenUrl && { oauth_token_url: settings.accessTokenUrl }),
+          oauth_scopes: String(settings.scope || '').split(/[\s,]+/).filter(Boolean)
+        }
+      };
+    case 'basic':
+      return { auth_type: 'basic', auth_config: {} };
+    case 'apikey':
+      return {
+        auth_type: 'api_key',
+        auth_config: { api_key_in: settings.in || 'header', api_key_name: settings.key || 'Authorization' }
+      };
+    case 'bearer':
+      return { auth_type: 'api_key', auth_config: { api_key_in: 'header', api_key_name: 'Authorization' } };
+    default:
+      return { auth_type: 'custom', auth_config: {} };
+  }
+}
+
+function postmanRequests(items, folder = [], out = []) {
+  for (const item of items || []) {
+    if (Array.isArray(item.item)) {
+      postmanRequests(item.item, [...folder, item.name], out);
+    } else if (item.request) {
+      out.push({ item, folder });
+    }
+  }
+  return out;
+}
+
+function substituteVariables(value, variables) {
+  return String(value).replace(/\{\{([^}]+)\}\}/g, (match, name) => variables[name.trim()] ?? match);
+}
+
+/**
+ * Splits a Postman URL into origin and path. `{{var}}` origins resolve
+ * from collection variables; `:id` and `{{id}}` path segments become
+ * `{id}` placeholders.
+ */
+function postmanUrl(url, variables) {
+  const raw = typeof url === 'string' ? url : url?.raw || '';
+  let origin = '';
+  let segments;
+
+  if (url && typeof url === 'object' && url.host) {
+    const host = Array.isArray(url.host) ? url.host.join('.') : url.host;
+    origin = `${url.protocol ? `${url.protocol}://` : ''}${host}${url.port ? `:${url.port}` : ''}`;
+    segments = Array.isArray(url.path) ? url.path : String(url.path || '').split('/');
+  } else {
+    const withoutQuery = raw.split('?')[0];
+    const match = withoutQuery.match(/^((?:https?:\/\/)?[^/]+)(\/.*)?$/);
+    origin = match?.[1] || '';
+    segments = (match?.[2] || '').split('/');
+  }
+
+  const path = '/' + segments
+    .filter((segment) => segment !== '' && segment !== undefined)
+    .map((segment) => {
+      const value = typeof segment === 'string' ? segment : segment.value || '';
+      const colon = value.match(/^:(.+)$/);
+      const variable = value.match(/^\{\{(.+)\}\}$/);
+      if (colon) return `{${colon[1]}}`;
+      if (variable && variables[variable[1]] === undefined) return `{${variable[1]}}`;
+      return substituteVariables(value, variables);
+    })
+    .join('/');
+
+  return { origin: substituteVariables(origin, variables).replace(/\/$/, ''), path };
+}
+
+function parseJsonExample(text) {
+  try {
+    return JSON.parse(text);
+  } catch {
+    return undefined;
+  }
+}
+
+function fromPostman(doc, warnings) {
+  const variables = Object.fromEntries((doc.variable || []).map((v) => [v.key, v.value]));
+  const used = new Set();
+  const origins = new Map();
+  const operations = [];
+
+  for (const { item, folder } of postmanRequests(doc.item)) {
+    const request = typeof item.request === 'string' ? { method: 'GET', url: item.request } : item.request;
+    const method = String(request.method || 'GET').toUpperCase();
+    const { origin, path } = postmanUrl(request.url, variables);
+    if (origin) origins.set(origin, (origins.get(origin) || 0) + 1);
+
+    const parameters = [];
+    for (const match of path.matchAll(/\{([^}]+)\}/g)) {
+      const variable = (request.url?.variable || []).find((v) => v.key === match[1]);
+      parameters.push({
+        name: match[1],
+        in: 'path',
+        required: true,
+        description: textOf(variable?.description),
+        schema: { type: 'string' }
+      });
+    }
+    for (const query of request.url?.query || []) {
+      if (query.disabled) continue;
+      parameters.push({
+        name: query.key,
+        in: 'query',
+        required: false,
+        description: textOf(query.description),
+        schema: { type: 'string' }
+      });
+    }
+    for (const header of request.header || []) {
+      if (header.disabled || /^(authorization|content-type|accept)$/i.test(header.key)) continue;
+      parameters.push({
+        name: header.key,
+        in: 'header',
+        required: false,
+        description: textOf(header.description),
+        schema: { type: 'string' }
+      });
+    }
+
+    let requestContentType;
+    const body = request.body;
+    if (body?.mode === 'raw' && body.raw) {
+      const example = parseJsonExample(substituteVariables(body.raw, variables));
+      if (example !== undefined) {
+        requestContentType = 'application/json';
+        parameters.push(...bodyParameters(inferSchema(example), true));
+      } else {
+        requestContentType = 'text/plain';
+        parameters.push(...bodyParameters({ type: 'string' }, true));
+      }
+    } else if (body?.mode === 'urlencoded' || body?.mode === 'formdata') {
+      requestContentType = body.mode === 'urlencoded' ? 'application/x-www-form-urlencoded' : 'multipart/form-data';
+      for (const field of body[body.mode] || []) {
+        if (field.disabled) continue;
+        parameters.push({
+          name: field.key,
+          in: 'body',
+          required: false,
+          description: textOf(field.description),
+          schema: field.type === 'file' ? { type: 'string', format: 'binary' } : { type: 'string' }
+        });
+      }
+    } else if (body?.mode && body.mode !== 'none') {
+      warnings.add(`${item.name}: ${body.mode} request bodies are not imported`);
+    }
+
+    const example = (item.response || []).find((r) => !r.code || (r.code >= 200 && r.code < 300));
+    const responseBody = example?.body ? parseJsonExample(example.body) : undefined;
+
+    const id = operationId(snakeCase(item.name), method, path, used);
+    operations.push(finishOperation({
+      id,
+      name: item.name || humanize(id),
+      description: textOf(request.description),
+      method,
+      endpoint: path,
+      parameters,
+      ...(requestContentType && { request_content_type: requestContentType }),
+      output_schema: responseBody !== undefined ? inferSchema(responseBody) : {},
+      ...(folder.length > 0 && { tags: [folder.join(' / ')] })
+    }));
+  }
+
+  // The most common origin becomes the base URL; requests elsewhere keep
+  // working only if they share it
+  const ranked = [...origins.entries()].sort((a, b) => b[1] - a[1]);
+  if (ranked.length > 1) {
+    warnings.add(`Requests use ${ranked.length} different hosts; ${ranked[0][0]} was used as the base URL`);
+  }
+  const baseUrl = ranked[0]?.[0] || '';
+  if (!baseUrl || baseUrl.includes('{{')) {
+    warnings.add('Base URL could not be resolved from collection variables; set base_url before installing');
+  }
+
+  return {
+    name: doc.info?.name || 'Imported collection',
+    description: textOf(doc.info?.description),
+    version: doc.info?.version || null,
+    base_url: baseUrl,
+    ...postmanAuth(doc.auth),
+    operations
+  };
+}
+
+// ---------------------------------------------------------------------------
+
+/**
+ * Detects the format of a parsed document and converts it. Throws a
+ * SpecError for unsupported documents and ones without operations.
+ */
+export function convertDocument(doc) {
+  const format = detectFormat(doc);
+  const warnings = new Set();
+  const converted = {
+    openapi3: fromOpenApi3,
+    swagger2: fromSwagger2,
+    postman: fromPostman
+  }[format](doc, warnings);
+
+  if (converted.operations.length === 0) {
+    throw new SpecError('The document does not define any operations');
+  }
+  return { format, converted, warnings: [...warnings] };
+}
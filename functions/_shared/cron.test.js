@@ -0,0 +1,92 @@
+/**
+ * Cron Helper Tests
+ *
+ * Tests for cron parsing, fire time search and catch-up handling
+ */
+
+import { describe, it, expect } from 'vitest';
+import { MAX_CATCH_UP_FIRES, dueFireTimes, nextFireTime, parseCron, upcomingFireTimes } from './cron.ts';
+
+const at = (iso) => new Date(iso);
+
+describe('parseCron', () => {
+  it('expands lists, ranges, steps and names', () => {
+    const cron = parseCron('0,30 9-17/4 * JAN-MAR MON-FRI');
+    expect([...cron.minutes]).toEqual([0, 30]);
+    expect([...cron.hours]).toEqual([9, 13, 17]);
+    expect([...cron.months]).toEqual([1, 2, 3]);
+    expect([...cron.daysOfWeek]).toEqual([1, 2, 3, 4, 5]);
+  });
+
+  it('accepts macros and Sunday as 7', () => {
+    expect([...parseCron('@daily').hours]).toEqual([0]);
+    expect(parseCron('0 0 * * 7').daysOfWeek.has(0)).toBe(true);
+  });
+
+  it('rejects malformed expressions', () => {
+    expect(() => parseCron('* * * *')).toThrow('5 fields');
+    expect(() => parseCron('60 * * * *')).toThrow('Invalid minute value');
+    expect(() => parseCron('*/0 * * * *')).toThrow('Invalid step');
+    expect(() => parseCron('0 5-2 * * *')).toThrow('Invalid range');
+  });
+});
+
+describe('nextFireTime', () => {
+  it('returns the first match strictly after the given time', () => {
+    const cron = parseCron('*/15 * * * *');
+    expect(nextFireTime(cron, at('2026-01-01T10:15:00Z'), 'UTC')).toEqual(at('2026-01-01T10:30:00Z'));
+  });
+
+  it('reads wall-clock time in the schedule timezone', () => {
+    const cron = parseCron('0 9 * * *');
+    expect(nextFireTime(cron, at('2026-01-01T00:00:00Z'), 'America/New_York')).toEqual(at('2026-01-01T14:00:00Z'));
+  });
+
+  it('skips wall-clock times that a DST change removes', () => {
+    const cron = parseCron('30 2 * * *');
+    // 02:30 does not exist in New York on 8 March 2026
+    expect(nextFireTime(cron, at('2026-03-08T05:00:00Z'), 'America/New_York')).toEqual(at('2026-03-09T06:30:00Z'));
+  });
+
+  it('matches either day field when both are restricted', () => {
+    const cron = parseCron('0 0 13 * FRI');
+    const times = upcomingFireTimes(cron, at('2026-02-01T00:00:00Z'), 'UTC', 3);
+    expect(times.map((time) => time.toISOString().slice(0, 10))).toEqual(['2026-02-06', '2026-02-13', '2026-02-20']);
+  });
+});
+
+describe('dueFireTimes', () => {
+  const hourly = parseCron('0 * * * *');
+  const now = at('2026-01-02T00:03:00Z');
+  const schedule = (overrides) => ({ next_run: '2026-01-01T00:00:00Z', ...overrides });
+
+  it('returns nothing before next_run', () => {
+    expect(dueFireTimes(schedule({ next_run: '2026-01-02T01:00:00Z' }), hourly, 'UTC', now)).toEqual({ fires: [], skipped: 0 });
+  });
+
+  it('fires the latest missed time once by default and counts every other miss', () => {
+    const { fires, skipped } = dueFireTimes(schedule(), hourly, 'UTC', now);
+    expect(fires).toEqual([at('2026-01-02T00:00:00Z')]);
+    expect(skipped).toBe(24);
+  });
+
+  it('keeps the on-time fire for skip even after a long outage', () => {
+    const { fires, skipped } = dueFireTimes(schedule({ catch_up_policy: 'skip' }), hourly, 'UTC', now);
+    expect(fires).toEqual([at('2026-01-02T00:00:00Z')]);
+    expect(skipped).toBe(24);
+  });
+
+  it('drops every fire for skip once the grace period has passed', () => {
+    const late = at('2026-01-02T00:30:00Z');
+    const { fires, skipped } = dueFireTimes(schedule({ catch_up_policy: 'skip' }), hourly, 'UTC', late);
+    expect(fires).toEqual([]);
+    expect(skipped).toBe(25);
+  });
+
+  it('replays the most recent fires for run_all up to the cap', () => {
+    const { fires, skipped } = dueFireTimes(schedule({ catch_up_policy: 'run_all' }), hourly, 'UTC', now);
+    expect(fires).toHaveLength(MAX_CATCH_UP_FIRES);
+    expect(fires[fires.length - 1]).toEqual(at('2026-01-02T00:00:00Z'));
+    expect(skipped).toBe(25 - MAX_CATCH_UP_FIRES);
+  });
+});
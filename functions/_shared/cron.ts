@@ -0,0 +1,228 @@
+/**
+ * @fileoverview Cron schedule helpers
+ * @description Parses five-field cron expressions and computes fire times in
+ * an IANA timezone. Shared by triggerScheduledRuns and its tests; it has no
+ * platform dependencies.
+ */
+
+export const MAX_CATCH_UP_FIRES = 10;
+const DEFAULT_MISFIRE_GRACE_SECONDS = 300;
+const MAX_SEARCH_MINUTES = 5 * 366 * 24 * 60;
+
+const CRON_MACROS = {
+  '@yearly': '0 0 1 1 *',
+  '@annually': '0 0 1 1 *',
+  '@monthly': '0 0 1 * *',
+  '@weekly': '0 0 * * 0',
+  '@daily': '0 0 * * *',
+  '@midnight': '0 0 * * *',
+  '@hourly': '0 * * * *'
+};
+
+const CRON_FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12, names: ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC'] },
+  { name: 'day of week', min: 0, max: 7, names: ['SUN', 'MON', 'TUE', 'WED', 'THU', 'FRI', 'SAT'] }
+];
+
+const WEEKDAYS = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+
+function parseCronValue(value, field) {
+  const upper = value.toUpperCase();
+  const nameIndex = field.names?.indexOf(upper) ?? -1;
+  if (nameIndex >= 0) {
+    return field.name === 'month' ? nameIndex + 1 : nameIndex;
+  }
+
+  const number = Number(value);
+  if (!/^\d+$/.test(value) || number < field.min || number > field.max) {
+    throw new Error(`Invalid ${field.name} value "${value}"`);
+  }
+  return number;
+}
+
+/**
+ * Expands one cron field (lists, ranges, steps, names) into the set of
+ * values it matches.
+ */
+function parseCronField(source, field) {
+  const values = new Set();
+
+  for (const part of source.split(',')) {
+    const [range, stepSource] = part.split('/');
+    const step = stepSource === undefined ? 1 : Number(stepSource);
+    if (!Number.isInteger(step) || step < 1) {
+      throw new Error(`Invalid step "${stepSource}" in ${field.name} field`);
+    }
+
+    let start;
+    let end;
+    if (range === '*') {
+      start = field.min;
+      end = field.max;
+    } else if (range.includes('-')) {
+      const [from, to] = range.split('-');
+      start = parseCronValue(from, field);
+      end = parseCronValue(to, field);
+      if (start > end) {
+        throw new Error(`Invalid range "${range}" in ${field.name} field`);
+      }
+    } else {
+      start = parseCronValue(range, field);
+      end = stepSource === undefined ? start : field.max;
+    }
+
+    for (let value = start; value <= end; value += step) {
+      values.add(value);
+    }
+  }
+
+  return values;
+}
+
+/**
+ * Parses a five-field cron expression or macro.
+ * Sunday may be written as 0 or 7.
+ */
+export function parseCron(expression) {
+  const normalized = CRON_MACROS[expression?.trim().toLowerCase()] || expression?.trim() || '';
+  const parts = normalized.split(/\s+/);
+
+  if (parts.length !== 5) {
+    throw new Error(`Cron expression must have 5 fields, got ${parts.length}`);
+  }
+
+  const [minutes, hours, daysOfMonth, months, daysOfWeek] = parts.map((part, i) => parseCronField(part, CRON_FIELDS[i]));
+  if (daysOfWeek.has(7)) {
+    daysOfWeek.add(0);
+  }
+
+  return {
+    minutes,
+    hours,
+    daysOfMonth,
+    months,
+    daysOfWeek,
+    // Standard cron: when both day fields are restricted, either may match
+    dayOfMonthRestricted: parts[2] !== '*',
+    dayOfWeekRestricted: parts[4] !== '*'
+  };
+}
+
+const formatters = new Map();
+
+/**
+ * Wall-clock fields of an instant in the given IANA timezone.
+ */
+export function zonedParts(date, timezone) {
+  if (!formatters.has(timezone)) {
+    formatters.set(timezone, new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      hourCycle: 'h23',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      weekday: 'short'
+    }));
+  }
+
+  const parts = Object.fromEntries(
+    formatters.get(timezone).formatToParts(date).map(part => [part.type, part.value])
+  );
+
+  return {
+    month: Number(parts.month),
+    day: Number(parts.day),
+    hour: Number(parts.hour),
+    minute: Number(parts.minute),
+    weekday: WEEKDAYS[parts.weekday]
+  };
+}
+
+function matchesDay(cron, parts) {
+  const domMatch = cron.daysOfMonth.has(parts.day);
+  const dowMatch = cron.daysOfWeek.has(parts.weekday);
+
+  if (cron.dayOfMonthRestricted && cron.dayOfWeekRestricted) {
+    return domMatch || dowMatch;
+  }
+  return domMatch && dowMatch;
+}
+
+/**
+ * First fire time strictly after `after`. Walks real instants and reads
+ * wall-clock fields in the timezone, skipping days or hours that cannot
+ * match, so DST gaps are skipped and repeated hours fire twice.
+ */
+export function nextFireTime(cron, after, timezone) {
+  const candidate = new Date(after.getTime());
+  candidate.setUTCSeconds(0, 0);
+  candidate.setUTCMinutes(candidate.getUTCMinutes() + 1);
+
+  for (let searched = 0; searched < MAX_SEARCH_MINUTES;) {
+    const parts = zonedParts(candidate, timezone);
+    let skipMinutes = 0;
+
+    if (!cron.months.has(parts.month) || !matchesDay(cron, parts)) {
+      // Jump to 23:00 rather than midnight so a short DST day cannot
+      // carry the search past the start of the next day.
+      skipMinutes = parts.hour < 23 ? (23 - parts.hour) * 60 - parts.minute : 60 - parts.minute;
+    } else if (!cron.hours.has(parts.hour)) {
+      skipMinutes = 60 - parts.minute;
+    } else if (!cron.minutes.has(parts.minute)) {
+      skipMinutes = 1;
+    } else {
+      return candidate;
+    }
+
+    candidate.setUTCMinutes(candidate.getUTCMinutes() + skipMinutes);
+    searched += skipMinutes;
+  }
+
+  return null;
+}
+
+export function upcomingFireTimes(cron, after, timezone, count) {
+  const times = [];
+  let cursor = after;
+  while (times.length < count) {
+    cursor = nextFireTime(cron, cursor, timezone);
+    if (!cursor) break;
+    times.push(cursor);
+  }
+  return times;
+}
+
+/**
+ * Fire times due between the schedule's `next_run` and now, reduced
+ * according to the catch-up policy. The walk always reaches now so the
+ * latest fire and the missed count are exact; MAX_CATCH_UP_FIRES only
+ * limits how many of the most recent fires `run_all` replays.
+ */
+export function dueFireTimes(schedule, cron, timezone, now) {
+  const policy = schedule.catch_up_policy || 'run_once';
+  const recent = [];
+  let missed = 0;
+  let cursor = new Date(schedule.next_run);
+
+  while (cursor && cursor <= now) {
+    missed++;
+    recent.push(cursor);
+    if (recent.length > MAX_CATCH_UP_FIRES) recent.shift();
+    cursor = nextFireTime(cron, cursor, timezone);
+  }
+
+  const latest = recent[recent.length - 1];
+  const graceMs = (schedule.misfire_grace_seconds ?? DEFAULT_MISFIRE_GRACE_SECONDS) * 1000;
+
+  if (missed === 0) return { fires: [], skipped: 0 };
+  if (policy === 'run_all') return { fires: recent, skipped: missed - recent.length };
+  if (policy === 'skip') {
+    const onTime = now.getTime() - latest.getTime() <= graceMs;
+    return { fires: onTime ? [latest] : [], skipped: onTime ? missed - 1 : missed };
+  }
+  return { fires: [latest], skipped: missed - 1 };
+}
@@ -0,0 +1,205 @@
+/**
+ * @fileoverview Embedding providers
+ * @description Embeds knowledge base chunks and queries. Shared by
+ * embedDocument and retrieveContext so documents and queries are always
+ * embedded the same way.
+ */
+
+// ---------------------------------------------------------------------------
+// Embedding providers
+//
+// `vector_config.embedding_model` selects the provider, either with an
+// explicit prefix (`cohere:embed-english-v3.0`, `ollama:nomic-embed-text`,
+// `local:hash-384`) or as a bare OpenAI model name. Every provider exposes
+//   embed(texts, { inputType: 'document' | 'query' }) -> number[][]
+// and is called in batches with retries on rate limits and server errors.
+// ---------------------------------------------------------------------------
+
+const DEFAULT_EMBEDDING_MODEL = 'text-embedding-3-small';
+const EMBEDDING_MAX_ATTEMPTS = 4;
+const EMBEDDING_BASE_DELAY_MS = 500;
+
+class EmbeddingRequestError extends Error {
+  constructor(message, { retryable = false, retryAfterMs = null } = {}) {
+    super(message);
+    this.name = 'EmbeddingRequestError';
+    this.retryable = retryable;
+    this.retryAfterMs = retryAfterMs;
+  }
+}
+
+async function postEmbeddingRequest(provider, url, headers, body) {
+  let response;
+  try {
+    response = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...headers },
+      body: JSON.stringify(body),
+    });
+  } catch (error) {
+    throw new EmbeddingRequestError(`${provider} request failed: ${error.message}`, { retryable: true });
+  }
+
+  if (!response.ok) {
+    const retryAfter = Number(response.headers.get('retry-after'));
+    throw new EmbeddingRequestError(`${provider} API error: ${response.status} ${response.statusText}`, {
+      retryable: response.status === 429 || response.status >= 500,
+      retryAfterMs: Number.isFinite(retryAfter) && retryAfter > 0 ? retryAfter * 1000 : null,
+    });
+  }
+
+  return response.json();
+}
+
+async function withRetries(fn) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await fn();
+    } catch (error) {
+      if (!error.retryable || attempt >= EMBEDDING_MAX_ATTEMPTS) throw error;
+      const backoff = EMBEDDING_BASE_DELAY_MS * 2 ** (attempt - 1);
+      const delay = error.retryAfterMs ?? backoff + Math.random() * backoff;
+      console.warn(`${error.message}; retrying in ${Math.round(delay)}ms (attempt ${attempt + 1}/${EMBEDDING_MAX_ATTEMPTS})`);
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+  }
+}
+
+function createOpenAIEmbedder(model) {
+  const apiKey = Deno.env.get('OPENAI_API_KEY');
+  if (!apiKey) {
+    throw new Error('OPENAI_API_KEY not configured');
+  }
+  const baseUrl = (Deno.env.get('OPENAI_BASE_URL') || 'https://api.openai.com/v1').replace(/\/$/, '');
+
+  return {
+    batchSize: 96,
+    async embed(texts) {
+      const data = await postEmbeddingRequest('OpenAI', `${baseUrl}/embeddings`, {
+        'Authorization': `Bearer ${apiKey}`,
+      }, { model, input: texts });
+      return data.data
+        .sort((a, b) => a.index - b.index)
+        .map(item => item.embedding);
+    },
+  };
+}
+
+function createCohereEmbedder(model) {
+  const apiKey = Deno.env.get('COHERE_API_KEY');
+  if (!apiKey) {
+    throw new Error('COHERE_API_KEY not configured');
+  }
+
+  return {
+    batchSize: 96,
+    async embed(texts, { inputType }) {
+      const data = await postEmbeddingRequest('Cohere', 'https://api.cohere.com/v1/embed', {
+        'Authorization': `Bearer ${apiKey}`,
+      }, {
+        model,
+        texts,
+        input_type: inputType === 'query' ? 'search_query' : 'search_document',
+      });
+      return data.embeddings;
+    },
+  };
+}
+
+function createOllamaEmbedder(model) {
+  const baseUrl = (Deno.env.get('OLLAMA_URL') || 'http://localhost:11434').replace(/\/$/, '');
+
+  return {
+    batchSize: 32,
+    async embed(texts) {
+      const data = await postEmbeddingRequest('Ollama', `${baseUrl}/api/embed`, {}, { model, input: texts });
+      return data.embeddings;
+    },
+  };
+}
+
+/**
+ * Deterministic feature-hashing embedder for offline development and
+ * tests: word and character-trigram counts hashed into a fixed number of
+ * signed buckets, L2-normalised. The model name sets the size
+ * (`local:hash-384`).
+ */
+function createLocalEmbedder(model) {
+  const dimensions = Number(model.match(/(\d+)$/)?.[1]) || 384;
+
+  const hash = (feature) => {
+    let h = 0x811c9dc5;
+    for (let i = 0; i < feature.length; i++) {
+      h ^= feature.charCodeAt(i);
+      h = Math.imul(h, 0x01000193);
+    }
+    return h >>> 0;
+  };
+
+  const embedOne = (text) => {
+    const vector = new Array(dimensions).fill(0);
+    const words = (text || '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+    const features = [...words];
+    for (const word of words) {
+      const padded = ` ${word} `;
+      for (let i = 0; i + 3 <= padded.length; i++) {
+        features.push(`#${padded.slice(i, i + 3)}`);
+      }
+    }
+    for (const feature of features) {
+      const h = hash(feature);
+      vector[h % dimensions] += (h & 0x80000000) ? -1 : 1;
+    }
+    const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0)) || 1;
+    return vector.map(value => value / norm);
+  };
+
+  return {
+    batchSize: Infinity,
+    async embed(texts) {
+      return texts.map(embedOne);
+    },
+  };
+}
+
+const EMBEDDING_PROVIDERS = {
+  openai: createOpenAIEmbedder,
+  cohere: createCohereEmbedder,
+  ollama: createOllamaEmbedder,
+  local: createLocalEmbedder,
+};
+
+function parseEmbeddingModel(embeddingModel) {
+  const value = embeddingModel || DEFAULT_EMBEDDING_MODEL;
+  const separator = value.indexOf(':');
+  if (separator > 0 && EMBEDDING_PROVIDERS[value.slice(0, separator)]) {
+    return { provider: value.slice(0, separator), model: value.slice(separator + 1) };
+  }
+  return { provider: 'openai', model: value };
+}
+
+/**
+ * Embedding provider for a knowledge base's vector_config
+ */
+export function createEmbeddingProvider(vectorConfig = {}) {
+  const { provider, model } = parseEmbeddingModel(vectorConfig.embedding_model);
+  const embedder = EMBEDDING_PROVIDERS[provider](model);
+  const batchSize = vectorConfig.embedding_batch_size || embedder.batchSize;
+
+  return {
+    model: vectorConfig.embedding_model || DEFAULT_EMBEDDING_MODEL,
+
+    async embed(texts, { inputType = 'document' } = {}) {
+      const embeddings = [];
+      for (let start = 0; start < texts.length; start += batchSize) {
+        const batch = texts.slice(start, start + batchSize);
+        const result = await withRetries(() => embedder.embed(batch, { inputType }));
+        if (result?.length !== batch.length) {
+          throw new Error(`${provider} returned ${result?.length ?? 0} embeddings for ${batch.length} inputs`);
+        }
+        embeddings.push(...result);
+      }
+      return embeddings;
+    },
+  };
+}
@@ -0,0 +1,115 @@
+/**
+ * Expression Evaluator Tests
+ *
+ * Tests for parsing and evaluating node config expressions
+ */
+
+import { describe, it, expect } from 'vitest';
+import { evaluateExpression, evaluateNode, parseExpression } from './expressions.ts';
+
+const scope = {
+  result: { status: 'ok', score: 0.82, tags: ['urgent', 'billing'], items: [{ id: 'a' }, { id: 'b' }] },
+  input: { name: '  Ada  ', threshold: 0.5, region: 'EU' }
+};
+
+describe('evaluateExpression', () => {
+  it('reads literals and keywords', () => {
+    expect(evaluateExpression('42', scope)).toBe(42);
+    expect(evaluateExpression('1.5', scope)).toBe(1.5);
+    expect(evaluateExpression("'it\\'s'", scope)).toBe("it's");
+    expect(evaluateExpression('"double"', scope)).toBe('double');
+    expect(evaluateExpression('true', scope)).toBe(true);
+    expect(evaluateExpression('null', scope)).toBe(null);
+    expect(evaluateExpression('undefined', scope)).toBe(undefined);
+  });
+
+  it('reads properties by dot and bracket access', () => {
+    expect(evaluateExpression('result.status', scope)).toBe('ok');
+    expect(evaluateExpression("result['score']", scope)).toBe(0.82);
+    expect(evaluateExpression('result.items[1].id', scope)).toBe('b');
+    expect(evaluateExpression('result.tags.length', scope)).toBe(2);
+    expect(evaluateExpression('input.name.length', scope)).toBe(7);
+  });
+
+  it('returns undefined for missing properties and through null values', () => {
+    expect(evaluateExpression('result.missing', scope)).toBe(undefined);
+    expect(evaluateExpression('result.missing.deeper', scope)).toBe(undefined);
+    expect(evaluateExpression('result.items[5]', scope)).toBe(undefined);
+  });
+
+  it('applies operator precedence', () => {
+    expect(evaluateExpression('1 + 2 * 3', scope)).toBe(7);
+    expect(evaluateExpression('(1 + 2) * 3', scope)).toBe(9);
+    expect(evaluateExpression('10 - 4 - 3', scope)).toBe(3);
+    expect(evaluateExpression('7 % 4 + -1', scope)).toBe(2);
+    expect(evaluateExpression('1 + 2 > 2 && 3 === 3', scope)).toBe(true);
+    expect(evaluateExpression('false || 1 < 0 || !false', scope)).toBe(true);
+  });
+
+  it('compares values strictly and loosely', () => {
+    expect(evaluateExpression('result.score >= input.threshold', scope)).toBe(true);
+    expect(evaluateExpression("result.status !== 'ok'", scope)).toBe(false);
+    expect(evaluateExpression("1 == '1'", scope)).toBe(true);
+    expect(evaluateExpression("1 === '1'", scope)).toBe(false);
+  });
+
+  it('short-circuits logical operators', () => {
+    expect(evaluateExpression('false && unknown', scope)).toBe(false);
+    expect(evaluateExpression("result.status || 'none'", scope)).toBe('ok');
+  });
+
+  it('calls allowed string and array methods', () => {
+    expect(evaluateExpression("result.tags.includes('urgent')", scope)).toBe(true);
+    expect(evaluateExpression("input.region.toLowerCase() === 'eu'", scope)).toBe(true);
+    expect(evaluateExpression('input.name.trim()', scope)).toBe('Ada');
+    expect(evaluateExpression("result.status.startsWith('o') && result.status.endsWith('k')", scope)).toBe(true);
+  });
+
+  it('rejects methods outside the allowlist', () => {
+    expect(() => evaluateExpression("result.tags.join(',')", scope)).toThrow('Method "join" is not supported');
+    expect(() => evaluateExpression('result.items.includes(1)', { result: { items: { includes: 1 } } }))
+      .toThrow('Method "includes" is not supported');
+  });
+
+  it('blocks prototype access', () => {
+    expect(() => evaluateExpression('result.__proto__', scope)).toThrow('Access to "__proto__" is not allowed');
+    expect(() => evaluateExpression("result['constructor']", scope)).toThrow('Access to "constructor" is not allowed');
+    expect(() => evaluateExpression('result.status.constructor', scope)).toThrow('not allowed');
+    expect(() => evaluateExpression('input.prototype', scope)).toThrow('not allowed');
+  });
+
+  it('does not read inherited properties', () => {
+    expect(evaluateExpression('result.hasOwnProperty', scope)).toBe(undefined);
+    expect(evaluateExpression('result.toString', scope)).toBe(undefined);
+  });
+
+  it('rejects identifiers outside the scope', () => {
+    expect(() => evaluateExpression('globalThis', scope)).toThrow('Unknown identifier "globalThis"');
+    expect(() => evaluateExpression('toString', scope)).toThrow('Unknown identifier "toString"');
+    expect(() => evaluateExpression('constructor', scope)).toThrow('Unknown identifier "constructor"');
+  });
+});
+
+describe('parseExpression', () => {
+  it('rejects malformed expressions', () => {
+    expect(() => parseExpression('1 +')).toThrow('Unexpected end of expression');
+    expect(() => parseExpression('(1 + 2')).toThrow('Expected ")"');
+    expect(() => parseExpression('1 2')).toThrow('Unexpected "2"');
+    expect(() => parseExpression('result.')).toThrow('Expected property name');
+    expect(() => parseExpression('result # 1')).toThrow('Unexpected character at position 6');
+  });
+
+  it('only allows calls on properties', () => {
+    expect(() => parseExpression('fn(1)')).toThrow('Only method calls are supported');
+  });
+
+  it('rejects assignment', () => {
+    expect(() => parseExpression('result.status = 1')).toThrow('Unexpected character');
+  });
+
+  it('can be evaluated against several scopes', () => {
+    const ast = parseExpression('item.id !== excluded && index < 2');
+    const kept = ['a', 'b', 'c'].filter((id, index) => evaluateNode(ast, { item: { id }, index, excluded: 'b' }));
+    expect(kept).toEqual(['a']);
+  });
+});
@@ -0,0 +1,193 @@
+/**
+ * @fileoverview Node config expressions
+ * @description Conditions, filters, loop conditions and parameter mappings
+ * in workflow nodes are small JavaScript-like expressions over the node's
+ * scope (`result`, `input`, and `item` or `index` where they apply). They
+ * are parsed and evaluated here so workflow specs never run code.
+ */
+
+const BLOCKED_PROPERTIES = new Set(['__proto__', 'prototype', 'constructor']);
+const ALLOWED_METHODS = new Set(['includes', 'startsWith', 'endsWith', 'toLowerCase', 'toUpperCase', 'trim']);
+
+/**
+ * Splits an expression into number, string, identifier and operator tokens.
+ */
+function tokenize(source) {
+  const pattern = /\s*(?:(\d+(?:\.\d+)?)|('(?:[^'\\]|\\.)*'|"(?:[^"\\]|\\.)*")|([A-Za-z_$][\w$]*)|(===|!==|==|!=|<=|>=|&&|\|\||[-+*/%<>!().[\],]))/y;
+  const tokens = [];
+  let position = 0;
+
+  while (position < source.length && source.slice(position).trim() !== '') {
+    pattern.lastIndex = position;
+    const match = pattern.exec(source);
+    if (!match) {
+      throw new Error(`Unexpected character at position ${position} in expression "${source}"`);
+    }
+    position = pattern.lastIndex;
+
+    if (match[1] !== undefined) tokens.push({ type: 'literal', value: Number(match[1]) });
+    else if (match[2] !== undefined) tokens.push({ type: 'literal', value: match[2].slice(1, -1).replace(/\\(.)/g, '$1') });
+    else if (match[3] !== undefined) tokens.push({ type: 'identifier', value: match[3] });
+    else tokens.push({ type: 'operator', value: match[4] });
+  }
+
+  return tokens;
+}
+
+/**
+ * Recursive-descent parser for the JavaScript-like subset used in node
+ * config: literals, property access, a few string/array methods, and
+ * arithmetic, comparison and logical operators. Nothing is ever eval'd.
+ */
+export function parseExpression(source) {
+  const tokens = tokenize(source);
+  let index = 0;
+
+  const peek = () => tokens[index];
+  const isOperator = (...values) => peek()?.type === 'operator' && values.includes(peek().value);
+  const expect = (value) => {
+    if (!isOperator(value)) {
+      throw new Error(`Expected "${value}" in expression "${source}"`);
+    }
+    index++;
+  };
+
+  const binary = (next, operators) => () => {
+    let left = next();
+    while (isOperator(...operators)) {
+      const operator = tokens[index++].value;
+      left = { type: 'binary', operator, left, right: next() };
+    }
+    return left;
+  };
+
+  const primary = () => {
+    const token = tokens[index++];
+    if (!token) throw new Error(`Unexpected end of expression "${source}"`);
+    if (token.type === 'literal') return { type: 'literal', value: token.value };
+    if (token.type === 'identifier') {
+      const keywords = { true: true, false: false, null: null, undefined: undefined };
+      if (Object.prototype.hasOwnProperty.call(keywords, token.value)) return { type: 'literal', value: keywords[token.value] };
+      return { type: 'variable', name: token.value };
+    }
+    if (token.value === '(') {
+      const inner = or();
+      expect(')');
+      return inner;
+    }
+    throw new Error(`Unexpected "${token.value}" in expression "${source}"`);
+  };
+
+  const member = () => {
+    let target = primary();
+    while (isOperator('.', '[', '(')) {
+      const operator = tokens[index++].value;
+      if (operator === '.') {
+        const property = tokens[index++];
+        if (property?.type !== 'identifier') throw new Error(`Expected property name in expression "${source}"`);
+        target = { type: 'member', target, property: { type: 'literal', value: property.value } };
+      } else if (operator === '[') {
+        target = { type: 'member', target, property: or() };
+        expect(']');
+      } else {
+        if (target.type !== 'member') throw new Error(`Only method calls are supported in expression "${source}"`);
+        const args = [];
+        while (!isOperator(')')) {
+          args.push(or());
+          if (!isOperator(')')) expect(',');
+        }
+        expect(')');
+        target = { type: 'call', target: target.target, method: target.property, args };
+      }
+    }
+    return target;
+  };
+
+  const unary = () => {
+    if (isOperator('!', '-')) {
+      const operator = tokens[index++].value;
+      return { type: 'unary', operator, argument: unary() };
+    }
+    return member();
+  };
+
+  const multiplicative = binary(unary, ['*', '/', '%']);
+  const additive = binary(multiplicative, ['+', '-']);
+  const comparison = binary(additive, ['<', '<=', '>', '>=']);
+  const equality = binary(comparison, ['===', '!==', '==', '!=']);
+  const and = binary(equality, ['&&']);
+  const or = binary(and, ['||']);
+
+  const ast = or();
+  if (index < tokens.length) {
+    throw new Error(`Unexpected "${tokens[index].value}" in expression "${source}"`);
+  }
+  return ast;
+}
+
+/**
+ * Evaluates a parsed expression against `scope`. Only own properties are
+ * read, and prototype properties and unlisted methods throw.
+ */
+export function evaluateNode(ast, scope) {
+  switch (ast.type) {
+    case 'literal':
+      return ast.value;
+    case 'variable':
+      if (!Object.prototype.hasOwnProperty.call(scope, ast.name)) {
+        throw new Error(`Unknown identifier "${ast.name}"`);
+      }
+      return scope[ast.name];
+    case 'member': {
+      const target = evaluateNode(ast.target, scope);
+      const property = evaluateNode(ast.property, scope);
+      if (target === null || target === undefined) return undefined;
+      if (BLOCKED_PROPERTIES.has(String(property))) {
+        throw new Error(`Access to "${property}" is not allowed`);
+      }
+      if (property === 'length' && (Array.isArray(target) || typeof target === 'string')) {
+        return target.length;
+      }
+      return Object.prototype.hasOwnProperty.call(target, property) ? target[property] : undefined;
+    }
+    case 'call': {
+      const target = evaluateNode(ast.target, scope);
+      const method = evaluateNode(ast.method, scope);
+      if (!ALLOWED_METHODS.has(method) || !(typeof target === 'string' || Array.isArray(target))) {
+        throw new Error(`Method "${method}" is not supported`);
+      }
+      return target[method](...ast.args.map(arg => evaluateNode(arg, scope)));
+    }
+    case 'unary': {
+      const value = evaluateNode(ast.argument, scope);
+      return ast.operator === '!' ? !value : -value;
+    }
+    case 'binary': {
+      if (ast.operator === '&&') return evaluateNode(ast.left, scope) && evaluateNode(ast.right, scope);
+      if (ast.operator === '||') return evaluateNode(ast.left, scope) || evaluateNode(ast.right, scope);
+
+      const left = evaluateNode(ast.left, scope);
+      const right = evaluateNode(ast.right, scope);
+      switch (ast.operator) {
+        case '===': return left === right;
+        case '!==': return left !== right;
+        case '==': return left == right;
+        case '!=': return left != right;
+        case '<': return left < right;
+        case '<=': return left <= right;
+        case '>': return left > right;
+        case '>=': return left >= right;
+        case '+': return left + right;
+        case '-': return left - right;
+        case '*': return left * right;
+        case '/': return left / right;
+        case '%': return left % right;
+      }
+    }
+  }
+  throw new Error(`Unsupported expression node ${ast.type}`);
+}
+
+export function evaluateExpression(source, scope) {
+  return evaluateNode(parseExpression(source), scope);
+}
@@ -0,0 +1,104 @@
+/**
+ * LLM Gateway Tests
+ *
+ * Tests for building the fallback chain an agent call moves down
+ */
+
+import { describe, it, expect } from 'vitest';
+import { llmChain } from './llmGateway.ts';
+
+const request = (config = {}) => ({
+  provider: 'azure',
+  model: 'gpt-4o',
+  system: 'You are helpful',
+  prompt: 'Summarize this',
+  temperature: 0.2,
+  max_tokens: 500,
+  response_schema: { type: 'object' },
+  config: {
+    deployment: 'prod-gpt4o',
+    base_url: 'https://example.openai.azure.com',
+    api_version: '2024-10-21',
+    temperature: 0.2,
+    max_tokens: 500,
+    timeout_ms: 20000,
+    mock_error: 429,
+    fallback_on: ['rate_limit', 'timeout'],
+    ...config
+  }
+});
+
+describe('llmChain', () => {
+  it('starts with the configured model and keeps its provider settings', () => {
+    const [primary] = llmChain(request({ fallback_chain: [{ model: 'gpt-4o-mini' }] }));
+
+    expect(primary).toMatchObject({ provider: 'azure', model: 'gpt-4o', temperature: 0.2, timeout_ms: 20000 });
+    expect(primary.config).toMatchObject({ deployment: 'prod-gpt4o', api_version: '2024-10-21', mock_error: 429 });
+    expect(primary.config).not.toHaveProperty('fallback_chain');
+  });
+
+  it('returns only the primary call without a fallback chain', () => {
+    expect(llmChain(request())).toHaveLength(1);
+  });
+
+  it('does not carry provider settings or temperature over to a step', () => {
+    const [, step] = llmChain(request({ fallback_chain: [{ provider: 'local', model: 'llama3' }] }));
+
+    expect(step).not.toHaveProperty('temperature');
+    for (const key of ['deployment', 'base_url', 'api_version', 'temperature', 'mock_error']) {
+      expect(step.config).not.toHaveProperty(key);
+    }
+  });
+
+  it('carries the prompt and shared options over to a step', () => {
+    const [, step] = llmChain(request({ fallback_chain: [{ model: 'gpt-4o-mini' }] }));
+
+    expect(step).toMatchObject({
+      provider: 'azure',
+      model: 'gpt-4o-mini',
+      system: 'You are helpful',
+      prompt: 'Summarize this',
+      response_schema: { type: 'object' },
+      max_tokens: 500,
+      timeout_ms: 20000
+    });
+    expect(step.config).toEqual({ max_tokens: 500, timeout_ms: 20000, fallback_on: ['rate_limit', 'timeout'], model: 'gpt-4o-mini' });
+  });
+
+  it("uses a step's own fields over the agent's", () => {
+    const [, step] = llmChain(request({
+      fallback_chain: [{
+        provider: 'anthropic',
+        model: 'claude-3-5-haiku-latest',
+        temperature: 0.9,
+        max_tokens: 100,
+        timeout_ms: 5000,
+        fallback_on: ['server_error']
+      }]
+    }));
+
+    expect(step).toMatchObject({ provider: 'anthropic', model: 'claude-3-5-haiku-latest', temperature: 0.9, max_tokens: 100, timeout_ms: 5000 });
+    expect(step.config.fallback_on).toEqual(['server_error']);
+  });
+
+  it('gives a step its own provider settings', () => {
+    const [, step] = llmChain(request({
+      fallback_chain: [{ model: 'gpt-4o-mini', deployment: 'backup-mini', mock_error: 'timeout' }]
+    }));
+
+    expect(step.config).toMatchObject({ deployment: 'backup-mini', mock_error: 'timeout' });
+    expect(step.config).not.toHaveProperty('base_url');
+  });
+
+  it('keeps steps independent of each other', () => {
+    const [, first, second] = llmChain(request({
+      fallback_chain: [
+        { provider: 'local', model: 'llama3', base_url: 'http://localhost:11434/v1' },
+        { provider: 'openai', model: 'gpt-4o-mini' }
+      ]
+    }));
+
+    expect(first.config.base_url).toBe('http://localhost:11434/v1');
+    expect(second.config).not.toHaveProperty('base_url');
+  });
+});
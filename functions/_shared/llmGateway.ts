@@ -0,0 +1,300 @@
+/**
+ * @fileoverview LLM gateway
+ * @description Sends a call to the provider an agent is configured for and
+ * normalizes the reply to `{ content, text, usage, provider, model }`.
+ * `usage` is `{ prompt_tokens, completion_tokens, cached_tokens }` as
+ * reported by the provider, or null when it reported none. Providers:
+ *   openai     OPENAI_API_KEY (OPENAI_BASE_URL to override the endpoint)
+ *   azure      AZURE_OPENAI_ENDPOINT and AZURE_OPENAI_API_KEY; the model is
+ *              the deployment name unless `config.deployment` is set
+ *   anthropic  ANTHROPIC_API_KEY
+ *   local      any OpenAI-compatible server at `config.base_url` or
+ *              LOCAL_LLM_BASE_URL, with LOCAL_LLM_API_KEY if it needs one
+ *   mock       no network; answers `config.mock_response` or an echo, or
+ *              fails with `config.mock_error` (a status or failure reason)
+ * Without OPENAI_API_KEY, openai calls go through the platform's built-in
+ * InvokeLLM as before. LLM_PROVIDER_OVERRIDE routes every call to one
+ * provider, e.g. `mock` in test environments. An agent's
+ * `config.fallback_chain` lists models to try in order when a call fails
+ * for one of its `fallback_on` reasons. Used by executeAgent and
+ * explainDecision.
+ */
+
+const LLM_PROVIDERS = ['openai', 'azure', 'anthropic', 'local', 'mock'];
+const LLM_TIMEOUT_MS = 60000;
+const ANTHROPIC_DEFAULT_MAX_TOKENS = 1024;
+const DEFAULT_FALLBACK_ON = ['rate_limit', 'server_error', 'timeout'];
+
+function failureReason(status) {
+  if (status === 429) return 'rate_limit';
+  if (status === 408) return 'timeout';
+  if (status === 401 || status === 403) return 'auth';
+  if (status !== null && status < 500) return 'bad_request';
+  return 'server_error';
+}
+
+export class LLMProviderError extends Error {
+  constructor(provider, message, status = null, reason = failureReason(status)) {
+    super(`${provider}: ${message}`);
+    this.name = 'LLMProviderError';
+    this.provider = provider;
+    this.status = status;
+    this.reason = reason;
+    // Rate limits, server errors and timeouts may succeed on a retry or
+    // another provider; bad requests and auth failures will not
+    this.retryable = DEFAULT_FALLBACK_ON.includes(reason);
+  }
+}
+
+function requireEnv(provider, name) {
+  const value = Deno.env.get(name);
+  if (!value) throw new LLMProviderError(provider, `${name} is not configured`, 400);
+  return value;
+}
+
+function parseJsonReply(provider, text) {
+  const unfenced = text.trim().replace(/^```(?:json)?\s*/i, '').replace(/\s*```$/, '');
+  try {
+    return JSON.parse(unfenced);
+  } catch {
+    throw new LLMProviderError(provider, 'response was not valid JSON', 502);
+  }
+}
+
+async function postJson(provider, url, headers, body, timeoutMs = LLM_TIMEOUT_MS) {
+  let response;
+  try {
+    response = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...headers },
+      body: JSON.stringify(body),
+      signal: AbortSignal.timeout(timeoutMs)
+    });
+  } catch (error) {
+    if (error.name === 'TimeoutError') throw new LLMProviderError(provider, `no response within ${timeoutMs}ms`, null, 'timeout');
+    throw new LLMProviderError(provider, error.message);
+  }
+
+  const data = await response.json().catch(() => null);
+  if (!response.ok) {
+    // Azure rejects prompts its content filter flags with a plain 400
+    const filtered = data?.error?.code === 'content_filter';
+    throw new LLMProviderError(
+      provider,
+      data?.error?.message || response.statusText || `HTTP ${response.status}`,
+      response.status,
+      filtered ? 'content_filter' : failureReason(response.status)
+    );
+  }
+  return data;
+}
+
+function contentFiltered(provider) {
+  return new LLMProviderError(provider, 'response was withheld by the content filter', null, 'content_filter');
+}
+
+/**
+ * Chat-completions request shared by OpenAI, Azure and local servers.
+ * Local servers rarely support `json_schema`, so they get `json_object`
+ * with the schema in the system prompt instead.
+ */
+async function callChatCompletions(provider, url, headers, request) {
+  const jsonObjectOnly = provider === 'local';
+  const system = request.response_schema && jsonObjectOnly
+    ? `${request.system || ''}\n\nRespond only with JSON matching this schema:\n${JSON.stringify(request.response_schema)}`.trim()
+    : request.system;
+  const data = await postJson(provider, url, headers, {
+    ...(provider !== 'azure' && { model: request.model }),
+    messages: [
+      ...(system ? [{ role: 'system', content: system }] : []),
+      { role: 'user', content: request.prompt }
+    ],
+    ...(request.temperature !== undefined && { temperature: request.temperature }),
+    ...(request.max_tokens !== undefined && { max_tokens: request.max_tokens }),
+    ...(request.response_schema && {
+      response_format: jsonObjectOnly
+        ? { type: 'json_object' }
+        : { type: 'json_schema', json_schema: { name: 'response', schema: request.response_schema } }
+    })
+  }, request.timeout_ms);
+
+  if (data?.choices?.[0]?.finish_reason === 'content_filter') throw contentFiltered(provider);
+  const text = data?.choices?.[0]?.message?.content ?? '';
+  return {
+    text,
+    content: request.response_schema ? parseJsonReply(provider, text) : text,
+    usage: data?.usage ? {
+      prompt_tokens: data.usage.prompt_tokens || 0,
+      completion_tokens: data.usage.completion_tokens || 0,
+      cached_tokens: data.usage.prompt_tokens_details?.cached_tokens || 0
+    } : null
+  };
+}
+
+const LLM_ADAPTERS = {
+  openai: (request) => callChatCompletions(
+    'openai',
+    `${Deno.env.get('OPENAI_BASE_URL') || 'https://api.openai.com/v1'}/chat/completions`,
+    { Authorization: `Bearer ${requireEnv('openai', 'OPENAI_API_KEY')}` },
+    request
+  ),
+
+  azure: (request) => {
+    const endpoint = requireEnv('azure', 'AZURE_OPENAI_ENDPOINT').replace(/\/+$/, '');
+    const deployment = encodeURIComponent(request.config?.deployment || request.model);
+    const apiVersion = request.config?.api_version || Deno.env.get('AZURE_OPENAI_API_VERSION') || '2024-10-21';
+    return callChatCompletions(
+      'azure',
+      `${endpoint}/openai/deployments/${deployment}/chat/completions?api-version=${apiVersion}`,
+      { 'api-key': requireEnv('azure', 'AZURE_OPENAI_API_KEY') },
+      request
+    );
+  },
+
+  local: (request) => {
+    const baseUrl = request.config?.base_url || Deno.env.get('LOCAL_LLM_BASE_URL');
+    if (!baseUrl) throw new LLMProviderError('local', 'config.base_url or LOCAL_LLM_BASE_URL is required', 400);
+    const apiKey = Deno.env.get('LOCAL_LLM_API_KEY');
+    return callChatCompletions(
+      'local',
+      `${baseUrl.replace(/\/+$/, '')}/chat/completions`,
+      apiKey ? { Authorization: `Bearer ${apiKey}` } : {},
+      request
+    );
+  },
+
+  // Anthropic has no JSON response mode, so the schema goes in the system
+  // prompt and the reply is parsed
+  anthropic: async (request) => {
+    const system = request.response_schema
+      ? `${request.system || ''}\n\nRespond only with JSON matching this schema:\n${JSON.stringify(request.response_schema)}`.trim()
+      : request.system;
+    const data = await postJson('anthropic', 'https://api.anthropic.com/v1/messages', {
+      'x-api-key': requireEnv('anthropic', 'ANTHROPIC_API_KEY'),
+      'anthropic-version': '2023-06-01'
+    }, {
+      model: request.model,
+      max_tokens: request.max_tokens ?? ANTHROPIC_DEFAULT_MAX_TOKENS,
+      ...(system && { system }),
+      messages: [{ role: 'user', content: request.prompt }],
+      ...(request.temperature !== undefined && { temperature: request.temperature })
+    }, request.timeout_ms);
+
+    if (data?.stop_reason === 'refusal') throw contentFiltered('anthropic');
+    const text = (data?.content || []).filter((block) => block.type === 'text').map((block) => block.text).join('');
+    const usage = data?.usage;
+    return {
+      text,
+      content: request.response_schema ? parseJsonReply('anthropic', text) : text,
+      usage: usage ? {
+        prompt_tokens: (usage.input_tokens || 0) + (usage.cache_read_input_tokens || 0) + (usage.cache_creation_input_tokens || 0),
+        completion_tokens: usage.output_tokens || 0,
+        cached_tokens: usage.cache_read_input_tokens || 0
+      } : null
+    };
+  },
+
+  mock: async (request) => {
+    const failure = request.config?.mock_error;
+    if (typeof failure === 'number') throw new LLMProviderError('mock', `simulated HTTP ${failure}`, failure);
+    if (failure) throw new LLMProviderError('mock', `simulated ${failure}`, null, failure);
+    const reply = request.config?.mock_response ?? (request.response_schema ? {} : `mock: ${request.prompt}`);
+    const text = typeof reply === 'string' ? reply : JSON.stringify(reply);
+    return {
+      text,
+      content: request.response_schema && typeof reply === 'string' ? parseJsonReply('mock', reply) : reply,
+      usage: null
+    };
+  },
+
+  base44: async (request, base44) => {
+    const timeoutMs = request.timeout_ms || LLM_TIMEOUT_MS;
+    let timer;
+    const content = await Promise.race([
+      base44.integrations.Core.InvokeLLM({
+        prompt: request.system ? `${request.system}\n\nUser Request: ${request.prompt}` : request.prompt,
+        ...(request.response_schema && { response_json_schema: request.response_schema })
+      }),
+      new Promise((_, reject) => {
+        timer = setTimeout(() => reject(new LLMProviderError('openai', `no response within ${timeoutMs}ms`, null, 'timeout')), timeoutMs);
+      })
+    ]).finally(() => clearTimeout(timer));
+    return { text: typeof content === 'string' ? content : JSON.stringify(content), content, usage: null };
+  }
+};
+
+/**
+ * Calls `request.provider` (default openai) with `model`, `system`,
+ * `prompt`, and optional `temperature`, `max_tokens`, `timeout_ms`,
+ * `response_schema` and provider `config`. Throws LLMProviderError.
+ */
+export async function callLLM(base44, request) {
+  const provider = Deno.env.get('LLM_PROVIDER_OVERRIDE') || request.provider || 'openai';
+  if (!LLM_PROVIDERS.includes(provider)) {
+    throw new LLMProviderError(provider, `unknown provider; expected one of ${LLM_PROVIDERS.join(', ')}`, 400);
+  }
+
+  const adapter = provider === 'openai' && !Deno.env.get('OPENAI_API_KEY') ? 'base44' : provider;
+  const started = Date.now();
+  const reply = await LLM_ADAPTERS[adapter]({ ...request, provider }, base44);
+  return { ...reply, provider, model: request.model, latency_ms: Date.now() - started };
+}
+
+// What a fallback step takes from the agent's own call when it does not set
+// it. Provider settings (deployment, base_url, api_version, mock_*) and
+// temperature belong to the configured model and are never carried over.
+const STEP_SHARED_FIELDS = ['system', 'prompt', 'response_schema', 'max_tokens', 'timeout_ms'];
+const STEP_SHARED_CONFIG = ['max_tokens', 'timeout_ms', 'fallback_on'];
+
+function pickDefined(source, keys) {
+  return Object.fromEntries(keys.filter((key) => source[key] !== undefined).map((key) => [key, source[key]]));
+}
+
+/**
+ * The calls an agent tries in order: its own provider and model, then each
+ * `config.fallback_chain` step. A step names a `model` and may set its own
+ * `provider`, `temperature`, `max_tokens`, `timeout_ms`, `fallback_on` and
+ * provider settings such as `deployment` or `base_url`; only the prompt,
+ * `max_tokens`, `timeout_ms` and `fallback_on` fall back to the agent's.
+ */
+export function llmChain(request) {
+  const { fallback_chain = [], ...config } = request.config || {};
+  const primary = { ...request, timeout_ms: request.timeout_ms ?? config.timeout_ms, config };
+  return [primary, ...fallback_chain.map((step) => ({
+    ...pickDefined(primary, STEP_SHARED_FIELDS),
+    provider: step.provider || primary.provider,
+    ...pickDefined(step, ['model', 'temperature', 'max_tokens', 'timeout_ms']),
+    config: { ...pickDefined(config, STEP_SHARED_CONFIG), ...step }
+  }))];
+}
+
+/**
+ * Like callLLM, but moves down the agent's fallback chain while a step fails
+ * for one of its `fallback_on` reasons (default rate_limit, server_error and
+ * timeout). Fallback steps `permits` rejects, e.g. models a policy does not
+ * allow, are skipped. The reply carries the failed and skipped `attempts`
+ * before it; when every step fails, the last error is thrown with them.
+ */
+export async function callLLMWithFallback(base44, request, permits = async () => true) {
+  const attempts = [];
+  let lastError = null;
+  for (const [index, step] of llmChain(request).entries()) {
+    if (index > 0 && !(await permits(step))) {
+      attempts.push({ provider: step.provider, model: step.model, reason: 'policy', message: 'Not allowed by policy' });
+      continue;
+    }
+
+    try {
+      return { ...(await callLLM(base44, step)), attempts };
+    } catch (error) {
+      if (!(error instanceof LLMProviderError)) throw error;
+      attempts.push({ provider: error.provider, model: step.model, reason: error.reason, message: error.message });
+      lastError = error;
+      const fallbackOn = step.config.fallback_on || DEFAULT_FALLBACK_ON;
+      if (!fallbackOn.includes(error.reason)) break;
+    }
+  }
+
+  lastError.attempts = attempts;
+  throw lastError;
+}
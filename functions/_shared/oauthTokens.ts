@@ -0,0 +1,180 @@
+/**
+ * @fileoverview OAuth tokens
+ * @description OAuth2 installations keep their client credentials and
+ * tokens in the vault (clientId, clientSecret, accessToken, refreshToken).
+ * token_expires_at sits on the installation so expiry can be checked before
+ * decrypting anything. Access tokens are refreshed shortly before they
+ * expire; when the provider rejects the refresh the installation moves to
+ * needs_reauth and has to be authorized again.
+ *
+ * Several invocations can refresh the same installation at once. A refresh
+ * the provider rejects is checked against the stored installation first:
+ * if another invocation has saved newer tokens in the meantime, those are
+ * used instead of flagging the installation.
+ */
+
+import { currentKeyVersion, encryptCredentials, loadCredentials, vaultContext } from './vault.ts';
+
+const TOKEN_REFRESH_SKEW_MS = 60 * 1000;
+
+export class OAuthError extends Error {
+  constructor(message, code = 'OAUTH_REJECTED') {
+    super(message);
+    this.name = 'OAuthError';
+    this.code = code;
+  }
+}
+
+export function oauthClient(connector, credentials) {
+  const config = connector.auth_config || {};
+  return {
+    authorizeUrl: config.oauth_authorize_url,
+    tokenUrl: config.oauth_token_url,
+    scopes: config.oauth_scopes || [],
+    clientId: credentials.clientId || config.oauth_client_id,
+    clientSecret: credentials.clientSecret
+  };
+}
+
+export async function requestToken(client, params) {
+  const body = new URLSearchParams({ ...params, client_id: client.clientId });
+  if (client.clientSecret) body.append('client_secret', client.clientSecret);
+
+  let response;
+  try {
+    response = await fetch(client.tokenUrl, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/x-www-form-urlencoded',
+        'Accept': 'application/json'
+      },
+      body: body.toString()
+    });
+  } catch (error) {
+    throw new OAuthError(`Token endpoint unreachable: ${error.message}`, 'OAUTH_UNAVAILABLE');
+  }
+
+  // Some providers answer form-encoded despite the Accept header
+  const text = await response.text();
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    data = Object.fromEntries(new URLSearchParams(text));
+  }
+
+  if (response.status >= 500) {
+    throw new OAuthError(`Token endpoint returned ${response.status}`, 'OAUTH_UNAVAILABLE');
+  }
+  if (!response.ok || !data.access_token) {
+    throw new OAuthError(data.error_description || data.error || `Token endpoint returned ${response.status}`);
+  }
+  return data;
+}
+
+async function reloadInstallation(base44, installationId) {
+  const [current] = await base44.asServiceRole.entities.ConnectorInstallation.filter({ id: installationId });
+  return current || null;
+}
+
+/**
+ * Encrypts a token response onto the installation and reactivates it. The
+ * tokens are merged onto the credentials stored now rather than the ones
+ * the caller read, so fields written in the meantime are kept. Refresh
+ * responses may omit the refresh token, in which case the stored one is
+ * kept.
+ */
+export async function saveTokens(base44, installation, credentials, tokens, extra = {}) {
+  const current = await reloadInstallation(base44, installation.id);
+  const stored = current ? { ...credentials, ...loadCredentials('ConnectorInstallation', current) } : credentials;
+  const next = {
+    ...stored,
+    accessToken: tokens.access_token,
+    refreshToken: tokens.refresh_token || stored.refreshToken,
+    scope: tokens.scope || stored.scope
+  };
+  for (const key of Object.keys(next)) {
+    if (next[key] === undefined) delete next[key];
+  }
+  const expiresIn = Number(tokens.expires_in);
+
+  await base44.asServiceRole.entities.ConnectorInstallation.update(installation.id, {
+    credentials_encrypted: JSON.stringify(encryptCredentials(next, vaultContext('ConnectorInstallation', installation.id))),
+    credential_key_version: currentKeyVersion(),
+    credential_fields: Object.keys(next),
+    token_expires_at: expiresIn > 0 ? new Date(Date.now() + expiresIn * 1000).toISOString() : null,
+    token_refreshed_at: new Date().toISOString(),
+    status: 'active',
+    error_message: null,
+    ...extra
+  });
+  return next;
+}
+
+async function markNeedsReauth(base44, installation, reason) {
+  await base44.asServiceRole.entities.ConnectorInstallation.update(installation.id, {
+    status: 'needs_reauth',
+    error_message: `Reauthorization required: ${reason}`
+  });
+}
+
+/**
+ * Credentials another invocation stored after `credentials` were read, or
+ * null when the installation still holds the same access token
+ */
+async function newerCredentials(base44, installation, credentials) {
+  const current = await reloadInstallation(base44, installation.id);
+  if (!current) return null;
+  const stored = loadCredentials('ConnectorInstallation', current);
+  return stored.accessToken && stored.accessToken !== credentials.accessToken ? stored : null;
+}
+
+/**
+ * Exchanges the refresh token for a new access token. A rejected refresh
+ * marks the installation needs_reauth unless a concurrent refresh already
+ * replaced the tokens; an unreachable provider does not.
+ */
+export async function refreshAccessToken(base44, installation, connector, credentials) {
+  const client = oauthClient(connector, credentials);
+  if (!credentials.refreshToken || !client.tokenUrl || !client.clientId) {
+    await markNeedsReauth(base44, installation, 'the access token expired and cannot be refreshed');
+    throw new OAuthError('The access token expired and cannot be refreshed', 'NEEDS_REAUTH');
+  }
+
+  try {
+    const tokens = await requestToken(client, {
+      grant_type: 'refresh_token',
+      refresh_token: credentials.refreshToken
+    });
+    return await saveTokens(base44, installation, credentials, tokens);
+  } catch (error) {
+    if (!(error instanceof OAuthError) || error.code === 'OAUTH_UNAVAILABLE') throw error;
+    // Providers that rotate refresh tokens reject the old one once a
+    // concurrent refresh has used it
+    const newer = await newerCredentials(base44, installation, credentials);
+    if (newer) return newer;
+
+    await markNeedsReauth(base44, installation, error.message);
+    // A concurrent refresh that saved while this one was marking wins
+    const landed = await newerCredentials(base44, installation, credentials);
+    if (landed) {
+      await base44.asServiceRole.entities.ConnectorInstallation.update(installation.id, {
+        status: 'active',
+        error_message: null
+      });
+      return landed;
+    }
+    throw new OAuthError(`Token refresh failed: ${error.message}`, 'NEEDS_REAUTH');
+  }
+}
+
+export function tokenExpiring(installation, now = Date.now()) {
+  return Boolean(installation.token_expires_at) &&
+    new Date(installation.token_expires_at).getTime() - TOKEN_REFRESH_SKEW_MS <= now;
+}
+
+export async function freshOAuthCredentials(base44, installation, connector, credentials) {
+  return tokenExpiring(installation)
+    ? refreshAccessToken(base44, installation, connector, credentials)
+    : credentials;
+}
@@ -0,0 +1,106 @@
+/**
+ * Operation Schema Tests
+ *
+ * Tests for checking connector operation inputs and outputs against their
+ * schemas
+ */
+
+import { describe, it, expect } from 'vitest';
+import { coerceToSchema, operationParameters, validateSchema } from './operationSchema.ts';
+
+const issueSchema = {
+  type: 'object',
+  required: ['title'],
+  additionalProperties: false,
+  properties: {
+    title: { type: 'string', minLength: 1, maxLength: 80 },
+    state: { type: 'string', enum: ['open', 'closed'] },
+    labels: { type: 'array', maxItems: 2, items: { type: 'string' } },
+    assignee: { type: 'string', format: 'email', nullable: true },
+    per_page: { type: 'integer', minimum: 1, maximum: 100 }
+  }
+};
+
+describe('validateSchema', () => {
+  it('accepts a conforming value', () => {
+    expect(validateSchema(issueSchema, { title: 'Bug', state: 'open', labels: ['p1'], assignee: null, per_page: 50 })).toEqual([]);
+  });
+
+  it('reports each failure with its path', () => {
+    const errors = validateSchema(issueSchema, { state: 'stale', labels: ['a', 2, 'c'], assignee: 'nobody', per_page: 500, extra: true });
+    expect(errors).toEqual([
+      { path: '$.title', message: 'is required' },
+      { path: '$.state', message: 'must be one of "open", "closed"' },
+      { path: '$.labels', message: 'must have at most 2 items' },
+      { path: '$.labels[1]', message: 'expected string, got integer' },
+      { path: '$.assignee', message: 'must be a valid email' },
+      { path: '$.per_page', message: 'must be <= 100' },
+      { path: '$.extra', message: 'is not allowed' }
+    ]);
+  });
+
+  it('accepts integers where a number is expected', () => {
+    expect(validateSchema({ type: 'number' }, 3)).toEqual([]);
+    expect(validateSchema({ type: 'integer' }, 3.5)).toEqual([{ path: '$', message: 'expected integer, got number' }]);
+  });
+
+  it('checks anyOf and oneOf', () => {
+    const anyOf = { anyOf: [{ type: 'string' }, { type: 'integer' }] };
+    expect(validateSchema(anyOf, 1)).toEqual([]);
+    expect(validateSchema(anyOf, true)).toEqual([{ path: '$', message: 'does not match any allowed schema' }]);
+
+    const oneOf = { oneOf: [{ type: 'number' }, { type: 'integer' }] };
+    expect(validateSchema(oneOf, 1)).toEqual([{ path: '$', message: 'must match exactly one allowed schema' }]);
+  });
+
+  it('matches string patterns', () => {
+    const schema = { type: 'string', pattern: '^[A-Z]{3}-\\d+$' };
+    expect(validateSchema(schema, 'ABC-12')).toEqual([]);
+    expect(validateSchema(schema, 'abc-12')).toEqual([{ path: '$', message: 'must match ^[A-Z]{3}-\\d+$' }]);
+  });
+
+  it('reports an invalid pattern instead of throwing', () => {
+    expect(validateSchema({ type: 'string', pattern: '([a-z' }, 'abc')).toEqual([
+      { path: '$', message: 'has an invalid schema pattern ([a-z' }
+    ]);
+  });
+
+  it('refuses oversized and non-string patterns', () => {
+    expect(validateSchema({ pattern: 'a'.repeat(513) }, 'a')).toEqual([
+      { path: '$', message: 'has a schema pattern longer than 512 characters' }
+    ]);
+    expect(validateSchema({ pattern: 'a'.repeat(512) }, 'a'.repeat(512))).toEqual([]);
+    expect(validateSchema({ pattern: 42 }, '42')).toEqual([
+      { path: '$', message: 'has a schema pattern that is not a string' }
+    ]);
+  });
+});
+
+describe('coerceToSchema', () => {
+  it('converts strings to the number or boolean the schema asks for', () => {
+    expect(coerceToSchema({ type: 'integer' }, '10')).toBe(10);
+    expect(coerceToSchema({ type: 'integer' }, '1.5')).toBe('1.5');
+    expect(coerceToSchema({ type: 'number' }, '1.5')).toBe(1.5);
+    expect(coerceToSchema({ type: 'boolean' }, 'true')).toBe(true);
+    expect(coerceToSchema({ type: ['string', 'integer'] }, '10')).toBe('10');
+    expect(coerceToSchema({ type: 'integer' }, ' ')).toBe(' ');
+  });
+});
+
+describe('operationParameters', () => {
+  it('returns the parameters an imported operation lists', () => {
+    const parameters = [{ name: 'id', in: 'path', required: true, schema: { type: 'string' } }];
+    expect(operationParameters({ parameters })).toBe(parameters);
+  });
+
+  it('infers locations from the endpoint and method', () => {
+    const schema = { required: ['repo'], properties: { repo: { type: 'string' }, state: { type: 'string' } } };
+
+    expect(operationParameters({ method: 'GET', endpoint: '/repos/{repo}/issues/{number}', input_schema: schema })).toEqual([
+      { name: 'repo', in: 'path', required: true, schema: { type: 'string' } },
+      { name: 'state', in: 'query', required: false, schema: { type: 'string' } },
+      { name: 'number', in: 'path', required: true, schema: { type: 'string' } }
+    ]);
+    expect(operationParameters({ method: 'post', endpoint: '/issues', input_schema: schema }).map(p => p.in)).toEqual(['body', 'body']);
+  });
+});
@@ -0,0 +1,174 @@
+/**
+ * @fileoverview Operation schemas
+ * @description Shared by invokeConnector and validateOperationSchema. A JSON
+ * Schema subset for checking connector operation inputs and outputs: type,
+ * enum, const, required, properties, additionalProperties, items,
+ * string/number/array bounds, pattern, common formats and allOf / anyOf /
+ * oneOf. Local $refs are expected to be inlined (importConnectorSpec does
+ * this).
+ */
+
+// Longer patterns are refused rather than compiled from connector specs
+const MAX_PATTERN_LENGTH = 512;
+
+const SCHEMA_FORMATS = {
+  'date-time': (v) => !Number.isNaN(Date.parse(v)) && /^\d{4}-\d{2}-\d{2}T/.test(v),
+  date: (v) => /^\d{4}-\d{2}-\d{2}$/.test(v),
+  email: (v) => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(v),
+  uri: (v) => /^[a-z][a-z0-9+.-]*:/i.test(v),
+  uuid: (v) => /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(v)
+};
+
+function schemaType(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+  return typeof value;
+}
+
+function typeMatches(expected, value) {
+  const actual = schemaType(value);
+  return actual === expected || (expected === 'number' && actual === 'integer');
+}
+
+/**
+ * Tests a schema `pattern`, returning an error message when the value does
+ * not match or the pattern cannot be used. Patterns come from imported
+ * specs, so an invalid or oversized one fails validation instead of
+ * throwing.
+ */
+function patternError(pattern, value) {
+  if (typeof pattern !== 'string') {
+    return 'has a schema pattern that is not a string';
+  }
+  if (pattern.length > MAX_PATTERN_LENGTH) {
+    return `has a schema pattern longer than ${MAX_PATTERN_LENGTH} characters`;
+  }
+  let regex;
+  try {
+    regex = new RegExp(pattern);
+  } catch {
+    return `has an invalid schema pattern ${pattern}`;
+  }
+  return regex.test(value) ? null : `must match ${pattern}`;
+}
+
+/**
+ * Returns `[{ path, message }]`; empty when the value conforms.
+ */
+export function validateSchema(schema, value, path = '$') {
+  if (!schema || typeof schema !== 'object') return [];
+  const errors = [];
+  const fail = (message) => errors.push({ path, message });
+
+  if (value === null && schema.nullable) return [];
+
+  const types = schema.type ? [].concat(schema.type) : [];
+  if (types.length > 0 && !types.some((type) => typeMatches(type, value))) {
+    fail(`expected ${types.join(' or ')}, got ${schemaType(value)}`);
+    return errors;
+  }
+  if (schema.enum && !schema.enum.some((option) => JSON.stringify(option) === JSON.stringify(value))) {
+    fail(`must be one of ${schema.enum.map((option) => JSON.stringify(option)).join(', ')}`);
+  }
+  if ('const' in schema && JSON.stringify(schema.const) !== JSON.stringify(value)) {
+    fail(`must equal ${JSON.stringify(schema.const)}`);
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) fail(`must be at least ${schema.minLength} characters`);
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) fail(`must be at most ${schema.maxLength} characters`);
+    if (schema.pattern !== undefined) {
+      const message = patternError(schema.pattern, value);
+      if (message) fail(message);
+    }
+    if (schema.format && SCHEMA_FORMATS[schema.format] && !SCHEMA_FORMATS[schema.format](value)) fail(`must be a valid ${schema.format}`);
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) fail(`must be >= ${schema.minimum}`);
+    if (schema.maximum !== undefined && value > schema.maximum) fail(`must be <= ${schema.maximum}`);
+    if (typeof schema.exclusiveMinimum === 'number' && value <= schema.exclusiveMinimum) fail(`must be > ${schema.exclusiveMinimum}`);
+    if (typeof schema.exclusiveMaximum === 'number' && value >= schema.exclusiveMaximum) fail(`must be < ${schema.exclusiveMaximum}`);
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) fail(`must have at least ${schema.minItems} items`);
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) fail(`must have at most ${schema.maxItems} items`);
+    if (schema.items && typeof schema.items === 'object') {
+      value.forEach((item, index) => errors.push(...validateSchema(schema.items, item, `${path}[${index}]`)));
+    }
+  }
+
+  if (schemaType(value) === 'object') {
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) errors.push({ path: `${path}.${key}`, message: 'is required' });
+    }
+    const properties = schema.properties || {};
+    for (const [key, item] of Object.entries(value)) {
+      if (properties[key]) {
+        errors.push(...validateSchema(properties[key], item, `${path}.${key}`));
+      } else if (schema.additionalProperties === false) {
+        errors.push({ path: `${path}.${key}`, message: 'is not allowed' });
+      } else if (typeof schema.additionalProperties === 'object') {
+        errors.push(...validateSchema(schema.additionalProperties, item, `${path}.${key}`));
+      }
+    }
+  }
+
+  for (const sub of schema.allOf || []) {
+    errors.push(...validateSchema(sub, value, path));
+  }
+  if (schema.anyOf && !schema.anyOf.some((sub) => validateSchema(sub, value, path).length === 0)) {
+    fail('does not match any allowed schema');
+  }
+  if (schema.oneOf && schema.oneOf.filter((sub) => validateSchema(sub, value, path).length === 0).length !== 1) {
+    fail('must match exactly one allowed schema');
+  }
+
+  return errors;
+}
+
+/**
+ * Converts string inputs to the number or boolean their schema asks for,
+ * since workflow steps and agents often pass "10" or "true".
+ */
+export function coerceToSchema(schema, value) {
+  if (typeof value !== 'string' || !schema?.type) return value;
+  const types = [].concat(schema.type);
+  if (types.includes('string')) return value;
+  if ((types.includes('integer') || types.includes('number')) && value.trim() !== '' && !Number.isNaN(Number(value))) {
+    const number = Number(value);
+    return types.includes('number') || Number.isInteger(number) ? number : value;
+  }
+  if (types.includes('boolean') && (value === 'true' || value === 'false')) return value === 'true';
+  return value;
+}
+
+/**
+ * Where each input goes. Imported operations list this in `parameters`;
+ * for hand-written ones it is inferred: `{name}` in the endpoint is a path
+ * parameter, the rest go to the query string for GET, HEAD and DELETE and
+ * to the body otherwise.
+ */
+export function operationParameters(operation) {
+  if (Array.isArray(operation.parameters)) return operation.parameters;
+
+  const schema = operation.input_schema || {};
+  const required = new Set(schema.required || []);
+  const inPath = new Set([...(operation.endpoint || '').matchAll(/\{([^}]+)\}/g)].map((match) => match[1]));
+  const bodyless = ['GET', 'HEAD', 'DELETE'].includes(String(operation.method).toUpperCase());
+
+  const parameters = Object.entries(schema.properties || {}).map(([name, property]) => ({
+    name,
+    in: inPath.has(name) ? 'path' : bodyless ? 'query' : 'body',
+    required: inPath.has(name) || required.has(name),
+    schema: property
+  }));
+  for (const name of inPath) {
+    if (!parameters.some((parameter) => parameter.name === name)) {
+      parameters.push({ name, in: 'path', required: true, schema: { type: 'string' } });
+    }
+  }
+  return parameters;
+}
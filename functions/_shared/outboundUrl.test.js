@@ -0,0 +1,47 @@
+/**
+ * Outbound URL Check Tests
+ *
+ * Tests for the address and URL checks guarding server-side requests
+ */
+
+import { describe, it, expect } from 'vitest';
+import { assertPublicUrl, isNonPublicAddress } from './outboundUrl.ts';
+
+describe('isNonPublicAddress', () => {
+  it.each([
+    '127.0.0.1', '10.1.2.3', '172.20.0.1', '192.168.1.1', '169.254.169.254', '100.64.0.1', '0.0.0.0',
+    '::1', '::', 'fe80::1', 'fd00::1', '::ffff:127.0.0.1', '::ffff:7f00:1', '64:ff9b::a9fe:a9fe', 'not-an-ip',
+  ])('rejects %s', (address) => {
+    expect(isNonPublicAddress(address)).toBe(true);
+  });
+
+  it.each(['8.8.8.8', '172.32.0.1', '2606:4700:4700::1111', '::ffff:8.8.8.8'])('accepts %s', (address) => {
+    expect(isNonPublicAddress(address)).toBe(false);
+  });
+});
+
+describe('assertPublicUrl', () => {
+  const resolveTo = (...addresses) => ({ resolve: async () => addresses });
+
+  it('accepts public http(s) hosts', async () => {
+    const url = await assertPublicUrl('https://example.com/file.pdf', resolveTo('93.184.216.34'));
+    expect(url.hostname).toBe('example.com');
+  });
+
+  it('rejects other schemes and embedded credentials', async () => {
+    await expect(assertPublicUrl('file:///etc/passwd')).rejects.toThrow('scheme file:');
+    await expect(assertPublicUrl('https://user:pw@example.com', resolveTo('93.184.216.34'))).rejects.toThrow('credentials');
+  });
+
+  it('rejects local names and private literals without resolving', async () => {
+    await expect(assertPublicUrl('http://localhost:8080')).rejects.toThrow('not a public address');
+    await expect(assertPublicUrl('http://db.internal')).rejects.toThrow('not a public address');
+    await expect(assertPublicUrl('http://[::1]/')).rejects.toThrow('not a public address');
+    await expect(assertPublicUrl('http://169.254.169.254/latest/meta-data')).rejects.toThrow('not a public address');
+  });
+
+  it('rejects hosts that resolve to any private address', async () => {
+    await expect(assertPublicUrl('https://example.com', resolveTo('93.184.216.34', '10.0.0.5'))).rejects.toThrow('not a public address');
+    await expect(assertPublicUrl('https://example.com', resolveTo())).rejects.toThrow('does not resolve');
+  });
+});
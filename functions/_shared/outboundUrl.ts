@@ -0,0 +1,145 @@
+/**
+ * @fileoverview Outbound URL checks
+ * @description Guards server-side requests to URLs that callers supply
+ * (document file URLs, webhook subscriptions). Only http(s) URLs without
+ * credentials are allowed, and the host must not be, or resolve to, a
+ * loopback, private, link-local or otherwise non-public address. Redirects
+ * are followed by hand so every hop is checked.
+ */
+
+export class UnsafeUrlError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'UnsafeUrlError';
+  }
+}
+
+const BLOCKED_HOST_SUFFIXES = ['.localhost', '.local', '.internal'];
+
+// [first address, prefix length]
+const NON_PUBLIC_IPV4 = [
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8],
+  ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.0.2.0', 24],
+  ['192.168.0.0', 16], ['198.18.0.0', 15], ['198.51.100.0', 24], ['203.0.113.0', 24],
+  ['224.0.0.0', 4], ['240.0.0.0', 4]
+];
+
+function ipv4ToNumber(address) {
+  const parts = address.split('.');
+  if (parts.length !== 4 || parts.some(part => !/^\d{1,3}$/.test(part) || Number(part) > 255)) return null;
+  return parts.reduce((value, part) => value * 256 + Number(part), 0);
+}
+
+function ipv6ToGroups(address) {
+  let source = address.toLowerCase();
+  const embedded = source.match(/(\d+\.\d+\.\d+\.\d+)$/);
+  if (embedded) {
+    const value = ipv4ToNumber(embedded[1]);
+    if (value === null) return null;
+    source = source.slice(0, -embedded[1].length) + `${(value >>> 16).toString(16)}:${(value & 0xffff).toString(16)}`;
+  }
+
+  const [head, tail, ...rest] = source.split('::');
+  if (rest.length > 0) return null;
+  const headGroups = head ? head.split(':') : [];
+  const tailGroups = tail ? tail.split(':') : [];
+  const missing = 8 - headGroups.length - tailGroups.length;
+  if (tail === undefined ? missing !== 0 : missing < 1) return null;
+
+  const groups = [...headGroups, ...new Array(tail === undefined ? 0 : missing).fill('0'), ...tailGroups];
+  if (groups.some(group => !/^[0-9a-f]{1,4}$/.test(group))) return null;
+  return groups.map(group => parseInt(group, 16));
+}
+
+/**
+ * True for IP literals outside public unicast space. Anything that is not
+ * a valid address counts as non-public.
+ */
+export function isNonPublicAddress(address) {
+  const v4 = ipv4ToNumber(address);
+  if (v4 !== null) {
+    return NON_PUBLIC_IPV4.some(([first, prefix]) => {
+      const mask = prefix === 0 ? 0 : (0xffffffff << (32 - prefix)) >>> 0;
+      return ((v4 & mask) >>> 0) === ((ipv4ToNumber(first) & mask) >>> 0);
+    });
+  }
+
+  const groups = ipv6ToGroups(address);
+  if (!groups) return true;
+
+  const isZeroPrefix = (count) => groups.slice(0, count).every(group => group === 0);
+  // IPv4-mapped (::ffff:a.b.c.d) and NAT64 (64:ff9b::a.b.c.d) addresses
+  if ((isZeroPrefix(5) && groups[5] === 0xffff) ||
+      (groups[0] === 0x64 && groups[1] === 0xff9b && groups.slice(2, 6).every(group => group === 0))) {
+    return isNonPublicAddress(`${groups[6] >> 8}.${groups[6] & 0xff}.${groups[7] >> 8}.${groups[7] & 0xff}`);
+  }
+
+  return isZeroPrefix(7) || // :: and ::1
+    (groups[0] & 0xfe00) === 0xfc00 || // unique local
+    (groups[0] & 0xffc0) === 0xfe80 || // link-local
+    (groups[0] & 0xff00) === 0xff00 || // multicast
+    groups[0] === 0x2001 && groups[1] === 0x0db8; // documentation
+}
+
+async function resolveHost(hostname) {
+  const lookups = await Promise.allSettled([
+    Deno.resolveDns(hostname, 'A'),
+    Deno.resolveDns(hostname, 'AAAA')
+  ]);
+  return lookups.flatMap(lookup => lookup.status === 'fulfilled' ? lookup.value : []);
+}
+
+/**
+ * Parses `value` and rejects it unless it is an http(s) URL whose host is
+ * public. Returns the parsed URL.
+ */
+export async function assertPublicUrl(value, { resolve = resolveHost } = {}) {
+  let url;
+  try {
+    url = new URL(value);
+  } catch {
+    throw new UnsafeUrlError('URL is not valid');
+  }
+
+  if (!['http:', 'https:'].includes(url.protocol)) {
+    throw new UnsafeUrlError(`URL scheme ${url.protocol} is not allowed; use http or https`);
+  }
+  if (url.username || url.password) {
+    throw new UnsafeUrlError('URL must not contain credentials');
+  }
+
+  const hostname = url.hostname.replace(/^\[|\]$/g, '').toLowerCase();
+  if (hostname === 'localhost' || BLOCKED_HOST_SUFFIXES.some(suffix => hostname.endsWith(suffix))) {
+    throw new UnsafeUrlError(`Host ${hostname} is not a public address`);
+  }
+
+  const isLiteral = ipv4ToNumber(hostname) !== null || hostname.includes(':');
+  const addresses = isLiteral ? [hostname] : await resolve(hostname);
+  if (addresses.length === 0) {
+    throw new UnsafeUrlError(`Host ${hostname} does not resolve`);
+  }
+  if (addresses.some(isNonPublicAddress)) {
+    throw new UnsafeUrlError(`Host ${hostname} is not a public address`);
+  }
+
+  return url;
+}
+
+/**
+ * fetch() for caller-supplied URLs. Each redirect target is checked before
+ * it is requested; after `maxRedirects` hops the redirect response itself
+ * is returned.
+ */
+export async function fetchPublicUrl(value, init = {}, { maxRedirects = 3 } = {}) {
+  let url = value;
+  for (let hop = 0; ; hop++) {
+    await assertPublicUrl(url);
+    const response = await fetch(url, { ...init, redirect: 'manual' });
+    const location = response.headers.get('location');
+    if (response.status < 300 || response.status >= 400 || !location || hop >= maxRedirects) {
+      return response;
+    }
+    await response.body?.cancel();
+    url = new URL(location, url).toString();
+  }
+}
@@ -0,0 +1,51 @@
+/**
+ * @fileoverview Platform events
+ * @description Shared by the functions that emit platform events (runs,
+ * agent executions, deployments, approvals and anomalies) to outbound
+ * WebhookSubscriptions. Delivery itself, with retries and signing, is left
+ * to deliverWebhooks.
+ */
+
+/**
+ * Queues a platform event for matching outbound WebhookSubscriptions and
+ * asks deliverWebhooks to send it. Never throws; anything the immediate
+ * send misses is picked up by the deliverWebhooks sweep.
+ */
+export async function publishPlatformEvent(base44, event, data, orgId) {
+  if (!orgId) return;
+
+  try {
+    const subscriptions = await base44.asServiceRole.entities.WebhookSubscription.filter({
+      org_id: orgId,
+      enabled: true
+    });
+    const matching = subscriptions.filter(subscription =>
+      !subscription.events?.length || subscription.events.some(pattern =>
+        pattern === '*' || pattern === event || (pattern.endsWith('.*') && event.startsWith(pattern.slice(0, -1)))
+      )
+    );
+    if (matching.length === 0) return;
+
+    const event_id = crypto.randomUUID();
+    const timestamp = new Date().toISOString();
+    const deliveries = [];
+    for (const subscription of matching) {
+      deliveries.push(await base44.asServiceRole.entities.WebhookDelivery.create({
+        subscription_id: subscription.id,
+        event,
+        event_id,
+        payload: { id: event_id, event, timestamp, data },
+        status: 'pending',
+        attempt_count: 0,
+        org_id: orgId
+      }));
+    }
+
+    await base44.asServiceRole.functions.invoke('deliverWebhooks', {
+      action: 'deliver',
+      delivery_ids: deliveries.map(delivery => delivery.id)
+    });
+  } catch (error) {
+    console.error(`[Webhooks] Failed to publish ${event}:`, error.message);
+  }
+}
@@ -0,0 +1,250 @@
+/**
+ * @fileoverview Policy decisions
+ * @description Evaluates an organisation's enabled Policy rules against what
+ * is about to run: allowed models and providers, a cost ceiling per run,
+ * forbidden tools and connector operations, required prompt redaction and
+ * execution time windows (see API.md for the rule language). A violation
+ * denies, or asks for approval when the rule sets
+ * `"effect": "require_approval"`. Used by enforcePolicy, executeAgent and
+ * invokeConnector; runWorkflow checks through enforcePolicy.
+ */
+
+export const POLICY_SCOPES = ['workflow', 'agent', 'tool', 'connector'];
+const POLICY_TARGETS = { agent_ids: 'agent_id', workflow_ids: 'workflow_id', connector_ids: 'connector_id' };
+const POLICY_LISTS = ['allowed_models', 'allowed_providers', 'forbidden_tools', ...Object.keys(POLICY_TARGETS)];
+const POLICY_RULE_KEYS = new Set([
+  'scopes', 'effect', 'max_cost_cents_per_run', 'require_redaction', 'time_windows', ...POLICY_LISTS
+]);
+const POLICY_APPROVAL_TTL_MS = 24 * 60 * 60 * 1000;
+
+function globMatch(pattern, value) {
+  const source = String(pattern).split('*').map((part) => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+  return new RegExp(`^${source}$`, 'i').test(String(value));
+}
+
+function clockMinutes(text) {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(String(text));
+  if (!match || Number(match[2]) > 59) return null;
+  const minutes = Number(match[1]) * 60 + Number(match[2]);
+  return minutes <= 24 * 60 ? minutes : null;
+}
+
+/**
+ * Windows run from `start` up to `end` in `timezone` on the listed `days`;
+ * an `end` before `start` runs past midnight.
+ */
+function withinWindow(window, now) {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat('en-US', {
+      timeZone: window.timezone || 'UTC',
+      weekday: 'short',
+      hour: '2-digit',
+      minute: '2-digit',
+      hourCycle: 'h23'
+    }).formatToParts(now).map((part) => [part.type, part.value])
+  );
+  const day = parts.weekday.toLowerCase();
+  if (window.days?.length && !window.days.some((item) => String(item).toLowerCase().slice(0, 3) === day)) {
+    return false;
+  }
+
+  const minutes = Number(parts.hour) * 60 + Number(parts.minute);
+  const start = clockMinutes(window.start ?? '00:00');
+  const end = clockMinutes(window.end ?? '24:00');
+  return start <= end ? minutes >= start && minutes < end : minutes >= start || minutes < end;
+}
+
+/**
+ * Returns `{ errors, warnings }` for a rule. Unknown keys are only warned
+ * about, since they are ignored at evaluation time.
+ */
+export function validatePolicyRule(rule) {
+  const errors = [];
+  const warnings = [];
+  if (!rule || typeof rule !== 'object' || Array.isArray(rule)) {
+    return { errors: ['rule must be an object'], warnings };
+  }
+
+  for (const key of Object.keys(rule)) {
+    if (!POLICY_RULE_KEYS.has(key)) warnings.push(`${key} is not part of the rule language and is ignored`);
+  }
+  for (const key of POLICY_LISTS) {
+    if (rule[key] !== undefined && (!Array.isArray(rule[key]) || rule[key].some((item) => typeof item !== 'string'))) {
+      errors.push(`${key} must be a list of strings`);
+    }
+  }
+  if (rule.scopes !== undefined && (!Array.isArray(rule.scopes) || rule.scopes.some((scope) => !POLICY_SCOPES.includes(scope)))) {
+    errors.push(`scopes may only contain ${POLICY_SCOPES.join(', ')}`);
+  }
+  if (rule.effect !== undefined && !['deny', 'require_approval'].includes(rule.effect)) {
+    errors.push('effect must be deny or require_approval');
+  }
+  if (rule.max_cost_cents_per_run !== undefined && !(typeof rule.max_cost_cents_per_run === 'number' && rule.max_cost_cents_per_run >= 0)) {
+    errors.push('max_cost_cents_per_run must be a number of cents');
+  }
+  if (rule.require_redaction !== undefined && typeof rule.require_redaction !== 'string') {
+    errors.push('require_redaction must be a DataPrivacyPolicy id');
+  }
+  if (rule.time_windows !== undefined) {
+    if (!Array.isArray(rule.time_windows)) {
+      errors.push('time_windows must be a list');
+    } else {
+      rule.time_windows.forEach((window, index) => {
+        if (window.start !== undefined && clockMinutes(window.start) === null) errors.push(`time_windows[${index}].start must be HH:MM`);
+        if (window.end !== undefined && clockMinutes(window.end) === null) errors.push(`time_windows[${index}].end must be HH:MM`);
+        try {
+          new Intl.DateTimeFormat('en-US', { timeZone: window.timezone || 'UTC' });
+        } catch {
+          errors.push(`time_windows[${index}].timezone ${window.timezone} is not a known time zone`);
+        }
+      });
+    }
+  }
+
+  return { errors, warnings };
+}
+
+function policyApplies(rule, context) {
+  if (rule.scopes?.length && !rule.scopes.includes(context.scope)) return false;
+  return Object.entries(POLICY_TARGETS).every(([key, field]) => !rule[key]?.length || rule[key].includes(context[field]));
+}
+
+function policyViolations(rule, context) {
+  const violations = [];
+  const fail = (check, message) => violations.push({ check, message });
+
+  if (rule.allowed_models?.length && context.model && !rule.allowed_models.some((pattern) => globMatch(pattern, context.model))) {
+    fail('allowed_models', `Model ${context.model} is not allowed`);
+  }
+  if (rule.allowed_providers?.length && context.provider && !rule.allowed_providers.some((pattern) => globMatch(pattern, context.provider))) {
+    fail('allowed_providers', `Provider ${context.provider} is not allowed`);
+  }
+  if (typeof rule.max_cost_cents_per_run === 'number' && typeof context.cost_cents === 'number' && context.cost_cents > rule.max_cost_cents_per_run) {
+    fail('max_cost_cents_per_run', `Run cost of ${context.cost_cents}¢ exceeds the ${rule.max_cost_cents_per_run}¢ limit`);
+  }
+  const tool = (context.tools || []).find((name) => rule.forbidden_tools?.some((pattern) => globMatch(pattern, name)));
+  if (tool) {
+    fail('forbidden_tools', `${tool} is forbidden`);
+  }
+  if (rule.time_windows?.length && !rule.time_windows.some((window) => withinWindow(window, context.now || new Date()))) {
+    fail('time_windows', 'Outside the allowed execution hours');
+  }
+
+  return violations;
+}
+
+/**
+ * Combines every applicable policy: any denial wins over approval, and the
+ * first deciding policy is reported as `policy_id`. Redaction is an
+ * obligation on an allowed call rather than a violation.
+ */
+function evaluatePolicies(policies, context) {
+  const reasons = [];
+  const redaction = new Set();
+
+  for (const policy of policies) {
+    const rule = policy.rule;
+    if (policy.enabled === false || !rule || typeof rule !== 'object' || !policyApplies(rule, context)) continue;
+    if (typeof rule.require_redaction === 'string') redaction.add(rule.require_redaction);
+    for (const violation of policyViolations(rule, context)) {
+      reasons.push({
+        policy_id: policy.id,
+        policy_key: policy.key,
+        effect: rule.effect === 'require_approval' ? 'require_approval' : 'deny',
+        ...violation
+      });
+    }
+  }
+
+  const deciding = reasons.find((reason) => reason.effect === 'deny') || reasons[0];
+  return {
+    decision: deciding ? deciding.effect : 'allow',
+    policy_id: deciding?.policy_id || null,
+    policy_key: deciding?.policy_key || null,
+    reasons,
+    redaction_policy_ids: [...redaction]
+  };
+}
+
+export async function checkPolicies(base44, context) {
+  const policies = context.org_id
+    ? await base44.asServiceRole.entities.Policy.filter({ org_id: context.org_id, enabled: true })
+    : [];
+  return evaluatePolicies(policies, context);
+}
+
+export function policyMessage(decision) {
+  const messages = decision.reasons.map((reason) => reason.message);
+  return `${decision.decision === 'deny' ? 'Blocked' : 'Approval required'} by policy ${decision.policy_key || decision.policy_id}: ${messages.join('; ')}`;
+}
+
+export async function recordPolicyDecision(base44, decision, context, actor) {
+  if (decision.decision === 'allow') return;
+  await base44.asServiceRole.entities.Audit.create({
+    action: `policy_${decision.decision}`,
+    entity: 'Policy',
+    entity_id: decision.policy_id,
+    actor,
+    severity: decision.decision === 'deny' ? 'warning' : 'info',
+    metadata: {
+      scope: context.scope,
+      target: context.target,
+      run_id: context.run_id || null,
+      reasons: decision.reasons
+    },
+    org_id: context.org_id
+  });
+}
+
+/**
+ * Opens an ApprovalRequest for a require_approval decision. `extra` links
+ * it to a run and node when the request comes from a workflow.
+ */
+export async function requestPolicyApproval(base44, decision, context, actor, extra = {}) {
+  return base44.asServiceRole.entities.ApprovalRequest.create({
+    step_name: `Policy ${decision.policy_key || decision.policy_id}: ${context.target}`,
+    request_data: {
+      policy_gate: {
+        target: context.target,
+        policy_ids: [...new Set(decision.reasons.map((reason) => reason.policy_id))],
+        reasons: decision.reasons.map((reason) => reason.message)
+      }
+    },
+    comments: policyMessage(decision),
+    requested_by: actor,
+    status: 'pending',
+    expires_at: new Date(Date.now() + POLICY_APPROVAL_TTL_MS).toISOString(),
+    org_id: context.org_id,
+    ...extra
+  });
+}
+
+/**
+ * The still-open request a caller retried with, so retries while a review is
+ * pending do not open another one.
+ */
+export async function pendingPolicyApproval(base44, approvalRequestId, context) {
+  if (!approvalRequestId) return null;
+  const [request] = await base44.asServiceRole.entities.ApprovalRequest.filter({ id: approvalRequestId });
+  const open = request?.status === 'pending' && new Date(request.expires_at) > new Date();
+  return open && request.org_id === context.org_id && request.request_data?.policy_gate?.target === context.target
+    ? request
+    : null;
+}
+
+/**
+ * An approval covers the same target and policies for a day after it was
+ * granted.
+ */
+export async function policyApprovalGranted(base44, approvalRequestId, decision, context) {
+  if (!approvalRequestId) return false;
+  const [request] = await base44.asServiceRole.entities.ApprovalRequest.filter({ id: approvalRequestId });
+  const gate = request?.request_data?.policy_gate;
+  if (!gate || request.status !== 'approved' || request.org_id !== context.org_id || gate.target !== context.target) {
+    return false;
+  }
+  if (request.approved_at && Date.now() - new Date(request.approved_at).getTime() > POLICY_APPROVAL_TTL_MS) {
+    return false;
+  }
+  return decision.reasons.every((reason) => gate.policy_ids.includes(reason.policy_id));
+}
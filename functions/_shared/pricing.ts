@@ -0,0 +1,119 @@
+/**
+ * @fileoverview Token usage and pricing
+ * @description Calls are charged from the usage the provider reports, or
+ * from tokenizer counts when the call reports none: o200k_base for GPT-4o
+ * and later OpenAI models, cl100k_base for older ones. Other providers
+ * publish no local tokenizer, so cl100k_base is an estimate for them and
+ * the metric says so. MODEL_PRICES is versioned: add a new version with its
+ * `effective_from` instead of editing one in place, so each AgentMetric's
+ * `price_version` keeps describing what it was charged. Prices are US cents
+ * per million tokens. executeAgent prices the calls it makes and
+ * collectMetrics prices metrics reported without a cost.
+ */
+
+import { Tiktoken } from 'npm:js-tiktoken@1.0.21/lite';
+import o200k_base from 'npm:js-tiktoken@1.0.21/ranks/o200k_base';
+import cl100k_base from 'npm:js-tiktoken@1.0.21/ranks/cl100k_base';
+
+const MODEL_PRICES = [
+  {
+    version: '2025-08-01',
+    effective_from: '2025-08-01T00:00:00Z',
+    models: [
+      { provider: 'openai', model: 'gpt-4o-mini*', input: 15, cached_input: 7.5, output: 60 },
+      { provider: 'openai', model: 'gpt-4o*', input: 250, cached_input: 125, output: 1000 },
+      { provider: 'openai', model: 'gpt-4.1-nano*', input: 10, cached_input: 2.5, output: 40 },
+      { provider: 'openai', model: 'gpt-4.1-mini*', input: 40, cached_input: 10, output: 160 },
+      { provider: 'openai', model: 'gpt-4.1*', input: 200, cached_input: 50, output: 800 },
+      { provider: 'openai', model: 'gpt-4-turbo*', input: 1000, output: 3000 },
+      { provider: 'openai', model: 'gpt-4*', input: 3000, output: 6000 },
+      { provider: 'openai', model: 'gpt-3.5-turbo*', input: 50, output: 150 },
+      { provider: 'openai', model: 'o3-mini*', input: 110, cached_input: 55, output: 440 },
+      { provider: 'openai', model: 'o1*', input: 1500, cached_input: 750, output: 6000 },
+      { provider: 'openai', model: '*', input: 250, cached_input: 125, output: 1000 },
+      { provider: 'anthropic', model: 'claude-3-haiku*', input: 25, cached_input: 3, output: 125 },
+      { provider: 'anthropic', model: 'claude-3-5-haiku*', input: 80, cached_input: 8, output: 400 },
+      { provider: 'anthropic', model: 'claude-opus-4-5*', input: 500, cached_input: 50, output: 2500 },
+      { provider: 'anthropic', model: '*opus*', input: 1500, cached_input: 150, output: 7500 },
+      { provider: 'anthropic', model: '*', input: 300, cached_input: 30, output: 1500 },
+      { provider: 'local', model: '*', input: 0, output: 0 },
+      { provider: 'mock', model: '*', input: 0, output: 0 }
+    ]
+  }
+];
+// Azure OpenAI deployments are billed at OpenAI's list prices
+const PRICE_PROVIDER_ALIASES = { azure: 'openai' };
+const TOKENIZER_RANKS = { o200k_base, cl100k_base };
+const tokenizers = {};
+
+function priceMatches(pattern, value) {
+  const source = pattern.split('*').map((part) => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+  return new RegExp(`^${source}$`, 'i').test(value);
+}
+
+function tokenizerFor(provider, model) {
+  const name = ['openai', 'azure'].includes(provider) && /^(gpt-4o|gpt-4\.1|gpt-5|o\d)/i.test(model)
+    ? 'o200k_base'
+    : 'cl100k_base';
+  tokenizers[name] ||= new Tiktoken(TOKENIZER_RANKS[name]);
+  return tokenizers[name];
+}
+
+export function countTokens(content, provider, model) {
+  if (content === undefined || content === null) return 0;
+  const text = typeof content === 'string' ? content : JSON.stringify(content);
+  return tokenizerFor(provider, model).encode(text).length;
+}
+
+/**
+ * Token counts for one call. `usage` is the provider's own report, either
+ * as normalized by the LLM gateway (`cached_tokens`) or in OpenAI
+ * (`prompt_tokens`, `prompt_tokens_details.cached_tokens`) or Anthropic
+ * (`input_tokens`, `cache_read_input_tokens`) shape. Without it the prompt
+ * and output are tokenized. `prompt_tokens` includes cached tokens.
+ */
+export function measureUsage({ provider, model, prompt, output, usage }) {
+  if (usage) {
+    const cached_tokens = usage.cached_tokens ?? usage.prompt_tokens_details?.cached_tokens ?? usage.cache_read_input_tokens ?? 0;
+    const prompt_tokens = usage.prompt_tokens ??
+      (usage.input_tokens ?? 0) + (usage.cache_read_input_tokens ?? 0) + (usage.cache_creation_input_tokens ?? 0);
+    return {
+      prompt_tokens,
+      completion_tokens: usage.completion_tokens ?? usage.output_tokens ?? 0,
+      cached_tokens,
+      token_source: 'usage'
+    };
+  }
+
+  return {
+    prompt_tokens: countTokens(prompt, provider, model),
+    completion_tokens: countTokens(output, provider, model),
+    cached_tokens: 0,
+    token_source: ['openai', 'azure'].includes(provider) ? 'tokenizer' : 'tokenizer_estimate'
+  };
+}
+
+/**
+ * The price entry in force at `at`, or null for a provider with no prices.
+ */
+function priceFor(provider, model, at = new Date()) {
+  const table = [...MODEL_PRICES].reverse().find((entry) => new Date(entry.effective_from) <= at) || MODEL_PRICES[0];
+  const priced = PRICE_PROVIDER_ALIASES[provider] || provider;
+  const price = table.models.find((entry) => entry.provider === priced && priceMatches(entry.model, model || ''));
+  return price ? { ...price, version: table.version } : null;
+}
+
+/**
+ * `{ cost_cents, price_version }` for measured usage. Costs are fractional
+ * cents; an unpriced provider costs nothing and has no `price_version`.
+ */
+export function costOf(usage, provider, model, at = new Date()) {
+  const price = priceFor(provider, model, at);
+  if (!price) return { cost_cents: 0, price_version: null };
+
+  const cached = usage.cached_tokens || 0;
+  const cents = ((usage.prompt_tokens - cached) * price.input +
+    cached * (price.cached_input ?? price.input) +
+    usage.completion_tokens * price.output) / 1e6;
+  return { cost_cents: Math.round(cents * 1e4) / 1e4, price_version: price.version };
+}
@@ -0,0 +1,89 @@
+/**
+ * Retrieval Scoring Tests
+ *
+ * Tests for tokenizing, BM25, reciprocal-rank fusion and MMR
+ */
+
+import { describe, it, expect } from 'vitest';
+import { bm25Search, maximalMarginalRelevance, reciprocalRankFusion, similarity, tokenize } from './ranking.ts';
+
+const chunk = (id, text, extra = {}) => ({ id, metadata: { text }, ...extra });
+
+describe('tokenize', () => {
+  it('lowercases words and keeps identifiers whole as well as split', () => {
+    expect(tokenize('Error ERR-4012 on sku_88.A')).toEqual(['error', 'err-4012', 'err', '4012', 'on', 'sku_88.a', 'sku', '88', 'a']);
+  });
+
+  it('handles empty input', () => {
+    expect(tokenize(undefined)).toEqual([]);
+  });
+});
+
+describe('bm25Search', () => {
+  const chunks = [
+    chunk('a', 'printer jam guide'),
+    chunk('b', 'Error ERR-4012 on printer'),
+    chunk('c', 'cats and dogs'),
+  ];
+
+  it('ranks exact identifier matches first and drops non-matches', () => {
+    const results = bm25Search('ERR-4012 printer', chunks, 5);
+    expect(results.map((result) => result.id)).toEqual(['b', 'a']);
+    expect(results[0].keyword_score).toBe(results[0].score);
+  });
+
+  it('respects the limit', () => {
+    expect(bm25Search('printer', chunks, 1)).toHaveLength(1);
+  });
+
+  it('uses corpus statistics when given', () => {
+    const local = bm25Search('printer', chunks, 5);
+    const corpus = bm25Search('printer', chunks, 5, {
+      stats: { documentCount: 1000, documentFrequency: new Map([['printer', 2]]) },
+    });
+    expect(corpus[0].score).toBeGreaterThan(local[0].score);
+  });
+
+  it('returns nothing for a query without terms', () => {
+    expect(bm25Search('  --  ', chunks, 5)).toEqual([]);
+  });
+});
+
+describe('reciprocalRankFusion', () => {
+  it('sums 1 / (k + rank) across lists and merges fields', () => {
+    const fused = reciprocalRankFusion([
+      [{ id: 'x', vector_score: 0.9 }, { id: 'y', vector_score: 0.8 }],
+      [{ id: 'y', keyword_score: 3 }],
+    ], 60);
+
+    expect(fused.map((result) => result.id)).toEqual(['y', 'x']);
+    expect(fused[0]).toMatchObject({ vector_score: 0.8, keyword_score: 3 });
+    expect(fused[0].score).toBeCloseTo(1 / 62 + 1 / 61);
+    expect(fused[1].score).toBeCloseTo(1 / 61);
+  });
+});
+
+describe('similarity', () => {
+  it('scores every metric higher-is-better', () => {
+    expect(similarity('cosine', [1, 0], [2, 0])).toBeCloseTo(1);
+    expect(similarity('dot_product', [1, 2], [3, 4])).toBe(11);
+    expect(similarity('euclidean', [0, 0], [3, 4])).toBeCloseTo(1 / 6);
+    expect(similarity('cosine', [0, 0], [1, 0])).toBe(0);
+  });
+});
+
+describe('maximalMarginalRelevance', () => {
+  const candidates = [
+    { id: 'a', score: 1, values: [1, 0] },
+    { id: 'a2', score: 0.95, values: [1, 0.01] },
+    { id: 'b', score: 0.8, values: [0, 1] },
+  ];
+
+  it('prefers a diverse result over a near duplicate', () => {
+    expect(maximalMarginalRelevance(candidates, 2, 0.5).map((result) => result.id)).toEqual(['a', 'b']);
+  });
+
+  it('keeps relevance order with lambda 1', () => {
+    expect(maximalMarginalRelevance(candidates, 2, 1).map((result) => result.id)).toEqual(['a', 'a2']);
+  });
+});
@@ -0,0 +1,133 @@
+/**
+ * @fileoverview Retrieval scoring
+ * @description Tokenizing, BM25 keyword ranking, reciprocal-rank fusion,
+ * vector similarity and maximal marginal relevance. Shared by the vector
+ * store adapters and retrieveContext; it has no platform dependencies.
+ */
+
+/**
+ * Similarity of two vectors, higher is better for every metric
+ */
+export function similarity(metric, a, b) {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  let squared = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+    squared += (a[i] - b[i]) ** 2;
+  }
+
+  if (metric === 'dot_product') return dot;
+  if (metric === 'euclidean') return 1 / (1 + Math.sqrt(squared));
+  return normA && normB ? dot / (Math.sqrt(normA) * Math.sqrt(normB)) : 0;
+}
+
+/**
+ * Lowercased word tokens. Identifiers such as `ERR-4012` or `sku_88.A` are
+ * kept whole and also split into their parts, so exact codes score highest
+ * while partial matches still count.
+ */
+export function tokenize(text) {
+  const tokens = [];
+  for (const word of (text || '').toLowerCase().match(/[\p{L}\p{N}](?:[\p{L}\p{N}_.\-/]*[\p{L}\p{N}])?/gu) || []) {
+    tokens.push(word);
+    if (/[_.\-/]/.test(word)) {
+      tokens.push(...word.split(/[_.\-/]+/).filter(Boolean));
+    }
+  }
+  return tokens;
+}
+
+/**
+ * Okapi BM25 ranking of chunks by their metadata.text. When the chunks are
+ * only the matches a store returned, `stats` supplies the corpus-wide
+ * document count and per-term document frequencies for the IDF.
+ */
+export function bm25Search(query, chunks, limit, { k1 = 1.2, b = 0.75, stats = null } = {}) {
+  const queryTerms = [...new Set(tokenize(query))];
+  if (queryTerms.length === 0 || chunks.length === 0) return [];
+
+  const docs = chunks.map(chunk => {
+    const terms = tokenize(chunk.metadata?.text);
+    const frequencies = new Map();
+    for (const term of terms) {
+      frequencies.set(term, (frequencies.get(term) || 0) + 1);
+    }
+    return { chunk, frequencies, length: terms.length };
+  });
+
+  const averageLength = docs.reduce((sum, doc) => sum + doc.length, 0) / docs.length || 1;
+  const documentCount = stats?.documentCount ?? docs.length;
+  const idf = new Map(queryTerms.map(term => {
+    const documentFrequency = stats?.documentFrequency?.get(term) ??
+      docs.filter(doc => doc.frequencies.has(term)).length;
+    return [term, Math.log(1 + (documentCount - documentFrequency + 0.5) / (documentFrequency + 0.5))];
+  }));
+
+  return docs
+    .map(({ chunk, frequencies, length }) => {
+      const score = queryTerms.reduce((sum, term) => {
+        const frequency = frequencies.get(term) || 0;
+        if (frequency === 0) return sum;
+        return sum + idf.get(term) * (frequency * (k1 + 1)) / (frequency + k1 * (1 - b + b * length / averageLength));
+      }, 0);
+      return { ...chunk, score, keyword_score: score };
+    })
+    .filter(result => result.score > 0)
+    .sort((x, y) => y.score - x.score)
+    .slice(0, limit);
+}
+
+/**
+ * Reciprocal-rank fusion: each list contributes 1 / (k + rank)
+ */
+export function reciprocalRankFusion(lists, k = 60) {
+  const fused = new Map();
+
+  for (const results of lists) {
+    results.forEach((result, rank) => {
+      const existing = fused.get(result.id);
+      fused.set(result.id, {
+        ...existing,
+        ...result,
+        score: (existing?.score || 0) + 1 / (k + rank + 1),
+      });
+    });
+  }
+
+  return [...fused.values()].sort((x, y) => y.score - x.score);
+}
+
+/**
+ * Maximal marginal relevance: greedily pick results that balance relevance
+ * (the candidate's current score, normalised) against similarity to
+ * results already picked. lambda = 1 is pure relevance.
+ */
+export function maximalMarginalRelevance(candidates, limit, lambda = 0.5) {
+  const maxScore = Math.max(...candidates.map(c => c.score), 0) || 1;
+  const remaining = [...candidates];
+  const selected = [];
+
+  while (selected.length < limit && remaining.length > 0) {
+    let bestIndex = 0;
+    let bestValue = -Infinity;
+
+    remaining.forEach((candidate, index) => {
+      const redundancy = Math.max(0, ...selected.map(s =>
+        candidate.values && s.values ? similarity('cosine', candidate.values, s.values) : 0
+      ));
+      const value = lambda * (candidate.score / maxScore) - (1 - lambda) * redundancy;
+      if (value > bestValue) {
+        bestValue = value;
+        bestIndex = index;
+      }
+    });
+
+    selected.push(remaining.splice(bestIndex, 1)[0]);
+  }
+
+  return selected;
+}
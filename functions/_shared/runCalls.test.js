@@ -0,0 +1,66 @@
+/**
+ * Run Call Tests
+ *
+ * Tests for the run token that runWorkflow passes to enforcePolicy,
+ * executeAgent and invokeConnector in place of a user session
+ */
+
+import { describe, it, expect } from 'vitest';
+import { runCallFields, verifyRunCall } from './runCalls.ts';
+
+const mockBase44 = (runs) => ({
+  asServiceRole: {
+    entities: {
+      Run: {
+        filter: async ({ id }) => runs.filter(run => run.id === id)
+      }
+    }
+  }
+});
+
+const run = (fields = {}) => ({ id: 'run_1', org_id: 'org_1', state: 'running', claim_token: 'token_1', ...fields });
+
+describe('runCallFields', () => {
+  it('passes the run id and its current claim token', () => {
+    expect(runCallFields(run())).toEqual({ run_id: 'run_1', run_token: 'token_1' });
+  });
+});
+
+describe('verifyRunCall', () => {
+  it('returns the run for the fields runWorkflow passes', async () => {
+    const base44 = mockBase44([run()]);
+    const { run_id, run_token } = runCallFields(run());
+
+    expect(await verifyRunCall(base44, run_id, run_token)).toEqual({ run: run() });
+  });
+
+  it('accepts simulated runs', async () => {
+    const result = await verifyRunCall(mockBase44([run({ state: 'simulated' })]), 'run_1', 'token_1');
+    expect(result.run.state).toBe('simulated');
+  });
+
+  it('rejects an unknown run', async () => {
+    expect(await verifyRunCall(mockBase44([]), 'run_1', 'token_1')).toEqual({
+      error: { status: 404, code: 'NOT_FOUND', message: 'Run not found' }
+    });
+  });
+
+  it('rejects a wrong or missing token', async () => {
+    const base44 = mockBase44([run()]);
+
+    expect((await verifyRunCall(base44, 'run_1', 'token_2')).error).toMatchObject({ status: 401, code: 'UNAUTHORIZED' });
+    expect((await verifyRunCall(base44, 'run_1', undefined)).error).toMatchObject({ status: 401, code: 'UNAUTHORIZED' });
+  });
+
+  it('rejects a run that has no claim', async () => {
+    const result = await verifyRunCall(mockBase44([run({ claim_token: null })]), 'run_1', null);
+    expect(result.error).toMatchObject({ status: 401 });
+  });
+
+  it('rejects the token once the run stops executing', async () => {
+    for (const state of ['waiting', 'completed', 'failed']) {
+      const result = await verifyRunCall(mockBase44([run({ state })]), 'run_1', 'token_1');
+      expect(result.error).toMatchObject({ status: 401, code: 'UNAUTHORIZED' });
+    }
+  });
+});
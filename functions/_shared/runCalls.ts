@@ -0,0 +1,33 @@
+/**
+ * @fileoverview Calls made on behalf of a run
+ * @description runWorkflow checks policies through enforcePolicy, runs
+ * agent nodes through executeAgent and connector nodes through
+ * invokeConnector. Runs started by a webhook or schedule,
+ * and runs resumed by the sweep, have no user session, so runWorkflow
+ * passes `run_id` with the run's current `claim_token` as `run_token`
+ * instead. The callee verifies it here and acts for the run's organisation.
+ */
+
+const RUN_CALL_STATES = ['running', 'simulated'];
+
+/**
+ * The fields runWorkflow adds to calls it makes for `run`
+ */
+export function runCallFields(run) {
+  return { run_id: run.id, run_token: run.claim_token };
+}
+
+/**
+ * Returns the run a call was made for. The token must match the run's
+ * current claim, and the run must still be executing.
+ */
+export async function verifyRunCall(base44, runId, runToken) {
+  const [run] = await base44.asServiceRole.entities.Run.filter({ id: runId });
+  if (!run) {
+    return { error: { status: 404, code: 'NOT_FOUND', message: 'Run not found' } };
+  }
+  if (!run.claim_token || run.claim_token !== runToken || !RUN_CALL_STATES.includes(run.state)) {
+    return { error: { status: 401, code: 'UNAUTHORIZED', message: 'Run token is invalid or the run is no longer executing' } };
+  }
+  return { run };
+}
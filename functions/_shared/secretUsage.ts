@@ -0,0 +1,50 @@
+/**
+ * @fileoverview Secret usage
+ * @description Shared by invokeConnector, invokeExternalService,
+ * validateConnector and getSecretHealth. Credentials are due for rotation
+ * `rotation_policy.interval_days` after they were last stored. With
+ * `rotation_policy.enforce` set, overdue credentials are refused. Each use
+ * records an access on the record and on any Secret it references through
+ * `secret_refs`.
+ */
+
+export const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_ROTATION_POLICY = { interval_days: 90, unused_after_days: 30, enforce: false };
+
+/**
+ * The record's rotation policy over the defaults
+ */
+export function rotationPolicy(record) {
+  return { ...DEFAULT_ROTATION_POLICY, ...(record.rotation_policy || {}) };
+}
+
+/**
+ * When the record's credentials are due for rotation
+ */
+export function rotationDueAt(record) {
+  const rotated = record.credentials_updated_at || record.created_date;
+  return new Date(new Date(rotated).getTime() + rotationPolicy(record).interval_days * DAY_MS);
+}
+
+/**
+ * True when the policy is enforced and the credentials are past due
+ */
+export function rotationOverdue(record, now = new Date()) {
+  return rotationPolicy(record).enforce && rotationDueAt(record) < now;
+}
+
+/**
+ * Records a use of the record's credentials, and of any Secret it
+ * references. Never throws.
+ */
+export async function recordCredentialAccess(base44, entityName, record) {
+  const last_accessed_at = new Date().toISOString();
+  try {
+    await base44.asServiceRole.entities[entityName].update(record.id, { credentials_last_accessed_at: last_accessed_at });
+    for (const secretId of new Set(Object.values(record.secret_refs || {}))) {
+      await base44.asServiceRole.entities.Secret.update(secretId, { last_accessed_at });
+    }
+  } catch (error) {
+    console.error(`[SecretUsage] Failed to record access to ${entityName} ${record.id}:`, error.message);
+  }
+}
@@ -0,0 +1,156 @@
+/**
+ * Spec Diff Tests
+ *
+ * Tests for the field-level diff between two workflow versions
+ */
+
+import { describe, it, expect } from 'vitest';
+import { calculateDiff } from './specDiff.ts';
+
+const spec = () => ({
+  name: 'Pipeline',
+  settings: { retries: 1 },
+  nodes: [
+    { id: 'a', type: 'agent', label: 'Draft', position: { x: 0, y: 0 }, config: { prompt: 'Write a summary\nKeep it short', model: 'gpt-4o' } },
+    { id: 'b', type: 'tool', label: 'Publish', position: { x: 200, y: 0 }, config: { tool_id: 'cms' } }
+  ],
+  edges: [
+    { id: 'e1', from: 'a', to: 'b', label: 'done' },
+    { from: 'b', to: 'a' }
+  ]
+});
+
+describe('calculateDiff', () => {
+  it('reports nothing for identical specs', () => {
+    const diff = calculateDiff(spec(), spec());
+    expect(diff.summary.total_changes).toBe(0);
+    expect(diff.nodes).toEqual({ added: [], removed: [], modified: [], moved: [] });
+    expect(diff.settings).toEqual([]);
+  });
+
+  it('reports a renamed node as a label change, not a removal and addition', () => {
+    const after = spec();
+    after.nodes[0].label = 'Draft summary';
+
+    const diff = calculateDiff(spec(), after);
+    expect(diff.nodes.added).toEqual([]);
+    expect(diff.nodes.removed).toEqual([]);
+    expect(diff.nodes.modified).toHaveLength(1);
+    expect(diff.nodes.modified[0]).toMatchObject({
+      id: 'a',
+      moved: false,
+      changes: [{ path: 'label', kind: 'changed', before: 'Draft', after: 'Draft summary' }]
+    });
+  });
+
+  it('reports a position-only change as a move, separate from logical changes', () => {
+    const after = spec();
+    after.nodes[1].position = { x: 240, y: 80 };
+
+    const diff = calculateDiff(spec(), after);
+    expect(diff.nodes.moved).toEqual([{ id: 'b', label: 'Publish', before: { x: 200, y: 0 }, after: { x: 240, y: 80 } }]);
+    expect(diff.nodes.modified).toEqual([]);
+    expect(diff.summary).toMatchObject({ total_changes: 1, logical_changes: 0, nodes_moved: 1 });
+  });
+
+  it('reports a node that was moved and modified in both lists', () => {
+    const after = spec();
+    after.nodes[1].position = { x: 0, y: 100 };
+    after.nodes[1].config.tool_id = 'blog';
+
+    const diff = calculateDiff(spec(), after);
+    expect(diff.nodes.moved.map(n => n.id)).toEqual(['b']);
+    expect(diff.nodes.modified[0]).toMatchObject({
+      id: 'b',
+      moved: true,
+      changes: [{ path: 'config.tool_id', kind: 'changed', before: 'cms', after: 'blog' }]
+    });
+  });
+
+  it('lists added, removed and changed fields of a modified node', () => {
+    const after = spec();
+    after.nodes[0].config = { prompt: after.nodes[0].config.prompt, temperature: 0.2 };
+
+    const { changes } = calculateDiff(spec(), after).nodes.modified[0];
+    expect(changes).toEqual([
+      { path: 'config.model', kind: 'removed', before: 'gpt-4o', after: undefined },
+      { path: 'config.temperature', kind: 'added', before: undefined, after: 0.2 }
+    ]);
+  });
+
+  it('attaches a line diff to changed prompts', () => {
+    const after = spec();
+    after.nodes[0].config.prompt = 'Write a summary\nUse bullet points';
+
+    const [change] = calculateDiff(spec(), after).nodes.modified[0].changes;
+    expect(change.path).toBe('config.prompt');
+    expect(change.text_diff).toEqual([
+      { op: 'equal', text: 'Write a summary' },
+      { op: 'removed', text: 'Keep it short' },
+      { op: 'added', text: 'Use bullet points' }
+    ]);
+  });
+
+  it('reports added and removed nodes by id', () => {
+    const after = spec();
+    after.nodes = [after.nodes[1], { id: 'c', type: 'delay', label: 'Wait' }];
+
+    const diff = calculateDiff(spec(), after);
+    expect(diff.nodes.added.map(n => n.id)).toEqual(['c']);
+    expect(diff.nodes.removed.map(n => n.id)).toEqual(['a']);
+    expect(diff.summary).toMatchObject({ nodes_added: 1, nodes_removed: 1, nodes_modified: 0 });
+  });
+
+  it('reports a renamed or re-pointed edge with an id as modified', () => {
+    const after = spec();
+    after.edges[0] = { id: 'e1', from: 'a', to: 'b', label: 'approved', branch: 'true' };
+
+    const diff = calculateDiff(spec(), after);
+    expect(diff.edges.added).toEqual([]);
+    expect(diff.edges.removed).toEqual([]);
+    expect(diff.edges.modified).toEqual([{
+      id: 'e1',
+      before: spec().edges[0],
+      after: after.edges[0],
+      changes: [
+        { path: 'label', kind: 'changed', before: 'done', after: 'approved' },
+        { path: 'branch', kind: 'added', before: undefined, after: 'true' }
+      ]
+    }]);
+
+    const repointed = spec();
+    repointed.edges[0].to = 'c';
+    expect(calculateDiff(spec(), repointed).edges.modified[0].changes)
+      .toEqual([{ path: 'to', kind: 'changed', before: 'b', after: 'c' }]);
+  });
+
+  it('reports a re-pointed edge without an id as removed and added', () => {
+    const after = spec();
+    after.edges[1] = { from: 'b', to: 'c' };
+
+    const diff = calculateDiff(spec(), after);
+    expect(diff.edges.removed).toEqual([{ from: 'b', to: 'a' }]);
+    expect(diff.edges.added).toEqual([{ from: 'b', to: 'c' }]);
+    expect(diff.edges.modified).toEqual([]);
+  });
+
+  it('reports spec-level setting changes by path', () => {
+    const after = spec();
+    after.settings.retries = 3;
+    after.name = 'Pipeline v2';
+
+    const diff = calculateDiff(spec(), after);
+    expect(diff.settings).toEqual([
+      { path: 'name', kind: 'changed', before: 'Pipeline', after: 'Pipeline v2' },
+      { path: 'settings.retries', kind: 'changed', before: 1, after: 3 }
+    ]);
+    expect(diff.summary.settings_changed).toBe(2);
+  });
+
+  it('treats a missing spec as empty', () => {
+    const diff = calculateDiff(null, spec());
+    expect(diff.nodes.added).toHaveLength(2);
+    expect(diff.edges.added).toHaveLength(2);
+    expect(diff.summary.logical_changes).toBe(6);
+  });
+});
@@ -0,0 +1,191 @@
+/**
+ * @fileoverview Workflow spec diff
+ * @description Field-level diff of two workflow specs for compareVersions.
+ * Nodes and edges are matched by id, changed fields are listed by path, and
+ * long text fields such as prompts carry a line diff.
+ */
+
+// String fields shown as a line diff rather than before/after values
+const TEXT_DIFF_FIELDS = new Set(['instructions', 'prompt', 'system_prompt', 'template', 'description']);
+const MAX_TEXT_DIFF_LINES = 2000;
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isEqual(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+function edgeKey(edge) {
+  return edge.id || `${edge.from}->${edge.to}`;
+}
+
+/**
+ * Line diff of two strings using longest common subsequence.
+ * Returns `{ op: 'equal' | 'removed' | 'added', text }` lines.
+ */
+function diffText(before, after) {
+  const a = (before || '').split('\n');
+  const b = (after || '').split('\n');
+
+  if (a.length * b.length > MAX_TEXT_DIFF_LINES * MAX_TEXT_DIFF_LINES / 4) {
+    return [
+      ...a.map(text => ({ op: 'removed', text })),
+      ...b.map(text => ({ op: 'added', text }))
+    ];
+  }
+
+  const lcs = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const lines = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      lines.push({ op: 'equal', text: a[i] });
+      i++;
+      j++;
+    } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+      lines.push({ op: 'removed', text: a[i++] });
+    } else {
+      lines.push({ op: 'added', text: b[j++] });
+    }
+  }
+  while (i < a.length) lines.push({ op: 'removed', text: a[i++] });
+  while (j < b.length) lines.push({ op: 'added', text: b[j++] });
+
+  return lines;
+}
+
+/**
+ * Changed leaf paths between two values. Plain objects are walked key by
+ * key; arrays and scalars are compared whole.
+ */
+function diffFields(before, after, path = []) {
+  if (isEqual(before, after)) return [];
+
+  if (isPlainObject(before) && isPlainObject(after)) {
+    const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+    return [...keys].flatMap(key => diffFields(before[key], after[key], [...path, key]));
+  }
+
+  const change = {
+    path: path.join('.'),
+    kind: before === undefined ? 'added' : after === undefined ? 'removed' : 'changed',
+    before,
+    after
+  };
+
+  const field = path[path.length - 1];
+  const isText = typeof (before ?? '') === 'string' && typeof (after ?? '') === 'string';
+  if (isText && (TEXT_DIFF_FIELDS.has(field) || `${before ?? ''}${after ?? ''}`.includes('\n'))) {
+    change.text_diff = diffText(before, after);
+  }
+
+  return [change];
+}
+
+/**
+ * Structured diff of two workflow specs. Position-only node changes are
+ * reported as moves, separate from logical changes.
+ */
+export function calculateDiff(specA, specB) {
+  const nodesA = specA?.nodes || [];
+  const nodesB = specB?.nodes || [];
+  const edgesA = specA?.edges || [];
+  const edgesB = specB?.edges || [];
+
+  // Find added, removed, modified and moved nodes
+  const nodeMapA = new Map(nodesA.map(n => [n.id, n]));
+  const nodeMapB = new Map(nodesB.map(n => [n.id, n]));
+
+  const addedNodes = nodesB.filter(n => !nodeMapA.has(n.id));
+  const removedNodes = nodesA.filter(n => !nodeMapB.has(n.id));
+  const modifiedNodes = [];
+  const movedNodes = [];
+
+  for (const nodeB of nodesB) {
+    const nodeA = nodeMapA.get(nodeB.id);
+    if (!nodeA || isEqual(nodeA, nodeB)) continue;
+
+    const { position: positionA, ...logicalA } = nodeA;
+    const { position: positionB, ...logicalB } = nodeB;
+    const moved = !isEqual(positionA, positionB);
+    const changes = diffFields(logicalA, logicalB);
+
+    if (moved) {
+      movedNodes.push({ id: nodeB.id, label: nodeB.label, before: positionA, after: positionB });
+    }
+    if (changes.length > 0) {
+      modifiedNodes.push({
+        id: nodeB.id,
+        before: nodeA,
+        after: nodeB,
+        moved,
+        changes
+      });
+    }
+  }
+
+  // Find added, removed and modified edges
+  const edgeMapA = new Map(edgesA.map(e => [edgeKey(e), e]));
+  const edgeMapB = new Map(edgesB.map(e => [edgeKey(e), e]));
+
+  const addedEdges = edgesB.filter(e => !edgeMapA.has(edgeKey(e)));
+  const removedEdges = edgesA.filter(e => !edgeMapB.has(edgeKey(e)));
+  const modifiedEdges = [];
+
+  for (const edgeB of edgesB) {
+    const edgeA = edgeMapA.get(edgeKey(edgeB));
+    if (edgeA && !isEqual(edgeA, edgeB)) {
+      modifiedEdges.push({
+        id: edgeKey(edgeB),
+        before: edgeA,
+        after: edgeB,
+        changes: diffFields(edgeA, edgeB)
+      });
+    }
+  }
+
+  // Spec-level settings other than the graph
+  const { nodes: _nodesA, edges: _edgesA, ...settingsA } = specA || {};
+  const { nodes: _nodesB, edges: _edgesB, ...settingsB } = specB || {};
+  const settingChanges = diffFields(settingsA, settingsB);
+
+  const logicalChanges = addedNodes.length + removedNodes.length + modifiedNodes.length +
+    addedEdges.length + removedEdges.length + modifiedEdges.length + settingChanges.length;
+
+  return {
+    nodes: {
+      added: addedNodes,
+      removed: removedNodes,
+      modified: modifiedNodes,
+      moved: movedNodes
+    },
+    edges: {
+      added: addedEdges,
+      removed: removedEdges,
+      modified: modifiedEdges
+    },
+    settings: settingChanges,
+    summary: {
+      total_changes: logicalChanges + movedNodes.length,
+      logical_changes: logicalChanges,
+      nodes_added: addedNodes.length,
+      nodes_removed: removedNodes.length,
+      nodes_modified: modifiedNodes.length,
+      nodes_moved: movedNodes.length,
+      field_changes: modifiedNodes.reduce((sum, n) => sum + n.changes.length, 0),
+      edges_added: addedEdges.length,
+      edges_removed: removedEdges.length,
+      edges_modified: modifiedEdges.length,
+      settings_changed: settingChanges.length
+    }
+  };
+}
@@ -0,0 +1,195 @@
+/**
+ * Spec Merge Tests
+ *
+ * Tests for three-way merging workflow specs against their merge base
+ */
+
+import { describe, it, expect } from 'vitest';
+import { performMerge } from './specMerge.ts';
+
+const node = (id, config = {}, extra = {}) => ({ id, type: 'agent', label: id, config, ...extra });
+const edge = (from, to, extra = {}) => ({ from, to, ...extra });
+
+const base = {
+  name: 'Pipeline',
+  settings: { retries: 1, timeout: 30 },
+  nodes: [node('a', { prompt: 'one', model: 'gpt-4o' }), node('b', { prompt: 'two' }), node('c')],
+  edges: [edge('a', 'b'), edge('b', 'c')]
+};
+
+const edit = (changes) => structuredClone({ ...base, ...changes });
+const merge = (source, target, strategy = 'auto', resolution) => performMerge(base, source, target, strategy, resolution);
+
+describe('performMerge', () => {
+  it('returns the spec unchanged when neither side edited it', () => {
+    const { merged_spec, conflicts } = merge(edit({}), edit({}));
+    expect(merged_spec).toEqual(base);
+    expect(conflicts).toEqual([]);
+  });
+
+  it('takes one-sided edits from either branch', () => {
+    const source = edit({});
+    source.nodes[0].config.prompt = 'one (source)';
+    const target = edit({});
+    target.settings.timeout = 60;
+
+    const { merged_spec, conflicts } = merge(source, target);
+    expect(conflicts).toEqual([]);
+    expect(merged_spec.nodes[0].config).toEqual({ prompt: 'one (source)', model: 'gpt-4o' });
+    expect(merged_spec.settings).toEqual({ retries: 1, timeout: 60 });
+  });
+
+  it('combines edits to different fields of the same node', () => {
+    const source = edit({});
+    source.nodes[0].config.prompt = 'new prompt';
+    const target = edit({});
+    target.nodes[0].config.model = 'gpt-4o-mini';
+
+    const { merged_spec, conflicts } = merge(source, target);
+    expect(conflicts).toEqual([]);
+    expect(merged_spec.nodes[0].config).toEqual({ prompt: 'new prompt', model: 'gpt-4o-mini' });
+  });
+
+  it('keeps target order and appends nodes and edges added on the source', () => {
+    const source = edit({});
+    source.nodes.push(node('d'));
+    source.edges.push(edge('c', 'd'));
+    const target = edit({});
+    target.nodes.unshift(node('z'));
+
+    const { merged_spec, conflicts } = merge(source, target);
+    expect(conflicts).toEqual([]);
+    expect(merged_spec.nodes.map(n => n.id)).toEqual(['z', 'a', 'b', 'c', 'd']);
+    expect(merged_spec.edges.map(e => `${e.from}->${e.to}`)).toEqual(['a->b', 'b->c', 'c->d']);
+  });
+
+  it('applies deletions made on one side', () => {
+    const source = edit({});
+    source.nodes = source.nodes.filter(n => n.id !== 'c');
+    source.edges = source.edges.filter(e => e.to !== 'c');
+    delete source.settings.retries;
+
+    const { merged_spec, conflicts } = merge(source, edit({}));
+    expect(conflicts).toEqual([]);
+    expect(merged_spec.nodes.map(n => n.id)).toEqual(['a', 'b']);
+    expect(merged_spec.edges).toEqual([edge('a', 'b')]);
+    expect(merged_spec.settings).toEqual({ timeout: 30 });
+  });
+
+  it('reports concurrent edits to the same field and keeps the target until resolved', () => {
+    const source = edit({});
+    source.nodes[1].config.prompt = 'two (source)';
+    const target = edit({});
+    target.nodes[1].config.prompt = 'two (target)';
+
+    const { merged_spec, conflicts } = merge(source, target);
+    expect(conflicts).toEqual([{
+      key: 'node.b.config.prompt',
+      type: 'field_conflict',
+      entity: 'node',
+      node_id: 'b',
+      field: 'config.prompt',
+      base: 'two',
+      source: 'two (source)',
+      target: 'two (target)',
+      resolved: false
+    }]);
+    expect(merged_spec.nodes[1].config.prompt).toBe('two (target)');
+  });
+
+  it('treats identical edits on both sides as agreement', () => {
+    const source = edit({ name: 'Renamed' });
+    const target = edit({ name: 'Renamed' });
+    expect(merge(source, target)).toEqual({ merged_spec: { ...base, name: 'Renamed' }, conflicts: [] });
+  });
+
+  it('reports an edit to a node the other side deleted', () => {
+    const source = edit({});
+    source.nodes[2].config = { prompt: 'edited' };
+    const target = edit({});
+    target.nodes = target.nodes.filter(n => n.id !== 'c');
+    target.edges = target.edges.filter(e => e.to !== 'c');
+
+    const { merged_spec, conflicts } = merge(source, target);
+    expect(conflicts.filter(c => !c.resolved).map(c => [c.key, c.type])).toEqual([
+      ['node.c', 'node_deleted']
+    ]);
+    expect(conflicts[0]).toMatchObject({ deleted_in: 'target', target: null, source: source.nodes[2] });
+    expect(merged_spec.nodes.map(n => n.id)).toEqual(['a', 'b']);
+  });
+
+  it('reports an edge left pointing at a node deleted on the other side', () => {
+    const source = edit({});
+    source.edges.push(edge('c', 'a', { id: 'loop-back' }));
+    const target = edit({});
+    target.nodes = target.nodes.filter(n => n.id !== 'a');
+    target.edges = target.edges.filter(e => e.from !== 'a');
+
+    const { merged_spec, conflicts } = merge(source, target);
+    expect(conflicts).toEqual([{
+      key: 'edge.loop-back',
+      type: 'dangling_edge',
+      entity: 'edge',
+      edge_id: 'loop-back',
+      field: null,
+      missing_nodes: ['a'],
+      resolved: false
+    }]);
+    expect(merged_spec.edges.map(e => e.id || `${e.from}->${e.to}`)).toEqual(['b->c', 'loop-back']);
+  });
+
+  it("settles every conflict with the 'ours' and 'theirs' strategies", () => {
+    const source = edit({ name: 'Source' });
+    source.edges.push(edge('c', 'a'));
+    const target = edit({ name: 'Target' });
+    target.nodes = target.nodes.filter(n => n.id !== 'a');
+    target.edges = target.edges.filter(e => e.from !== 'a');
+
+    const ours = merge(source, target, 'ours');
+    expect(ours.merged_spec.name).toBe('Target');
+    expect(ours.merged_spec.edges.map(e => `${e.from}->${e.to}`)).toEqual(['b->c']);
+    expect(ours.conflicts.every(c => c.resolved)).toBe(true);
+
+    const theirs = merge(source, target, 'theirs');
+    expect(theirs.merged_spec.name).toBe('Source');
+    expect(theirs.conflicts.every(c => c.resolved)).toBe(true);
+  });
+
+  it('applies conflict resolutions by key and whole-node replacements by id', () => {
+    const source = edit({ name: 'Source' });
+    source.nodes[0].config.prompt = 'source prompt';
+    source.nodes[1].label = 'Source label';
+    const target = edit({ name: 'Target' });
+    target.nodes[0].config.prompt = 'target prompt';
+    target.nodes[1].label = 'Target label';
+
+    const replacement = node('b', { prompt: 'rewritten' }, { label: 'Merged' });
+    const { merged_spec, conflicts } = merge(source, target, 'auto', {
+      'spec.name': { choose: 'source' },
+      'node.a.config.prompt': { value: 'hand-merged prompt' },
+      b: replacement
+    });
+
+    expect(conflicts.filter(c => !c.resolved)).toEqual([]);
+    expect(merged_spec.name).toBe('Source');
+    expect(merged_spec.nodes[0].config.prompt).toBe('hand-merged prompt');
+    expect(merged_spec.nodes[1]).toEqual(replacement);
+  });
+
+  it('deletes a field whose resolution value is null', () => {
+    const source = edit({});
+    source.settings.retries = 3;
+    const target = edit({});
+    target.settings.retries = 5;
+
+    const { merged_spec, conflicts } = merge(source, target, 'auto', { 'spec.settings.retries': { value: null } });
+    expect(conflicts).toEqual([expect.objectContaining({ key: 'spec.settings.retries', resolved: true })]);
+    expect(merged_spec.settings).toEqual({ timeout: 30 });
+  });
+
+  it('merges branches without a common base as two-sided edits', () => {
+    const { merged_spec, conflicts } = performMerge(null, { nodes: [node('a')], edges: [] }, { nodes: [node('b')], edges: [] }, 'auto');
+    expect(conflicts).toEqual([]);
+    expect(merged_spec.nodes.map(n => n.id)).toEqual(['b', 'a']);
+  });
+});
@@ -0,0 +1,198 @@
+/**
+ * @fileoverview Three-way spec merge
+ * @description Merges two workflow specs against their merge base for
+ * mergeBranch. Nodes and edges are matched by id, and plain objects merge
+ * field by field, so only concurrent edits to the same field (or an edit
+ * to something the other side deleted) conflict.
+ */
+
+const DELETED = Symbol('deleted');
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isEqual(a, b) {
+  if (a === DELETED || b === DELETED) return a === b;
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+/**
+ * Three-way merge of one value. Plain objects merge key by key so
+ * independent edits to different fields combine; anything else is taken
+ * from whichever side changed it. Concurrent, different edits are recorded
+ * as conflicts and resolved by `resolve`.
+ */
+function mergeValue(base, target, source, path, resolve) {
+  if (isEqual(target, source)) return target;
+  if (isEqual(base, target)) return source;
+  if (isEqual(base, source)) return target;
+
+  if (isPlainObject(target) && isPlainObject(source)) {
+    const baseObject = isPlainObject(base) ? base : {};
+    const merged = {};
+    const keys = new Set([...Object.keys(target), ...Object.keys(source)]);
+
+    for (const key of keys) {
+      const value = mergeValue(
+        key in baseObject ? baseObject[key] : DELETED,
+        key in target ? target[key] : DELETED,
+        key in source ? source[key] : DELETED,
+        [...path, key],
+        resolve
+      );
+      if (value !== DELETED) {
+        merged[key] = value;
+      }
+    }
+    return merged;
+  }
+
+  return resolve(path, base, target, source);
+}
+
+function edgeKey(edge) {
+  return edge.id || `${edge.from}->${edge.to}`;
+}
+
+/**
+ * Three-way merge of a list of records keyed by id. Target order is kept
+ * and records added on the source branch are appended.
+ */
+function mergeRecords(entity, baseList, targetList, sourceList, keyOf, resolve) {
+  const baseMap = new Map(baseList.map(item => [keyOf(item), item]));
+  const targetMap = new Map(targetList.map(item => [keyOf(item), item]));
+  const sourceMap = new Map(sourceList.map(item => [keyOf(item), item]));
+  const keys = [...new Set([...targetMap.keys(), ...sourceMap.keys()])];
+  const merged = [];
+
+  for (const key of keys) {
+    const value = mergeValue(
+      baseMap.has(key) ? baseMap.get(key) : DELETED,
+      targetMap.has(key) ? targetMap.get(key) : DELETED,
+      sourceMap.has(key) ? sourceMap.get(key) : DELETED,
+      [entity, key],
+      resolve
+    );
+    if (value !== DELETED) {
+      merged.push(value);
+    }
+  }
+
+  return merged;
+}
+
+function describeConflict(path, base, target, source) {
+  const [entity, id, ...fields] = path;
+  const deleted = target === DELETED ? 'target' : source === DELETED ? 'source' : null;
+  const show = value => (value === DELETED ? null : value);
+
+  return {
+    key: path.join('.'),
+    type: deleted ? `${entity}_deleted` : 'field_conflict',
+    entity,
+    ...(entity === 'spec' ? { property: id } : { [`${entity}_id`]: id }),
+    field: fields.join('.') || null,
+    ...(deleted && { deleted_in: deleted }),
+    base: show(base),
+    source: show(source),
+    target: show(target)
+  };
+}
+
+/**
+ * Three-way merge of workflow specs against their merge base.
+ *
+ * Conflicts are only raised where both branches changed the same field (or
+ * one side edited what the other deleted). They are settled by strategy
+ * ('ours' keeps the target, 'theirs' the source) or by `conflictResolution`,
+ * keyed by conflict key (`node.<id>.config.prompt`) with
+ * `{ choose: 'source' | 'target' }` or `{ value }` (`null` deletes), or by
+ * node id with a replacement node. Edges left pointing at a deleted node are
+ * dropped under 'ours'/'theirs' and otherwise reported.
+ */
+export function performMerge(baseSpec, sourceSpec, targetSpec, strategy, conflictResolution) {
+  const conflicts = [];
+  const resolutions = conflictResolution || {};
+
+  const replacedNodes = new Set();
+
+  const resolve = (path, base, target, source) => {
+    const conflict = describeConflict(path, base, target, source);
+    const resolution = resolutions[conflict.key];
+    let value;
+
+    if (conflict.node_id && resolutions[conflict.node_id]?.id === conflict.node_id) {
+      replacedNodes.add(conflict.node_id);
+      value = target;
+    } else if (strategy === 'theirs') {
+      value = source;
+    } else if (strategy === 'ours') {
+      value = target;
+    } else if (resolution?.choose === 'source' || resolution?.choose === 'target') {
+      value = resolution.choose === 'source' ? source : target;
+    } else if (resolution && 'value' in resolution) {
+      value = resolution.value === null ? DELETED : resolution.value;
+    } else {
+      conflicts.push({ ...conflict, resolved: false });
+      return target;
+    }
+
+    conflicts.push({ ...conflict, resolved: true });
+    return value;
+  };
+
+  const base = baseSpec || {};
+  const nodes = mergeRecords('node', base.nodes || [], targetSpec.nodes || [], sourceSpec.nodes || [], node => node.id, resolve);
+  const edges = mergeRecords('edge', base.edges || [], targetSpec.edges || [], sourceSpec.edges || [], edgeKey, resolve);
+
+  // Whole-node replacements supplied by node id
+  const mergedNodes = nodes.map(node => (replacedNodes.has(node.id) ? resolutions[node.id] : node));
+  for (const id of replacedNodes) {
+    if (!nodes.some(node => node.id === id)) {
+      mergedNodes.push(resolutions[id]);
+    }
+  }
+
+  // An edge kept on one side may point at a node deleted on the other
+  const nodeIds = new Set(mergedNodes.map(node => node.id));
+  const mergedEdges = edges.filter(edge => {
+    if (nodeIds.has(edge.from) && nodeIds.has(edge.to)) return true;
+
+    const key = `edge.${edgeKey(edge)}`;
+    const resolved = strategy === 'ours' || strategy === 'theirs' || resolutions[key]?.value === null;
+    conflicts.push({
+      key,
+      type: 'dangling_edge',
+      entity: 'edge',
+      edge_id: edgeKey(edge),
+      field: null,
+      missing_nodes: [edge.from, edge.to].filter(id => !nodeIds.has(id)),
+      resolved
+    });
+    return !resolved;
+  });
+
+  const mergedSpec = {};
+  const properties = new Set([...Object.keys(targetSpec), ...Object.keys(sourceSpec)]);
+  properties.delete('nodes');
+  properties.delete('edges');
+
+  for (const property of properties) {
+    const value = mergeValue(
+      property in base ? base[property] : DELETED,
+      property in targetSpec ? targetSpec[property] : DELETED,
+      property in sourceSpec ? sourceSpec[property] : DELETED,
+      ['spec', property],
+      resolve
+    );
+    if (value !== DELETED) {
+      mergedSpec[property] = value;
+    }
+  }
+
+  mergedSpec.nodes = mergedNodes;
+  mergedSpec.edges = mergedEdges;
+
+  return { merged_spec: mergedSpec, conflicts };
+}
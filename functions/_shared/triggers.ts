@@ -0,0 +1,51 @@
+/**
+ * @fileoverview Scheduled fire tokens
+ * @description Scheduled fires reach runWorkflow and executeAgent without a
+ * user session. Before invoking either, triggerScheduledRuns stores a
+ * one-time token per fire in the ScheduledRun's `pending_fires`; the callee
+ * redeems it here, so a schedule id on its own cannot start anything.
+ */
+
+/**
+ * Records the fires about to be triggered and returns the token each callee
+ * must present, in the order of `fires`. Tokens still pending from earlier
+ * ticks are kept.
+ */
+export async function openScheduledFires(base44, schedule, fires) {
+  const tokens = fires.map(() => crypto.randomUUID());
+  await base44.asServiceRole.entities.ScheduledRun.update(schedule.id, {
+    pending_fires: {
+      ...(schedule.pending_fires || {}),
+      ...Object.fromEntries(tokens.map((token, index) => [token, fires[index].toISOString()]))
+    }
+  });
+  return tokens;
+}
+
+/**
+ * Consumes a pending fire of an enabled schedule and returns the schedule
+ * with the input its run starts from.
+ */
+export async function redeemScheduledFire(base44, scheduleId, fireToken) {
+  const [schedule] = await base44.asServiceRole.entities.ScheduledRun.filter({ id: scheduleId });
+  if (!schedule) {
+    return { error: { status: 404, code: 'NOT_FOUND', message: 'Schedule not found' } };
+  }
+
+  const fires = schedule.pending_fires || {};
+  if (!schedule.enabled || typeof fireToken !== 'string' || !Object.prototype.hasOwnProperty.call(fires, fireToken)) {
+    return { error: { status: 401, code: 'UNAUTHORIZED', message: 'Schedule fire token is invalid or already used' } };
+  }
+
+  const { [fireToken]: scheduled_for, ...remaining } = fires;
+  await base44.asServiceRole.entities.ScheduledRun.update(schedule.id, { pending_fires: remaining });
+
+  return {
+    schedule,
+    input_data: {
+      ...(schedule.input_data || {}),
+      schedule_id: schedule.id,
+      scheduled_for
+    }
+  };
+}
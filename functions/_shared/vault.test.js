@@ -0,0 +1,138 @@
+/**
+ * Credential Vault Tests
+ *
+ * Tests for envelope encryption of stored credentials and master key
+ * rotation
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { randomBytes } from 'node:crypto';
+import {
+  VaultError,
+  decryptCredentials,
+  encryptCredentials,
+  loadCredentials,
+  masterKey,
+  parseEnvelope,
+  rewrapEnvelope,
+  vaultContext
+} from './vault.ts';
+
+const key = () => randomBytes(32).toString('base64');
+const credentials = { apiKey: 'sk_live_123', nested: { token: 'abc' } };
+const context = vaultContext('ConnectorInstallation', 'inst_1');
+
+let env;
+
+beforeEach(() => {
+  env = { CREDENTIAL_MASTER_KEY_V1: key() };
+  globalThis.Deno = { env: { get: name => env[name] } };
+});
+
+afterEach(() => {
+  delete globalThis.Deno;
+});
+
+const vaultCode = (fn) => {
+  try {
+    fn();
+  } catch (error) {
+    expect(error).toBeInstanceOf(VaultError);
+    return error.code;
+  }
+  throw new Error('expected a VaultError');
+};
+
+describe('encryptCredentials', () => {
+  it('round-trips credentials through an envelope', () => {
+    const envelope = encryptCredentials(credentials, context);
+
+    expect(envelope).toMatchObject({ alg: 'aes-256-gcm', key_version: 1 });
+    expect(JSON.stringify(envelope)).not.toContain('sk_live_123');
+    expect(decryptCredentials(envelope, context)).toEqual(credentials);
+  });
+
+  it('uses a fresh data key and IV each time', () => {
+    const first = encryptCredentials(credentials, context);
+    const second = encryptCredentials(credentials, context);
+    expect(first.wrapped_key).not.toBe(second.wrapped_key);
+    expect(first.ciphertext).not.toBe(second.ciphertext);
+  });
+
+  it('fails when the current master key is missing or malformed', () => {
+    env.CREDENTIAL_MASTER_KEY_VERSION = '2';
+    expect(vaultCode(() => encryptCredentials(credentials, context))).toBe('VAULT_KEY_MISSING');
+
+    env.CREDENTIAL_MASTER_KEY_V2 = randomBytes(16).toString('base64');
+    expect(vaultCode(() => masterKey(2))).toBe('VAULT_KEY_INVALID');
+  });
+});
+
+describe('decryptCredentials', () => {
+  it('rejects an envelope copied onto another record', () => {
+    const envelope = encryptCredentials(credentials, context);
+    const otherRecord = vaultContext('ConnectorInstallation', 'inst_2');
+    const otherEntity = vaultContext('ExternalConnection', 'inst_1');
+
+    expect(vaultCode(() => decryptCredentials(envelope, otherRecord))).toBe('VAULT_DECRYPT_FAILED');
+    expect(vaultCode(() => decryptCredentials(envelope, otherEntity))).toBe('VAULT_DECRYPT_FAILED');
+  });
+
+  it('rejects tampered ciphertext', () => {
+    const envelope = encryptCredentials(credentials, context);
+    const bytes = Buffer.from(envelope.ciphertext, 'base64');
+    bytes[bytes.length - 1] ^= 1;
+
+    expect(vaultCode(() => decryptCredentials({ ...envelope, ciphertext: bytes.toString('base64') }, context)))
+      .toBe('VAULT_DECRYPT_FAILED');
+  });
+
+  it('rejects the wrong master key', () => {
+    const envelope = encryptCredentials(credentials, context);
+    env.CREDENTIAL_MASTER_KEY_V1 = key();
+    expect(vaultCode(() => decryptCredentials(envelope, context))).toBe('VAULT_DECRYPT_FAILED');
+  });
+});
+
+describe('rewrapEnvelope', () => {
+  it('moves the data key to the current master key and keeps the ciphertext', () => {
+    const envelope = encryptCredentials(credentials, context);
+    env.CREDENTIAL_MASTER_KEY_V2 = key();
+    env.CREDENTIAL_MASTER_KEY_VERSION = '2';
+
+    const rewrapped = rewrapEnvelope(envelope, context);
+    expect(rewrapped.key_version).toBe(2);
+    expect(rewrapped.ciphertext).toBe(envelope.ciphertext);
+    expect(rewrapped.wrapped_key).not.toBe(envelope.wrapped_key);
+
+    // The old key can be retired once every record is re-wrapped
+    delete env.CREDENTIAL_MASTER_KEY_V1;
+    expect(decryptCredentials(rewrapped, context)).toEqual(credentials);
+    expect(vaultCode(() => decryptCredentials(envelope, context))).toBe('VAULT_KEY_MISSING');
+  });
+
+  it('keeps the record binding', () => {
+    const envelope = encryptCredentials(credentials, context);
+    env.CREDENTIAL_MASTER_KEY_V2 = key();
+    env.CREDENTIAL_MASTER_KEY_VERSION = '2';
+
+    const rewrapped = rewrapEnvelope(envelope, context);
+    expect(vaultCode(() => decryptCredentials(rewrapped, vaultContext('ConnectorInstallation', 'inst_2'))))
+      .toBe('VAULT_DECRYPT_FAILED');
+  });
+});
+
+describe('loadCredentials', () => {
+  it('decrypts an envelope stored as JSON', () => {
+    const stored = JSON.stringify(encryptCredentials(credentials, context));
+    expect(parseEnvelope(stored)).toMatchObject({ alg: 'aes-256-gcm' });
+    expect(loadCredentials('ConnectorInstallation', { id: 'inst_1', credentials_encrypted: stored })).toEqual(credentials);
+  });
+
+  it('returns plaintext credentials written before the vault', () => {
+    expect(loadCredentials('ConnectorInstallation', { id: 'inst_1', credentials_encrypted: '{"apiKey":"old"}' }))
+      .toEqual({ apiKey: 'old' });
+    expect(loadCredentials('ExternalConnection', { id: 'conn_1', credentials: { token: 't' } })).toEqual({ token: 't' });
+    expect(loadCredentials('ExternalConnection', { id: 'conn_1' })).toEqual({});
+  });
+});
@@ -0,0 +1,130 @@
+/**
+ * @fileoverview Credential vault
+ * @description Envelope encryption: each record's credentials are encrypted
+ * with their own data key, and the data key is wrapped with a master key
+ * from the environment (CREDENTIAL_MASTER_KEY_V<n>, base64, 32 bytes). The
+ * current version is CREDENTIAL_MASTER_KEY_VERSION; older versions stay
+ * configured until manageCredentials has re-wrapped every record.
+ * Ciphertext is bound to its record, so it cannot be copied onto another
+ * one.
+ */
+
+import { createCipheriv, createDecipheriv, randomBytes } from 'node:crypto';
+import { Buffer } from 'node:buffer';
+
+const VAULT_ALGORITHM = 'aes-256-gcm';
+
+export class VaultError extends Error {
+  constructor(message, code = 'VAULT_ERROR') {
+    super(message);
+    this.name = 'VaultError';
+    this.code = code;
+  }
+}
+
+export function currentKeyVersion() {
+  return Number(Deno.env.get('CREDENTIAL_MASTER_KEY_VERSION') || 1);
+}
+
+/**
+ * The master key for `version`. Throws a VaultError when it is missing or
+ * malformed, so callers can check a key before relying on it.
+ */
+export function masterKey(version) {
+  const encoded = Deno.env.get(`CREDENTIAL_MASTER_KEY_V${version}`);
+  if (!encoded) {
+    throw new VaultError(`Master key version ${version} is not configured`, 'VAULT_KEY_MISSING');
+  }
+  const key = Buffer.from(encoded, 'base64');
+  if (key.length !== 32) {
+    throw new VaultError(`Master key version ${version} must be 32 bytes`, 'VAULT_KEY_INVALID');
+  }
+  return key;
+}
+
+function seal(key, plaintext, aad) {
+  const iv = randomBytes(12);
+  const cipher = createCipheriv(VAULT_ALGORITHM, key, iv);
+  cipher.setAAD(Buffer.from(aad));
+  const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+  return Buffer.concat([iv, cipher.getAuthTag(), ciphertext]).toString('base64');
+}
+
+function unseal(key, sealed, aad) {
+  const data = Buffer.from(sealed, 'base64');
+  const decipher = createDecipheriv(VAULT_ALGORITHM, key, data.subarray(0, 12));
+  decipher.setAAD(Buffer.from(aad));
+  decipher.setAuthTag(data.subarray(12, 28));
+  return Buffer.concat([decipher.update(data.subarray(28)), decipher.final()]);
+}
+
+function unwrapDataKey(envelope, context) {
+  try {
+    return unseal(masterKey(envelope.key_version), envelope.wrapped_key, context);
+  } catch (error) {
+    if (error instanceof VaultError) throw error;
+    throw new VaultError('Stored credentials could not be decrypted', 'VAULT_DECRYPT_FAILED');
+  }
+}
+
+/**
+ * Record binding used as additional authenticated data
+ */
+export function vaultContext(entityName, recordId) {
+  return `${entityName}:${recordId}`;
+}
+
+export function encryptCredentials(credentials, context) {
+  const key_version = currentKeyVersion();
+  const dataKey = randomBytes(32);
+  return {
+    alg: VAULT_ALGORITHM,
+    key_version,
+    wrapped_key: seal(masterKey(key_version), dataKey, context),
+    ciphertext: seal(dataKey, Buffer.from(JSON.stringify(credentials)), context)
+  };
+}
+
+export function decryptCredentials(envelope, context) {
+  const dataKey = unwrapDataKey(envelope, context);
+  try {
+    return JSON.parse(unseal(dataKey, envelope.ciphertext, context).toString('utf8'));
+  } catch {
+    throw new VaultError('Stored credentials could not be decrypted', 'VAULT_DECRYPT_FAILED');
+  }
+}
+
+/**
+ * Re-wraps the data key under the current master key. The credentials
+ * ciphertext is unchanged.
+ */
+export function rewrapEnvelope(envelope, context) {
+  const key_version = currentKeyVersion();
+  const dataKey = unwrapDataKey(envelope, context);
+  return { ...envelope, key_version, wrapped_key: seal(masterKey(key_version), dataKey, context) };
+}
+
+export function parseEnvelope(stored) {
+  if (!stored) return null;
+  const value = typeof stored === 'string' ? JSON.parse(stored) : stored;
+  return value?.alg === VAULT_ALGORITHM ? value : null;
+}
+
+/**
+ * Returns a record's credentials. Records written before the vault hold
+ * plaintext JSON in credentials_encrypted (ConnectorInstallation) or
+ * credentials (ExternalConnection); those are returned as-is until
+ * manageCredentials re-encrypts them.
+ */
+export function loadCredentials(entityName, record) {
+  const envelope = parseEnvelope(record.credentials_encrypted);
+  if (envelope) {
+    return decryptCredentials(envelope, vaultContext(entityName, record.id));
+  }
+  if (record.credentials_encrypted) {
+    return typeof record.credentials_encrypted === 'string'
+      ? JSON.parse(record.credentials_encrypted)
+      : record.credentials_encrypted;
+  }
+  return record.credentials || {};
+}
@@ -0,0 +1,588 @@
+/**
+ * @fileoverview Vector store adapters
+ * @description Stores and searches chunk embeddings for knowledge bases.
+ * Shared by embedDocument and retrieveContext.
+ */
+
+import { bm25Search, similarity, tokenize } from './ranking.ts';
+
+// ---------------------------------------------------------------------------
+// Vector store adapters
+//
+// Every provider implements the same interface:
+//   upsert(vectors)             vectors: { id, values, metadata }[]
+//   deleteByDocument(id)        removes every chunk of a document
+//   query(values, { topK, filter, includeValues })
+//                               -> { id, score, metadata, values? }[]
+//   list(filter, { limit, includeValues })
+//                               -> { id, metadata, values? }[]
+//   keywordSearch(query, { topK, filter, includeValues })
+//                               -> { results, truncated }, results ranked
+//                               by the store's text search over
+//                               metadata.text with `keyword_score` set
+//   deleteByKnowledgeBase(id)   removes every chunk of a knowledge base
+// Filters are `{ key: value }` equality matches on metadata; an array value
+// matches any of its entries. Scores are higher-is-better for all metrics.
+//
+// Each knowledge base gets its own index, named from its org and id rather
+// than the client-chosen `index_name`, so two knowledge bases never share
+// or clear each other's vectors. An index emptied by deleteByKnowledgeBase
+// takes a new embedding dimension on the next upsert.
+// ---------------------------------------------------------------------------
+
+const DISTANCE_METRICS = ['cosine', 'dot_product', 'euclidean'];
+
+function matchesFilter(metadata, filter = {}) {
+  return Object.entries(filter).every(([key, expected]) =>
+    Array.isArray(expected) ? expected.includes(metadata?.[key]) : metadata?.[key] === expected
+  );
+}
+
+function withValues(vector, includeValues) {
+  const { values, ...rest } = vector;
+  return includeValues ? { ...rest, values } : rest;
+}
+
+function indexIdentifier({ org_id, knowledge_base_id }) {
+  if (!knowledge_base_id) {
+    throw new Error('A vector store needs a knowledge base id');
+  }
+  return ['kb', org_id, knowledge_base_id].filter(Boolean).join('_').toLowerCase().replace(/[^a-z0-9_]/g, '_');
+}
+
+const LOCAL_LOCK_STALE_MS = 30 * 1000;
+const LOCAL_LOCK_TIMEOUT_MS = 10 * 1000;
+
+/**
+ * File-backed store for development and single-instance deployments.
+ * Each index is one JSON file under VECTOR_STORE_DIR, which must be an
+ * absolute path on persistent storage. Writes rewrite the whole file, so
+ * they hold a lock file next to it; a lock older than LOCAL_LOCK_STALE_MS is
+ * treated as abandoned.
+ */
+function createLocalStore(config, metric, scope) {
+  const dir = Deno.env.get('VECTOR_STORE_DIR');
+  if (!dir) {
+    throw new Error('VECTOR_STORE_DIR not configured');
+  }
+  const path = `${dir}/${indexIdentifier(scope)}.json`;
+  const lockPath = `${path}.lock`;
+
+  const load = async () => {
+    try {
+      return JSON.parse(await Deno.readTextFile(path));
+    } catch (error) {
+      if (error instanceof Deno.errors.NotFound) return [];
+      throw error;
+    }
+  };
+
+  const save = async (vectors) => {
+    await Deno.writeTextFile(`${path}.tmp`, JSON.stringify(vectors));
+    await Deno.rename(`${path}.tmp`, path);
+  };
+
+  const acquireLock = async () => {
+    await Deno.mkdir(dir, { recursive: true });
+    const deadline = Date.now() + LOCAL_LOCK_TIMEOUT_MS;
+    for (;;) {
+      try {
+        (await Deno.open(lockPath, { write: true, createNew: true })).close();
+        return;
+      } catch (error) {
+        if (!(error instanceof Deno.errors.AlreadyExists)) throw error;
+      }
+
+      const lock = await Deno.stat(lockPath).catch(() => null);
+      if (lock?.mtime && Date.now() - lock.mtime.getTime() > LOCAL_LOCK_STALE_MS) {
+        await Deno.remove(lockPath).catch(() => {});
+        continue;
+      }
+      if (Date.now() > deadline) {
+        throw new Error(`Timed out waiting for the lock on ${path}`);
+      }
+      await new Promise(resolve => setTimeout(resolve, 25 + Math.random() * 50));
+    }
+  };
+
+  const withWriteLock = async (fn) => {
+    await acquireLock();
+    try {
+      return await fn();
+    } finally {
+      await Deno.remove(lockPath).catch(() => {});
+    }
+  };
+
+  return {
+    upsert(vectors) {
+      return withWriteLock(async () => {
+        const byId = new Map((await load()).map(v => [v.id, v]));
+        for (const vector of vectors) byId.set(vector.id, vector);
+        await save([...byId.values()]);
+        return { upserted: vectors.length };
+      });
+    },
+
+    deleteByDocument(documentId) {
+      return withWriteLock(async () => {
+        const existing = await load();
+        const kept = existing.filter(v => v.metadata?.document_id !== documentId);
+        await save(kept);
+        return { deleted: existing.length - kept.length };
+      });
+    },
+
+    deleteByKnowledgeBase(knowledgeBaseId) {
+      return withWriteLock(async () => {
+        const existing = await load();
+        const kept = existing.filter(v => v.metadata?.knowledge_base_id !== knowledgeBaseId);
+        await save(kept);
+        return { deleted: existing.length - kept.length };
+      });
+    },
+
+    async query(values, { topK, filter, includeValues = false }) {
+      return (await load())
+        .filter(v => matchesFilter(v.metadata, filter))
+        .map(v => withValues({ ...v, score: similarity(metric, values, v.values) }, includeValues))
+        .sort((a, b) => b.score - a.score)
+        .slice(0, topK);
+    },
+
+    async list(filter, { limit, includeValues = false }) {
+      return (await load())
+        .filter(v => matchesFilter(v.metadata, filter))
+        .slice(0, limit)
+        .map(v => withValues(v, includeValues));
+    },
+
+    async keywordSearch(query, { topK, filter, includeValues = false }) {
+      const chunks = (await load())
+        .filter(v => matchesFilter(v.metadata, filter))
+        .map(v => withValues(v, includeValues));
+      return { results: bm25Search(query, chunks, topK), truncated: false };
+    }
+  };
+}
+
+const PGVECTOR_INSERT_BATCH = 500;
+
+// Connection pools and ready tables live for the life of the isolate, so
+// warm invocations skip connecting and the extension and table setup
+const pgvectorPools = new Map();
+const pgvectorTables = new Map();
+const pgvectorTextIndexes = new Map();
+
+function pgvectorPool(url) {
+  if (!pgvectorPools.has(url)) {
+    pgvectorPools.set(url, import('npm:postgres@3.4.4')
+      .then(({ default: postgres }) => postgres(url, { max: 4, idle_timeout: 30 })));
+  }
+  return pgvectorPools.get(url);
+}
+
+/**
+ * Name of the environment variable holding a pgvector connection string.
+ * vector_config is written by clients, so `connection_env` may only name
+ * PGVECTOR_URL or a variable listed in PGVECTOR_CONNECTION_ENVS; anything
+ * else could read an unrelated secret.
+ */
+function pgvectorConnectionEnv(config) {
+  const name = config.connection_env || 'PGVECTOR_URL';
+  const listed = (Deno.env.get('PGVECTOR_CONNECTION_ENVS') || '').split(',').map(entry => entry.trim()).filter(Boolean);
+  const allowed = ['PGVECTOR_URL', ...listed];
+  if (!allowed.includes(name)) {
+    throw new Error(`connection_env "${name}" is not allowed. Allowed: ${allowed.join(', ')}`);
+  }
+  return name;
+}
+
+/**
+ * Postgres with the pgvector extension (also used for Supabase). One table
+ * per index, created on first upsert. The embedding column has no fixed
+ * dimension, so re-embedding with another model needs no new table.
+ * Keyword search uses a generated tsvector column over the chunk text with
+ * a GIN index.
+ */
+function createPgvectorStore(config, metric, scope) {
+  const connectionEnv = pgvectorConnectionEnv(config);
+  const url = Deno.env.get(connectionEnv);
+  if (!url) {
+    throw new Error(`${connectionEnv} not configured`);
+  }
+  const table = indexIdentifier(scope);
+  const operator = { cosine: '<=>', dot_product: '<#>', euclidean: '<->' }[metric];
+  const scoreOf = {
+    cosine: distance => 1 - distance,
+    dot_product: distance => -distance,
+    euclidean: distance => 1 / (1 + distance)
+  }[metric];
+
+  const tableKey = `${url}#${table}`;
+
+  const withClient = async (fn) => fn(await pgvectorPool(url));
+
+  const ensureTable = (sql) => {
+    if (!pgvectorTables.has(tableKey)) {
+      const ready = (async () => {
+        await sql`CREATE EXTENSION IF NOT EXISTS vector`;
+        await sql`
+          CREATE TABLE IF NOT EXISTS ${sql(table)} (
+            id text PRIMARY KEY,
+            document_id text,
+            embedding vector,
+            metadata jsonb NOT NULL DEFAULT '{}'
+          )`;
+      })();
+      pgvectorTables.set(tableKey, ready);
+      ready.catch(() => pgvectorTables.delete(tableKey));
+    }
+    return pgvectorTables.get(tableKey);
+  };
+
+  // Tables created before keyword search existed gain the column here
+  const ensureTextSearch = (sql) => {
+    if (!pgvectorTextIndexes.has(tableKey)) {
+      const ready = (async () => {
+        await sql`
+          ALTER TABLE ${sql(table)} ADD COLUMN IF NOT EXISTS text_search tsvector
+          GENERATED ALWAYS AS (to_tsvector('simple', coalesce(metadata->>'text', ''))) STORED`;
+        await sql`CREATE INDEX IF NOT EXISTS ${sql(`${table}_text_search`)} ON ${sql(table)} USING gin (text_search)`;
+      })();
+      pgvectorTextIndexes.set(tableKey, ready);
+      ready.catch(() => pgvectorTextIndexes.delete(tableKey));
+    }
+    return pgvectorTextIndexes.get(tableKey);
+  };
+
+  const toVector = values => `[${values.join(',')}]`;
+
+  const whereClause = (sql, filter = {}) => {
+    const conditions = Object.entries(filter).map(([key, expected]) =>
+      Array.isArray(expected)
+        ? sql`metadata->>${key} = ANY(${expected.map(String)})`
+        : sql`metadata->>${key} = ${String(expected)}`
+    );
+    return conditions.length > 0
+      ? conditions.reduce((acc, condition) => sql`${acc} AND ${condition}`)
+      : sql`TRUE`;
+  };
+
+  const tableExists = async (sql) => {
+    const [{ exists }] = await sql`SELECT to_regclass(${table}) IS NOT NULL AS exists`;
+    return exists;
+  };
+
+  const fromRow = (row, includeValues) => ({
+    id: row.id,
+    metadata: row.metadata,
+    ...(row.distance !== undefined && { score: scoreOf(Number(row.distance)) }),
+    ...(includeValues && { values: JSON.parse(row.embedding) })
+  });
+
+  return {
+    upsert(vectors) {
+      if (vectors.length === 0) return { upserted: 0 };
+      return withClient(async (sql) => {
+        await ensureTable(sql);
+        await ensureTextSearch(sql);
+        for (let start = 0; start < vectors.length; start += PGVECTOR_INSERT_BATCH) {
+          const batch = vectors.slice(start, start + PGVECTOR_INSERT_BATCH);
+          await sql`
+            INSERT INTO ${sql(table)} (id, document_id, embedding, metadata)
+            SELECT id, document_id, embedding::vector, metadata::jsonb
+            FROM unnest(
+              ${batch.map(vector => vector.id)}::text[],
+              ${batch.map(vector => vector.metadata?.document_id || null)}::text[],
+              ${batch.map(vector => toVector(vector.values))}::text[],
+              ${batch.map(vector => JSON.stringify(vector.metadata || {}))}::text[]
+            ) AS rows (id, document_id, embedding, metadata)
+            ON CONFLICT (id) DO UPDATE
+            SET document_id = EXCLUDED.document_id, embedding = EXCLUDED.embedding, metadata = EXCLUDED.metadata`;
+        }
+        return { upserted: vectors.length };
+      });
+    },
+
+    deleteByDocument(documentId) {
+      return withClient(async (sql) => {
+        if (!(await tableExists(sql))) return { deleted: 0 };
+        const result = await sql`DELETE FROM ${sql(table)} WHERE document_id = ${documentId}`;
+        return { deleted: result.count };
+      });
+    },
+
+    deleteByKnowledgeBase(knowledgeBaseId) {
+      return withClient(async (sql) => {
+        if (!(await tableExists(sql))) return { deleted: 0 };
+        const result = await sql`DELETE FROM ${sql(table)} WHERE ${whereClause(sql, { knowledge_base_id: knowledgeBaseId })}`;
+        return { deleted: result.count };
+      });
+    },
+
+    query(values, { topK, filter, includeValues = false }) {
+      return withClient(async (sql) => {
+        if (!(await tableExists(sql))) return [];
+        const rows = await sql`
+          SELECT id, metadata, embedding::text AS embedding,
+            embedding ${sql.unsafe(operator)} ${toVector(values)} AS distance
+          FROM ${sql(table)}
+          WHERE ${whereClause(sql, filter)}
+          ORDER BY distance
+          LIMIT ${topK}`;
+        return rows.map(row => fromRow(row, includeValues));
+      });
+    },
+
+    list(filter, { limit, includeValues = false }) {
+      return withClient(async (sql) => {
+        if (!(await tableExists(sql))) return [];
+        const rows = await sql`
+          SELECT id, metadata, embedding::text AS embedding
+          FROM ${sql(table)}
+          WHERE ${whereClause(sql, filter)}
+          LIMIT ${limit}`;
+        return rows.map(row => fromRow(row, includeValues));
+      });
+    },
+
+    keywordSearch(query, { topK, filter, includeValues = false }) {
+      // Any query term may match, like BM25; tokens never contain quotes
+      const terms = [...new Set(tokenize(query))];
+      if (terms.length === 0) return { results: [], truncated: false };
+
+      return withClient(async (sql) => {
+        if (!(await tableExists(sql))) return { results: [], truncated: false };
+        await ensureTextSearch(sql);
+        const rows = await sql`
+          SELECT id, metadata, embedding::text AS embedding, ts_rank_cd(text_search, terms) AS rank
+          FROM ${sql(table)}, to_tsquery('simple', ${terms.map(term => `'${term}'`).join(' | ')}) AS terms
+          WHERE text_search @@ terms AND ${whereClause(sql, filter)}
+          ORDER BY rank DESC
+          LIMIT ${topK}`;
+        return {
+          results: rows.map(row => ({ ...fromRow(row, includeValues), score: Number(row.rank), keyword_score: Number(row.rank) })),
+          truncated: false
+        };
+      });
+    }
+  };
+}
+
+const QDRANT_KEYWORD_CANDIDATES = 2000;
+
+const qdrantTextIndexes = new Map();
+
+/**
+ * Qdrant-compatible HTTP API. Point ids must be UUIDs, so chunk ids are
+ * hashed and the original id kept in the payload. Keyword search matches
+ * through a full-text payload index on `text`, then ranks the matches with
+ * BM25 using document frequencies counted over the whole collection. The
+ * URL and API key come only from the server environment: a URL in
+ * vector_config would receive the API key and let clients reach any host.
+ */
+function createQdrantStore(config, metric, scope) {
+  if (config.url || config.api_key_env) {
+    throw new Error('vector_config.url and vector_config.api_key_env are not supported; set QDRANT_URL and QDRANT_API_KEY on the server');
+  }
+  const baseUrl = (Deno.env.get('QDRANT_URL') || '').replace(/\/$/, '');
+  if (!baseUrl) {
+    throw new Error('QDRANT_URL not configured');
+  }
+  const apiKey = Deno.env.get('QDRANT_API_KEY');
+  const collection = indexIdentifier(scope);
+  const distance = { cosine: 'Cosine', dot_product: 'Dot', euclidean: 'Euclid' }[metric];
+
+  const request = async (method, path, body, { allowNotFound = false } = {}) => {
+    const response = await fetch(`${baseUrl}/collections/${collection}${path}`, {
+      method,
+      headers: {
+        'Content-Type': 'application/json',
+        ...(apiKey && { 'api-key': apiKey })
+      },
+      body: body ? JSON.stringify(body) : undefined
+    });
+    if (allowNotFound && response.status === 404) return null;
+    if (!response.ok) {
+      throw new Error(`Qdrant ${method} ${path || '/'} failed: ${response.status} ${await response.text()}`);
+    }
+    return response.json();
+  };
+
+  const pointId = async (id) => {
+    const hash = new Uint8Array(await crypto.subtle.digest('SHA-256', new TextEncoder().encode(id)));
+    const hex = Array.from(hash.slice(0, 16), b => b.toString(16).padStart(2, '0')).join('');
+    return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20, 32)}`;
+  };
+
+  const fromPoint = (point, includeValues) => {
+    const { chunk_id, ...metadata } = point.payload || {};
+    return {
+      id: chunk_id || String(point.id),
+      metadata,
+      ...(includeValues && { values: point.vector })
+    };
+  };
+
+  const toFilter = (filter = {}) => ({
+    must: Object.entries(filter).map(([key, expected]) => ({
+      key,
+      match: Array.isArray(expected) ? { any: expected } : { value: expected }
+    }))
+  });
+
+  const scroll = async (filter, limit, includeValues) => {
+    const points = [];
+    let offset = null;
+    do {
+      const result = await request('POST', '/points/scroll', {
+        filter,
+        limit: Math.min(256, limit - points.length),
+        offset,
+        with_payload: true,
+        with_vector: includeValues
+      }, { allowNotFound: true });
+      points.push(...(result?.result?.points || []));
+      offset = result?.result?.next_page_offset ?? null;
+    } while (offset !== null && points.length < limit);
+    return points;
+  };
+
+  const count = async (filter) => {
+    const result = await request('POST', '/points/count', { filter, exact: true }, { allowNotFound: true });
+    return result?.result?.count || 0;
+  };
+
+  const indexKey = `${baseUrl}#${collection}`;
+  const ensureTextIndex = async () => {
+    if (!qdrantTextIndexes.has(indexKey)) {
+      const created = await request('PUT', '/index?wait=true', {
+        field_name: 'text',
+        field_schema: { type: 'text', tokenizer: 'word', lowercase: true }
+      }, { allowNotFound: true });
+      if (!created) return false;
+      qdrantTextIndexes.set(indexKey, true);
+    }
+    return true;
+  };
+
+  return {
+    async upsert(vectors) {
+      if (vectors.length === 0) return { upserted: 0 };
+      const size = vectors[0].values.length;
+      const existing = await request('GET', '', null, { allowNotFound: true });
+      const existingSize = existing?.result?.config?.params?.vectors?.size;
+      // A collection's vector size is fixed, so an emptied one is recreated
+      const resized = existingSize !== undefined && existingSize !== size;
+      if (resized) {
+        if (await count(toFilter({})) > 0) {
+          throw new Error(`Qdrant collection ${collection} holds ${existingSize}-dimensional vectors; cannot store ${size}-dimensional ones`);
+        }
+        qdrantTextIndexes.delete(indexKey);
+        await request('DELETE', '', null, { allowNotFound: true });
+      }
+      if (!existing || resized) {
+        await request('PUT', '', { vectors: { size, distance } });
+        await ensureTextIndex();
+      }
+      const points = await Promise.all(vectors.map(async vector => ({
+        id: await pointId(vector.id),
+        vector: vector.values,
+        payload: { ...vector.metadata, chunk_id: vector.id }
+      })));
+      await request('PUT', '/points?wait=true', { points });
+      return { upserted: vectors.length };
+    },
+
+    async deleteByDocument(documentId) {
+      const result = await request('POST', '/points/delete?wait=true', {
+        filter: toFilter({ document_id: documentId })
+      }, { allowNotFound: true });
+      // Qdrant does not report how many points a filtered delete removed
+      return { deleted: result ? null : 0 };
+    },
+
+    async deleteByKnowledgeBase(knowledgeBaseId) {
+      const result = await request('POST', '/points/delete?wait=true', {
+        filter: toFilter({ knowledge_base_id: knowledgeBaseId })
+      }, { allowNotFound: true });
+      return { deleted: result ? null : 0 };
+    },
+
+    async query(values, { topK, filter, includeValues = false }) {
+      const result = await request('POST', '/points/search', {
+        vector: values,
+        limit: topK,
+        filter: toFilter(filter),
+        with_payload: true,
+        with_vector: includeValues
+      }, { allowNotFound: true });
+      return (result?.result || []).map(point => ({ ...fromPoint(point, includeValues), score: point.score }));
+    },
+
+    async list(filter, { limit, includeValues = false }) {
+      const points = await scroll(toFilter(filter), limit, includeValues);
+      return points.map(point => fromPoint(point, includeValues));
+    },
+
+    async keywordSearch(query, { topK, filter, includeValues = false }) {
+      const terms = [...new Set(tokenize(query))];
+      if (terms.length === 0 || !(await ensureTextIndex())) return { results: [], truncated: false };
+
+      const scope = toFilter(filter).must;
+      const matchTerm = term => ({ key: 'text', match: { text: term } });
+      const [documentCount, ...frequencies] = await Promise.all([
+        count({ must: scope }),
+        ...terms.map(term => count({ must: [...scope, matchTerm(term)] }))
+      ]);
+      const matches = await scroll({ must: scope, should: terms.map(matchTerm) }, QDRANT_KEYWORD_CANDIDATES + 1, includeValues);
+
+      const stats = { documentCount, documentFrequency: new Map(terms.map((term, i) => [term, frequencies[i]])) };
+      const chunks = matches.slice(0, QDRANT_KEYWORD_CANDIDATES).map(point => fromPoint(point, includeValues));
+      return {
+        results: bm25Search(query, chunks, topK, { stats }),
+        truncated: matches.length > QDRANT_KEYWORD_CANDIDATES
+      };
+    }
+  };
+}
+
+const VECTOR_STORES = {
+  local: createLocalStore,
+  pgvector: createPgvectorStore,
+  supabase: createPgvectorStore,
+  qdrant: createQdrantStore
+};
+
+// Knowledge bases created before real vector stores existed may still name
+// these providers. Their vectors were never stored anywhere, so they use
+// the local store; re-embed their documents to populate it.
+const LEGACY_VECTOR_PROVIDERS = {
+  pinecone: 'local',
+  weaviate: 'local'
+};
+
+/**
+ * Vector store for a knowledge base, configured by its vector_config and
+ * namespaced by its org and id.
+ */
+export function createVectorStore(knowledgeBase) {
+  const vectorConfig = knowledgeBase.vector_config || {};
+  const configured = vectorConfig.provider || 'local';
+  const provider = LEGACY_VECTOR_PROVIDERS[configured] || configured;
+  if (provider !== configured) {
+    console.warn(`Vector provider "${configured}" is no longer supported; using "${provider}"`);
+  }
+  const factory = VECTOR_STORES[provider];
+  if (!factory) {
+    throw new Error(`Unsupported vector provider "${provider}". Supported: ${Object.keys(VECTOR_STORES).join(', ')}`);
+  }
+
+  const metric = vectorConfig.distance_metric || 'cosine';
+  if (!DISTANCE_METRICS.includes(metric)) {
+    throw new Error(`Unsupported distance metric "${metric}"`);
+  }
+
+  return factory(vectorConfig, metric, { org_id: knowledgeBase.org_id, knowledge_base_id: knowledgeBase.id });
+}
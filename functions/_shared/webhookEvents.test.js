@@ -0,0 +1,73 @@
+/**
+ * Webhook Event Tests
+ *
+ * Tests for mapping webhook input and matching provider redeliveries
+ */
+
+import { describe, it, expect } from 'vitest';
+import { findDelivery, mapWebhookInput } from './webhookEvents.ts';
+
+const mockBase44 = (events) => ({
+  asServiceRole: {
+    entities: {
+      WebhookEvent: {
+        filter: async (query, sort) => events
+          .filter(event => Object.entries(query).every(([key, value]) => event[key] === value))
+          .sort((a, b) => (sort === 'created_date' ? a.created_date.localeCompare(b.created_date) : 0))
+      }
+    }
+  }
+});
+
+const event = (id, fields) => ({ id, webhook_endpoint_id: 'wh_1', delivery_id: 'd1', ...fields });
+
+describe('findDelivery', () => {
+  it('returns nothing for a delivery ID not seen before', async () => {
+    expect(await findDelivery(mockBase44([event('e1', { created_date: '2024-01-01', status: 'completed' })]), 'wh_1', 'd2')).toBeNull();
+  });
+
+  it('returns the earliest event recorded for the delivery', async () => {
+    const base44 = mockBase44([
+      event('e2', { created_date: '2024-01-02', status: 'queued' }),
+      event('e1', { created_date: '2024-01-01', status: 'completed' })
+    ]);
+    expect((await findDelivery(base44, 'wh_1', 'd1')).id).toBe('e1');
+  });
+
+  it('skips copies already marked duplicate', async () => {
+    const base44 = mockBase44([
+      event('e1', { created_date: '2024-01-01', status: 'duplicate' }),
+      event('e2', { created_date: '2024-01-02', status: 'processing' })
+    ]);
+    expect((await findDelivery(base44, 'wh_1', 'd1')).id).toBe('e2');
+  });
+
+  it('counts failed deliveries, which the retry sweep replays', async () => {
+    const base44 = mockBase44([event('e1', { created_date: '2024-01-01', status: 'failed' })]);
+    expect((await findDelivery(base44, 'wh_1', 'd1')).status).toBe('failed');
+  });
+
+  it('only matches deliveries to the same endpoint', async () => {
+    const base44 = mockBase44([event('e1', { created_date: '2024-01-01', status: 'completed', webhook_endpoint_id: 'wh_2' })]);
+    expect(await findDelivery(base44, 'wh_1', 'd1')).toBeNull();
+  });
+});
+
+describe('mapWebhookInput', () => {
+  const context = {
+    payload: { data: { items: [{ id: 'a1' }] }, customer: 'cus_1' },
+    headers: { 'x-event-type': 'order.created' },
+    event_type: 'order.created',
+    webhook_id: 'wh_1',
+    received_at: '2024-01-01T00:00:00.000Z'
+  };
+
+  it('passes the payload through without a mapping', () => {
+    expect(mapWebhookInput(null, context)).toEqual(context.payload);
+  });
+
+  it('reads dotted paths into the mapped fields', () => {
+    expect(mapWebhookInput({ first_item: 'payload.data.items[0].id', event: 'event_type' }, context))
+      .toEqual({ first_item: 'a1', event: 'order.created' });
+  });
+});
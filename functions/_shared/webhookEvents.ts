@@ -0,0 +1,111 @@
+/**
+ * @fileoverview Webhook event runs
+ * @description Shared by webhookListener and replayWebhookEvents. A
+ * WebhookEvent is recorded as `queued` with input mapped from its payload,
+ * then handed to
+ * runWorkflow, which claims it before creating a Run. The listener, manual
+ * replays and the retry sweep can all hand over the same event, so the
+ * claim is what guarantees it starts at most one run. Provider redeliveries
+ * are matched to the first event recorded with their delivery ID.
+ */
+
+/**
+ * Reads a dotted path such as `payload.data.items[0].id`
+ */
+function resolvePath(source, path) {
+  return path
+    .replace(/\[(\d+)\]/g, '.$1')
+    .split('.')
+    .filter(Boolean)
+    .reduce((value, key) => (value === null || value === undefined ? undefined : value[key]), source);
+}
+
+/**
+ * Builds run input from a webhook delivery. `input_mapping` maps input keys
+ * to paths into { payload, headers, event_type, webhook_id, received_at };
+ * non-string values are used as constants. Without a mapping the payload
+ * itself is the input.
+ */
+export function mapWebhookInput(mapping, context) {
+  if (!mapping || Object.keys(mapping).length === 0) {
+    return context.payload;
+  }
+  if (typeof mapping !== 'object' || Array.isArray(mapping)) {
+    throw new Error('input_mapping must be an object');
+  }
+
+  const input = {};
+  for (const [key, source] of Object.entries(mapping)) {
+    const value = typeof source === 'string' ? resolvePath(context, source) : source;
+    if (value !== undefined) {
+      input[key] = value;
+    }
+  }
+  return input;
+}
+
+/**
+ * Moves a queued event to `processing` for the calling run. The claim
+ * stores a fresh token and re-reads the event; only the caller whose token
+ * survived may create a Run, and later callers see the event as processing.
+ */
+export async function claimWebhookEvent(base44, event) {
+  const claim_token = crypto.randomUUID();
+  await base44.asServiceRole.entities.WebhookEvent.update(event.id, {
+    status: 'processing',
+    claim_token,
+    claimed_at: new Date().toISOString()
+  });
+
+  const [claimed] = await base44.asServiceRole.entities.WebhookEvent.filter({ id: event.id });
+  return claimed?.claim_token === claim_token ? claimed : null;
+}
+
+/**
+ * Runs the endpoint's workflow for a queued WebhookEvent and resolves once
+ * runWorkflow returns. Once runWorkflow has claimed the event it marks it
+ * completed or failed itself, including after a wait for approval; an event
+ * that is still queued afterwards never started a run and is failed here so
+ * the retry sweep picks it up.
+ */
+export async function triggerWebhookEvent(base44, webhook, eventId) {
+  const startTime = Date.now();
+  let runState = null;
+  let error = null;
+
+  try {
+    const response = await base44.asServiceRole.functions.invoke('runWorkflow', {
+      workflow_id: webhook.workflow_id,
+      webhook_event_id: eventId
+    });
+    runState = response?.data?.data?.state || null;
+  } catch (err) {
+    error = err.response?.data?.message || err.message;
+  }
+
+  const [event] = await base44.asServiceRole.entities.WebhookEvent.filter({ id: eventId });
+  if (event && event.status !== 'queued') {
+    return { event, runState, error: event.status === 'failed' ? event.error_message || error : null };
+  }
+
+  error ||= 'Workflow run was not started';
+  await base44.asServiceRole.entities.WebhookEvent.update(eventId, {
+    status: 'failed',
+    error_message: error,
+    processing_time_ms: Date.now() - startTime
+  });
+  return { event: { ...event, status: 'failed', error_message: error }, runState, error };
+}
+
+/**
+ * Earliest recorded delivery with this ID. Failed deliveries still count:
+ * replayWebhookEvents retries them, so a provider redelivery must not run
+ * them a second time.
+ */
+export async function findDelivery(base44, webhookId, deliveryId) {
+  const events = await base44.asServiceRole.entities.WebhookEvent.filter(
+    { webhook_endpoint_id: webhookId, delivery_id: deliveryId },
+    'created_date'
+  );
+  return events.find(event => event.status !== 'duplicate') || null;
+}
@@ -0,0 +1,167 @@
+/**
+ * Webhook Signature Tests
+ *
+ * Tests for verifying inbound webhook deliveries and their replay window
+ */
+
+import { describe, it, expect } from 'vitest';
+import { createHmac } from 'node:crypto';
+import { DEFAULT_TOLERANCE_SECONDS, SIGNATURE_SCHEMES } from './webhookSignatures.ts';
+
+const secret = 'shhh';
+const body = JSON.stringify({ id: 'evt_1', type: 'invoice.paid' });
+const payload = JSON.parse(body);
+const now = 1700000000;
+
+const hmac = (key, content, encoding = 'hex') => createHmac('sha256', key).update(content).digest(encoding);
+
+const verify = (scheme, headers, options = {}) => SIGNATURE_SCHEMES[scheme]({
+  secret,
+  body,
+  headers,
+  payload,
+  now,
+  tolerance: DEFAULT_TOLERANCE_SECONDS,
+  requireTimestamp: false,
+  ...options
+});
+
+describe('generic', () => {
+  it('accepts a body signature with or without the sha256= prefix', () => {
+    expect(verify('generic', { 'x-webhook-signature': `sha256=${hmac(secret, body)}`, 'x-webhook-id': 'd1' }))
+      .toEqual({ error: null, deliveryId: 'd1' });
+    expect(verify('generic', { 'x-webhook-signature': hmac(secret, body) }).error).toBeNull();
+  });
+
+  it('signs the timestamp along with the body when one is sent', () => {
+    const timestamp = String(now - 10);
+    expect(verify('generic', { 'x-webhook-signature': hmac(secret, `${timestamp}.${body}`), 'x-webhook-timestamp': timestamp }).error).toBeNull();
+    expect(verify('generic', { 'x-webhook-signature': hmac(secret, body), 'x-webhook-timestamp': timestamp }).error).toBe('Invalid signature');
+  });
+
+  it('requires a timestamp when the endpoint asks for one', () => {
+    expect(verify('generic', { 'x-webhook-signature': hmac(secret, body) }, { requireTimestamp: true }).error)
+      .toBe('Missing or invalid signature timestamp');
+  });
+
+  it('rejects a missing or wrong signature', () => {
+    expect(verify('generic', {}).error).toBe('Missing signature');
+    expect(verify('generic', { 'x-webhook-signature': hmac('other', body) }).error).toBe('Invalid signature');
+  });
+});
+
+describe('github', () => {
+  const headers = (signature) => ({
+    'x-hub-signature-256': signature,
+    'x-github-delivery': 'gh-1',
+    'x-github-event': 'push'
+  });
+
+  it('accepts a known-good signature and reports the delivery and event', () => {
+    expect(verify('github', headers(`sha256=${hmac(secret, body)}`))).toEqual({ error: null, deliveryId: 'gh-1', eventType: 'push' });
+  });
+
+  it('rejects a signature over a different body or without the prefix', () => {
+    expect(verify('github', headers(`sha256=${hmac(secret, `${body} `)}`)).error).toBe('Invalid signature');
+    expect(verify('github', headers(hmac(secret, body))).error).toBe('Missing X-Hub-Signature-256 header');
+  });
+});
+
+describe('stripe', () => {
+  const header = (timestamp, ...keys) =>
+    [`t=${timestamp}`, ...(keys.length ? keys : [secret]).map(key => `v1=${hmac(key, `${timestamp}.${body}`)}`)].join(',');
+
+  it('accepts a known-good signature and uses the event id as the delivery id', () => {
+    expect(verify('stripe', { 'stripe-signature': header(now) })).toEqual({ error: null, deliveryId: 'evt_1' });
+  });
+
+  it('accepts any of several v1 signatures, as sent while a secret is rolled', () => {
+    expect(verify('stripe', { 'stripe-signature': header(now, 'old-secret', secret) }).error).toBeNull();
+  });
+
+  it('rejects a timestamp outside the tolerance window', () => {
+    const expired = now - DEFAULT_TOLERANCE_SECONDS - 1;
+    expect(verify('stripe', { 'stripe-signature': header(expired) }).error)
+      .toBe('Signature timestamp is outside the 300s tolerance window');
+    expect(verify('stripe', { 'stripe-signature': header(now + DEFAULT_TOLERANCE_SECONDS + 1) }).error)
+      .toMatch(/outside the 300s tolerance window/);
+  });
+
+  it('uses the endpoint tolerance', () => {
+    expect(verify('stripe', { 'stripe-signature': header(now - 60) }, { tolerance: 30 }).error)
+      .toBe('Signature timestamp is outside the 30s tolerance window');
+  });
+
+  it('rejects a wrong signature or a missing header', () => {
+    expect(verify('stripe', { 'stripe-signature': header(now, 'other') }).error).toBe('Invalid signature');
+    expect(verify('stripe', {}).error).toBe('Missing Stripe-Signature header');
+  });
+});
+
+describe('slack', () => {
+  const slackPayload = { event_id: 'Ev1', event: { type: 'app_mention' } };
+  const slackBody = JSON.stringify(slackPayload);
+  const headers = (timestamp, key = secret) => ({
+    'x-slack-signature': `v0=${hmac(key, `v0:${timestamp}:${slackBody}`)}`,
+    'x-slack-request-timestamp': String(timestamp)
+  });
+  const verifySlack = (hdrs) => verify('slack', hdrs, { body: slackBody, payload: slackPayload });
+
+  it('accepts a known-good signature and reports the event', () => {
+    expect(verifySlack(headers(now))).toEqual({ error: null, deliveryId: 'Ev1', eventType: 'app_mention' });
+  });
+
+  it('accepts millisecond timestamps', () => {
+    expect(verifySlack(headers(now * 1000)).error).toBeNull();
+  });
+
+  it('rejects an expired timestamp even with a valid signature', () => {
+    expect(verifySlack(headers(now - 3600)).error).toMatch(/outside the 300s tolerance window/);
+  });
+
+  it('rejects a wrong signature or a missing timestamp', () => {
+    expect(verifySlack(headers(now, 'other')).error).toBe('Invalid signature');
+    expect(verifySlack({ 'x-slack-signature': 'v0=abc' }).error).toBe('Missing or invalid signature timestamp');
+  });
+});
+
+describe('svix', () => {
+  const key = Buffer.from('svix-signing-key');
+  const svixSecret = `whsec_${key.toString('base64')}`;
+  const headers = (timestamp, signingKey = key, prefix = 'svix') => ({
+    [`${prefix}-id`]: 'msg_1',
+    [`${prefix}-timestamp`]: String(timestamp),
+    [`${prefix}-signature`]: `v1,${hmac(signingKey, `msg_1.${timestamp}.${body}`, 'base64')}`
+  });
+  const verifySvix = (hdrs, options = {}) => verify('svix', hdrs, { secret: svixSecret, ...options });
+
+  it('accepts a known-good signature and uses the message id as the delivery id', () => {
+    expect(verifySvix(headers(now))).toEqual({ error: null, deliveryId: 'msg_1' });
+  });
+
+  it('accepts the Standard Webhooks headers', () => {
+    expect(verifySvix(headers(now, key, 'webhook')).error).toBeNull();
+  });
+
+  it('accepts any signature in a space-separated list', () => {
+    const hdrs = headers(now);
+    hdrs['svix-signature'] = `v1,bm90LWl0 ${hdrs['svix-signature']}`;
+    expect(verifySvix(hdrs).error).toBeNull();
+  });
+
+  it('rejects an expired timestamp', () => {
+    expect(verifySvix(headers(now - DEFAULT_TOLERANCE_SECONDS - 1)).error).toMatch(/outside the 300s tolerance window/);
+  });
+
+  it('rejects a signature made with another key', () => {
+    expect(verifySvix(headers(now, Buffer.from('other-key'))).error).toBe('Invalid signature');
+  });
+
+  it('rejects a secret that is not base64', () => {
+    expect(verifySvix(headers(now), { secret: 'whsec_not base64!' }).error).toBe('Webhook secret is not a valid whsec_ key');
+  });
+
+  it('rejects missing headers', () => {
+    expect(verifySvix({ 'svix-timestamp': String(now) }).error).toBe('Missing svix-id or svix-signature header');
+  });
+});
@@ -0,0 +1,142 @@
+/**
+ * @fileoverview Webhook signatures
+ * @description Verifies inbound webhook deliveries for webhookListener.
+ * Each scheme checks the provider's HMAC signature and, where the provider
+ * signs one, that the timestamp is within the endpoint's tolerance window,
+ * so a captured delivery cannot be replayed later.
+ */
+
+import { createHmac, timingSafeEqual } from 'node:crypto';
+
+export const DEFAULT_TOLERANCE_SECONDS = 300;
+const encoder = new TextEncoder();
+
+function hmacSha256(key, content, encoding = 'hex') {
+  return createHmac('sha256', key).update(content).digest(encoding);
+}
+
+/**
+ * Constant-time check of a provided signature against the expected one.
+ * Every candidate is compared so timing does not reveal which matched.
+ */
+function signatureMatches(expected, candidates) {
+  const expectedBytes = encoder.encode(expected);
+  let matched = false;
+  for (const candidate of candidates) {
+    const candidateBytes = encoder.encode(candidate || '');
+    if (candidateBytes.length === expectedBytes.length && timingSafeEqual(candidateBytes, expectedBytes)) {
+      matched = true;
+    }
+  }
+  return matched;
+}
+
+function checkTimestamp(timestamp, nowSeconds, toleranceSeconds) {
+  let seconds = Number(timestamp);
+  if (!timestamp || !Number.isFinite(seconds)) {
+    return 'Missing or invalid signature timestamp';
+  }
+  if (seconds > 1e12) seconds /= 1000;
+  if (Math.abs(nowSeconds - seconds) > toleranceSeconds) {
+    return `Signature timestamp is outside the ${toleranceSeconds}s tolerance window`;
+  }
+  return null;
+}
+
+/**
+ * Signature verification presets. Each returns an error message, or null
+ * when the request is authentic, plus the provider's delivery ID and event
+ * type when it sends them.
+ */
+export const SIGNATURE_SCHEMES = {
+  // x-webhook-signature: sha256=<hex>. With x-webhook-timestamp the
+  // signed content is `${timestamp}.${body}`.
+  generic({ secret, body, headers, now, tolerance, requireTimestamp }) {
+    const signature = headers['x-webhook-signature'] || headers['x-hub-signature-256'];
+    if (!signature) return { error: 'Missing signature' };
+
+    const timestamp = headers['x-webhook-timestamp'];
+    if (timestamp || requireTimestamp) {
+      const timestampError = checkTimestamp(timestamp, now, tolerance);
+      if (timestampError) return { error: timestampError };
+    }
+
+    const expected = hmacSha256(secret, timestamp ? `${timestamp}.${body}` : body);
+    return {
+      error: signatureMatches(expected, [signature.replace(/^sha256=/, '')]) ? null : 'Invalid signature',
+      deliveryId: headers['x-webhook-id']
+    };
+  },
+
+  // x-hub-signature-256: sha256=<hex of body>
+  github({ secret, body, headers }) {
+    const signature = headers['x-hub-signature-256'];
+    if (!signature?.startsWith('sha256=')) return { error: 'Missing X-Hub-Signature-256 header' };
+
+    return {
+      error: signatureMatches(`sha256=${hmacSha256(secret, body)}`, [signature]) ? null : 'Invalid signature',
+      deliveryId: headers['x-github-delivery'],
+      eventType: headers['x-github-event']
+    };
+  },
+
+  // Stripe-Signature: t=<ts>,v1=<hex of `${t}.${body}`>[,v1=...]
+  stripe({ secret, body, headers, now, tolerance, payload }) {
+    const parts = (headers['stripe-signature'] || '').split(',').map(part => part.split('='));
+    const timestamp = parts.find(([key]) => key === 't')?.[1];
+    const signatures = parts.filter(([key]) => key === 'v1').map(([, value]) => value);
+    if (!timestamp || signatures.length === 0) return { error: 'Missing Stripe-Signature header' };
+
+    const timestampError = checkTimestamp(timestamp, now, tolerance);
+    if (timestampError) return { error: timestampError };
+
+    return {
+      error: signatureMatches(hmacSha256(secret, `${timestamp}.${body}`), signatures) ? null : 'Invalid signature',
+      deliveryId: payload.id
+    };
+  },
+
+  // X-Slack-Signature: v0=<hex of `v0:${X-Slack-Request-Timestamp}:${body}`>
+  slack({ secret, body, headers, now, tolerance, payload }) {
+    const signature = headers['x-slack-signature'];
+    const timestamp = headers['x-slack-request-timestamp'];
+    if (!signature) return { error: 'Missing X-Slack-Signature header' };
+
+    const timestampError = checkTimestamp(timestamp, now, tolerance);
+    if (timestampError) return { error: timestampError };
+
+    return {
+      error: signatureMatches(`v0=${hmacSha256(secret, `v0:${timestamp}:${body}`)}`, [signature]) ? null : 'Invalid signature',
+      deliveryId: payload.event_id,
+      eventType: payload.event?.type
+    };
+  },
+
+  // svix-signature: v1,<base64 of `${svix-id}.${svix-timestamp}.${body}`>
+  // keyed with the base64 part of a whsec_ secret. The unbranded
+  // webhook-* headers of the Standard Webhooks spec are also accepted.
+  svix({ secret, body, headers, now, tolerance }) {
+    const id = headers['svix-id'] || headers['webhook-id'];
+    const timestamp = headers['svix-timestamp'] || headers['webhook-timestamp'];
+    const signatures = (headers['svix-signature'] || headers['webhook-signature'] || '')
+      .split(' ')
+      .filter(entry => entry.startsWith('v1,'))
+      .map(entry => entry.slice(3));
+    if (!id || signatures.length === 0) return { error: 'Missing svix-id or svix-signature header' };
+
+    const timestampError = checkTimestamp(timestamp, now, tolerance);
+    if (timestampError) return { error: timestampError };
+
+    let key;
+    try {
+      key = Uint8Array.from(atob(secret.replace(/^whsec_/, '')), char => char.charCodeAt(0));
+    } catch {
+      return { error: 'Webhook secret is not a valid whsec_ key' };
+    }
+
+    return {
+      error: signatureMatches(hmacSha256(key, `${id}.${timestamp}.${body}`, 'base64'), signatures) ? null : 'Invalid signature',
+      deliveryId: id
+    };
+  }
+};
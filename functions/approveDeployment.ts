@@ -4,6 +4,7 @@
  */
 
 import { createClientFromRequest } from 'npm:@base44/sdk@0.8.4';
+import { publishPlatformEvent } from './_shared/platformEvents.ts';
 
 Deno.serve(async (req) => {
   try {
@@ -51,6 +52,14 @@ Deno.serve(async (req) => {
       await base44.asServiceRole.entities.ApprovalRequest.update(request_id, {
         status: 'expired'
       });
+      await publishPlatformEvent(base44, 'approval.expired', {
+        approval_request_id: request_id,
+        kind: 'deployment',
+        status: 'expired',
+        workflow_id: request.workflow_id,
+        version: request.version,
+        environment: request.environment
+      }, request.org_id);
       
       return Response.json({
         error: 'Conflict',
@@ -83,6 +92,17 @@ Deno.serve(async (req) => {
       org_id: request.org_id
     });
     
+    await publishPlatformEvent(base44, `approval.${status}`, {
+      approval_request_id: request_id,
+      kind: 'deployment',
+      status,
+      workflow_id: request.workflow_id,
+      version: request.version,
+      environment: request.environment,
+      decided_by: user.email,
+      comments: comments || ''
+    }, request.org_id);
+    
     // If approved, trigger deployment continuation
     if (action === 'approve') {
       // Resume pipeline execution
@@ -0,0 +1,127 @@
+/**
+ * @fileoverview Workflow Step Approval Function
+ * @description Approves or rejects the ApprovalRequest opened by a
+ * human_input node or a require_approval policy, and resumes the waiting
+ * run if there is one. Policy approvals for agents and connectors have no
+ * run; the caller retries with the approved request's id.
+ */
+
+import { createClientFromRequest } from 'npm:@base44/sdk@0.8.4';
+import { publishPlatformEvent } from './_shared/platformEvents.ts';
+
+Deno.serve(async (req) => {
+  try {
+    const base44 = createClientFromRequest(req);
+    const user = await base44.auth.me();
+
+    if (!user || !['admin', 'owner'].includes(user.role)) {
+      return Response.json({
+        error: 'Forbidden',
+        message: 'Only admins and owners can approve workflow steps'
+      }, { status: 403 });
+    }
+
+    const body = await req.json();
+    const { request_id, action, comments } = body;
+
+    if (!request_id || !action || !['approve', 'reject'].includes(action)) {
+      return Response.json({
+        error: 'Validation error',
+        message: 'request_id and action (approve/reject) are required'
+      }, { status: 400 });
+    }
+
+    // Fetch approval request
+    const [request] = await base44.asServiceRole.entities.ApprovalRequest.filter({
+      id: request_id
+    });
+
+    const policyGate = request?.request_data?.policy_gate;
+    if (!request || (!request.run_id && !policyGate) || request.org_id !== user.organization?.id) {
+      return Response.json({
+        error: 'Not found',
+        message: 'Workflow step approval request not found'
+      }, { status: 404 });
+    }
+
+    if (request.status !== 'pending') {
+      return Response.json({
+        error: 'Conflict',
+        message: `Request already ${request.status}`
+      }, { status: 409 });
+    }
+
+    // Expired requests still resume the run so the step fails instead of
+    // waiting forever.
+    const expired = request.expires_at && new Date(request.expires_at) < new Date();
+    const status = expired ? 'expired' : action === 'approve' ? 'approved' : 'rejected';
+
+    await base44.asServiceRole.entities.ApprovalRequest.update(request_id, {
+      status,
+      ...(!expired && {
+        approved_by: user.email,
+        approved_at: new Date().toISOString(),
+        comments: comments || ''
+      })
+    });
+
+    // Create audit entry
+    await base44.asServiceRole.entities.Audit.create({
+      action: expired ? 'expire' : action,
+      entity: 'ApprovalRequest',
+      entity_id: request_id,
+      actor: user.email,
+      severity: 'warning',
+      metadata: {
+        workflow_id: request.workflow_id,
+        run_id: request.run_id,
+        node_id: request.node_id,
+        policy_ids: policyGate?.policy_ids,
+        comments
+      },
+      org_id: request.org_id
+    });
+
+    await publishPlatformEvent(base44, `approval.${status}`, {
+      approval_request_id: request_id,
+      kind: policyGate ? 'policy' : 'workflow_step',
+      status,
+      run_id: request.run_id,
+      workflow_id: request.workflow_id,
+      node_id: request.node_id,
+      step_name: request.step_name,
+      decided_by: expired ? null : user.email,
+      comments: expired ? null : comments || ''
+    }, request.org_id);
+
+    // Resume the run with the approver's session; the human_input node or
+    // policy gate reads the decision from the request
+    const resumed = request.run_id
+      ? await base44.functions.invoke('runWorkflow', { resume_run_id: request.run_id })
+      : null;
+
+    if (expired) {
+      return Response.json({
+        error: 'Conflict',
+        message: 'Request has expired'
+      }, { status: 409 });
+    }
+
+    return Response.json({
+      success: true,
+      request_id,
+      status,
+      run_state: resumed?.data?.data?.state,
+      message: `${policyGate ? 'Policy approval' : 'Workflow step'} ${status}`
+    });
+
+  } catch (error) {
+    console.error('[ApproveWorkflowStep] Error:', error);
+
+    return Response.json({
+      error: 'Approval failed',
+      message: error.message,
+      trace_id: crypto.randomUUID()
+    }, { status: 500 });
+  }
+});
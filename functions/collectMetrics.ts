@@ -1,9 +1,13 @@
 /**
  * @fileoverview Metrics Collection Function
  * @description Collects and stores performance metrics in Prometheus-compatible format.
+ * Metrics sent without `cost_cents` are priced from their token counts.
+ * Budgets are not charged here: executeAgent charges them for the calls it
+ * makes, and this endpoint takes unauthenticated calls.
  */
 
 import { createClientFromRequest } from 'npm:@base44/sdk@0.8.4';
+import { costOf } from './_shared/pricing.ts';
 
 Deno.serve(async (req) => {
   try {
@@ -18,6 +22,7 @@ Deno.serve(async (req) => {
       model,
       prompt_tokens,
       completion_tokens,
+      cached_tokens,
       latency_ms,
       cost_cents,
       status,
@@ -32,16 +37,37 @@ Deno.serve(async (req) => {
       }, { status: 400 });
     }
     
+    const amounts = { cost_cents, prompt_tokens, completion_tokens, cached_tokens };
+    const invalid = Object.keys(amounts).find(key =>
+      amounts[key] !== undefined && amounts[key] !== null && !(Number.isFinite(amounts[key]) && amounts[key] >= 0)
+    );
+    if (invalid) {
+      return Response.json({
+        error: 'Validation error',
+        message: `${invalid} must be a non-negative number`
+      }, { status: 400 });
+    }
+
+    const usage = {
+      prompt_tokens: prompt_tokens || 0,
+      completion_tokens: completion_tokens || 0,
+      cached_tokens: cached_tokens || 0
+    };
+    const priced = cost_cents === undefined || cost_cents === null
+      ? costOf(usage, provider, model, new Date(timestamp))
+      : { cost_cents, price_version: null };
+
     // Create agent metric record
     const metric = await base44.asServiceRole.entities.AgentMetric.create({
       agent_id,
       run_id,
       provider: provider || 'unknown',
       model: model || 'unknown',
-      prompt_tokens: prompt_tokens || 0,
-      completion_tokens: completion_tokens || 0,
+      ...usage,
+      token_source: 'usage',
       latency_ms: latency_ms || 0,
-      cost_cents: cost_cents || 0,
+      cost_cents: priced.cost_cents,
+      price_version: priced.price_version,
       status: status || 'success',
       timestamp,
       request_count: 1,
@@ -50,7 +76,9 @@ Deno.serve(async (req) => {
     
     return Response.json({
       success: true,
-      metric_id: metric.id
+      metric_id: metric.id,
+      cost_cents: priced.cost_cents,
+      price_version: priced.price_version
     });
     
   } catch (error) {
@@ -1,4 +1,5 @@
 import { createClientFromRequest } from 'npm:@base44/sdk@0.8.4';
+import { calculateDiff } from './_shared/specDiff.ts';
 
 Deno.serve(async (req) => {
   try {
@@ -52,79 +53,3 @@ Deno.serve(async (req) => {
     return Response.json({ error: error.message }, { status: 500 });
   }
 });
-
-function calculateDiff(specA, specB) {
-  const nodesA = specA.nodes || [];
-  const nodesB = specB.nodes || [];
-  const edgesA = specA.edges || [];
-  const edgesB = specB.edges || [];
-
-  // Find added, removed, and modified nodes
-  const nodeMapA = new Map(nodesA.map(n => [n.id, n]));
-  const nodeMapB = new Map(nodesB.map(n => [n.id, n]));
-
-  const addedNodes = nodesB.filter(n => !nodeMapA.has(n.id));
-  const removedNodes = nodesA.filter(n => !nodeMapB.has(n.id));
-  const modifiedNodes = [];
-
-  for (const nodeB of nodesB) {
-    const nodeA = nodeMapA.get(nodeB.id);
-    if (nodeA && JSON.stringify(nodeA) !== JSON.stringify(nodeB)) {
-      modifiedNodes.push({
-        id: nodeB.id,
-        before: nodeA,
-        after: nodeB,
-        changes: detectNodeChanges(nodeA, nodeB)
-      });
-    }
-  }
-
-  // Find added and removed edges
-  const edgeKeyA = new Set(edgesA.map(e => `${e.from}-${e.to}`));
-  const edgeKeyB = new Set(edgesB.map(e => `${e.from}-${e.to}`));
-
-  const addedEdges = edgesB.filter(e => !edgeKeyA.has(`${e.from}-${e.to}`));
-  const removedEdges = edgesA.filter(e => !edgeKeyB.has(`${e.from}-${e.to}`));
-
-  return {
-    nodes: {
-      added: addedNodes,
-      removed: removedNodes,
-      modified: modifiedNodes
-    },
-    edges: {
-      added: addedEdges,
-      removed: removedEdges
-    },
-    summary: {
-      total_changes: addedNodes.length + removedNodes.length + modifiedNodes.length + addedEdges.length + removedEdges.length,
-      nodes_added: addedNodes.length,
-      nodes_removed: removedNodes.length,
-      nodes_modified: modifiedNodes.length,
-      edges_added: addedEdges.length,
-      edges_removed: removedEdges.length
-    }
-  };
-}
-
-function detectNodeChanges(nodeA, nodeB) {
-  const changes = [];
-
-  if (nodeA.label !== nodeB.label) {
-    changes.push({ field: 'label', before: nodeA.label, after: nodeB.label });
-  }
-
-  if (nodeA.type !== nodeB.type) {
-    changes.push({ field: 'type', before: nodeA.type, after: nodeB.type });
-  }
-
-  if (JSON.stringify(nodeA.config) !== JSON.stringify(nodeB.config)) {
-    changes.push({ field: 'config', before: nodeA.config, after: nodeB.config });
-  }
-
-  if (JSON.stringify(nodeA.position) !== JSON.stringify(nodeB.position)) {
-    changes.push({ field: 'position', before: nodeA.position, after: nodeB.position });
-  }
-
-  return changes;
-}
\ No newline at end of file
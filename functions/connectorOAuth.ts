@@ -0,0 +1,272 @@
+/**
+ * @fileoverview Connector OAuth2 Authorization
+ * @description Runs the OAuth2 authorization-code flow with PKCE for
+ * connector installations and keeps their tokens in the credential vault.
+ *
+ * `{ action: 'authorize', installation_id, redirect_uri }` starts the flow
+ * and returns the provider's authorization URL. The PKCE verifier is kept
+ * encrypted on the installation for ten minutes; the state parameter names
+ * the installation and carries a one-time nonce.
+ *
+ * `{ action: 'callback', state, code }` is called by the page the provider
+ * redirects back to. It checks the state, exchanges the code together with
+ * the verifier, encrypts the tokens onto the installation and activates it.
+ *
+ * `{ action: 'refresh', installation_id }` refreshes the access token now.
+ * invokeConnector and validateConnector refresh on their own when the token
+ * is about to expire.
+ */
+
+import { createClientFromRequest } from 'npm:@base44/sdk@0.8.6';
+import { createHash, randomBytes, timingSafeEqual } from 'node:crypto';
+import { Buffer } from 'node:buffer';
+import { VaultError, decryptCredentials, encryptCredentials, loadCredentials, vaultContext } from './_shared/vault.ts';
+import { OAuthError, oauthClient, refreshAccessToken, requestToken, saveTokens } from './_shared/oauthTokens.ts';
+
+const AUTHORIZATION_TTL_MS = 10 * 60 * 1000;
+
+function base64url(buffer) {
+  return buffer.toString('base64').replace(/\+/g, '-').replace(/\//g, '_').replace(/=/g, '');
+}
+
+function hashState(nonce) {
+  return createHash('sha256').update(nonce).digest('hex');
+}
+
+function sessionContext(installationId) {
+  return `${vaultContext('ConnectorInstallation', installationId)}:oauth_session`;
+}
+
+async function loadInstallation(base44, installationId) {
+  const [installation] = await base44.entities.ConnectorInstallation.filter({ id: installationId });
+  if (!installation) return {};
+  const [connector] = await base44.entities.ConnectorDefinition.filter({ id: installation.connector_id });
+  return { installation, connector };
+}
+
+async function startAuthorization(base44, user, body) {
+  if (!body.installation_id || !body.redirect_uri) {
+    return { status: 422, code: 'VALIDATION_ERROR', message: 'installation_id and redirect_uri are required' };
+  }
+
+  const { installation, connector } = await loadInstallation(base44, body.installation_id);
+  if (!installation || !connector) {
+    return { status: 404, code: 'NOT_FOUND', message: 'Installation not found' };
+  }
+  if (connector.auth_type !== 'oauth2') {
+    return { status: 422, code: 'VALIDATION_ERROR', message: `${connector.name} does not use OAuth2` };
+  }
+
+  const client = oauthClient(connector, loadCredentials('ConnectorInstallation', installation));
+  if (!client.authorizeUrl || !client.tokenUrl) {
+    return { status: 422, code: 'VALIDATION_ERROR', message: `${connector.name} has no OAuth2 authorize or token URL configured` };
+  }
+  if (!client.clientId) {
+    return { status: 422, code: 'VALIDATION_ERROR', message: 'A client ID is required to authorize this connector' };
+  }
+
+  const verifier = base64url(randomBytes(32));
+  const nonce = base64url(randomBytes(24));
+  const expiresAt = new Date(Date.now() + AUTHORIZATION_TTL_MS).toISOString();
+
+  await base44.asServiceRole.entities.ConnectorInstallation.update(installation.id, {
+    oauth_session: {
+      state_hash: hashState(nonce),
+      verifier: encryptCredentials({ code_verifier: verifier }, sessionContext(installation.id)),
+      redirect_uri: body.redirect_uri,
+      started_by: user.email,
+      expires_at: expiresAt
+    }
+  });
+
+  const params = new URLSearchParams({
+    response_type: 'code',
+    client_id: client.clientId,
+    redirect_uri: body.redirect_uri,
+    state: `${installation.id}.${nonce}`,
+    code_challenge: base64url(createHash('sha256').update(verifier).digest()),
+    code_challenge_method: 'S256'
+  });
+  if (client.scopes.length > 0) {
+    params.set('scope', client.scopes.join(' '));
+  }
+
+  return {
+    data: {
+      authorization_url: `${client.authorizeUrl}?${params.toString()}`,
+      expires_at: expiresAt
+    }
+  };
+}
+
+async function completeAuthorization(base44, user, body) {
+  const [installationId, nonce] = String(body.state || '').split('.');
+  if (!installationId || !nonce) {
+    return { status: 400, code: 'INVALID_STATE', message: 'Missing or malformed state' };
+  }
+
+  const { installation, connector } = await loadInstallation(base44, installationId);
+  const session = installation?.oauth_session;
+  if (!installation || !connector || !session) {
+    return { status: 400, code: 'INVALID_STATE', message: 'No authorization is in progress for this installation' };
+  }
+
+  const expected = Buffer.from(session.state_hash, 'hex');
+  const actual = Buffer.from(hashState(nonce), 'hex');
+  if (expected.length !== actual.length || !timingSafeEqual(expected, actual)) {
+    return { status: 400, code: 'INVALID_STATE', message: 'State does not match the authorization in progress' };
+  }
+
+  // The session is single use whatever happens next
+  await base44.asServiceRole.entities.ConnectorInstallation.update(installation.id, { oauth_session: null });
+
+  if (new Date(session.expires_at) < new Date()) {
+    return { status: 400, code: 'INVALID_STATE', message: 'The authorization expired, start again' };
+  }
+  if (body.error) {
+    await base44.asServiceRole.entities.ConnectorInstallation.update(installation.id, {
+      error_message: `Authorization denied: ${body.error_description || body.error}`
+    });
+    return { status: 400, code: 'OAUTH_DENIED', message: body.error_description || body.error };
+  }
+  if (!body.code) {
+    return { status: 422, code: 'VALIDATION_ERROR', message: 'code is required' };
+  }
+
+  const credentials = loadCredentials('ConnectorInstallation', installation);
+  const { code_verifier } = decryptCredentials(session.verifier, sessionContext(installation.id));
+  let tokens;
+  try {
+    tokens = await requestToken(oauthClient(connector, credentials), {
+      grant_type: 'authorization_code',
+      code: body.code,
+      redirect_uri: session.redirect_uri,
+      code_verifier
+    });
+  } catch (error) {
+    await base44.asServiceRole.entities.ConnectorInstallation.update(installation.id, {
+      error_message: `Authorization failed: ${error.message}`
+    });
+    throw error;
+  }
+
+  const now = new Date().toISOString();
+  const stored = await saveTokens(base44, installation, credentials, tokens, {
+    credentials_updated_at: now,
+    authorized_by: user.email,
+    authorized_at: now
+  });
+
+  await base44.asServiceRole.entities.Audit.create({
+    action: 'authorize_connector',
+    entity: 'ConnectorInstallation',
+    entity_id: installation.id,
+    actor: user.email,
+    severity: 'info',
+    metadata: {
+      connector_id: connector.id,
+      scope: stored.scope || null,
+      refreshable: Boolean(stored.refreshToken)
+    },
+    org_id: installation.org_id
+  });
+
+  const [updated] = await base44.asServiceRole.entities.ConnectorInstallation.filter({ id: installation.id });
+  return {
+    data: {
+      installation_id: installation.id,
+      status: 'active',
+      scope: stored.scope || null,
+      token_expires_at: updated?.token_expires_at || null
+    }
+  };
+}
+
+async function forceRefresh(base44, body) {
+  if (!body.installation_id) {
+    return { status: 422, code: 'VALIDATION_ERROR', message: 'installation_id is required' };
+  }
+
+  const { installation, connector } = await loadInstallation(base44, body.installation_id);
+  if (!installation || !connector) {
+    return { status: 404, code: 'NOT_FOUND', message: 'Installation not found' };
+  }
+  if (connector.auth_type !== 'oauth2') {
+    return { status: 422, code: 'VALIDATION_ERROR', message: `${connector.name} does not use OAuth2` };
+  }
+
+  await refreshAccessToken(base44, installation, connector, loadCredentials('ConnectorInstallation', installation));
+  const [updated] = await base44.asServiceRole.entities.ConnectorInstallation.filter({ id: installation.id });
+  return {
+    data: {
+      installation_id: installation.id,
+      status: updated?.status,
+      token_expires_at: updated?.token_expires_at || null
+    }
+  };
+}
+
+Deno.serve(async (req) => {
+  const trace_id = crypto.randomUUID();
+
+  try {
+    const base44 = createClientFromRequest(req);
+    const user = await base44.auth.me();
+
+    if (!user) {
+      return Response.json({
+        code: 'UNAUTHORIZED',
+        message: 'Authentication required',
+        retryable: false,
+        trace_id
+      }, { status: 401 });
+    }
+
+    const body = await req.json().catch(() => ({}));
+    const handlers = {
+      authorize: () => startAuthorization(base44, user, body),
+      callback: () => completeAuthorization(base44, user, body),
+      refresh: () => forceRefresh(base44, body)
+    };
+
+    if (!handlers[body.action]) {
+      return Response.json({
+        code: 'VALIDATION_ERROR',
+        message: 'action must be authorize, callback or refresh',
+        retryable: false,
+        trace_id
+      }, { status: 422 });
+    }
+
+    const result = await handlers[body.action]();
+    if (!result.data) {
+      return Response.json({
+        code: result.code,
+        message: result.message,
+        retryable: false,
+        trace_id
+      }, { status: result.status });
+    }
+    return Response.json({ success: true, data: result.data });
+
+  } catch (error) {
+    if (error instanceof OAuthError) {
+      const unavailable = error.code === 'OAUTH_UNAVAILABLE';
+      return Response.json({
+        code: error.code,
+        message: error.message,
+        retryable: unavailable,
+        trace_id
+      }, { status: unavailable ? 502 : error.code === 'NEEDS_REAUTH' ? 401 : 400 });
+    }
+
+    console.error('[ConnectorOAuth] Error:', error);
+    const vaultError = error instanceof VaultError;
+    return Response.json({
+      code: vaultError ? error.code : 'SERVER_ERROR',
+      message: error.message,
+      retryable: !vaultError,
+      trace_id
+    }, { status: 500 });
+  }
+});
@@ -0,0 +1,481 @@
+/**
+ * @fileoverview Outbound Webhook Delivery
+ * @description Sends platform events to WebhookSubscription URLs.
+ *
+ * Functions that emit platform events queue a pending WebhookDelivery per
+ * matching subscription and call `{ action: 'deliver', delivery_ids }`.
+ * `{ action: 'retry_due' }` is the retry sweep, intended to be invoked every
+ * minute by a scheduled automation. It sends retries that are due and any
+ * queued delivery the immediate call missed.
+ *
+ * Subscriptions are saved through `{ action: 'save_subscription' }` so their
+ * URL can be checked, and every send checks it again: only public http(s)
+ * hosts are called. Each send first claims its delivery, so the immediate
+ * send and the sweep never post the same attempt twice.
+ *
+ * Payloads are signed in `X-Archon-Signature` as `t=<unix>,v1=<hex>` with
+ * HMAC-SHA256 over `<t>.<body>`. After `rotate_secret` the previous secret
+ * stays valid for a grace period and its signature is sent alongside, so
+ * receivers can switch secrets without dropping deliveries.
+ *
+ * `{ action: 'test', subscription_id }` sends a `webhook.test` event
+ * immediately and returns the outcome.
+ */
+
+import { createClientFromRequest } from 'npm:@base44/sdk@0.8.4';
+import { createHmac } from 'node:crypto';
+import { UnsafeUrlError, assertPublicUrl } from './_shared/outboundUrl.ts';
+
+const DEFAULT_RETRY_POLICY = {
+  max_attempts: 5,
+  base_delay_seconds: 30,
+  max_delay_seconds: 3600
+};
+const DELIVERY_TIMEOUT_MS = 10000;
+const SECRET_GRACE_HOURS = 24;
+const SWEEP_LIMIT = 50;
+// Queued deliveries younger than this are left to the immediate send
+const SWEEP_PENDING_AFTER_MS = 60 * 1000;
+// A claim older than this belongs to a send that never finished
+const STALE_CLAIM_MS = 5 * 60 * 1000;
+const MAX_RESPONSE_BODY = 1000;
+
+function generateSecret() {
+  return crypto.randomUUID().replace(/-/g, '') + crypto.randomUUID().replace(/-/g, '');
+}
+
+function retryPolicy(subscription) {
+  return { ...DEFAULT_RETRY_POLICY, ...(subscription?.retry_policy || {}) };
+}
+
+/**
+ * Exponential backoff with +/-20% jitter. A Retry-After from the receiver
+ * is honoured when it asks for longer.
+ */
+function retryDelayMs(policy, retryCount, retryAfter) {
+  const delay = Math.min(policy.base_delay_seconds * 2 ** retryCount, policy.max_delay_seconds) * 1000;
+  const jittered = Math.round(delay * (0.8 + Math.random() * 0.4));
+  const seconds = Number(retryAfter);
+  if (Number.isFinite(seconds) && seconds > 0) {
+    return Math.max(jittered, Math.min(seconds, policy.max_delay_seconds) * 1000);
+  }
+  const date = retryAfter ? Date.parse(retryAfter) : NaN;
+  return Number.isFinite(date) ? Math.max(jittered, Math.min(date - Date.now(), policy.max_delay_seconds * 1000)) : jittered;
+}
+
+/**
+ * The current secret first, then previous secrets still inside their grace
+ * period
+ */
+function signingSecrets(subscription, now) {
+  const previous = (subscription.previous_secrets || [])
+    .filter(entry => entry.secret && new Date(entry.expires_at) > now)
+    .map(entry => entry.secret);
+  return [subscription.secret, ...previous].filter(Boolean);
+}
+
+function signPayload(secrets, timestamp, body) {
+  const signatures = secrets.map(secret =>
+    `v1=${createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`
+  );
+  return [`t=${timestamp}`, ...signatures].join(',');
+}
+
+function isRetryable(statusCode) {
+  return statusCode === null || statusCode === 408 || statusCode === 429 || statusCode >= 500;
+}
+
+/**
+ * POSTs one delivery and records the attempt. Network errors, timeouts,
+ * 408, 429 and 5xx responses are retried until `max_attempts` attempts have
+ * been made; other responses, and URLs that are not public, fail the
+ * delivery. Test deliveries are never retried.
+ */
+async function attemptDelivery(base44, delivery, subscription) {
+  const now = new Date();
+  const body = JSON.stringify(delivery.payload);
+  const timestamp = Math.floor(now.getTime() / 1000);
+  const startTime = Date.now();
+  let statusCode = null;
+  let responseBody = null;
+  let retryAfter = null;
+  let error = null;
+  let blocked = false;
+
+  try {
+    await assertPublicUrl(subscription.url);
+    const response = await fetch(subscription.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'Archon-Webhooks/1.0',
+        'X-Archon-Event': delivery.event,
+        'X-Archon-Delivery': delivery.id,
+        'X-Archon-Signature': signPayload(signingSecrets(subscription, now), timestamp, body)
+      },
+      body,
+      redirect: 'manual',
+      signal: AbortSignal.timeout(DELIVERY_TIMEOUT_MS)
+    });
+    statusCode = response.status;
+    retryAfter = response.headers.get('retry-after');
+    responseBody = (await response.text()).slice(0, MAX_RESPONSE_BODY);
+    if (!response.ok) {
+      error = `HTTP ${statusCode}`;
+    }
+  } catch (err) {
+    blocked = err instanceof UnsafeUrlError;
+    error = err.name === 'TimeoutError' ? `Timed out after ${DELIVERY_TIMEOUT_MS}ms` : err.message;
+  }
+
+  const attemptCount = (delivery.attempt_count || 0) + 1;
+  const policy = retryPolicy(subscription);
+  let outcome;
+  if (!error) {
+    outcome = { status: 'delivered', delivered_at: new Date().toISOString(), next_attempt_at: null };
+  } else if (!blocked && !delivery.is_test && isRetryable(statusCode) && attemptCount < policy.max_attempts) {
+    const delay = retryDelayMs(policy, attemptCount - 1, retryAfter);
+    outcome = { status: 'retrying', next_attempt_at: new Date(Date.now() + delay).toISOString() };
+  } else {
+    outcome = { status: 'failed', next_attempt_at: null };
+  }
+
+  const attempt = {
+    attempted_at: now.toISOString(),
+    status_code: statusCode,
+    duration_ms: Date.now() - startTime,
+    error
+  };
+  await base44.asServiceRole.entities.WebhookDelivery.update(delivery.id, {
+    ...outcome,
+    attempt_count: attemptCount,
+    attempts: [...(delivery.attempts || []), attempt],
+    response_status: statusCode,
+    response_body: responseBody,
+    last_error: error
+  });
+
+  if (!delivery.is_test) {
+    await base44.asServiceRole.entities.WebhookSubscription.update(subscription.id, {
+      last_delivery_at: now.toISOString(),
+      last_delivery_status: outcome.status,
+      consecutive_failures: outcome.status === 'delivered'
+        ? 0
+        : (subscription.consecutive_failures || 0) + (outcome.status === 'failed' ? 1 : 0)
+    });
+  }
+
+  return {
+    delivery_id: delivery.id,
+    event: delivery.event,
+    status: outcome.status,
+    status_code: statusCode,
+    attempt: attemptCount,
+    next_attempt_at: outcome.next_attempt_at,
+    error
+  };
+}
+
+function isClaimable(delivery, now) {
+  if (delivery.status === 'pending') return true;
+  if (delivery.status === 'retrying') return new Date(delivery.next_attempt_at) <= now;
+  return delivery.status === 'sending' && now.getTime() - new Date(delivery.claimed_at).getTime() >= STALE_CLAIM_MS;
+}
+
+/**
+ * Moves a due delivery to `sending` for this invocation. The claim stores a
+ * fresh token and re-reads the delivery; only the caller whose token
+ * survived sends it, and later callers see it as sending.
+ */
+async function claimDelivery(base44, deliveryId, now) {
+  const [current] = await base44.asServiceRole.entities.WebhookDelivery.filter({ id: deliveryId });
+  if (!current || !isClaimable(current, now)) return null;
+
+  const claim_token = crypto.randomUUID();
+  await base44.asServiceRole.entities.WebhookDelivery.update(deliveryId, {
+    status: 'sending',
+    claim_token,
+    claimed_at: now.toISOString()
+  });
+
+  const [claimed] = await base44.asServiceRole.entities.WebhookDelivery.filter({ id: deliveryId });
+  return claimed?.claim_token === claim_token ? claimed : null;
+}
+
+/**
+ * Claims and sends deliveries whose subscription still exists and is
+ * enabled; the rest are failed without a request. Deliveries another
+ * invocation claimed first are skipped.
+ */
+async function sendDeliveries(base44, candidates, now) {
+  const subscriptions = new Map();
+  const results = [];
+
+  for (const candidate of candidates) {
+    const delivery = await claimDelivery(base44, candidate.id, now).catch(error => {
+      console.error(`[DeliverWebhooks] Claiming delivery ${candidate.id} failed:`, error);
+      return null;
+    });
+    if (!delivery) continue;
+
+    try {
+      if (!subscriptions.has(delivery.subscription_id)) {
+        const [subscription] = await base44.asServiceRole.entities.WebhookSubscription.filter({
+          id: delivery.subscription_id
+        });
+        subscriptions.set(delivery.subscription_id, subscription || null);
+      }
+      const subscription = subscriptions.get(delivery.subscription_id);
+
+      if (!subscription?.enabled) {
+        const error = subscription ? 'Subscription disabled' : 'Subscription deleted';
+        await base44.asServiceRole.entities.WebhookDelivery.update(delivery.id, {
+          status: 'failed',
+          next_attempt_at: null,
+          last_error: error
+        });
+        results.push({ delivery_id: delivery.id, event: delivery.event, status: 'failed', error });
+        continue;
+      }
+
+      const result = await attemptDelivery(base44, delivery, subscription);
+      // Keep the cached stats current for later deliveries in this batch
+      subscriptions.set(subscription.id, {
+        ...subscription,
+        consecutive_failures: result.status === 'delivered'
+          ? 0
+          : (subscription.consecutive_failures || 0) + (result.status === 'failed' ? 1 : 0)
+      });
+      results.push(result);
+    } catch (error) {
+      console.error(`[DeliverWebhooks] Delivery ${delivery.id} failed:`, error);
+      results.push({ delivery_id: delivery.id, event: delivery.event, status: 'error', error: error.message });
+    }
+  }
+
+  return results;
+}
+
+async function sweepDue(base44, now) {
+  const [retrying, pending, sending] = await Promise.all([
+    base44.asServiceRole.entities.WebhookDelivery.filter({ status: 'retrying' }, 'next_attempt_at', SWEEP_LIMIT),
+    base44.asServiceRole.entities.WebhookDelivery.filter({ status: 'pending' }, 'created_date', SWEEP_LIMIT),
+    base44.asServiceRole.entities.WebhookDelivery.filter({ status: 'sending' }, 'claimed_at', SWEEP_LIMIT)
+  ]);
+
+  const due = [
+    ...retrying.filter(delivery => isClaimable(delivery, now)),
+    ...pending.filter(delivery => now.getTime() - new Date(delivery.created_date).getTime() >= SWEEP_PENDING_AFTER_MS),
+    ...sending.filter(delivery => isClaimable(delivery, now))
+  ];
+  return sendDeliveries(base44, due.slice(0, SWEEP_LIMIT), now);
+}
+
+async function loadSubscription(base44, subscriptionId) {
+  if (!subscriptionId) return null;
+  // User-scoped read so subscriptions outside the caller's organization
+  // are not found
+  const [subscription] = await base44.entities.WebhookSubscription.filter({ id: subscriptionId });
+  return subscription || null;
+}
+
+async function sendTestEvent(base44, user, subscription) {
+  const event_id = crypto.randomUUID();
+  const delivery = await base44.asServiceRole.entities.WebhookDelivery.create({
+    subscription_id: subscription.id,
+    event: 'webhook.test',
+    event_id,
+    payload: {
+      id: event_id,
+      event: 'webhook.test',
+      timestamp: new Date().toISOString(),
+      data: {
+        message: 'Test event from Archon',
+        subscription_id: subscription.id,
+        sent_by: user.email
+      }
+    },
+    // Claimed from the start; it is sent right away, never by the sweep
+    status: 'sending',
+    claimed_at: new Date().toISOString(),
+    attempt_count: 0,
+    is_test: true,
+    org_id: subscription.org_id
+  });
+  return attemptDelivery(base44, delivery, subscription);
+}
+
+const SUBSCRIPTION_FIELDS = ['name', 'url', 'events', 'enabled', 'retry_policy'];
+
+/**
+ * Creates or updates a subscription once its URL is known to be public.
+ * Writes go through the caller's scope and into their organization.
+ */
+async function saveSubscription(base44, user, body) {
+  const input = body.subscription || {};
+  await assertPublicUrl(input.url);
+
+  const fields = Object.fromEntries(
+    SUBSCRIPTION_FIELDS.filter(field => input[field] !== undefined).map(field => [field, input[field]])
+  );
+
+  if (body.subscription_id) {
+    const existing = await loadSubscription(base44, body.subscription_id);
+    if (!existing) return null;
+    await base44.entities.WebhookSubscription.update(existing.id, fields);
+    return { ...existing, ...fields };
+  }
+
+  return base44.entities.WebhookSubscription.create({
+    ...fields,
+    secret: typeof input.secret === 'string' && input.secret.length >= 32 ? input.secret : generateSecret(),
+    org_id: user.organization?.id
+  });
+}
+
+async function rotateSecret(base44, user, subscription, graceHours) {
+  const now = new Date();
+  const expires_at = new Date(now.getTime() + graceHours * 60 * 60 * 1000).toISOString();
+  const secret = generateSecret();
+  const previous_secrets = [
+    ...(subscription.secret ? [{ secret: subscription.secret, expires_at }] : []),
+    ...(subscription.previous_secrets || []).filter(entry => new Date(entry.expires_at) > now)
+  ];
+
+  await base44.asServiceRole.entities.WebhookSubscription.update(subscription.id, {
+    secret,
+    previous_secrets,
+    secret_rotated_at: now.toISOString()
+  });
+
+  await base44.asServiceRole.entities.Audit.create({
+    action: 'rotate_secret',
+    entity: 'WebhookSubscription',
+    entity_id: subscription.id,
+    actor: user.email,
+    severity: 'warning',
+    metadata: { previous_secret_expires_at: expires_at },
+    org_id: subscription.org_id
+  });
+
+  return { subscription_id: subscription.id, secret, previous_secret_expires_at: expires_at };
+}
+
+Deno.serve(async (req) => {
+  const trace_id = crypto.randomUUID();
+
+  try {
+    const base44 = createClientFromRequest(req);
+    const body = await req.json().catch(() => ({}));
+    const now = new Date();
+
+    // Allow scheduled invocations (no auth required for internal calls).
+    // Both actions only send deliveries that were already queued.
+    if (body.action === 'retry_due') {
+      const results = await sweepDue(base44, now);
+      return Response.json({
+        success: true,
+        data: {
+          sent: results.length,
+          delivered: results.filter(r => r.status === 'delivered').length,
+          retrying: results.filter(r => r.status === 'retrying').length,
+          failed: results.filter(r => r.status === 'failed' || r.status === 'error').length,
+          results,
+          timestamp: now.toISOString()
+        }
+      });
+    }
+
+    if (body.action === 'deliver') {
+      const ids = Array.isArray(body.delivery_ids) ? body.delivery_ids.slice(0, SWEEP_LIMIT) : [];
+      const deliveries = [];
+      for (const id of ids) {
+        const [delivery] = await base44.asServiceRole.entities.WebhookDelivery.filter({ id });
+        if (delivery?.status === 'pending') {
+          deliveries.push(delivery);
+        }
+      }
+      const results = await sendDeliveries(base44, deliveries, now);
+      return Response.json({ success: true, data: { results } });
+    }
+
+    const user = await base44.auth.me();
+    if (!user) {
+      return Response.json({
+        code: 'UNAUTHORIZED',
+        message: 'Authentication required',
+        retryable: false,
+        trace_id
+      }, { status: 401 });
+    }
+
+    if (body.action === 'save_subscription') {
+      let saved;
+      try {
+        saved = await saveSubscription(base44, user, body);
+      } catch (error) {
+        if (!(error instanceof UnsafeUrlError)) throw error;
+        return Response.json({
+          code: 'VALIDATION_ERROR',
+          message: `Subscription URL rejected: ${error.message}`,
+          retryable: false,
+          trace_id
+        }, { status: 422 });
+      }
+      if (!saved) {
+        return Response.json({
+          code: 'NOT_FOUND',
+          message: 'Webhook subscription not found',
+          retryable: false,
+          trace_id
+        }, { status: 404 });
+      }
+      return Response.json({ success: true, data: { subscription_id: saved.id } });
+    }
+
+    if (!['test', 'rotate_secret'].includes(body.action)) {
+      return Response.json({
+        code: 'VALIDATION_ERROR',
+        message: 'action must be deliver, retry_due, save_subscription, test or rotate_secret',
+        retryable: false,
+        trace_id
+      }, { status: 422 });
+    }
+
+    const subscription = await loadSubscription(base44, body.subscription_id);
+    if (!subscription) {
+      return Response.json({
+        code: 'NOT_FOUND',
+        message: 'Webhook subscription not found',
+        retryable: false,
+        trace_id
+      }, { status: 404 });
+    }
+
+    if (body.action === 'test') {
+      const result = await sendTestEvent(base44, user, subscription);
+      return Response.json({ success: result.status === 'delivered', data: result });
+    }
+
+    const graceHours = Number(body.grace_hours ?? SECRET_GRACE_HOURS);
+    if (!Number.isFinite(graceHours) || graceHours < 0 || graceHours > 24 * 30) {
+      return Response.json({
+        code: 'VALIDATION_ERROR',
+        message: 'grace_hours must be between 0 and 720',
+        retryable: false,
+        trace_id
+      }, { status: 422 });
+    }
+
+    return Response.json({ success: true, data: await rotateSecret(base44, user, subscription, graceHours) });
+
+  } catch (error) {
+    console.error('[DeliverWebhooks] Error:', error);
+    return Response.json({
+      code: 'SERVER_ERROR',
+      message: error.message,
+      retryable: true,
+      trace_id
+    }, { status: 500 });
+  }
+});
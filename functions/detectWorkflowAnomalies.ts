@@ -1,4 +1,5 @@
 import { createClientFromRequest } from 'npm:@base44/sdk@0.8.6';
+import { publishPlatformEvent } from './_shared/platformEvents.ts';
 
 /**
  * AI-Powered Anomaly Detection
@@ -186,15 +187,23 @@ Deno.serve(async (req) => {
 
     // Save anomalies
     for (const anomaly of anomalies) {
-      await base44.asServiceRole.entities.WorkflowAnomaly.create({
+      const record = await base44.asServiceRole.entities.WorkflowAnomaly.create({
         ...anomaly,
         org_id: user.organization.id,
       });
+      await publishPlatformEvent(base44, 'anomaly.detected', {
+        anomaly_id: record.id,
+        workflow_id,
+        run_id,
+        anomaly_type: anomaly.anomaly_type,
+        severity_score: anomaly.severity_score,
+        detected_at: anomaly.detected_at,
+      }, user.organization.id);
     }
 
     // Create alert if critical
     if (anomalies.some(a => a.severity_score > 0.8)) {
-      await base44.asServiceRole.entities.Alert.create({
+      const alert = await base44.asServiceRole.entities.Alert.create({
         alert_type: 'anomaly_detected',
         severity: 'high',
         title: 'Critical Workflow Anomaly Detected',
@@ -207,6 +216,13 @@ Deno.serve(async (req) => {
         status: 'active',
         org_id: user.organization.id,
       });
+      await publishPlatformEvent(base44, 'alert.created', {
+        alert_id: alert.id,
+        alert_type: alert.alert_type,
+        severity: alert.severity,
+        title: alert.title,
+        metadata: alert.metadata,
+      }, user.organization.id);
     }
 
     return Response.json({
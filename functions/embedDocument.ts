@@ -1,10 +1,18 @@
 import { createClientFromRequest } from 'npm:@base44/sdk@0.8.6';
+import { createEmbeddingProvider } from './_shared/embeddings.ts';
+import { fetchPublicUrl } from './_shared/outboundUrl.ts';
+import { createVectorStore } from './_shared/vectorStore.ts';
 
 /**
  * Generate embeddings for a document and store in vector database
- * Supports multiple chunking strategies and vector providers
+ * Parses text, Markdown, HTML, code, PDF and DOCX documents and supports
+ * multiple chunking strategies, embedding providers and vector providers.
+ * `{ knowledge_base_id, action: 'reembed' }` re-embeds every document of a
+ * knowledge base after its embedding model changes.
  */
 Deno.serve(async (req) => {
+  let document_id;
+
   try {
     const base44 = createClientFromRequest(req);
     const user = await base44.auth.me();
@@ -13,14 +21,24 @@ Deno.serve(async (req) => {
       return Response.json({ error: 'Unauthorized' }, { status: 401 });
     }
 
-    const { document_id, knowledge_base_id } = await req.json();
+    const body = await req.json();
+    document_id = body.document_id;
+    const { knowledge_base_id, action } = body;
     
-    if (!document_id || !knowledge_base_id) {
+    if (!knowledge_base_id || (!document_id && action !== 'reembed')) {
       return Response.json({ 
-        error: 'document_id and knowledge_base_id are required' 
+        error: 'knowledge_base_id and either document_id or action: reembed are required' 
       }, { status: 400 });
     }
 
+    if (action === 'reembed') {
+      const kbs = await base44.asServiceRole.entities.KnowledgeBase.filter({ id: knowledge_base_id });
+      if (!kbs.length || kbs[0].org_id !== user.organization?.id) {
+        return Response.json({ error: 'KnowledgeBase not found' }, { status: 404 });
+      }
+      return Response.json(await reembedKnowledgeBase(base44, kbs[0]));
+    }
+
     // Fetch document and knowledge base
     const [docs, kbs] = await Promise.all([
       base44.asServiceRole.entities.Document.filter({ id: document_id }),
@@ -33,83 +51,37 @@ Deno.serve(async (req) => {
 
     const document = docs[0];
     const kb = kbs[0];
+    const wasIndexed = document.status === 'indexed';
+    const embedder = createEmbeddingProvider(kb.vector_config);
 
-    // Update document status to processing
-    await base44.asServiceRole.entities.Document.update(document_id, {
-      status: 'processing'
-    });
-
-    // Chunk the document
-    const chunks = chunkDocument(
-      document.content, 
-      kb.chunking_config || { strategy: 'semantic', chunk_size: 1000, chunk_overlap: 200 }
-    );
-
-    // Generate embeddings for each chunk
-    const OPENAI_API_KEY = Deno.env.get('OPENAI_API_KEY');
-    if (!OPENAI_API_KEY) {
-      throw new Error('OPENAI_API_KEY not configured');
-    }
-
-    const embeddingModel = kb.vector_config.embedding_model || 'text-embedding-3-small';
-    const embeddings = [];
-
-    for (const chunk of chunks) {
-      const response = await fetch('https://api.openai.com/v1/embeddings', {
-        method: 'POST',
-        headers: {
-          'Authorization': `Bearer ${OPENAI_API_KEY}`,
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({
-          model: embeddingModel,
-          input: chunk.text,
-        }),
-      });
-
-      if (!response.ok) {
-        throw new Error(`OpenAI API error: ${response.statusText}`);
-      }
-
-      const data = await response.json();
-      embeddings.push({
-        id: `${document_id}_chunk_${chunk.index}`,
-        values: data.data[0].embedding,
-        metadata: {
-          document_id,
-          knowledge_base_id,
-          chunk_index: chunk.index,
-          text: chunk.text,
-          title: document.title,
-          ...document.metadata,
-        },
-      });
+    // Mixing models in one index makes scores meaningless
+    const otherIndexedDocuments = (kb.document_count || 0) - (wasIndexed ? 1 : 0);
+    if (kb.indexed_embedding_model && kb.indexed_embedding_model !== embedder.model && otherIndexedDocuments > 0) {
+      return Response.json({
+        error: `Knowledge base is indexed with ${kb.indexed_embedding_model} but configured for ${embedder.model}. Re-embed the knowledge base first.`
+      }, { status: 409 });
     }
 
-    // Store in vector database (simplified - would integrate with actual provider)
-    // In production, this would use Pinecone, Weaviate, etc. SDK
-    const vectorStorageResult = await storeVectors(kb.vector_config, embeddings);
-
-    // Update document with chunk IDs
-    await base44.asServiceRole.entities.Document.update(document_id, {
-      status: 'indexed',
-      chunk_ids: embeddings.map(e => e.id),
-      chunk_count: embeddings.length,
-      indexed_at: new Date().toISOString(),
-    });
+    const store = createVectorStore(kb);
+    const { vectors, stored } = await indexDocument(base44, document, kb, embedder, store);
 
     // Update knowledge base stats
     await base44.asServiceRole.entities.KnowledgeBase.update(knowledge_base_id, {
-      document_count: (kb.document_count || 0) + 1,
-      total_chunks: (kb.total_chunks || 0) + embeddings.length,
+      document_count: (kb.document_count || 0) + (wasIndexed ? 0 : 1),
+      total_chunks: (kb.total_chunks || 0) + vectors.length - (wasIndexed ? document.chunk_count || 0 : 0),
+      indexed_embedding_model: embedder.model,
+      vector_config: { ...kb.vector_config, dimensions: vectors[0]?.values.length || kb.vector_config.dimensions },
       last_indexed: new Date().toISOString(),
     });
 
     return Response.json({
       success: true,
       document_id,
-      chunks_created: embeddings.length,
-      vector_ids: embeddings.map(e => e.id),
+      chunks_created: vectors.length,
+      vectors_stored: stored.upserted,
+      provider: kb.vector_config.provider || 'local',
+      embedding_model: embedder.model,
+      vector_ids: vectors.map(e => e.id),
     });
 
   } catch (error) {
@@ -118,24 +90,140 @@ Deno.serve(async (req) => {
     // Try to update document status to failed
     try {
       const base44 = createClientFromRequest(req);
-      const { document_id } = await req.json();
       if (document_id) {
-        await base44.asServiceRole.entities.Document.update(document_id, {
-          status: 'failed',
-          error_message: error.message,
-        });
+        await base44.asServiceRole.entities.Document.update(document_id, failedDocumentUpdate(error));
       }
     } catch (updateError) {
       console.error('Failed to update document status:', updateError);
     }
 
+    // Ingestion errors come from the document itself, not the service
+    const isIngestionError = error instanceof IngestionError;
     return Response.json({ 
       error: error.message,
+      ...(isIngestionError && { stage: error.stage, format: error.format }),
       trace_id: `EMBED_ERROR_${Date.now()}`,
-    }, { status: 500 });
+    }, { status: isIngestionError ? 422 : 500 });
   }
 });
 
+/**
+ * Chunk, embed and store one document, replacing any chunks from a
+ * previous indexing run
+ */
+async function indexDocument(base44, document, kb, embedder, store) {
+  await base44.asServiceRole.entities.Document.update(document.id, {
+    status: 'processing'
+  });
+
+  const parsed = await parseDocument(document);
+  const chunks = chunkSections(
+    parsed.sections,
+    kb.chunking_config || { strategy: 'semantic', chunk_size: 1000, chunk_overlap: 200 }
+  );
+
+  const embeddings = await embedder.embed(chunks.map(chunk => chunk.text), { inputType: 'document' });
+  const vectors = chunks.map((chunk, i) => ({
+    id: `${document.id}_chunk_${chunk.index}`,
+    values: embeddings[i],
+    // User metadata goes first so it cannot overwrite the keys that scope
+    // deletes and searches to this document and knowledge base
+    metadata: {
+      ...document.metadata,
+      ...chunk.metadata,
+      document_id: document.id,
+      knowledge_base_id: kb.id,
+      chunk_index: chunk.index,
+      text: chunk.text,
+      title: document.title,
+      format: parsed.format,
+      embedding_model: embedder.model,
+    },
+  }));
+
+  await store.deleteByDocument(document.id);
+  const stored = await store.upsert(vectors);
+
+  await base44.asServiceRole.entities.Document.update(document.id, {
+    status: 'indexed',
+    chunk_ids: vectors.map(e => e.id),
+    chunk_count: vectors.length,
+    embedding_model: embedder.model,
+    error_message: null,
+    ingestion_error: null,
+    ingestion: {
+      format: parsed.format,
+      sections: parsed.sections.length,
+      warnings: parsed.warnings,
+      ...parsed.metadata,
+    },
+    indexed_at: new Date().toISOString(),
+  });
+
+  return { vectors, stored };
+}
+
+/**
+ * Re-embed every document of a knowledge base with its current embedding
+ * model. When the embedding dimension changes the knowledge base's vectors
+ * are cleared first, since old and new vectors cannot be compared.
+ */
+async function reembedKnowledgeBase(base44, kb) {
+  const embedder = createEmbeddingProvider(kb.vector_config);
+  const store = createVectorStore(kb);
+  const documents = await base44.asServiceRole.entities.Document.filter({ knowledge_base_id: kb.id });
+
+  const [probe] = await embedder.embed(['dimension probe'], { inputType: 'document' });
+  const indexRecreated = Boolean(kb.vector_config.dimensions) && kb.vector_config.dimensions !== probe.length;
+  if (indexRecreated) {
+    await store.deleteByKnowledgeBase(kb.id);
+  }
+
+  let documentCount = 0;
+  let totalChunks = 0;
+  const failures = [];
+
+  for (const document of documents) {
+    try {
+      const { vectors } = await indexDocument(base44, document, kb, embedder, store);
+      documentCount++;
+      totalChunks += vectors.length;
+    } catch (error) {
+      console.error(`Re-embedding ${document.id} failed:`, error);
+      failures.push({ document_id: document.id, error: error.message });
+      await base44.asServiceRole.entities.Document.update(document.id, failedDocumentUpdate(error));
+    }
+  }
+
+  await base44.asServiceRole.entities.KnowledgeBase.update(kb.id, {
+    document_count: documentCount,
+    total_chunks: totalChunks,
+    indexed_embedding_model: embedder.model,
+    vector_config: { ...kb.vector_config, dimensions: probe.length },
+    last_indexed: new Date().toISOString(),
+  });
+
+  return {
+    success: failures.length === 0,
+    knowledge_base_id: kb.id,
+    embedding_model: embedder.model,
+    index_recreated: indexRecreated,
+    documents_reembedded: documentCount,
+    documents_failed: failures.length,
+    failures,
+  };
+}
+
+function failedDocumentUpdate(error) {
+  return {
+    status: 'failed',
+    error_message: error.message,
+    ingestion_error: error instanceof IngestionError
+      ? { stage: error.stage, format: error.format, message: error.message }
+      : null,
+  };
+}
+
 /**
  * Chunk document based on strategy
  */
@@ -214,20 +302,576 @@ function recursiveSplit(text, separators, maxSize, startIndex) {
   return chunks;
 }
 
+// ---------------------------------------------------------------------------
+// Document ingestion
+//
+// Parsers turn a Document (inline `content` or an uploaded `file_url`) into
+// sections of plain text. Each section carries the structure it came from
+// (heading path, page number, code symbol) and is chunked separately, so a
+// chunk never straddles two headings or pages and inherits their metadata.
+// ---------------------------------------------------------------------------
+
+const MAX_INGEST_BYTES = 50 * 1024 * 1024;
+const MAX_INGEST_WARNINGS = 20;
+const BINARY_FORMATS = new Set(['pdf', 'docx']);
+
+const EXTENSION_FORMATS = {
+  txt: 'text',
+  text: 'text',
+  md: 'markdown',
+  markdown: 'markdown',
+  mdx: 'markdown',
+  html: 'html',
+  htm: 'html',
+  xhtml: 'html',
+  pdf: 'pdf',
+  docx: 'docx',
+};
+
+const MIME_FORMATS = {
+  'text/plain': 'text',
+  'text/markdown': 'markdown',
+  'text/html': 'html',
+  'application/xhtml+xml': 'html',
+  'application/pdf': 'pdf',
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document': 'docx',
+};
+
+const CODE_LANGUAGES = {
+  js: 'javascript',
+  jsx: 'javascript',
+  mjs: 'javascript',
+  cjs: 'javascript',
+  ts: 'typescript',
+  tsx: 'typescript',
+  py: 'python',
+  go: 'go',
+  rs: 'rust',
+  java: 'java',
+  kt: 'kotlin',
+  cs: 'csharp',
+  rb: 'ruby',
+  php: 'php',
+  swift: 'swift',
+  scala: 'scala',
+  c: 'c',
+  h: 'c',
+  cpp: 'cpp',
+  cc: 'cpp',
+  hpp: 'cpp',
+  sh: 'shell',
+  bash: 'shell',
+  sql: 'sql',
+};
+
+/**
+ * Top-level declarations that start a new code section, by language.
+ * Only unindented lines are considered, so methods stay with their class.
+ */
+const CODE_DECLARATIONS = {
+  javascript: /^(?:export\s+(?:default\s+)?)?(?:async\s+)?(?:function\*?|class)\s+([A-Za-z_$][\w$]*)|^(?:export\s+)?(?:const|let|var)\s+([A-Za-z_$][\w$]*)\s*=\s*(?:async\s+)?(?:function|\(|[A-Za-z_$][\w$]*\s*=>)/,
+  typescript: /^(?:export\s+(?:default\s+)?)?(?:declare\s+)?(?:abstract\s+)?(?:async\s+)?(?:function\*?|class|interface|type|enum|namespace)\s+([A-Za-z_$][\w$]*)|^(?:export\s+)?(?:const|let|var)\s+([A-Za-z_$][\w$]*)\s*(?::[^=]+)?=\s*(?:async\s+)?(?:function|\(|[A-Za-z_$][\w$]*\s*=>)/,
+  python: /^(?:async\s+)?(?:def|class)\s+([A-Za-z_]\w*)/,
+  go: /^func\s+(?:\([^)]*\)\s*)?([A-Za-z_]\w*)|^type\s+([A-Za-z_]\w*)/,
+  rust: /^(?:pub(?:\([^)]*\))?\s+)?(?:async\s+)?(?:unsafe\s+)?(?:fn|struct|enum|trait|mod)\s+([A-Za-z_]\w*)|^impl(?:<[^>]*>)?\s+([A-Za-z_][\w:]*)/,
+  ruby: /^(?:def|class|module)\s+([A-Za-z_][\w:.?!]*)/,
+  php: /^(?:(?:abstract|final)\s+)?(?:function|class|interface|trait)\s+([A-Za-z_]\w*)/,
+  default: /^(?:(?:public|private|protected|internal|static|final|abstract|sealed|open|data|export)\s+)*(?:class|interface|enum|record|struct|object|trait|fun|func|function|def)\s+([A-Za-z_]\w*)/,
+};
+
+class IngestionError extends Error {
+  constructor(message, { stage = 'parse', format = null } = {}) {
+    super(message);
+    this.name = 'IngestionError';
+    this.stage = stage;
+    this.format = format;
+  }
+}
+
+function fileExtension(name) {
+  const path = (name || '').split(/[?#]/)[0];
+  const match = path.match(/\.([A-Za-z0-9]+)$/);
+  return match ? match[1].toLowerCase() : null;
+}
+
+/**
+ * Resolve the ingestion format of a document from its content_type, which
+ * may be one of our format names or a MIME type, falling back to the file
+ * extension. Plain `text` defers to a more specific extension.
+ */
+function detectFormat(document) {
+  const contentType = (document.content_type || '').toLowerCase().split(';')[0].trim();
+  const extension = fileExtension(document.file_name || document.file_url);
+  const fromExtension = EXTENSION_FORMATS[extension] || (CODE_LANGUAGES[extension] ? 'code' : null);
+
+  if (contentType && contentType !== 'text' && contentType !== 'text/plain') {
+    if (['markdown', 'html', 'code', 'pdf', 'docx'].includes(contentType)) return contentType;
+    if (MIME_FORMATS[contentType]) return MIME_FORMATS[contentType];
+  }
+  return fromExtension || 'text';
+}
+
+async function loadDocumentSource(document, format) {
+  const binary = BINARY_FORMATS.has(format);
+  if (!binary && document.content) {
+    return { text: document.content };
+  }
+  if (!document.file_url) {
+    if (binary) {
+      throw new IngestionError(`${format.toUpperCase()} documents must be uploaded as a file`, { stage: 'fetch', format });
+    }
+    return { text: document.content || '' };
+  }
+
+  // file_url is caller-supplied, so it may only point at public hosts
+  let response;
+  try {
+    response = await fetchPublicUrl(document.file_url);
+  } catch (error) {
+    throw new IngestionError(`Could not download file: ${error.message}`, { stage: 'fetch', format });
+  }
+  if (!response.ok) {
+    await response.body?.cancel();
+    throw new IngestionError(`Could not download file: ${response.status} ${response.statusText}`, { stage: 'fetch', format });
+  }
+
+  const bytes = await readLimited(response, format);
+  return binary ? { bytes } : { text: new TextDecoder().decode(bytes) };
+}
+
+/**
+ * Reads a download without holding more than MAX_INGEST_BYTES: a larger
+ * Content-Length is refused up front, and the stream is cancelled as soon
+ * as it passes the limit.
+ */
+async function readLimited(response, format) {
+  const limitMb = MAX_INGEST_BYTES / 1024 / 1024;
+  const declared = Number(response.headers.get('content-length'));
+  if (declared > MAX_INGEST_BYTES) {
+    await response.body?.cancel();
+    throw new IngestionError(`File is ${Math.round(declared / 1024 / 1024)}MB; the limit is ${limitMb}MB`, { stage: 'fetch', format });
+  }
+
+  if (!response.body) return new Uint8Array(0);
+
+  const parts = [];
+  let total = 0;
+  const reader = response.body.getReader();
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    total += value.length;
+    if (total > MAX_INGEST_BYTES) {
+      await reader.cancel();
+      throw new IngestionError(`File is larger than the ${limitMb}MB limit`, { stage: 'fetch', format });
+    }
+    parts.push(value);
+  }
+
+  const bytes = new Uint8Array(total);
+  let offset = 0;
+  for (const part of parts) {
+    bytes.set(part, offset);
+    offset += part.length;
+  }
+  return bytes;
+}
+
+/**
+ * Collects body lines under the current heading and emits a section each
+ * time the heading changes
+ */
+function createSectionCollector() {
+  const sections = [];
+  const headings = [];
+  let lines = [];
+  let extraMetadata = {};
+
+  const flush = () => {
+    const body = lines.join('\n').replace(/[ \t]+\n/g, '\n').replace(/\n{3,}/g, '\n\n').trim();
+    lines = [];
+    if (!body) return;
+
+    const current = headings[headings.length - 1];
+    sections.push({
+      text: current ? `${current.title}\n\n${body}` : body,
+      metadata: {
+        ...extraMetadata,
+        ...(current && {
+          heading: current.title,
+          heading_level: current.level,
+          heading_path: headings.map(h => h.title).join(' > '),
+        }),
+      },
+    });
+  };
+
+  return {
+    sections,
+    heading(level, title) {
+      const text = title.replace(/\s+/g, ' ').trim();
+      if (!text) return;
+      flush();
+      while (headings.length && headings[headings.length - 1].level >= level) headings.pop();
+      headings.push({ level, title: text });
+    },
+    line(text) {
+      lines.push(text);
+    },
+    setMetadata(metadata) {
+      flush();
+      extraMetadata = metadata;
+    },
+    finish() {
+      flush();
+      return sections;
+    },
+  };
+}
+
+function parseFrontMatter(text) {
+  const match = text.match(/^---\r?\n([\s\S]*?)\r?\n---\r?\n/);
+  if (!match) return { body: text, metadata: {} };
+
+  const metadata = {};
+  for (const line of match[1].split(/\r?\n/)) {
+    const pair = line.match(/^([A-Za-z_][\w-]*)\s*:\s*(.+)$/);
+    if (pair) metadata[pair[1]] = pair[2].trim().replace(/^(['"])(.*)\1$/, '$2');
+  }
+  return { body: text.slice(match[0].length), metadata };
+}
+
+function parseMarkdown(text) {
+  const { body, metadata } = parseFrontMatter(text);
+  const collector = createSectionCollector();
+  const lines = body.split(/\r?\n/);
+  let fence = null;
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+    const fenceMatch = line.match(/^\s*(`{3,}|~{3,})/);
+    if (fenceMatch) {
+      if (!fence) fence = fenceMatch[1][0];
+      else if (fenceMatch[1][0] === fence) fence = null;
+      collector.line(line);
+      continue;
+    }
+    if (fence) {
+      collector.line(line);
+      continue;
+    }
+
+    const atx = line.match(/^ {0,3}(#{1,6})\s+(.*?)(?:\s+#+)?\s*$/);
+    if (atx) {
+      collector.heading(atx[1].length, stripInlineMarkdown(atx[2]));
+      continue;
+    }
+
+    // Setext headings: a text line underlined with === or ---
+    const next = lines[i + 1];
+    if (line.trim() && next !== undefined && /^ {0,3}(=+|-+)\s*$/.test(next) && !/^\s*([-*+]\s|>)/.test(line)) {
+      collector.heading(next.trim()[0] === '=' ? 1 : 2, stripInlineMarkdown(line));
+      i++;
+      continue;
+    }
+
+    collector.line(line);
+  }
+
+  return {
+    sections: collector.finish(),
+    metadata: metadata.title ? { title: metadata.title } : {},
+    warnings: fence ? ['Unclosed code fence; the rest of the document was treated as code'] : [],
+  };
+}
+
+function stripInlineMarkdown(text) {
+  return text
+    .replace(/!\[([^\]]*)\]\([^)]*\)/g, '$1')
+    .replace(/\[([^\]]*)\]\([^)]*\)/g, '$1')
+    .replace(/[*_`~]+/g, '')
+    .trim();
+}
+
+const HTML_ENTITIES = {
+  amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ',
+  mdash: '—', ndash: '–', hellip: '…', copy: '©', reg: '®',
+  lsquo: '‘', rsquo: '’', ldquo: '“', rdquo: '”', bull: '•',
+};
+
+function decodeHtmlEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, code) => {
+    if (code[0] === '#') {
+      const point = code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+      return Number.isFinite(point) && point <= 0x10ffff ? String.fromCodePoint(point) : entity;
+    }
+    return HTML_ENTITIES[code.toLowerCase()] ?? entity;
+  });
+}
+
+const HTML_BLOCK_TAGS = new Set([
+  'p', 'div', 'section', 'article', 'main', 'blockquote', 'pre', 'table', 'thead', 'tbody', 'tr',
+  'ul', 'ol', 'li', 'dl', 'dt', 'dd', 'figure', 'figcaption', 'br', 'hr', 'caption',
+]);
+
+function parseHtml(html) {
+  const title = decodeHtmlEntities(html.match(/<title[^>]*>([\s\S]*?)<\/title>/i)?.[1] || '').trim();
+  const cleaned = html
+    .replace(/<!--[\s\S]*?-->|<![^>]*>/g, '')
+    .replace(/<(script|style|noscript|template|svg|head|nav|footer)\b[\s\S]*?<\/\1\s*>/gi, ' ');
+
+  const collector = createSectionCollector();
+  const tokens = /<(\/?)([a-zA-Z][\w:-]*)(?:[^>"']|"[^"]*"|'[^']*')*>|([^<]+)|</g;
+  let line = '';
+  let headingLevel = 0;
+  let headingText = '';
+  let preDepth = 0;
+
+  const endLine = () => {
+    const text = preDepth ? line.replace(/\s+$/, '') : line.trim();
+    if (text) collector.line(text);
+    line = '';
+  };
+
+  for (const [token, closing, rawTag, text] of cleaned.matchAll(tokens)) {
+    if (text !== undefined || !rawTag) {
+      const decoded = decodeHtmlEntities(text ?? token);
+      if (headingLevel) {
+        headingText += decoded;
+      } else if (preDepth) {
+        const [first, ...rest] = decoded.split('\n');
+        line += first;
+        for (const part of rest) {
+          collector.line(line);
+          line = part;
+        }
+      } else {
+        line += decoded.replace(/\s+/g, ' ');
+      }
+      continue;
+    }
+
+    const tag = rawTag.toLowerCase();
+    const heading = tag.match(/^h([1-6])$/);
+    if (heading) {
+      if (closing && headingLevel) {
+        collector.heading(headingLevel, headingText);
+        headingLevel = 0;
+        headingText = '';
+      } else if (!closing) {
+        endLine();
+        headingLevel = Number(heading[1]);
+      }
+      continue;
+    }
+
+    if (tag === 'td' || tag === 'th') {
+      if (closing) line += ' | ';
+    } else if (HTML_BLOCK_TAGS.has(tag)) {
+      endLine();
+      if (tag === 'pre') preDepth = Math.max(0, preDepth + (closing ? -1 : 1));
+      if (!closing && tag === 'li') line = '- ';
+      // Blank line between paragraphs so the semantic chunker can split them
+      if (closing && ['p', 'pre', 'table', 'ul', 'ol', 'blockquote'].includes(tag)) collector.line('');
+    }
+  }
+  endLine();
+
+  return {
+    sections: collector.finish(),
+    metadata: title ? { title } : {},
+    warnings: [],
+  };
+}
+
+async function parseDocx(bytes) {
+  const [{ default: mammoth }, { Buffer }] = await Promise.all([
+    import('npm:mammoth@1.8.0'),
+    import('node:buffer'),
+  ]);
+
+  let result;
+  try {
+    // Mammoth maps Word's Heading 1-6 styles to <h1>-<h6>
+    result = await mammoth.convertToHtml(
+      { buffer: Buffer.from(bytes) },
+      { convertImage: mammoth.images.imgElement(() => ({ src: '' })) }
+    );
+  } catch (error) {
+    throw new IngestionError(`Could not read DOCX file: ${error.message}`, { format: 'docx' });
+  }
+
+  const parsed = parseHtml(result.value);
+  return {
+    ...parsed,
+    warnings: result.messages.filter(m => m.type === 'warning').map(m => m.message),
+  };
+}
+
+async function parsePdf(bytes) {
+  const { getDocumentProxy, extractText } = await import('npm:unpdf@0.12.1');
+
+  let pdf;
+  try {
+    pdf = await getDocumentProxy(bytes);
+  } catch (error) {
+    const message = error.name === 'PasswordException'
+      ? 'PDF is password protected'
+      : `Could not read PDF file: ${error.message}`;
+    throw new IngestionError(message, { format: 'pdf' });
+  }
+
+  const { totalPages, text: pages } = await extractText(pdf, { mergePages: false });
+  const warnings = [];
+  const outline = await pdfOutlineByPage(pdf).catch((error) => {
+    warnings.push(`Could not read PDF outline: ${error.message}`);
+    return new Map();
+  });
+
+  const collector = createSectionCollector();
+  const emptyPages = [];
+  pages.forEach((pageText, index) => {
+    const page = index + 1;
+    for (const { level, title } of outline.get(page) || []) {
+      collector.heading(level, title);
+    }
+    collector.setMetadata({ page });
+    if (!pageText.trim()) emptyPages.push(page);
+    collector.line(pageText);
+  });
+
+  if (emptyPages.length && emptyPages.length < totalPages) {
+    warnings.push(`${emptyPages.length} of ${totalPages} pages have no extractable text (scanned pages need OCR): ${emptyPages.slice(0, 10).join(', ')}${emptyPages.length > 10 ? ', ...' : ''}`);
+  }
+
+  const info = await pdf.getMetadata().then(meta => meta.info).catch(() => ({}));
+  return {
+    sections: collector.finish(),
+    metadata: { page_count: totalPages, ...(info?.Title && { title: info.Title }) },
+    warnings,
+  };
+}
+
 /**
- * Store vectors in configured provider
- * In production, integrate with actual vector DB SDKs
+ * Map of 1-based page number to the outline (bookmark) entries that start
+ * on it, used as headings for PDFs
  */
-async function storeVectors(vectorConfig, embeddings) {
-  const { provider, index_name } = vectorConfig;
-  
-  // Mock implementation - replace with actual provider integration
-  console.log(`Storing ${embeddings.length} vectors in ${provider}/${index_name}`);
-  
-  // Example Pinecone integration:
-  // const pinecone = new Pinecone({ apiKey: Deno.env.get('PINECONE_API_KEY') });
-  // const index = pinecone.Index(index_name);
-  // await index.upsert(embeddings);
-  
-  return { success: true, count: embeddings.length };
-}
\ No newline at end of file
+async function pdfOutlineByPage(pdf) {
+  const byPage = new Map();
+  const visit = async (items, level) => {
+    for (const item of items || []) {
+      const dest = typeof item.dest === 'string' ? await pdf.getDestination(item.dest) : item.dest;
+      if (Array.isArray(dest) && dest[0]) {
+        const page = (typeof dest[0] === 'number' ? dest[0] : await pdf.getPageIndex(dest[0])) + 1;
+        if (!byPage.has(page)) byPage.set(page, []);
+        byPage.get(page).push({ level: Math.min(level, 6), title: item.title });
+      }
+      await visit(item.items, level + 1);
+    }
+  };
+  await visit(await pdf.getOutline(), 1);
+  return byPage;
+}
+
+function parseCode(text, document) {
+  const extension = fileExtension(document.file_name || document.file_url);
+  const language = document.metadata?.language || CODE_LANGUAGES[extension] || 'unknown';
+  const declaration = CODE_DECLARATIONS[language] || CODE_DECLARATIONS.default;
+  const lines = text.split(/\r?\n/);
+
+  const starts = [];
+  let previous = -1;
+  lines.forEach((line, index) => {
+    const match = line.match(declaration);
+    if (!match) return;
+    // Pull leading comments and decorators into the declaration's section
+    let start = index;
+    while (start - 1 > previous && /^\s*(\/\/|\/\*|\*|#(?!include|define|!)|@|--)/.test(lines[start - 1])) {
+      start--;
+    }
+    starts.push({ line: start, symbol: match.slice(1).find(Boolean) });
+    previous = index;
+  });
+
+  const sections = [];
+  const pushSection = (from, to, symbol) => {
+    const body = lines.slice(from, to).join('\n').replace(/^\n+|\s+$/g, '');
+    if (!body.trim()) return;
+    sections.push({
+      text: body,
+      metadata: {
+        language,
+        ...(symbol && { symbol }),
+        start_line: from + 1,
+        end_line: to,
+      },
+    });
+  };
+
+  pushSection(0, starts[0]?.line ?? lines.length, null);
+  starts.forEach((start, i) => {
+    pushSection(start.line, starts[i + 1]?.line ?? lines.length, start.symbol);
+  });
+
+  return {
+    sections,
+    metadata: { language },
+    warnings: language === 'unknown' ? ['Unrecognised source language; split on generic declarations'] : [],
+  };
+}
+
+/**
+ * Extract text and structure from a document
+ * Returns { format, sections: { text, metadata }[], metadata, warnings }
+ */
+async function parseDocument(document) {
+  const format = detectFormat(document);
+  const source = await loadDocumentSource(document, format);
+
+  let parsed;
+  try {
+    switch (format) {
+      case 'pdf': parsed = await parsePdf(source.bytes); break;
+      case 'docx': parsed = await parseDocx(source.bytes); break;
+      case 'html': parsed = parseHtml(source.text); break;
+      case 'markdown': parsed = parseMarkdown(source.text); break;
+      case 'code': parsed = parseCode(source.text, document); break;
+      default: parsed = { sections: [{ text: source.text, metadata: {} }], metadata: {}, warnings: [] };
+    }
+  } catch (error) {
+    if (error instanceof IngestionError) throw error;
+    throw new IngestionError(`Failed to parse ${format} document: ${error.message}`, { format });
+  }
+
+  const sections = parsed.sections.filter(section => section.text.trim());
+  if (!sections.length) {
+    throw new IngestionError(
+      format === 'pdf'
+        ? 'No extractable text found; the PDF may be scanned images and needs OCR'
+        : 'Document has no text content',
+      { stage: 'extract', format }
+    );
+  }
+
+  return {
+    format,
+    sections,
+    metadata: parsed.metadata,
+    warnings: parsed.warnings.slice(0, MAX_INGEST_WARNINGS),
+  };
+}
+
+/**
+ * Chunk each section with the knowledge base's strategy; chunks inherit
+ * the section's metadata and are numbered across the whole document
+ */
+function chunkSections(sections, config) {
+  const chunks = [];
+  for (const section of sections) {
+    for (const chunk of chunkDocument(section.text, config)) {
+      if (!chunk.text.trim()) continue;
+      chunks.push({ index: chunks.length, text: chunk.text, metadata: section.metadata });
+    }
+  }
+  return chunks;
+}
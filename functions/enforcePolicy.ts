@@ -0,0 +1,181 @@
+import { createClientFromRequest } from 'npm:@base44/sdk@0.8.6';
+import {
+  POLICY_SCOPES,
+  checkPolicies,
+  policyApprovalGranted,
+  policyMessage,
+  recordPolicyDecision,
+  requestPolicyApproval,
+  validatePolicyRule
+} from './_shared/policy.ts';
+import { verifyRunCall } from './_shared/runCalls.ts';
+
+/**
+ * @fileoverview Policy Decision Point
+ * @description Evaluates Policy rules on demand. executeAgent and
+ * invokeConnector run the same evaluation before they execute anything, and
+ * runWorkflow checks its runs and nodes through the `check` action. The UI
+ * uses this function to check a rule and preview decisions.
+ *
+ * Actions:
+ * - validate { rule }: `{ errors, warnings }` for a rule.
+ * - evaluate { context }: the decision the organisation's enabled policies
+ *   would make for `context` ({ scope, agent_id, workflow_id, connector_id,
+ *   model, provider, cost_cents, tools, at }). Nothing is recorded.
+ * - check { context, approval_request_id, request_approval }: the decision
+ *   for something about to run. Denials are recorded on the Audit log. A
+ *   require_approval decision comes with `approval`: the state of
+ *   `approval_request_id` (approved, pending, rejected or expired), or a new
+ *   ApprovalRequest (requested) when there is none and `request_approval`
+ *   holds the run_id, workflow_id and node_id to link it to.
+ *
+ * runWorkflow calls without a session pass `run_id` and `run_token` (see
+ * _shared/runCalls.ts) and act for the run's organisation.
+ */
+
+const APPROVAL_LINKS = ['run_id', 'workflow_id', 'node_id'];
+
+function readContext(body, orgId) {
+  const context = body.context || {};
+  if (!POLICY_SCOPES.includes(context.scope)) {
+    return { error: { status: 422, code: 'VALIDATION_ERROR', message: `context.scope must be one of ${POLICY_SCOPES.join(', ')}` } };
+  }
+  const now = context.at ? new Date(context.at) : new Date();
+  if (Number.isNaN(now.getTime())) {
+    return { error: { status: 422, code: 'VALIDATION_ERROR', message: 'context.at must be a date' } };
+  }
+
+  const id = context.agent_id || context.connector_id || context.workflow_id || context.tools?.[0] || '';
+  return { context: { target: `${context.scope}:${id}`, ...context, now, org_id: orgId } };
+}
+
+async function evaluateContext(base44, caller, body) {
+  const { context, error } = readContext(body, caller.org_id);
+  if (error) return error;
+  return { data: await checkPolicies(base44, context) };
+}
+
+/**
+ * Where the ApprovalRequest a caller retried with stands. Null when there is
+ * none, or when it was approved for other policies than now apply and has
+ * to be asked again.
+ */
+async function approvalState(base44, approvalRequestId, decision, context) {
+  if (!approvalRequestId) return null;
+  if (await policyApprovalGranted(base44, approvalRequestId, decision, context)) {
+    return { status: 'approved', approval_request_id: approvalRequestId };
+  }
+
+  const [request] = await base44.asServiceRole.entities.ApprovalRequest.filter({ id: approvalRequestId });
+  if (!request || request.org_id !== context.org_id) return null;
+  if (request.status === 'pending') {
+    if (new Date(request.expires_at) > new Date()) {
+      return { status: 'pending', approval_request_id: request.id, expires_at: request.expires_at };
+    }
+    await base44.asServiceRole.entities.ApprovalRequest.update(request.id, { status: 'expired' });
+  }
+  if (request.status === 'rejected') {
+    return {
+      status: 'rejected',
+      approval_request_id: request.id,
+      message: `Rejected by ${request.approved_by || 'reviewer'}${request.comments ? `: ${request.comments}` : ''}`
+    };
+  }
+  if (request.status !== 'approved') {
+    return { status: 'expired', approval_request_id: request.id, message: 'Policy approval expired before a decision was made' };
+  }
+  return null;
+}
+
+async function checkContext(base44, caller, body) {
+  const { context, error } = readContext(body, caller.org_id);
+  if (error) return error;
+  if (caller.run) context.run_id = caller.run.id;
+
+  const decision = await checkPolicies(base44, context);
+  if (decision.decision === 'allow') return { data: decision };
+  if (decision.decision === 'deny') {
+    await recordPolicyDecision(base44, decision, context, caller.actor);
+    return { data: { ...decision, message: policyMessage(decision) } };
+  }
+
+  let approval = await approvalState(base44, body.approval_request_id, decision, context);
+  if (!approval && body.request_approval) {
+    const links = Object.fromEntries(
+      APPROVAL_LINKS.filter(key => body.request_approval[key]).map(key => [key, body.request_approval[key]])
+    );
+    await recordPolicyDecision(base44, decision, context, caller.actor);
+    const request = await requestPolicyApproval(base44, decision, context, caller.actor, links);
+    approval = {
+      status: 'requested',
+      approval_request_id: request.id,
+      step_name: request.step_name,
+      expires_at: request.expires_at
+    };
+  }
+  return { data: { ...decision, message: policyMessage(decision), approval } };
+}
+
+Deno.serve(async (req) => {
+  const trace_id = crypto.randomUUID();
+
+  try {
+    const base44 = createClientFromRequest(req);
+    const user = await base44.auth.me();
+    const body = await req.json().catch(() => ({}));
+
+    let caller = user ? { org_id: user.organization?.id, actor: user.email } : null;
+    if (body.run_id) {
+      const runCall = await verifyRunCall(base44, body.run_id, body.run_token);
+      if (runCall.error) {
+        const { status, ...error } = runCall.error;
+        return Response.json({ ...error, retryable: false, trace_id }, { status });
+      }
+      caller = { org_id: runCall.run.org_id, actor: user?.email || runCall.run.triggered_by, run: runCall.run };
+    }
+
+    if (!caller) {
+      return Response.json({
+        code: 'UNAUTHORIZED',
+        message: 'Authentication required',
+        retryable: false,
+        trace_id
+      }, { status: 401 });
+    }
+
+    const handlers = {
+      validate: () => ({ data: validatePolicyRule(body.rule) }),
+      evaluate: () => evaluateContext(base44, caller, body),
+      check: () => checkContext(base44, caller, body)
+    };
+
+    if (!handlers[body.action]) {
+      return Response.json({
+        code: 'VALIDATION_ERROR',
+        message: 'action must be validate, evaluate or check',
+        retryable: false,
+        trace_id
+      }, { status: 422 });
+    }
+
+    const result = await handlers[body.action]();
+    if (!result.data) {
+      return Response.json({
+        code: result.code,
+        message: result.message,
+        retryable: false,
+        trace_id
+      }, { status: result.status });
+    }
+    return Response.json({ success: true, data: result.data });
+
+  } catch (error) {
+    console.error('[EnforcePolicy] Error:', error);
+    return Response.json({
+      code: 'SERVER_ERROR',
+      message: error.message,
+      retryable: true,
+      trace_id
+    }, { status: 500 });
+  }
+});
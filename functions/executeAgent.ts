@@ -1,4 +1,45 @@
 import { createClientFromRequest } from 'npm:@base44/sdk@0.8.4';
+import { budgetBlocking, budgetMessage, recordBudgetSpend } from './_shared/budgets.ts';
+import { publishPlatformEvent } from './_shared/platformEvents.ts';
+import {
+  checkPolicies,
+  pendingPolicyApproval,
+  policyApprovalGranted,
+  policyMessage,
+  recordPolicyDecision,
+  requestPolicyApproval
+} from './_shared/policy.ts';
+import { LLMProviderError, callLLMWithFallback } from './_shared/llmGateway.ts';
+import { costOf, countTokens, measureUsage } from './_shared/pricing.ts';
+import { verifyRunCall } from './_shared/runCalls.ts';
+import { redeemScheduledFire } from './_shared/triggers.ts';
+
+/**
+ * Average cost of the agent's recent calls, used as the pre-flight
+ * estimate against hard budget limits.
+ */
+async function estimateAgentCost(base44, agent_id) {
+  const metrics = await base44.asServiceRole.entities.AgentMetric.filter({ agent_id }, '-timestamp', 20);
+  if (metrics.length === 0) return 0;
+  return Math.ceil(metrics.reduce((sum, metric) => sum + (metric.cost_cents || 0), 0) / metrics.length);
+}
+
+/**
+ * Runs the prompt through each DataPrivacyPolicy a Policy requires.
+ */
+async function redactPrompt(base44, policyIds, content, details) {
+  let redacted = content;
+  for (const policy_id of policyIds) {
+    const { data } = await base44.functions.invoke('redactSensitiveData', {
+      content: redacted,
+      policy_id,
+      data_type: 'prompt',
+      ...details
+    });
+    redacted = data.redacted_content;
+  }
+  return redacted;
+}
 
 Deno.serve(async (req) => {
   const trace_id = crypto.randomUUID();
@@ -6,8 +47,11 @@ Deno.serve(async (req) => {
   try {
     const base44 = createClientFromRequest(req);
     const user = await base44.auth.me();
+    const body = await req.json();
 
-    if (!user) {
+    // Scheduled fires have no session; they present the schedule's one-time
+    // fire token instead. runWorkflow's agent nodes pass their run's token.
+    if (!user && !body.schedule_id && !body.run_id) {
       return Response.json({ 
         code: 'UNAUTHORIZED',
         message: 'Authentication required',
@@ -16,8 +60,31 @@ Deno.serve(async (req) => {
       }, { status: 401 });
     }
 
-    const body = await req.json();
-    const { agent_id, prompt, context, output_schema } = body;
+    let run = null;
+    if (body.run_id) {
+      const runCall = await verifyRunCall(base44, body.run_id, body.run_token);
+      if (runCall.error) {
+        const { status, ...error } = runCall.error;
+        return Response.json({ ...error, retryable: false, trace_id }, { status });
+      }
+      run = runCall.run;
+    }
+
+    let scheduleTrigger = null;
+    if (body.schedule_id && !user && !run) {
+      scheduleTrigger = await redeemScheduledFire(base44, body.schedule_id, body.fire_token);
+      if (scheduleTrigger.error) {
+        const { status, ...error } = scheduleTrigger.error;
+        return Response.json({ ...error, retryable: false, trace_id }, { status });
+      }
+    }
+
+    const { schedule } = scheduleTrigger || {};
+    const { output_schema, approval_request_id } = body;
+    const agent_id = schedule ? schedule.agent_id : body.agent_id;
+    const prompt = schedule ? schedule.prompt || schedule.name : body.prompt;
+    const context = schedule ? scheduleTrigger.input_data : body.context;
+    const actor = user?.email || run?.triggered_by || `schedule:${schedule.name || schedule.id}`;
 
     // Validation
     if (!agent_id || !prompt) {
@@ -32,7 +99,7 @@ Deno.serve(async (req) => {
 
     // Fetch agent
     const agents = await base44.asServiceRole.entities.Agent.filter({ id: agent_id });
-    if (!agents || agents.length === 0) {
+    if (!agents || agents.length === 0 || (run && agents[0].org_id !== run.org_id)) {
       return Response.json({
         code: 'NOT_FOUND',
         message: 'Agent not found',
@@ -54,6 +121,48 @@ Deno.serve(async (req) => {
       }, { status: 403 });
     }
 
+    const policyContext = {
+      scope: 'agent',
+      target: `agent:${agent_id}`,
+      org_id: agent.org_id,
+      agent_id,
+      provider: agent.config?.provider || 'openai',
+      model: agent.config?.model || 'gpt-4o',
+      ...(run && { workflow_id: run.workflow_id, run_id: run.id })
+    };
+    const decision = await checkPolicies(base44, policyContext);
+
+    if (decision.decision === 'deny') {
+      await recordPolicyDecision(base44, decision, policyContext, actor);
+      return Response.json({
+        code: 'POLICY_DENIED',
+        message: policyMessage(decision),
+        policy_id: decision.policy_id,
+        reasons: decision.reasons,
+        retryable: false,
+        trace_id
+      }, { status: 403 });
+    }
+
+    if (decision.decision === 'require_approval' &&
+        !(await policyApprovalGranted(base44, approval_request_id, decision, policyContext))) {
+      let request = await pendingPolicyApproval(base44, approval_request_id, policyContext);
+      if (!request) {
+        await recordPolicyDecision(base44, decision, policyContext, actor);
+        request = await requestPolicyApproval(base44, decision, policyContext, actor);
+      }
+      return Response.json({
+        code: 'APPROVAL_REQUIRED',
+        message: policyMessage(decision),
+        hint: 'Call again with approval_request_id once the request is approved',
+        policy_id: decision.policy_id,
+        approval_request_id: request.id,
+        reasons: decision.reasons,
+        retryable: false,
+        trace_id
+      }, { status: 403 });
+    }
+
     // Get agent memory/identity if exists
     const memories = await base44.asServiceRole.entities.AgentMemory.filter({ 
       agent_id, 
@@ -63,51 +172,153 @@ Deno.serve(async (req) => {
     const identityContext = memories.map(m => m.content).join('\n');
 
     // Build system prompt from agent config
+    const persona = agent.config?.persona?.system_prompt;
     const systemPrompt = `You are ${agent.name}.
-${identityContext ? `\nIdentity & Context:\n${identityContext}` : ''}
+${persona ? `\n${persona}\n` : ''}${identityContext ? `\nIdentity & Context:\n${identityContext}` : ''}
 ${context ? `\nAdditional Context:\n${JSON.stringify(context)}` : ''}
 
 Respond according to your configured capabilities and constraints.`;
 
-    const startTime = Date.now();
+    const provider = agent.config?.provider || 'openai';
+    const model = agent.config?.model || 'gpt-4o';
 
     // Execute via LLM
-    const llmParams = {
-      prompt: `${systemPrompt}\n\nUser Request: ${prompt}`,
+    const llmRequest = {
+      provider,
+      model,
+      system: systemPrompt,
+      prompt,
+      temperature: agent.config?.temperature,
+      max_tokens: agent.config?.max_tokens,
+      response_schema: output_schema,
+      config: agent.config
     };
 
-    if (output_schema) {
-      llmParams.response_json_schema = output_schema;
+    if (decision.redaction_policy_ids.length > 0) {
+      try {
+        llmRequest.system = await redactPrompt(base44, decision.redaction_policy_ids, llmRequest.system, { agent_id, run_id: run?.id });
+        llmRequest.prompt = await redactPrompt(base44, decision.redaction_policy_ids, llmRequest.prompt, { agent_id, run_id: run?.id });
+      } catch (error) {
+        return Response.json({
+          code: 'POLICY_DENIED',
+          message: `Required redaction could not be applied: ${error.message}`,
+          retryable: true,
+          trace_id
+        }, { status: 403 });
+      }
     }
 
-    const result = await base44.integrations.Core.InvokeLLM(llmParams);
+    // The prompt's input cost is known up front; recent calls show what
+    // the output usually adds
+    const promptText = `${llmRequest.system}\n\n${llmRequest.prompt}`;
+    const promptUsage = { prompt_tokens: countTokens(promptText, provider, model), completion_tokens: 0 };
+    const budgetContext = { org_id: agent.org_id, agent_id, ...(run && { workflow_id: run.workflow_id, run_id: run.id }) };
+    const blockingBudget = await budgetBlocking(
+      base44,
+      budgetContext,
+      Math.max(costOf(promptUsage, provider, model).cost_cents, await estimateAgentCost(base44, agent_id))
+    );
+    if (blockingBudget) {
+      return Response.json({
+        code: 'BUDGET_EXCEEDED',
+        message: budgetMessage(blockingBudget),
+        budget_id: blockingBudget.id,
+        resets_at: blockingBudget.period_end,
+        retryable: false,
+        trace_id
+      }, { status: 402 });
+    }
+
+    // Fallback models must be allowed outright; an approval granted for
+    // the configured model does not extend to them
+    const permits = async (step) =>
+      (await checkPolicies(base44, { ...policyContext, provider: step.provider, model: step.model })).decision === 'allow';
 
+    const startTime = Date.now();
+    let reply;
+    try {
+      reply = await callLLMWithFallback(base44, llmRequest, permits);
+    } catch (error) {
+      if (!(error instanceof LLMProviderError)) throw error;
+      await base44.asServiceRole.entities.AgentMetric.create({
+        agent_id,
+        run_id: run?.id,
+        provider,
+        model,
+        requested_model: model,
+        latency_ms: Date.now() - startTime,
+        cost_cents: 0,
+        status: 'error',
+        error_type: error.reason,
+        fallback_attempts: error.attempts,
+        timestamp: new Date().toISOString(),
+        org_id: agent.org_id
+      });
+      return Response.json({
+        code: 'PROVIDER_ERROR',
+        message: error.message,
+        provider: error.provider,
+        upstream_status: error.status,
+        reason: error.reason,
+        attempts: error.attempts,
+        retryable: error.retryable,
+        trace_id
+      }, { status: 502 });
+    }
+    const result = reply.content;
     const latency_ms = Date.now() - startTime;
 
-    // Record metrics
+    // Record metrics against the model that answered
+    const usage = measureUsage({
+      provider: reply.provider,
+      model: reply.model,
+      prompt: promptText,
+      output: reply.text,
+      usage: reply.usage
+    });
+    const { cost_cents, price_version } = costOf(usage, reply.provider, reply.model);
     await base44.asServiceRole.entities.AgentMetric.create({
       agent_id,
-      provider: agent.config?.provider || 'openai',
-      model: agent.config?.model || 'gpt-4o',
-      prompt_tokens: Math.ceil(prompt.length / 4),
-      completion_tokens: Math.ceil(JSON.stringify(result).length / 4),
+      run_id: run?.id,
+      provider: reply.provider,
+      model: reply.model,
+      requested_model: model,
+      fallback_used: reply.attempts.length > 0,
+      fallback_attempts: reply.attempts,
+      prompt_tokens: usage.prompt_tokens,
+      completion_tokens: usage.completion_tokens,
+      cached_tokens: usage.cached_tokens,
+      token_source: usage.token_source,
       latency_ms,
-      cost_cents: Math.ceil(latency_ms / 100),
+      cost_cents,
+      price_version,
       status: 'success',
       timestamp: new Date().toISOString(),
       org_id: agent.org_id
     });
+    for (const alert of await recordBudgetSpend(base44, budgetContext, cost_cents)) {
+      await publishPlatformEvent(base44, 'alert.created', {
+        alert_id: alert.id,
+        alert_type: alert.alert_type,
+        severity: alert.severity,
+        title: alert.title,
+        metadata: alert.metadata
+      }, agent.org_id);
+    }
 
     // Audit log
     await base44.asServiceRole.entities.Audit.create({
       entity_type: 'agent',
       entity_id: agent_id,
       action: 'execute',
-      actor: user.email,
+      actor,
       metadata: { 
         prompt_length: prompt.length,
         latency_ms,
-        model: agent.config?.model
+        model: reply.model,
+        ...(reply.attempts.length > 0 && { fallback_attempts: reply.attempts }),
+        ...(decision.decision !== 'allow' && { policy_id: decision.policy_id, approval_request_id }),
+        ...(decision.redaction_policy_ids.length > 0 && { redacted_by: decision.redaction_policy_ids })
       },
       org_id: agent.org_id
     });
@@ -117,8 +328,15 @@ Respond according to your configured capabilities and constraints.`;
       data: {
         result,
         agent_name: agent.name,
-        model: agent.config?.model,
-        latency_ms
+        provider: reply.provider,
+        model: reply.model,
+        ...(reply.attempts.length > 0 && { fallback_attempts: reply.attempts }),
+        latency_ms,
+        usage: {
+          prompt_tokens: usage.prompt_tokens,
+          completion_tokens: usage.completion_tokens,
+          cost_cents
+        }
       }
     }, { 
       status: 200,
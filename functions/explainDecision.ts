@@ -1,4 +1,36 @@
 import { createClientFromRequest } from 'npm:@base44/sdk@0.8.6';
+import { LLMProviderError, callLLM } from './_shared/llmGateway.ts';
+
+const EXPLANATION_SCHEMA = {
+  type: 'object',
+  properties: {
+    reasoning: { type: 'string' },
+    confidence_score: { type: 'number' },
+    factors: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          factor: { type: 'string' },
+          weight: { type: 'number' },
+          impact: { type: 'string', enum: ['positive', 'negative', 'neutral'] }
+        }
+      }
+    },
+    alternative_paths: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          path: { type: 'string' },
+          probability: { type: 'number' },
+          why_not_chosen: { type: 'string' }
+        }
+      }
+    }
+  },
+  required: ['reasoning', 'confidence_score', 'factors', 'alternative_paths']
+};
 
 /**
  * Generate explainability insights for agent decisions
@@ -19,6 +51,7 @@ Deno.serve(async (req) => {
       decision_point,
       input_data,
       output_data,
+      provider = 'openai',
       model_used = 'gpt-4o-mini',
     } = await req.json();
     
@@ -28,38 +61,26 @@ Deno.serve(async (req) => {
       }, { status: 400 });
     }
 
-    const OPENAI_API_KEY = Deno.env.get('OPENAI_API_KEY');
-    if (!OPENAI_API_KEY) {
-      throw new Error('OPENAI_API_KEY not configured');
-    }
-
     // Generate explanation using LLM
-    const response = await fetch('https://api.openai.com/v1/chat/completions', {
-      method: 'POST',
-      headers: {
-        'Authorization': `Bearer ${OPENAI_API_KEY}`,
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify({
-        model: 'gpt-4o-mini',
-        messages: [{
-          role: 'system',
-          content: 'You are an AI explainability expert. Analyze agent decisions and provide clear, transparent explanations of reasoning, factors, and alternatives.',
-        }, {
-          role: 'user',
-          content: `Explain this AI agent decision:\n\nDecision Point: ${decision_point}\n\nInput: ${JSON.stringify(input_data, null, 2)}\n\nOutput: ${JSON.stringify(output_data, null, 2)}\n\nProvide:\n1. Clear reasoning\n2. Key factors (with weights 0-1 and positive/negative/neutral impact)\n3. Confidence score (0-1)\n4. Alternative paths considered\n\nReturn as JSON: { reasoning, confidence_score, factors: [{factor, weight, impact}], alternative_paths: [{path, probability, why_not_chosen}] }`,
-        }],
+    let reply;
+    try {
+      reply = await callLLM(base44, {
+        provider,
+        model: model_used,
+        system: 'You are an AI explainability expert. Analyze agent decisions and provide clear, transparent explanations of reasoning, factors, and alternatives.',
+        prompt: `Explain this AI agent decision:\n\nDecision Point: ${decision_point}\n\nInput: ${JSON.stringify(input_data, null, 2)}\n\nOutput: ${JSON.stringify(output_data, null, 2)}\n\nProvide:\n1. Clear reasoning\n2. Key factors (with weights 0-1 and positive/negative/neutral impact)\n3. Confidence score (0-1)\n4. Alternative paths considered`,
         temperature: 0.3,
-        response_format: { type: 'json_object' },
-      }),
-    });
-
-    if (!response.ok) {
-      throw new Error(`OpenAI API error: ${response.statusText}`);
+        response_schema: EXPLANATION_SCHEMA
+      });
+    } catch (error) {
+      if (!(error instanceof LLMProviderError)) throw error;
+      return Response.json({
+        error: error.message,
+        provider: error.provider,
+        retryable: error.retryable,
+      }, { status: 502 });
     }
-
-    const data = await response.json();
-    const explanation = JSON.parse(data.choices[0].message.content);
+    const explanation = reply.content;
 
     // Store explainability log
     const log = await base44.asServiceRole.entities.ExplainabilityLog.create({
@@ -73,6 +94,7 @@ Deno.serve(async (req) => {
       factors: explanation.factors,
       alternative_paths: explanation.alternative_paths,
       model_used,
+      provider_used: reply.provider,
       timestamp: new Date().toISOString(),
       org_id: user.organization.id,
     });
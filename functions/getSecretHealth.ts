@@ -2,9 +2,105 @@
  * @fileoverview Get Secret Health Status
  * @description Returns rotation and access metadata for secrets.
  * Does NOT return actual secret values.
+ *
+ * Secrets are named Secret records plus the credentials stored on each
+ * ConnectorInstallation and ExternalConnection. Each entry reports when it
+ * was created, last rotated and last used, when its rotation policy makes
+ * it due, and what depends on it. Pass `name` for a single secret.
  */
 
 import { createClientFromRequest } from 'npm:@base44/sdk@0.8.4';
+import { DAY_MS, rotationDueAt, rotationOverdue, rotationPolicy } from './_shared/secretUsage.ts';
+
+const SECRET_SOURCES = [
+  { entity: 'Secret', kind: 'secret' },
+  { entity: 'ConnectorInstallation', kind: 'connector_installation' },
+  { entity: 'ExternalConnection', kind: 'external_connection' }
+];
+// Entries due within this window are reported as due_soon
+const DUE_SOON_DAYS = 14;
+
+function hasStoredCredentials(record) {
+  return Boolean(record.credentials_encrypted) ||
+    Boolean(record.credentials && Object.keys(record.credentials).length > 0);
+}
+
+function keyVersion(record) {
+  try {
+    const envelope = typeof record.credentials_encrypted === 'string'
+      ? JSON.parse(record.credentials_encrypted)
+      : record.credentials_encrypted;
+    return envelope?.key_version ?? null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Builds the health entry for one record. Nothing derived from the
+ * credential values themselves is included.
+ */
+function secretHealth(source, record, dependents, now) {
+  const policy = rotationPolicy(record);
+  const stored = hasStoredCredentials(record);
+  const due = rotationDueAt(record);
+  const lastAccessed = source.entity === 'Secret'
+    ? record.last_accessed_at
+    : record.credentials_last_accessed_at || record.last_used;
+  const idleSince = new Date(lastAccessed || record.created_date);
+  const unused = now.getTime() - idleSince.getTime() > policy.unused_after_days * DAY_MS;
+
+  let status = 'ok';
+  if (!stored) status = 'missing';
+  else if (due < now) status = 'overdue';
+  else if (due.getTime() - now.getTime() < DUE_SOON_DAYS * DAY_MS) status = 'due_soon';
+  else if (unused) status = 'unused';
+
+  return {
+    id: record.id,
+    entity: source.entity,
+    kind: source.kind,
+    name: record.name,
+    description: record.description || null,
+    status,
+    created_at: record.created_date,
+    last_rotated_at: record.credentials_updated_at || null,
+    last_accessed_at: lastAccessed || null,
+    rotation_policy: policy,
+    rotation_due_at: due.toISOString(),
+    needs_rotation: stored && due < now,
+    blocked: stored && rotationOverdue(record, now),
+    unused: stored && unused,
+    credential_fields: record.credential_fields || Object.keys(record.credentials || {}),
+    key_version: keyVersion(record),
+    secret_refs: record.secret_refs || {},
+    dependents
+  };
+}
+
+async function collectSecretHealth(base44, now) {
+  // User-scoped reads keep the inventory to the caller's organization
+  const records = {};
+  for (const source of SECRET_SOURCES) {
+    records[source.entity] = await base44.entities[source.entity].list();
+  }
+
+  const dependentsBySecret = new Map();
+  for (const source of SECRET_SOURCES.filter(s => s.entity !== 'Secret')) {
+    for (const record of records[source.entity]) {
+      for (const [field, secretId] of Object.entries(record.secret_refs || {})) {
+        if (!dependentsBySecret.has(secretId)) dependentsBySecret.set(secretId, []);
+        dependentsBySecret.get(secretId).push({ entity: source.entity, id: record.id, name: record.name, field });
+      }
+    }
+  }
+
+  return SECRET_SOURCES.flatMap(source =>
+    records[source.entity].map(record =>
+      secretHealth(source, record, source.entity === 'Secret' ? dependentsBySecret.get(record.id) || [] : [], now)
+    )
+  );
+}
 
 Deno.serve(async (req) => {
   try {
@@ -18,23 +114,44 @@ Deno.serve(async (req) => {
       }, { status: 403 });
     }
     
-    const { name } = await req.json();
-    
-    // In production, this would call AWS Secrets Manager API
-    // For now, return mock data
-    const health = {
-      name,
-      rotation_enabled: true,
-      last_rotated_date: new Date(Date.now() - 45 * 24 * 60 * 60 * 1000).toISOString(),
-      last_accessed_date: new Date(Date.now() - 2 * 60 * 60 * 1000).toISOString(),
-      needs_rotation: false
-    };
-    
-    return Response.json(health);
+    const { name } = await req.json().catch(() => ({}));
+    const secrets = await collectSecretHealth(base44, new Date());
+
+    if (name) {
+      const secret = secrets.find(s => s.name === name);
+      if (!secret) {
+        return Response.json({
+          error: 'Not found',
+          message: `Secret ${name} not found`
+        }, { status: 404 });
+      }
+      return Response.json({
+        ...secret,
+        rotation_enabled: secret.rotation_policy.interval_days > 0,
+        last_rotated_date: secret.last_rotated_at,
+        last_accessed_date: secret.last_accessed_at
+      });
+    }
+
+    const count = status => secrets.filter(s => s.status === status).length;
+    return Response.json({
+      success: true,
+      data: {
+        secrets,
+        summary: {
+          total: secrets.length,
+          overdue: count('overdue'),
+          due_soon: count('due_soon'),
+          unused: count('unused'),
+          missing: count('missing'),
+          blocked: secrets.filter(s => s.blocked).length
+        }
+      }
+    });
   } catch (error) {
     return Response.json({
       error: 'Failed to fetch secret health',
       message: error.message
     }, { status: 500 });
   }
-});
\ No newline at end of file
+});
@@ -0,0 +1,272 @@
+/**
+ * @fileoverview Import Connector Specification
+ * @description Builds a ConnectorDefinition from an OpenAPI 3.x or Swagger 2
+ * document (JSON or YAML) or a Postman collection (v2.0 / v2.1).
+ *
+ * Each operation gets an id, method, endpoint with `{param}` placeholders,
+ * a `parameters` list recording where every input goes (path, query,
+ * header or body), an input_schema covering all of them and the output
+ * schema of its first successful response. The auth type, OAuth URLs and
+ * base URL come from the document's security schemes and servers.
+ *
+ * `{ action: 'preview', source, connector_id? }` parses without saving.
+ * With `connector_id` the result is compared against that definition's
+ * operations: which were added, removed or changed.
+ *
+ * `{ action: 'import', source, connector_id? }` creates a new definition or
+ * replaces the operations of an existing one, and returns the same diff.
+ */
+
+import { createClientFromRequest } from 'npm:@base44/sdk@0.8.6';
+import { parse as parseYaml } from 'npm:yaml@2.8.1';
+import { SpecError, convertDocument, slug } from './_shared/connectorSpec.ts';
+
+const MAX_SOURCE_BYTES = 5 * 1024 * 1024;
+
+// ---------------------------------------------------------------------------
+// Parsing helpers
+// ---------------------------------------------------------------------------
+
+function parseSource(source) {
+  if (source && typeof source === 'object') return source;
+  if (typeof source !== 'string' || !source.trim()) {
+    throw new SpecError('source must be a JSON or YAML document', 'VALIDATION_ERROR');
+  }
+  if (new TextEncoder().encode(source).length > MAX_SOURCE_BYTES) {
+    throw new SpecError('Specification is larger than 5 MB', 'VALIDATION_ERROR');
+  }
+  try {
+    return JSON.parse(source);
+  } catch {
+    try {
+      return parseYaml(source);
+    } catch (error) {
+      throw new SpecError(`Could not parse specification: ${error.message}`);
+    }
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Diff against an existing definition
+// ---------------------------------------------------------------------------
+
+function stableJson(value) {
+  if (Array.isArray(value)) return `[${value.map(stableJson).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map((key) => `${JSON.stringify(key)}:${stableJson(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+/**
+ * Parameters of an operation keyed by location and name. Definitions built
+ * by hand have no parameter list, so their input_schema properties are used.
+ */
+function parameterMap(op) {
+  const params = op.parameters || Object.entries(op.input_schema?.properties || {}).map(([name, schema]) => ({
+    name,
+    in: 'body',
+    required: (op.input_schema.required || []).includes(name),
+    schema
+  }));
+  return new Map(params.map((param) => [`${param.in}:${param.name}`, param]));
+}
+
+function describeChanges(before, after) {
+  const changes = [];
+  if (before.method !== after.method) changes.push(`method ${before.method} → ${after.method}`);
+  if ((before.endpoint || '') !== after.endpoint) changes.push(`endpoint ${before.endpoint || '(none)'} → ${after.endpoint}`);
+
+  const oldParams = parameterMap(before);
+  const newParams = parameterMap(after);
+  for (const [key, param] of newParams) {
+    const previous = oldParams.get(key);
+    if (!previous) {
+      changes.push(`added ${param.required ? 'required ' : ''}parameter ${param.name} (${param.in})`);
+    } else if (Boolean(previous.required) !== Boolean(param.required)) {
+      changes.push(`parameter ${param.name} is now ${param.required ? 'required' : 'optional'}`);
+    } else if (stableJson(previous.schema || {}) !== stableJson(param.schema || {})) {
+      changes.push(`parameter ${param.name} type changed`);
+    }
+  }
+  for (const [key, param] of oldParams) {
+    if (!newParams.has(key)) changes.push(`removed parameter ${param.name} (${param.in})`);
+  }
+
+  if (stableJson(before.output_schema || {}) !== stableJson(after.output_schema || {})) {
+    changes.push('response schema changed');
+  }
+  return changes;
+}
+
+/**
+ * Operations are matched by id, then by method and endpoint so an
+ * operationId rename in the spec reads as a change rather than a
+ * removal and an addition.
+ */
+function diffOperations(existing = [], incoming = []) {
+  const route = (op) => `${op.method} ${op.endpoint}`;
+  const unmatched = new Map(existing.map((op) => [op.id, op]));
+  const diff = { added: [], removed: [], changed: [], unchanged: [] };
+
+  for (const op of incoming) {
+    let previous = unmatched.get(op.id);
+    if (!previous) {
+      previous = [...unmatched.values()].find((candidate) => route(candidate) === route(op));
+    }
+    if (!previous) {
+      diff.added.push({ id: op.id, name: op.name, method: op.method, endpoint: op.endpoint });
+      continue;
+    }
+    unmatched.delete(previous.id);
+
+    const changes = describeChanges(previous, op);
+    if (previous.id !== op.id) changes.unshift(`id ${previous.id} → ${op.id}`);
+    if (changes.length > 0) {
+      diff.changed.push({ id: op.id, name: op.name, method: op.method, endpoint: op.endpoint, changes });
+    } else {
+      diff.unchanged.push(op.id);
+    }
+  }
+
+  for (const op of unmatched.values()) {
+    diff.removed.push({ id: op.id, name: op.name, method: op.method, endpoint: op.endpoint });
+  }
+  return diff;
+}
+
+// ---------------------------------------------------------------------------
+
+function convert(source) {
+  return convertDocument(parseSource(source));
+}
+
+function definitionFields(format, converted, existing, user) {
+  return {
+    name: existing?.name || converted.name,
+    description: existing?.description || converted.description,
+    provider: existing?.provider || slug(converted.name),
+    auth_type: converted.auth_type,
+    // Keep settings entered by hand, such as an OAuth client id
+    auth_config: {
+      ...(existing?.auth_config || {}),
+      ...converted.auth_config,
+      ...(converted.base_url && { base_url: converted.base_url })
+    },
+    operations: converted.operations,
+    spec_source: {
+      format,
+      title: converted.name,
+      version: converted.version,
+      imported_at: new Date().toISOString(),
+      imported_by: user.email
+    }
+  };
+}
+
+Deno.serve(async (req) => {
+  const trace_id = crypto.randomUUID();
+
+  try {
+    const base44 = createClientFromRequest(req);
+    const user = await base44.auth.me();
+
+    if (!user) {
+      return Response.json({
+        code: 'UNAUTHORIZED',
+        message: 'Authentication required',
+        retryable: false,
+        trace_id
+      }, { status: 401 });
+    }
+
+    const { action = 'preview', source, connector_id } = await req.json().catch(() => ({}));
+
+    if (!['preview', 'import'].includes(action)) {
+      return Response.json({
+        code: 'VALIDATION_ERROR',
+        message: 'action must be preview or import',
+        retryable: false,
+        trace_id
+      }, { status: 422 });
+    }
+
+    let existing = null;
+    if (connector_id) {
+      [existing] = await base44.entities.ConnectorDefinition.filter({ id: connector_id });
+      if (!existing) {
+        return Response.json({
+          code: 'NOT_FOUND',
+          message: 'Connector definition not found',
+          retryable: false,
+          trace_id
+        }, { status: 404 });
+      }
+    }
+
+    const { format, converted, warnings } = convert(source);
+    const fields = definitionFields(format, converted, existing, user);
+    const diff = existing ? diffOperations(existing.operations, fields.operations) : null;
+
+    if (action === 'preview') {
+      return Response.json({ success: true, data: { format, definition: fields, diff, warnings } });
+    }
+
+    let connector;
+    if (existing) {
+      const isAdmin = ['admin', 'owner'].includes(user.role);
+      if (!isAdmin && (existing.is_official || existing.created_by !== user.email)) {
+        return Response.json({
+          code: 'FORBIDDEN',
+          message: 'Only the connector author or an admin can re-import it',
+          retryable: false,
+          trace_id
+        }, { status: 403 });
+      }
+      connector = await base44.entities.ConnectorDefinition.update(existing.id, fields);
+    } else {
+      connector = await base44.entities.ConnectorDefinition.create({
+        ...fields,
+        category: 'custom',
+        is_official: false,
+        is_marketplace: false,
+        status: 'beta'
+      });
+    }
+
+    await base44.asServiceRole.entities.Audit.create({
+      action: existing ? 'reimport_connector_spec' : 'import_connector_spec',
+      entity: 'ConnectorDefinition',
+      entity_id: connector.id,
+      actor: user.email,
+      severity: 'info',
+      metadata: {
+        format,
+        version: converted.version,
+        operations: fields.operations.length,
+        ...(diff && { added: diff.added.length, removed: diff.removed.length, changed: diff.changed.length })
+      },
+      org_id: user.organization?.id
+    });
+
+    return Response.json({ success: true, data: { format, connector, diff, warnings } });
+
+  } catch (error) {
+    if (error instanceof SpecError) {
+      return Response.json({
+        code: error.code,
+        message: error.message,
+        retryable: false,
+        trace_id
+      }, { status: 422 });
+    }
+
+    console.error('[ImportConnectorSpec] Error:', error);
+    return Response.json({
+      code: 'SERVER_ERROR',
+      message: error.message,
+      retryable: true,
+      trace_id
+    }, { status: 500 });
+  }
+});
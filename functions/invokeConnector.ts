@@ -1,15 +1,81 @@
 import { createClientFromRequest } from 'npm:@base44/sdk@0.8.6';
+import { Buffer } from 'node:buffer';
+import { loadCredentials } from './_shared/vault.ts';
+import { OAuthError, refreshAccessToken, tokenExpiring } from './_shared/oauthTokens.ts';
+import {
+  checkPolicies,
+  pendingPolicyApproval,
+  policyApprovalGranted,
+  policyMessage,
+  recordPolicyDecision,
+  requestPolicyApproval
+} from './_shared/policy.ts';
+import { coerceToSchema, operationParameters, validateSchema } from './_shared/operationSchema.ts';
+import { verifyRunCall } from './_shared/runCalls.ts';
+import { recordCredentialAccess, rotationDueAt, rotationOverdue } from './_shared/secretUsage.ts';
+
+const REQUEST_TIMEOUT_MS = 30 * 1000;
+const BODYLESS_METHODS = ['GET', 'HEAD'];
+
+const PAGINATION_TYPES = new Set(['cursor', 'offset', 'page', 'link']);
+const DEFAULT_MAX_PAGES = 10;
+const MAX_PAGES_LIMIT = 50;
+const DEFAULT_MAX_ITEMS = 1000;
+const MAX_ITEMS_LIMIT = 10000;
+
+// 429 and 503 responses are retried after Retry-After, or with exponential
+// backoff without one; longer waits are left to the caller
+const MAX_RATE_LIMIT_RETRIES = 3;
+const MAX_RETRY_WAIT_SECONDS = 30;
+
+/**
+ * The connector's API could not be reached or did not answer in time.
+ */
+class UpstreamError extends Error {
+  constructor(cause) {
+    const timedOut = cause?.name === 'TimeoutError';
+    super(timedOut ? `No response within ${REQUEST_TIMEOUT_MS / 1000}s` : cause?.message || 'Network error');
+    this.name = 'UpstreamError';
+    this.code = timedOut ? 'UPSTREAM_TIMEOUT' : 'UPSTREAM_UNAVAILABLE';
+    this.status = timedOut ? 504 : 502;
+  }
+}
+
+// Error codes for upstream 4xx responses; anything else is UPSTREAM_ERROR
+const UPSTREAM_ERROR_CODES = {
+  400: 'UPSTREAM_BAD_REQUEST',
+  401: 'UPSTREAM_UNAUTHORIZED',
+  403: 'UPSTREAM_FORBIDDEN',
+  404: 'UPSTREAM_NOT_FOUND',
+  408: 'UPSTREAM_TIMEOUT',
+  409: 'UPSTREAM_CONFLICT',
+  422: 'UPSTREAM_VALIDATION',
+  429: 'RATE_LIMITED',
+};
 
 Deno.serve(async (req) => {
   try {
     const base44 = createClientFromRequest(req);
     const user = await base44.auth.me();
+    const {
+      installationId, operationId, parameters, paginate, page_token, approval_request_id, run_id, run_token
+    } = await req.json();
 
-    if (!user) {
-      return Response.json({ error: 'Unauthorized' }, { status: 401 });
+    // Connector nodes of runs without a session pass run_id and run_token
+    // (see _shared/runCalls.ts) and act for the run's organisation
+    let caller = user ? { org_id: user.organization?.id, actor: user.email } : null;
+    if (run_id) {
+      const runCall = await verifyRunCall(base44, run_id, run_token);
+      if (runCall.error) {
+        const { status, code, message } = runCall.error;
+        return Response.json({ error: message, code, retryable: false }, { status });
+      }
+      caller = { org_id: runCall.run.org_id, actor: user?.email || runCall.run.triggered_by };
     }
 
-    const { installationId, operationId, parameters } = await req.json();
+    if (!caller) {
+      return Response.json({ error: 'Unauthorized' }, { status: 401 });
+    }
 
     if (!installationId || !operationId) {
       return Response.json({ error: 'Missing required parameters' }, { status: 400 });
@@ -18,7 +84,7 @@ Deno.serve(async (req) => {
     // Fetch installation
     const installations = await base44.asServiceRole.entities.ConnectorInstallation.filter({
       id: installationId,
-      org_id: user.organization.id,
+      org_id: caller.org_id,
     });
 
     if (!installations || installations.length === 0) {
@@ -27,12 +93,20 @@ Deno.serve(async (req) => {
 
     const installation = installations[0];
 
+    if (installation.status === 'needs_reauth') {
+      return Response.json({
+        error: 'Reauthorization required',
+        message: installation.error_message || 'Authorize the connector again to continue',
+      }, { status: 401 });
+    }
+
     if (installation.status !== 'active') {
       return Response.json({ error: 'Connector is not active' }, { status: 400 });
     }
 
-    // Fetch connector definition
-    const connectors = await base44.entities.ConnectorDefinition.filter({
+    // Fetch connector definition; the installation is already scoped to the
+    // caller's org, and run calls have no session to read it with
+    const connectors = await base44.asServiceRole.entities.ConnectorDefinition.filter({
       id: installation.connector_id,
     });
 
@@ -49,88 +123,549 @@ Deno.serve(async (req) => {
       return Response.json({ error: 'Operation not found' }, { status: 404 });
     }
 
-    // Decrypt credentials (in production, use proper encryption/secrets manager)
-    const credentials = JSON.parse(installation.credentials_encrypted);
-
-    // Build request
-    const baseUrl = connector.auth_config?.base_url || '';
-    let url = baseUrl + operation.endpoint;
+    const { input, errors } = prepareInput(operation, parameters || {});
+    if (errors.length > 0) {
+      return Response.json({
+        error: 'Invalid parameters',
+        code: 'VALIDATION_ERROR',
+        retryable: false,
+        details: errors,
+      }, { status: 422 });
+    }
 
-    // Replace path parameters
-    if (parameters) {
-      for (const [key, value] of Object.entries(parameters)) {
-        url = url.replace(`{${key}}`, encodeURIComponent(value));
+    const pagination = PAGINATION_TYPES.has(operation.pagination?.type) ? operation.pagination : null;
+    const limits = paginationLimits(pagination, paginate);
+    let page = pagination ? firstPage(pagination) : null;
+    if (page_token) {
+      page = pagination && decodePageToken(page_token, connector.auth_config?.base_url);
+      if (!page) {
+        return Response.json({
+          error: 'Invalid page_token',
+          code: 'VALIDATION_ERROR',
+          retryable: false,
+        }, { status: 422 });
       }
     }
 
-    // Build headers
-    const headers = {
-      'Content-Type': 'application/json',
-      ...buildAuthHeaders(connector.auth_type, credentials),
+    // Operations are named <provider>.<operation> for forbidden_tools
+    const policyContext = {
+      scope: 'connector',
+      target: `connector:${installation.id}:${operation.id}`,
+      org_id: installation.org_id,
+      connector_id: connector.id,
+      tools: [`${connector.provider || connector.id}.${operation.id}`],
     };
+    const decision = await checkPolicies(base44, policyContext);
 
-    // Make request
-    const requestOptions = {
-      method: operation.method,
-      headers,
-    };
+    if (decision.decision === 'deny') {
+      await recordPolicyDecision(base44, decision, policyContext, caller.actor);
+      return Response.json({
+        error: 'Blocked by policy',
+        code: 'POLICY_DENIED',
+        message: policyMessage(decision),
+        policy_id: decision.policy_id,
+        retryable: false,
+      }, { status: 403 });
+    }
 
-    if (operation.method !== 'GET' && parameters) {
-      requestOptions.body = JSON.stringify(parameters);
+    if (decision.decision === 'require_approval' &&
+        !(await policyApprovalGranted(base44, approval_request_id, decision, policyContext))) {
+      let request = await pendingPolicyApproval(base44, approval_request_id, policyContext);
+      if (!request) {
+        await recordPolicyDecision(base44, decision, policyContext, caller.actor);
+        request = await requestPolicyApproval(base44, decision, policyContext, caller.actor);
+      }
+      return Response.json({
+        error: 'Approval required',
+        code: 'APPROVAL_REQUIRED',
+        message: policyMessage(decision),
+        policy_id: decision.policy_id,
+        approval_request_id: request.id,
+        retryable: false,
+      }, { status: 403 });
     }
 
-    const response = await fetch(url, requestOptions);
+    if (rotationOverdue(installation)) {
+      return Response.json({
+        error: 'Credentials expired',
+        message: 'The rotation policy requires these credentials to be rotated before use',
+        rotation_due_at: rotationDueAt(installation).toISOString(),
+      }, { status: 403 });
+    }
 
-    if (!response.ok) {
-      const errorBody = await response.text();
-      return Response.json(
-        {
-          error: 'Connector request failed',
-          status: response.status,
-          details: errorBody,
-        },
-        { status: response.status }
-      );
+    let credentials = loadCredentials('ConnectorInstallation', installation);
+    await recordCredentialAccess(base44, 'ConnectorInstallation', installation);
+
+    const isOAuth = connector.auth_type === 'oauth2';
+    let refreshed = false;
+    if (isOAuth && tokenExpiring(installation)) {
+      credentials = await refreshAccessToken(base44, installation, connector, credentials);
+      refreshed = true;
     }
 
-    const result = await response.json();
+    const send = async (creds) => {
+      try {
+        return await fetch(...buildRequest(connector, operation, pageInput(pagination, page, input, operation), creds, page?.url));
+      } catch (error) {
+        throw new UpstreamError(error);
+      }
+    };
+
+    const items = [];
+    const schemaErrors = [];
+    let pages = 0;
+    let body;
+
+    do {
+      let response = await sendWithBackoff(() => send(credentials));
+
+      // Tokens can be revoked or expire early; refresh once and retry
+      if (response.status === 401 && isOAuth && !refreshed && credentials.refreshToken) {
+        credentials = await refreshAccessToken(base44, installation, connector, credentials);
+        refreshed = true;
+        response = await sendWithBackoff(() => send(credentials));
+      }
+
+      body = await readBody(response);
+
+      if (!response.ok) {
+        return Response.json(upstreamError(response, body), { status: response.status });
+      }
+
+      const pageErrors = isJsonBody(response) ? validateSchema(operation.output_schema, body) : [];
+      if (pageErrors.length > 0 && operation.response_validation === 'strict') {
+        return Response.json({
+          error: 'Response did not match the operation schema',
+          code: 'RESPONSE_SCHEMA_MISMATCH',
+          retryable: false,
+          details: pageErrors,
+        }, { status: 502 });
+      }
+      schemaErrors.push(...pageErrors);
+      pages += 1;
+
+      if (pagination) {
+        const pageItems = pageItemsOf(pagination, operation, body);
+        items.push(...pageItems);
+        page = nextPage(pagination, page, { body, response, items: pageItems, baseUrl: connector.auth_config?.base_url });
+      }
+    } while (limits && page && pages < limits.max_pages && items.length < limits.max_items);
 
     // Update usage metrics
     await base44.asServiceRole.entities.ConnectorInstallation.update(installation.id, {
-      usage_count: (installation.usage_count || 0) + 1,
+      usage_count: (installation.usage_count || 0) + pages,
       last_used: new Date().toISOString(),
     });
 
+    const itemMapping = operation.response_mapping && { ...operation.response_mapping, root: null };
+
     return Response.json({
       success: true,
-      data: result,
+      data: limits
+        ? items.map((item) => mapResponse(item, itemMapping))
+        : mapResponse(body, operation.response_mapping),
       operation: {
         id: operation.id,
         name: operation.name,
       },
+      ...(pagination && {
+        pagination: {
+          pages,
+          has_more: Boolean(page),
+          next_page: page ? encodePageToken(page) : null,
+        },
+      }),
+      ...(schemaErrors.length > 0 && { schema_warnings: schemaErrors }),
     });
   } catch (error) {
+    if (error instanceof OAuthError) {
+      const unavailable = error.code === 'OAUTH_UNAVAILABLE';
+      return Response.json({
+        error: unavailable ? 'Token refresh unavailable' : 'Reauthorization required',
+        message: error.message,
+      }, { status: unavailable ? 502 : 401 });
+    }
+
+    if (error instanceof UpstreamError) {
+      return Response.json({
+        error: 'Connector request failed',
+        code: error.code,
+        message: error.message,
+        retryable: true,
+      }, { status: error.status });
+    }
+
     console.error('Connector invocation error:', error);
     return Response.json({ error: error.message }, { status: 500 });
   }
 });
 
-function buildAuthHeaders(authType, credentials) {
-  switch (authType) {
-    case 'api_key':
+/**
+ * Sorts caller parameters into path, query, header and body, coercing and
+ * validating each against its schema. Operations that declare `parameters`
+ * reject anything undeclared; older ones route extra keys the way
+ * operationParameters infers them.
+ */
+function prepareInput(operation, parameters) {
+  const declared = operationParameters(operation);
+  const strict = Array.isArray(operation.parameters);
+  const bodyless = ['GET', 'HEAD', 'DELETE'].includes(String(operation.method).toUpperCase());
+  const input = { path: {}, query: {}, header: {}, body: {} };
+  const errors = [];
+
+  for (const [name, value] of Object.entries(parameters)) {
+    if (value === undefined) continue;
+    const parameter = declared.find((item) => item.name === name);
+    if (!parameter) {
+      if (strict) {
+        errors.push({ path: `$.${name}`, message: 'is not a parameter of this operation' });
+      } else {
+        input[bodyless ? 'query' : 'body'][name] = value;
+      }
+      continue;
+    }
+    const coerced = coerceToSchema(parameter.schema, value);
+    errors.push(...validateSchema(parameter.schema, coerced, `$.${name}`));
+    input[parameter.in][name] = coerced;
+  }
+
+  for (const parameter of declared) {
+    if (parameter.required && parameters[parameter.name] === undefined) {
+      errors.push({ path: `$.${parameter.name}`, message: 'is required' });
+    }
+  }
+
+  return { input, errors };
+}
+
+/**
+ * `nextUrl` is a link-paginated page's address, which already carries the
+ * path and query; only credentials are added to it.
+ */
+function buildRequest(connector, operation, input, credentials, nextUrl = null) {
+  const method = String(operation.method || 'GET').toUpperCase();
+  const baseUrl = connector.auth_config?.base_url || '';
+  const endpoint = operation.endpoint.replace(/\{([^}]+)\}/g, (_, name) => encodeURIComponent(String(input.path[name])));
+  const url = new URL(nextUrl || baseUrl + endpoint);
+
+  const query = nextUrl ? {} : { ...input.query };
+  const headers = { ...input.header };
+  Object.assign(headers, buildAuthHeaders(connector, credentials, query));
+
+  for (const [name, value] of Object.entries(query)) {
+    if (nextUrl) url.searchParams.delete(name);
+    for (const item of [].concat(value)) {
+      url.searchParams.append(name, typeof item === 'object' ? JSON.stringify(item) : String(item));
+    }
+  }
+
+  const init = { method, headers, signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS) };
+  const fields = Object.keys(input.body);
+  if (BODYLESS_METHODS.includes(method) || fields.length === 0) {
+    return [url.toString(), init];
+  }
+
+  // A lone `body` parameter is the whole payload rather than one field of it
+  const payload = fields.length === 1 && fields[0] === 'body' && Array.isArray(operation.parameters)
+    ? input.body.body
+    : input.body;
+  const contentType = operation.request_content_type || 'application/json';
+
+  if (contentType === 'application/x-www-form-urlencoded') {
+    headers['Content-Type'] = contentType;
+    init.body = new URLSearchParams(Object.entries(payload).map(([name, value]) => [name, String(value)])).toString();
+  } else if (contentType === 'multipart/form-data') {
+    // fetch sets the multipart boundary itself
+    const form = new FormData();
+    for (const [name, value] of Object.entries(payload)) {
+      form.append(name, typeof value === 'object' ? JSON.stringify(value) : String(value));
+    }
+    init.body = form;
+  } else {
+    headers['Content-Type'] = contentType;
+    init.body = typeof payload === 'string' && !contentType.includes('json') ? payload : JSON.stringify(payload);
+  }
+
+  return [url.toString(), init];
+}
+
+/**
+ * API keys go in the header or query parameter named by auth_config
+ * (`api_key_in`, `api_key_name`), defaulting to a bearer token.
+ */
+function buildAuthHeaders(connector, credentials, query) {
+  switch (connector.auth_type) {
+    case 'api_key': {
+      const { api_key_in, api_key_name } = connector.auth_config || {};
+      if (api_key_in === 'query') {
+        query[api_key_name || 'api_key'] = credentials.apiKey;
+        return {};
+      }
+      if (api_key_in === 'header' && api_key_name) {
+        return {
+          [api_key_name]: credentials.apiKey,
+        };
+      }
       return {
         Authorization: `Bearer ${credentials.apiKey}`,
       };
+    }
     case 'oauth2':
       return {
         Authorization: `Bearer ${credentials.accessToken}`,
       };
-    case 'basic':
+    case 'basic': {
       const encoded = btoa(`${credentials.username}:${credentials.password}`);
       return {
         Authorization: `Basic ${encoded}`,
       };
+    }
     default:
       return {};
   }
-}
\ No newline at end of file
+}
+
+async function sendWithBackoff(send) {
+  for (let attempt = 0; ; attempt++) {
+    const response = await send();
+    if (![429, 503].includes(response.status) || attempt >= MAX_RATE_LIMIT_RETRIES) return response;
+
+    const wait = retryAfterSeconds(response) ?? 2 ** attempt;
+    if (wait > MAX_RETRY_WAIT_SECONDS) return response;
+    await response.body?.cancel();
+    await new Promise((resolve) => setTimeout(resolve, wait * 1000));
+  }
+}
+
+function isJsonBody(response) {
+  return /[/+]json\b/.test(response.headers.get('content-type') || '');
+}
+
+async function readBody(response) {
+  if (response.status === 204) return null;
+  const text = await response.text();
+  if (!text) return null;
+  if (!isJsonBody(response)) return text;
+  try {
+    return JSON.parse(text);
+  } catch {
+    return text;
+  }
+}
+
+/**
+ * Retry-After is either a number of seconds or an HTTP date.
+ */
+function retryAfterSeconds(response) {
+  const header = response.headers.get('retry-after');
+  if (!header) return null;
+  if (/^\d+$/.test(header.trim())) return Number(header.trim());
+  const date = Date.parse(header);
+  return Number.isNaN(date) ? null : Math.max(0, Math.ceil((date - Date.now()) / 1000));
+}
+
+function upstreamError(response, body) {
+  const status = response.status;
+  const retryable = status === 408 || status === 429 || (status >= 500 && status !== 501);
+  const retryAfter = retryAfterSeconds(response);
+  return {
+    error: 'Connector request failed',
+    code: UPSTREAM_ERROR_CODES[status] || 'UPSTREAM_ERROR',
+    status,
+    retryable,
+    ...(retryable && retryAfter !== null && { retry_after_seconds: retryAfter }),
+    details: body,
+  };
+}
+
+function getPath(value, path) {
+  if (!path) return value;
+  return path.split('.').reduce((current, key) => (current == null ? undefined : current[key]), value);
+}
+
+function flatten(value, prefix = '') {
+  const result = {};
+  for (const [key, item] of Object.entries(value)) {
+    const name = prefix ? `${prefix}.${key}` : key;
+    if (item && typeof item === 'object' && !Array.isArray(item)) {
+      Object.assign(result, flatten(item, name));
+    } else {
+      result[name] = item;
+    }
+  }
+  return result;
+}
+
+function transformKeys(value, transformer) {
+  if (Array.isArray(value)) return value.map((item) => transformKeys(item, transformer));
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [transformer(key), transformKeys(item, transformer)]));
+  }
+  return value;
+}
+
+const KEY_CASES = {
+  camel: (key) => key.replace(/_([a-z])/g, (_, letter) => letter.toUpperCase()),
+  snake: (key) => key.replace(/[A-Z]/g, (letter) => `_${letter.toLowerCase()}`),
+};
+
+/**
+ * Applies an operation's `response_mapping`, the same transforms as the
+ * SDK's DataTransformer: `root` picks a nested value, `fields` maps output
+ * names to dotted paths, `flatten` collapses nested objects and `key_case`
+ * renames keys to camel or snake case. Lists are mapped item by item.
+ */
+function mapResponse(body, mapping) {
+  if (!mapping || body === null || typeof body !== 'object') return body;
+
+  const mapItem = (item) => {
+    let result = item;
+    if (mapping.fields && item && typeof item === 'object') {
+      result = Object.fromEntries(Object.entries(mapping.fields).map(([name, path]) => [name, getPath(item, path)]));
+    }
+    if (mapping.flatten && result && typeof result === 'object' && !Array.isArray(result)) {
+      result = flatten(result);
+    }
+    if (KEY_CASES[mapping.key_case]) {
+      result = transformKeys(result, KEY_CASES[mapping.key_case]);
+    }
+    return result;
+  };
+
+  const root = getPath(body, mapping.root);
+  return Array.isArray(root) ? root.map(mapItem) : mapItem(root);
+}
+
+function clampLimit(value, fallback, limit) {
+  return Math.min(Math.max(1, Math.floor(Number(value)) || fallback), limit);
+}
+
+/**
+ * `paginate: true` or `{ max_pages, max_items }` follows pages until either
+ * limit is reached; without it a single page is fetched.
+ */
+function paginationLimits(pagination, paginate) {
+  if (!pagination || !paginate) return null;
+  const options = typeof paginate === 'object' ? paginate : {};
+  return {
+    max_pages: clampLimit(options.max_pages, DEFAULT_MAX_PAGES, MAX_PAGES_LIMIT),
+    max_items: clampLimit(options.max_items, DEFAULT_MAX_ITEMS, MAX_ITEMS_LIMIT),
+  };
+}
+
+function firstPage(pagination) {
+  switch (pagination.type) {
+    case 'cursor':
+      return { cursor: null };
+    case 'offset':
+      return { offset: pagination.start_offset ?? 0 };
+    case 'page':
+      return { page: pagination.start_page ?? 1 };
+    default:
+      return { url: null };
+  }
+}
+
+/**
+ * Adds the page position and page size to the request. They go wherever the
+ * operation declares them, or to the query string. A size the caller passed
+ * is left alone, as is a cursor on the first page.
+ */
+function pageInput(pagination, page, input, operation) {
+  if (!pagination || !page) return input;
+
+  const values = {};
+  if (pagination.limit_param && pagination.page_size) {
+    values[pagination.limit_param] = pagination.page_size;
+  }
+  if (pagination.type === 'cursor' && page.cursor) {
+    values[pagination.cursor_param || 'cursor'] = page.cursor;
+  } else if (pagination.type === 'offset') {
+    values[pagination.offset_param || 'offset'] = page.offset;
+  } else if (pagination.type === 'page') {
+    values[pagination.page_param || 'page'] = page.page;
+  }
+
+  const declared = operationParameters(operation);
+  const result = { ...input, query: { ...input.query }, body: { ...input.body } };
+  for (const [name, value] of Object.entries(values)) {
+    const location = declared.find((parameter) => parameter.name === name)?.in === 'body' ? 'body' : 'query';
+    if (name === pagination.limit_param && result[location][name] !== undefined) continue;
+    result[location][name] = value;
+  }
+  return result;
+}
+
+function pageItemsOf(pagination, operation, body) {
+  const items = getPath(body, pagination.items_path ?? operation.response_mapping?.root);
+  return Array.isArray(items) ? items : [];
+}
+
+function linkHeaderNext(header) {
+  for (const [, url, params] of (header || '').matchAll(/<([^>]+)>([^<]*)/g)) {
+    if (/rel="?[^",;]*\bnext\b/i.test(params)) return url;
+  }
+  return null;
+}
+
+/**
+ * Next-page links are followed only on the connector's own origin, so
+ * credentials are never sent elsewhere.
+ */
+function sameOriginUrl(candidate, baseUrl) {
+  try {
+    const base = new URL(baseUrl);
+    const url = new URL(candidate, base);
+    return url.origin === base.origin ? url.toString() : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Returns the position of the page after this one, or null on the last
+ * page. Offset and page numbering stop at an empty or short page, or at
+ * `total_path` / `total_pages_path` when the API reports a total.
+ */
+function nextPage(pagination, page, { body, response, items, baseUrl }) {
+  if (pagination.has_more_path && !getPath(body, pagination.has_more_path)) return null;
+  const lastPage = items.length === 0 || (pagination.page_size && items.length < pagination.page_size);
+
+  switch (pagination.type) {
+    case 'cursor': {
+      const cursor = getPath(body, pagination.next_cursor_path);
+      return cursor ? { cursor } : null;
+    }
+    case 'offset': {
+      if (lastPage) return null;
+      const offset = page.offset + items.length;
+      const total = pagination.total_path ? getPath(body, pagination.total_path) : undefined;
+      return typeof total === 'number' && offset >= total ? null : { offset };
+    }
+    case 'page': {
+      if (lastPage) return null;
+      const totalPages = pagination.total_pages_path ? getPath(body, pagination.total_pages_path) : undefined;
+      return typeof totalPages === 'number' && page.page >= totalPages ? null : { page: page.page + 1 };
+    }
+    default: {
+      const link = pagination.next_url_path ? getPath(body, pagination.next_url_path) : linkHeaderNext(response.headers.get('link'));
+      const url = link && sameOriginUrl(link, baseUrl);
+      return url ? { url } : null;
+    }
+  }
+}
+
+function encodePageToken(page) {
+  return Buffer.from(JSON.stringify(page)).toString('base64url');
+}
+
+function decodePageToken(token, baseUrl) {
+  try {
+    const page = JSON.parse(Buffer.from(String(token), 'base64url').toString('utf8'));
+    if (!page || typeof page !== 'object') return null;
+    if (page.url && !sameOriginUrl(page.url, baseUrl)) return null;
+    return page;
+  } catch {
+    return null;
+  }
+}
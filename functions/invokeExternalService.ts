@@ -1,4 +1,6 @@
 import { createClientFromRequest } from 'npm:@base44/sdk@0.8.4';
+import { loadCredentials } from './_shared/vault.ts';
+import { recordCredentialAccess, rotationDueAt, rotationOverdue } from './_shared/secretUsage.ts';
 
 Deno.serve(async (req) => {
   try {
@@ -26,31 +28,43 @@ Deno.serve(async (req) => {
       return Response.json({ error: 'Connection inactive' }, { status: 400 });
     }
 
+    if (rotationOverdue(connection)) {
+      return Response.json({
+        error: 'Credentials expired',
+        message: 'The rotation policy requires these credentials to be rotated before use',
+        rotation_due_at: rotationDueAt(connection).toISOString()
+      }, { status: 403 });
+    }
+
+    // Handlers read decrypted credentials from this copy only
+    const resolved = { ...connection, credentials: loadCredentials('ExternalConnection', connection) };
+    await recordCredentialAccess(base44, 'ExternalConnection', connection);
+
     let result;
     const startTime = Date.now();
 
     // Route to appropriate service handler
     switch (connection.service) {
       case 'slack':
-        result = await handleSlack(connection, operation, parameters);
+        result = await handleSlack(resolved, operation, parameters);
         break;
       case 'github':
-        result = await handleGitHub(connection, operation, parameters);
+        result = await handleGitHub(resolved, operation, parameters);
         break;
       case 'aws_s3':
-        result = await handleS3(connection, operation, parameters);
+        result = await handleS3(resolved, operation, parameters);
         break;
       case 'google_drive':
-        result = await handleGoogleDrive(connection, operation, parameters);
+        result = await handleGoogleDrive(resolved, operation, parameters);
         break;
       case 'stripe':
-        result = await handleStripe(connection, operation, parameters);
+        result = await handleStripe(resolved, operation, parameters);
         break;
       case 'sendgrid':
-        result = await handleSendGrid(connection, operation, parameters);
+        result = await handleSendGrid(resolved, operation, parameters);
         break;
       case 'custom':
-        result = await handleCustomAPI(connection, operation, parameters);
+        result = await handleCustomAPI(resolved, operation, parameters);
         break;
       default:
         throw new Error(`Unsupported service: ${connection.service}`);
@@ -0,0 +1,335 @@
+/**
+ * @fileoverview Credential Vault Management
+ * @description Stores connector credentials encrypted and re-encrypts them
+ * when the master key is rotated. Credentials are only decrypted inside
+ * server functions; no response includes them.
+ *
+ * `{ action: 'store', entity, record_id, credentials }` encrypts credentials
+ * onto a ConnectorInstallation or ExternalConnection. Blank values keep the
+ * stored ones, so edit forms only send the fields that changed; pass
+ * `replace: true` to drop fields that are not sent. `secret_refs` maps
+ * credential fields to Secret records whose values are copied in.
+ *
+ * For a Secret, `credentials` is `{ value }`. Storing a new value rotates
+ * the secret and re-encrypts every installation and connection that
+ * references it.
+ *
+ * `{ action: 'rotate' }` re-wraps each record's data key with the current
+ * master key version and encrypts records still holding plaintext. Run it
+ * after raising CREDENTIAL_MASTER_KEY_VERSION; the previous key can be
+ * removed once it reports nothing remaining for every organization.
+ *
+ * `{ action: 'status' }` counts records per master key version. Both
+ * actions need an admin and cover only the admin's organization.
+ */
+
+import { createClientFromRequest } from 'npm:@base44/sdk@0.8.4';
+import { VaultError, currentKeyVersion, encryptCredentials, loadCredentials, masterKey, parseEnvelope, rewrapEnvelope, vaultContext } from './_shared/vault.ts';
+
+const VAULT_ENTITIES = ['ConnectorInstallation', 'ExternalConnection', 'Secret'];
+const SECRET_DEPENDENT_ENTITIES = ['ConnectorInstallation', 'ExternalConnection'];
+const ROTATION_BATCH = 200;
+const PAGE_SIZE = 500;
+
+function hasCredentials(record) {
+  return Boolean(record.credentials_encrypted) ||
+    Boolean(record.credentials && Object.keys(record.credentials).length > 0);
+}
+
+function sealedFields(entityName, record, credentials) {
+  return {
+    credentials_encrypted: JSON.stringify(encryptCredentials(credentials, vaultContext(entityName, record.id))),
+    credential_key_version: currentKeyVersion(),
+    credential_fields: Object.keys(credentials),
+    // ExternalConnection kept plaintext credentials before the vault
+    ...(entityName === 'ExternalConnection' && { credentials: null })
+  };
+}
+
+/**
+ * Reads the values of referenced Secrets. User-scoped, so only secrets in
+ * the caller's organization resolve.
+ */
+async function resolveSecretRefs(base44, refs) {
+  const values = {};
+  for (const [field, secretId] of Object.entries(refs)) {
+    const [secret] = await base44.entities.Secret.filter({ id: secretId });
+    if (!secret) return { missing: secretId };
+    values[field] = loadCredentials('Secret', secret).value;
+  }
+  return { values };
+}
+
+/**
+ * Copies a rotated Secret's value into every record that references it
+ */
+async function propagateSecret(base44, secret, value, rotatedAt) {
+  const updated = [];
+  for (const entityName of SECRET_DEPENDENT_ENTITIES) {
+    const records = await base44.asServiceRole.entities[entityName].filter(
+      secret.org_id ? { org_id: secret.org_id } : {}
+    );
+    for (const record of records) {
+      const fields = Object.entries(record.secret_refs || {})
+        .filter(([, secretId]) => secretId === secret.id)
+        .map(([field]) => field);
+      if (fields.length === 0) continue;
+
+      const credentials = {
+        ...loadCredentials(entityName, record),
+        ...Object.fromEntries(fields.map(field => [field, value]))
+      };
+      await base44.asServiceRole.entities[entityName].update(record.id, {
+        ...sealedFields(entityName, record, credentials),
+        credentials_updated_at: rotatedAt
+      });
+      updated.push({ entity: entityName, id: record.id, name: record.name });
+    }
+  }
+  return updated;
+}
+
+async function storeCredentials(base44, user, body) {
+  // User-scoped read so only records the caller can see are writable
+  const [record] = await base44.entities[body.entity].filter({ id: body.record_id });
+  if (!record) {
+    return { status: 404, code: 'NOT_FOUND', message: `${body.entity} not found` };
+  }
+
+  const isSecret = body.entity === 'Secret';
+  const provided = Object.fromEntries(
+    Object.entries(body.credentials || {}).filter(([, value]) => value !== '' && value !== null && value !== undefined)
+  );
+  if (isSecret && typeof provided.value !== 'string') {
+    return { status: 422, code: 'VALIDATION_ERROR', message: 'A secret value is required' };
+  }
+
+  const refs = !isSecret && body.secret_refs && typeof body.secret_refs === 'object' ? body.secret_refs : {};
+  const resolved = await resolveSecretRefs(base44, refs);
+  if (resolved.missing) {
+    return { status: 404, code: 'NOT_FOUND', message: `Secret ${resolved.missing} not found` };
+  }
+
+  const replace = isSecret || body.replace;
+  const credentials = isSecret
+    ? { value: provided.value }
+    : { ...(replace ? {} : loadCredentials(body.entity, record)), ...provided, ...resolved.values };
+
+  // A field given a plain value no longer follows its Secret
+  const secret_refs = { ...(replace ? {} : record.secret_refs || {}), ...refs };
+  for (const field of Object.keys(provided)) {
+    if (!(field in refs)) delete secret_refs[field];
+  }
+
+  const rotated = hasCredentials(record);
+  const version = (record.version || 0) + 1;
+  const now = new Date().toISOString();
+  const fields = sealedFields(body.entity, record, credentials);
+  await base44.asServiceRole.entities[body.entity].update(record.id, {
+    ...fields,
+    credentials_updated_at: now,
+    ...(isSecret ? { version } : { secret_refs })
+  });
+
+  const dependents = isSecret && rotated ? await propagateSecret(base44, record, provided.value, now) : [];
+
+  await base44.asServiceRole.entities.Audit.create({
+    action: isSecret && rotated ? 'rotate_secret' : 'store_credentials',
+    entity: body.entity,
+    entity_id: record.id,
+    actor: user.email,
+    severity: 'warning',
+    metadata: {
+      fields: fields.credential_fields,
+      key_version: fields.credential_key_version,
+      ...(isSecret && { dependents_updated: dependents.length })
+    },
+    org_id: record.org_id
+  });
+
+  return {
+    data: {
+      record_id: record.id,
+      credential_fields: fields.credential_fields,
+      key_version: fields.credential_key_version,
+      ...(isSecret && { version, dependents_updated: dependents })
+    }
+  };
+}
+
+/**
+ * Every record of an entity in one organization, read page by page
+ */
+async function listOrgRecords(base44, entityName, orgId) {
+  const records = [];
+  for (let skip = 0; ; skip += PAGE_SIZE) {
+    const page = await base44.asServiceRole.entities[entityName].filter({ org_id: orgId }, 'created_date', PAGE_SIZE, skip);
+    records.push(...page);
+    if (page.length < PAGE_SIZE) return records;
+  }
+}
+
+async function rotateRecords(base44, user, orgId) {
+  const key_version = currentKeyVersion();
+  // Fail before touching any record if the new key is missing
+  masterKey(key_version);
+
+  let budget = ROTATION_BATCH;
+  let rewrapped = 0;
+  let encrypted = 0;
+  let remaining = 0;
+  const failed = [];
+
+  for (const entityName of VAULT_ENTITIES) {
+    const records = await listOrgRecords(base44, entityName, orgId);
+    const stale = records.filter(record =>
+      hasCredentials(record) && parseEnvelope(record.credentials_encrypted)?.key_version !== key_version
+    );
+    remaining += Math.max(0, stale.length - budget);
+
+    for (const record of stale.slice(0, budget)) {
+      budget--;
+      const context = vaultContext(entityName, record.id);
+      try {
+        const envelope = parseEnvelope(record.credentials_encrypted);
+        if (envelope) {
+          await base44.asServiceRole.entities[entityName].update(record.id, {
+            credentials_encrypted: JSON.stringify(rewrapEnvelope(envelope, context)),
+            credential_key_version: key_version
+          });
+          rewrapped++;
+        } else {
+          const credentials = loadCredentials(entityName, record);
+          await base44.asServiceRole.entities[entityName].update(record.id, sealedFields(entityName, record, credentials));
+          encrypted++;
+        }
+      } catch (error) {
+        failed.push({ entity: entityName, record_id: record.id, error: error.message });
+      }
+    }
+  }
+
+  await base44.asServiceRole.entities.Audit.create({
+    action: 'rotate_master_key',
+    entity: 'CredentialVault',
+    entity_id: String(key_version),
+    actor: user.email,
+    severity: 'warning',
+    metadata: { key_version, rewrapped, encrypted, failed: failed.length, remaining },
+    org_id: orgId
+  });
+
+  return { key_version, rewrapped, encrypted, failed, remaining };
+}
+
+async function vaultStatus(base44, orgId) {
+  const by_key_version = {};
+  let plaintext = 0;
+
+  for (const entityName of VAULT_ENTITIES) {
+    const records = await listOrgRecords(base44, entityName, orgId);
+    for (const record of records.filter(hasCredentials)) {
+      const envelope = parseEnvelope(record.credentials_encrypted);
+      if (envelope) {
+        by_key_version[envelope.key_version] = (by_key_version[envelope.key_version] || 0) + 1;
+      } else {
+        plaintext++;
+      }
+    }
+  }
+
+  let current_key_configured = true;
+  try {
+    masterKey(currentKeyVersion());
+  } catch {
+    current_key_configured = false;
+  }
+
+  return { current_key_version: currentKeyVersion(), current_key_configured, by_key_version, plaintext };
+}
+
+Deno.serve(async (req) => {
+  const trace_id = crypto.randomUUID();
+
+  try {
+    const base44 = createClientFromRequest(req);
+    const user = await base44.auth.me();
+
+    if (!user) {
+      return Response.json({
+        code: 'UNAUTHORIZED',
+        message: 'Authentication required',
+        retryable: false,
+        trace_id
+      }, { status: 401 });
+    }
+
+    const body = await req.json().catch(() => ({}));
+
+    if (body.action === 'store') {
+      const valid = VAULT_ENTITIES.includes(body.entity) && body.record_id &&
+        body.credentials && typeof body.credentials === 'object' && !Array.isArray(body.credentials);
+      if (!valid) {
+        return Response.json({
+          code: 'VALIDATION_ERROR',
+          message: `entity (${VAULT_ENTITIES.join(', ')}), record_id and a credentials object are required`,
+          retryable: false,
+          trace_id
+        }, { status: 422 });
+      }
+
+      const result = await storeCredentials(base44, user, body);
+      if (!result.data) {
+        return Response.json({
+          code: result.code,
+          message: result.message,
+          retryable: false,
+          trace_id
+        }, { status: result.status });
+      }
+      return Response.json({ success: true, data: result.data });
+    }
+
+    if (!['rotate', 'status'].includes(body.action)) {
+      return Response.json({
+        code: 'VALIDATION_ERROR',
+        message: 'action must be store, rotate or status',
+        retryable: false,
+        trace_id
+      }, { status: 422 });
+    }
+
+    if (!['admin', 'owner'].includes(user.role)) {
+      return Response.json({
+        code: 'FORBIDDEN',
+        message: 'Admin access required',
+        retryable: false,
+        trace_id
+      }, { status: 403 });
+    }
+
+    // Both cover the caller's organization only
+    const orgId = user.organization?.id;
+    if (!orgId) {
+      return Response.json({
+        code: 'FORBIDDEN',
+        message: 'An organization is required',
+        retryable: false,
+        trace_id
+      }, { status: 403 });
+    }
+
+    const data = body.action === 'rotate' ? await rotateRecords(base44, user, orgId) : await vaultStatus(base44, orgId);
+    return Response.json({ success: true, data });
+
+  } catch (error) {
+    console.error('[ManageCredentials] Error:', error);
+    const vaultError = error instanceof VaultError;
+    return Response.json({
+      code: vaultError ? error.code : 'SERVER_ERROR',
+      message: error.message,
+      retryable: !vaultError,
+      trace_id
+    }, { status: 500 });
+  }
+});
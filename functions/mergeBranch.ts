@@ -1,4 +1,5 @@
 import { createClientFromRequest } from 'npm:@base44/sdk@0.8.4';
+import { performMerge } from './_shared/specMerge.ts';
 
 Deno.serve(async (req) => {
   try {
@@ -41,18 +42,41 @@ Deno.serve(async (req) => {
       return Response.json({ error: 'Version not found' }, { status: 404 });
     }
 
+    // Find the common ancestor, falling back to the version the source
+    // branch was created from when the histories do not meet.
+    const versionCache = new Map();
+    let baseVersion = await findMergeBase(
+      base44,
+      sourceVersion[0].id,
+      targetVersion[0].id,
+      versionCache
+    );
+    if (!baseVersion && sourceBranch[0].base_version_id) {
+      [baseVersion] = await base44.entities.WorkflowVersion.filter({ id: sourceBranch[0].base_version_id });
+    }
+
+    if (baseVersion?.id === sourceVersion[0].id) {
+      return Response.json({
+        status: 'up_to_date',
+        message: `${targetBranch[0].name} already contains ${sourceBranch[0].name}`
+      });
+    }
+
     // Perform merge
     const mergeResult = performMerge(
-      sourceVersion[0].spec,
-      targetVersion[0].spec,
+      baseVersion?.spec,
+      sourceVersion[0].spec || {},
+      targetVersion[0].spec || {},
       merge_strategy,
       conflict_resolution
     );
 
-    if (mergeResult.conflicts && mergeResult.conflicts.length > 0 && !conflict_resolution) {
+    const unresolved = mergeResult.conflicts.filter(c => !c.resolved);
+    if (unresolved.length > 0) {
       return Response.json({
         status: 'conflicts',
-        conflicts: mergeResult.conflicts,
+        conflicts: unresolved,
+        base_version_id: baseVersion?.id || null,
         message: 'Merge conflicts detected. Please provide conflict resolution.'
       }, { status: 409 });
     }
@@ -67,6 +91,7 @@ Deno.serve(async (req) => {
       change_summary: `Merged branch ${sourceBranch[0].name} into ${targetBranch[0].name}`,
       change_type: 'minor',
       parent_version_id: targetVersion[0].id,
+      merged_from_version_id: sourceVersion[0].id,
       created_by: user.email,
       org_id: user.organization.id
     });
@@ -94,7 +119,8 @@ Deno.serve(async (req) => {
     return Response.json({
       status: 'success',
       merged_version: newVersion,
-      conflicts_resolved: mergeResult.conflicts?.length || 0
+      base_version_id: baseVersion?.id || null,
+      conflicts_resolved: mergeResult.conflicts.length
     });
 
   } catch (error) {
@@ -103,73 +129,45 @@ Deno.serve(async (req) => {
   }
 });
 
-function performMerge(sourceSpec, targetSpec, strategy, conflictResolution) {
-  const conflicts = [];
-  let mergedSpec = JSON.parse(JSON.stringify(targetSpec));
-
-  const sourceNodes = sourceSpec.nodes || [];
-  const targetNodes = targetSpec.nodes || [];
-  const sourceEdges = sourceSpec.edges || [];
-  const targetEdges = targetSpec.edges || [];
-
-  // Merge nodes
-  const nodeMap = new Map(targetNodes.map(n => [n.id, n]));
-  
-  for (const sourceNode of sourceNodes) {
-    const targetNode = nodeMap.get(sourceNode.id);
-    
-    if (!targetNode) {
-      // New node in source - add it
-      mergedSpec.nodes.push(sourceNode);
-    } else if (JSON.stringify(sourceNode) !== JSON.stringify(targetNode)) {
-      // Node modified in both branches
-      if (strategy === 'theirs') {
-        // Keep source version
-        const idx = mergedSpec.nodes.findIndex(n => n.id === sourceNode.id);
-        mergedSpec.nodes[idx] = sourceNode;
-      } else if (strategy === 'ours') {
-        // Keep target version (do nothing)
-      } else if (conflictResolution && conflictResolution[sourceNode.id]) {
-        // Use provided resolution
-        const idx = mergedSpec.nodes.findIndex(n => n.id === sourceNode.id);
-        mergedSpec.nodes[idx] = conflictResolution[sourceNode.id];
-      } else {
-        // Report conflict
-        conflicts.push({
-          type: 'node_modified',
-          node_id: sourceNode.id,
-          source: sourceNode,
-          target: targetNode
-        });
-      }
+const MAX_HISTORY_DEPTH = 500;
+
+/**
+ * Walks the version graph (parent_version_id plus merged_from_version_id)
+ * breadth-first from a head, returning version ids nearest first.
+ */
+async function loadAncestry(base44, headId, cache) {
+  const order = [];
+  const seen = new Set();
+  const queue = [headId];
+
+  while (queue.length > 0 && order.length < MAX_HISTORY_DEPTH) {
+    const id = queue.shift();
+    if (!id || seen.has(id)) continue;
+    seen.add(id);
+
+    if (!cache.has(id)) {
+      const [version] = await base44.entities.WorkflowVersion.filter({ id });
+      cache.set(id, version || null);
     }
-  }
+    const version = cache.get(id);
+    if (!version) continue;
 
-  // Merge edges
-  const edgeKeys = new Set(targetEdges.map(e => `${e.from}-${e.to}`));
-  
-  for (const sourceEdge of sourceEdges) {
-    const key = `${sourceEdge.from}-${sourceEdge.to}`;
-    if (!edgeKeys.has(key)) {
-      mergedSpec.edges.push(sourceEdge);
-    }
+    order.push(id);
+    queue.push(version.parent_version_id, version.merged_from_version_id);
   }
 
-  // Merge other properties
-  if (sourceSpec.collaboration_strategy !== targetSpec.collaboration_strategy) {
-    if (!conflictResolution || !conflictResolution.collaboration_strategy) {
-      conflicts.push({
-        type: 'property_conflict',
-        property: 'collaboration_strategy',
-        source: sourceSpec.collaboration_strategy,
-        target: targetSpec.collaboration_strategy
-      });
-    } else {
-      mergedSpec.collaboration_strategy = conflictResolution.collaboration_strategy;
-    }
-  }
+  return order;
+}
 
-  return { merged_spec: mergedSpec, conflicts };
+/**
+ * Nearest common ancestor of the two heads, or null when the histories
+ * never meet.
+ */
+async function findMergeBase(base44, sourceHeadId, targetHeadId, cache) {
+  const sourceAncestry = new Set(await loadAncestry(base44, sourceHeadId, cache));
+  const targetAncestry = await loadAncestry(base44, targetHeadId, cache);
+  const baseId = targetAncestry.find(id => sourceAncestry.has(id));
+  return baseId ? cache.get(baseId) : null;
 }
 
 function incrementVersion(version) {
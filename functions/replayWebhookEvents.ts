@@ -0,0 +1,336 @@
+/**
+ * @fileoverview Webhook Event Replay and Retries
+ * @description Re-delivers stored WebhookEvent records through the same
+ * trigger path as webhookListener.
+ *
+ * `{ action: 'retry_due' }` is the retry sweep, intended to be invoked every
+ * minute by a scheduled automation. A failed event is retried with
+ * exponential backoff up to its endpoint's `retry_policy.max_attempts`,
+ * then moved to the `dead_letter` status. Only events whose run never
+ * executed a node are retried; the rest are dead-lettered. Each retry
+ * re-queues the same event, records the previous attempt in `attempts` and
+ * starts the run without waiting for it.
+ *
+ * `{ action: 'replay' }` re-delivers events chosen by `event_ids` or by a
+ * `filter` of { from, to, event_type, webhook_endpoint_id, status }, which
+ * defaults to dead-lettered events. A single event may be replayed with an
+ * edited `payload`. Each replay is recorded as a new event with
+ * `replay_of` pointing at the original. Events still queued or processing,
+ * and events of disabled endpoints, are skipped.
+ */
+
+import { createClientFromRequest } from 'npm:@base44/sdk@0.8.4';
+import { mapWebhookInput, triggerWebhookEvent } from './_shared/webhookEvents.ts';
+
+const DEFAULT_RETRY_POLICY = {
+  max_attempts: 3,
+  base_delay_seconds: 60,
+  max_delay_seconds: 3600
+};
+const RETRY_WINDOW_HOURS = 24;
+const UNCLAIMED_TIMEOUT_MINUTES = 10;
+const SWEEP_LIMIT = 50;
+const MAX_REPLAY_BATCH = 100;
+
+function retryPolicy(webhook) {
+  return { ...DEFAULT_RETRY_POLICY, ...(webhook?.retry_policy || {}) };
+}
+
+/**
+ * Exponential backoff with +/-20% jitter so failures from one outage do
+ * not all retry in the same sweep
+ */
+function retryDelayMs(policy, retryCount) {
+  const delay = Math.min(policy.base_delay_seconds * 2 ** retryCount, policy.max_delay_seconds) * 1000;
+  return Math.round(delay * (0.8 + Math.random() * 0.4));
+}
+
+/**
+ * Hands a queued event to runWorkflow without waiting for the run, so one
+ * sweep or bulk replay does not execute workflows back to back. Events that
+ * never start are failed by the trigger, or by the next sweep.
+ */
+function dispatch(base44, webhook, eventId) {
+  triggerWebhookEvent(base44, webhook, eventId)
+    .catch(error => console.error(`[ReplayWebhookEvents] Failed to start run for ${eventId}:`, error));
+}
+
+/**
+ * True when the run got past its start, i.e. any node left `pending`
+ */
+async function runStartedNodes(base44, runId) {
+  const [run] = await base44.asServiceRole.entities.Run.filter({ id: runId });
+  return Object.values(run?.node_states || {}).some(state => state?.status && state.status !== 'pending');
+}
+
+async function deadLetter(base44, event, reason) {
+  await base44.asServiceRole.entities.WebhookEvent.update(event.id, {
+    status: 'dead_letter',
+    dead_letter_reason: reason,
+    dead_lettered_at: new Date().toISOString(),
+    next_retry_at: null
+  });
+  return { webhook_event_id: event.id, status: 'dead_letter', reason };
+}
+
+/**
+ * Fails events that stayed queued without a run claiming them, e.g. when a
+ * listener's hand-off to runWorkflow was lost, so they enter the retry flow.
+ */
+async function failUnclaimedEvents(base44, now) {
+  const queued = await base44.asServiceRole.entities.WebhookEvent.filter(
+    { status: 'queued' },
+    'created_date',
+    SWEEP_LIMIT
+  );
+  const cutoff = now.getTime() - UNCLAIMED_TIMEOUT_MINUTES * 60 * 1000;
+  const results = [];
+
+  for (const event of queued) {
+    if (new Date(event.created_date).getTime() > cutoff) continue;
+    const error_message = 'Workflow run was not started';
+    await base44.asServiceRole.entities.WebhookEvent.update(event.id, { status: 'failed', error_message });
+    results.push({ webhook_event_id: event.id, status: 'failed', error: error_message });
+  }
+  return results;
+}
+
+async function sweepRetries(base44, now) {
+  const unclaimed = await failUnclaimedEvents(base44, now);
+  const failed = await base44.asServiceRole.entities.WebhookEvent.filter(
+    { status: 'failed' },
+    'created_date',
+    SWEEP_LIMIT
+  );
+  const endpoints = new Map();
+  const results = [...unclaimed];
+
+  for (const event of failed) {
+    if (!endpoints.has(event.webhook_endpoint_id)) {
+      const [endpoint] = await base44.asServiceRole.entities.WebhookEndpoint.filter({ id: event.webhook_endpoint_id });
+      endpoints.set(event.webhook_endpoint_id, endpoint || null);
+    }
+    const webhook = endpoints.get(event.webhook_endpoint_id);
+    const policy = retryPolicy(webhook);
+    const retryCount = event.retry_count || 0;
+
+    try {
+      if (!webhook || !webhook.enabled) {
+        results.push(await deadLetter(base44, event, webhook ? 'endpoint_disabled' : 'endpoint_deleted'));
+        continue;
+      }
+      if (retryCount >= policy.max_attempts) {
+        results.push(await deadLetter(base44, event, 'retries_exhausted'));
+        continue;
+      }
+      if (now.getTime() - new Date(event.created_date).getTime() > RETRY_WINDOW_HOURS * 60 * 60 * 1000) {
+        results.push(await deadLetter(base44, event, 'retry_window_expired'));
+        continue;
+      }
+
+      // A run that executed nodes may have had side effects; running the
+      // workflow again is left to a deliberate replay
+      if (event.workflow_run_id && await runStartedNodes(base44, event.workflow_run_id)) {
+        results.push(await deadLetter(base44, event, 'run_started'));
+        continue;
+      }
+
+      // The first sweep after a failure schedules the retry
+      if (!event.next_retry_at) {
+        const next_retry_at = new Date(now.getTime() + retryDelayMs(policy, retryCount)).toISOString();
+        await base44.asServiceRole.entities.WebhookEvent.update(event.id, { next_retry_at });
+        results.push({ webhook_event_id: event.id, status: 'scheduled', next_retry_at });
+        continue;
+      }
+      if (new Date(event.next_retry_at) > now) {
+        continue;
+      }
+
+      await base44.asServiceRole.entities.WebhookEvent.update(event.id, {
+        status: 'queued',
+        workflow_run_id: null,
+        error_message: null,
+        next_retry_at: null,
+        retry_count: retryCount + 1,
+        attempts: [
+          ...(event.attempts || []),
+          {
+            attempt: retryCount + 1,
+            workflow_run_id: event.workflow_run_id || null,
+            error: event.error_message || null,
+            failed_at: event.updated_date || now.toISOString()
+          }
+        ]
+      });
+
+      dispatch(base44, webhook, event.id);
+      results.push({ webhook_event_id: event.id, status: 'queued', retry: retryCount + 1 });
+    } catch (error) {
+      console.error(`[ReplayWebhookEvents] Retry of ${event.id} failed:`, error);
+      results.push({ webhook_event_id: event.id, status: 'error', error: error.message });
+    }
+  }
+
+  return results;
+}
+
+async function selectReplayEvents(base44, body) {
+  if (Array.isArray(body.event_ids) && body.event_ids.length > 0) {
+    const events = [];
+    for (const id of body.event_ids.slice(0, MAX_REPLAY_BATCH)) {
+      const [event] = await base44.entities.WebhookEvent.filter({ id });
+      if (event) events.push(event);
+    }
+    return { events, remaining: Math.max(0, body.event_ids.length - MAX_REPLAY_BATCH) };
+  }
+
+  const { from, to, event_type, webhook_endpoint_id, status = 'dead_letter' } = body.filter || {};
+  const query = {
+    ...(status && { status }),
+    ...(event_type && { event_type }),
+    ...(webhook_endpoint_id && { webhook_endpoint_id })
+  };
+  const fromTime = from ? new Date(from).getTime() : -Infinity;
+  const toTime = to ? new Date(to).getTime() : Infinity;
+
+  const matching = (await base44.entities.WebhookEvent.filter(query, 'created_date', 1000))
+    .filter(event => {
+      const created = new Date(event.created_date).getTime();
+      return created >= fromTime && created <= toTime;
+    });
+
+  return { events: matching.slice(0, MAX_REPLAY_BATCH), remaining: Math.max(0, matching.length - MAX_REPLAY_BATCH) };
+}
+
+async function replayEvent(base44, user, original, payloadOverride) {
+  if (['queued', 'processing'].includes(original.status)) {
+    return { webhook_event_id: original.id, status: 'skipped', error: `Event is still ${original.status}` };
+  }
+
+  // Read through the user's scope so only endpoints they can see are replayed
+  const [webhook] = await base44.entities.WebhookEndpoint.filter({ id: original.webhook_endpoint_id });
+  if (!webhook) {
+    return { webhook_event_id: original.id, status: 'skipped', error: 'Webhook endpoint not found' };
+  }
+  if (!webhook.enabled) {
+    return { webhook_event_id: original.id, status: 'skipped', error: 'Webhook endpoint is disabled' };
+  }
+
+  const payload = payloadOverride ?? original.payload;
+  const receivedAt = new Date().toISOString();
+  const replay = await base44.asServiceRole.entities.WebhookEvent.create({
+    webhook_endpoint_id: original.webhook_endpoint_id,
+    event_type: original.event_type,
+    payload,
+    headers: original.headers,
+    source_ip: 'replay',
+    signature_scheme: original.signature_scheme,
+    signature_verified: original.signature_verified,
+    payload_edited: payloadOverride !== undefined,
+    replay_of: original.id,
+    replayed_by: user.email,
+    run_input: mapWebhookInput(webhook.input_mapping, {
+      payload,
+      headers: original.headers || {},
+      event_type: original.event_type,
+      webhook_id: webhook.id,
+      received_at: receivedAt
+    }),
+    status: 'queued',
+    org_id: original.org_id
+  });
+
+  await base44.asServiceRole.entities.WebhookEvent.update(original.id, {
+    replay_count: (original.replay_count || 0) + 1,
+    last_replay_event_id: replay.id,
+    last_replayed_at: receivedAt,
+    // Replaying takes an event out of the retry and dead-letter queues
+    ...(['failed', 'dead_letter'].includes(original.status) && { status: 'replayed', next_retry_at: null })
+  });
+
+  dispatch(base44, webhook, replay.id);
+  return { webhook_event_id: original.id, replay_event_id: replay.id, status: 'queued' };
+}
+
+Deno.serve(async (req) => {
+  const trace_id = crypto.randomUUID();
+
+  try {
+    const base44 = createClientFromRequest(req);
+    const body = await req.json().catch(() => ({}));
+    const now = new Date();
+
+    if (body.action === 'retry_due') {
+      // Allow scheduled invocations (no auth required for internal calls)
+      const results = await sweepRetries(base44, now);
+      return Response.json({
+        success: true,
+        data: {
+          checked: results.length,
+          retried: results.filter(r => r.retry).length,
+          dead_lettered: results.filter(r => r.status === 'dead_letter').length,
+          results,
+          timestamp: now.toISOString()
+        }
+      });
+    }
+
+    const user = await base44.auth.me();
+    if (!user) {
+      return Response.json({
+        code: 'UNAUTHORIZED',
+        message: 'Authentication required',
+        retryable: false,
+        trace_id
+      }, { status: 401 });
+    }
+
+    if (body.action !== 'replay') {
+      return Response.json({
+        code: 'VALIDATION_ERROR',
+        message: 'action must be replay or retry_due',
+        retryable: false,
+        trace_id
+      }, { status: 422 });
+    }
+
+    if (body.payload !== undefined && body.event_ids?.length !== 1) {
+      return Response.json({
+        code: 'VALIDATION_ERROR',
+        message: 'An edited payload can only be replayed for a single event',
+        retryable: false,
+        trace_id
+      }, { status: 422 });
+    }
+
+    const { events, remaining } = await selectReplayEvents(base44, body);
+    const results = [];
+    for (const event of events) {
+      try {
+        results.push(await replayEvent(base44, user, event, body.payload));
+      } catch (error) {
+        console.error(`[ReplayWebhookEvents] Replay of ${event.id} failed:`, error);
+        results.push({ webhook_event_id: event.id, status: 'error', error: error.message });
+      }
+    }
+
+    return Response.json({
+      success: true,
+      data: {
+        replayed: results.filter(r => r.replay_event_id).length,
+        failed: results.filter(r => r.status === 'error' || r.status === 'skipped').length,
+        remaining,
+        results
+      }
+    });
+
+  } catch (error) {
+    console.error('[ReplayWebhookEvents] Error:', error);
+    return Response.json({
+      code: 'SERVER_ERROR',
+      message: error.message,
+      retryable: true,
+      trace_id
+    }, { status: 500 });
+  }
+});
@@ -0,0 +1,57 @@
+/**
+ * @fileoverview Waiting Run Sweeper
+ * @description Resumes waiting workflow runs whose pause timer or approval
+ * deadline has passed. Intended to be invoked on a short schedule.
+ */
+
+import { createClientFromRequest } from 'npm:@base44/sdk@0.8.4';
+
+Deno.serve(async (req) => {
+  try {
+    const base44 = createClientFromRequest(req);
+
+    // Allow scheduled invocations (no auth required for internal calls)
+    const body = await req.json().catch(() => ({}));
+    const limit = body.limit || 50;
+    const now = new Date();
+
+    const waitingRuns = await base44.asServiceRole.entities.Run.filter(
+      { state: 'waiting' },
+      'resume_at',
+      limit
+    );
+
+    const dueRuns = waitingRuns.filter(run => run.resume_at && new Date(run.resume_at) <= now);
+    const results = [];
+
+    for (const run of dueRuns) {
+      try {
+        const response = await base44.asServiceRole.functions.invoke('runWorkflow', {
+          resume_run_id: run.id
+        });
+        results.push({ run_id: run.id, state: response?.data?.data?.state || 'unknown' });
+      } catch (error) {
+        console.error(`[ResumeWaitingRuns] Failed to resume ${run.id}:`, error);
+        results.push({ run_id: run.id, error: error.message });
+      }
+    }
+
+    return Response.json({
+      success: true,
+      checked: waitingRuns.length,
+      resumed: results.filter(r => !r.error).length,
+      failed: results.filter(r => r.error).length,
+      results,
+      timestamp: now.toISOString()
+    });
+
+  } catch (error) {
+    console.error('[ResumeWaitingRuns] Error:', error);
+
+    return Response.json({
+      error: 'Resume sweep failed',
+      message: error.message,
+      trace_id: crypto.randomUUID()
+    }, { status: 500 });
+  }
+});
@@ -1,7 +1,28 @@
 import { createClientFromRequest } from 'npm:@base44/sdk@0.8.6';
+import { createEmbeddingProvider } from './_shared/embeddings.ts';
+import { maximalMarginalRelevance, reciprocalRankFusion } from './_shared/ranking.ts';
+import { createVectorStore } from './_shared/vectorStore.ts';
+
+const RETRIEVAL_MODES = ['vector', 'keyword', 'hybrid'];
+const RERANKERS = ['none', 'llm', 'cross_encoder'];
+const RERANK_TEXT_LIMIT = 1000;
+
+// Knowledge bases without a retrieval_config keep pure vector search
+const DEFAULT_RETRIEVAL_CONFIG = {
+  mode: 'vector',
+  candidate_k: null,
+  rrf_k: 60,
+  reranker: 'none',
+  rerank_model: null,
+  mmr_enabled: false,
+  mmr_lambda: 0.5,
+};
 
 /**
- * Retrieve relevant context from knowledge base using semantic search
+ * Retrieve relevant context from knowledge base using vector, BM25 keyword
+ * or hybrid (reciprocal-rank fused) search, with optional reranking and MMR
+ * diversity. Settings come from the knowledge base's retrieval_config and
+ * may be overridden per request via `retrieval`.
  */
 Deno.serve(async (req) => {
   try {
@@ -19,6 +40,8 @@ Deno.serve(async (req) => {
       agent_id,
       run_id,
       min_score = 0.7,
+      filter = {},
+      retrieval: retrievalOverrides = {},
     } = await req.json();
     
     if (!knowledge_base_id || !query) {
@@ -39,44 +62,65 @@ Deno.serve(async (req) => {
     }
 
     const kb = kbs[0];
+    const retrieval = { ...DEFAULT_RETRIEVAL_CONFIG, ...kb.retrieval_config, ...retrievalOverrides };
 
-    // Generate query embedding
-    const OPENAI_API_KEY = Deno.env.get('OPENAI_API_KEY');
-    if (!OPENAI_API_KEY) {
-      throw new Error('OPENAI_API_KEY not configured');
+    if (!RETRIEVAL_MODES.includes(retrieval.mode) || !RERANKERS.includes(retrieval.reranker)) {
+      return Response.json({
+        error: `retrieval.mode must be one of ${RETRIEVAL_MODES.join(', ')} and retrieval.reranker one of ${RERANKERS.join(', ')}`
+      }, { status: 400 });
     }
 
-    const embeddingModel = kb.vector_config.embedding_model || 'text-embedding-3-small';
-    
-    const embeddingResponse = await fetch('https://api.openai.com/v1/embeddings', {
-      method: 'POST',
-      headers: {
-        'Authorization': `Bearer ${OPENAI_API_KEY}`,
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify({
-        model: embeddingModel,
-        input: query,
-      }),
-    });
+    const store = createVectorStore(kb);
+    const scope = { ...filter, knowledge_base_id };
+    const candidateK = retrieval.candidate_k || top_k * 4;
+    const includeValues = retrieval.mmr_enabled;
+    const warnings = [];
 
-    if (!embeddingResponse.ok) {
-      throw new Error(`OpenAI API error: ${embeddingResponse.statusText}`);
+    // Vector search; min_score applies to embedding similarity only
+    let queryEmbedding = null;
+    let vectorResults = [];
+    if (retrieval.mode !== 'keyword') {
+      const embedder = createEmbeddingProvider(kb.vector_config);
+      if (kb.indexed_embedding_model && kb.indexed_embedding_model !== embedder.model) {
+        return Response.json({
+          error: `Knowledge base is indexed with ${kb.indexed_embedding_model} but configured for ${embedder.model}. Re-embed it or use keyword retrieval.`
+        }, { status: 409 });
+      }
+      [queryEmbedding] = await embedder.embed([query], { inputType: 'query' });
+      vectorResults = (await store.query(queryEmbedding, { topK: candidateK, filter: scope, includeValues }))
+        .filter(r => r.score >= min_score)
+        .map(r => ({ ...r, vector_score: r.score }));
     }
 
-    const embeddingData = await embeddingResponse.json();
-    const queryEmbedding = embeddingData.data[0].embedding;
+    // Keyword search runs in the store against its own text index
+    let keywordResults = [];
+    if (retrieval.mode !== 'vector') {
+      const keyword = await store.keywordSearch(query, { topK: candidateK, filter: scope, includeValues });
+      keywordResults = keyword.results;
+      if (keyword.truncated) {
+        warnings.push('Keyword search matched more chunks than it can rank; some matches were not scored');
+      }
+    }
 
-    // Query vector database
-    const results = await queryVectors(
-      kb.vector_config,
-      queryEmbedding,
-      top_k,
-      { knowledge_base_id }
-    );
+    let candidates = retrieval.mode === 'hybrid'
+      ? reciprocalRankFusion([vectorResults, keywordResults], retrieval.rrf_k)
+      : retrieval.mode === 'keyword' ? keywordResults : vectorResults;
+    candidates = candidates.slice(0, candidateK);
 
-    // Filter by minimum score
-    const filteredResults = results.filter(r => r.score >= min_score);
+    if (retrieval.reranker !== 'none' && candidates.length > 0) {
+      try {
+        candidates = retrieval.reranker === 'llm'
+          ? await rerankWithLLM(base44, query, candidates)
+          : await rerankWithCrossEncoder(query, candidates, retrieval.rerank_model);
+      } catch (error) {
+        console.error('Reranking failed, keeping retrieval order:', error);
+        warnings.push(`Reranking failed: ${error.message}`);
+      }
+    }
+
+    const filteredResults = retrieval.mmr_enabled
+      ? maximalMarginalRelevance(candidates, top_k, retrieval.mmr_lambda)
+      : candidates.slice(0, top_k);
 
     // Log retrieval for analytics
     await base44.asServiceRole.entities.RetrievalLog.create({
@@ -91,6 +135,7 @@ Deno.serve(async (req) => {
         metadata: r.metadata,
       })),
       top_k,
+      retrieval_mode: retrieval.mode,
       latency_ms: Date.now() - startTime,
       agent_id,
       run_id,
@@ -103,6 +148,11 @@ Deno.serve(async (req) => {
       content: r.metadata.text,
       source: r.metadata.title,
       score: r.score,
+      scores: {
+        vector: r.vector_score ?? null,
+        keyword: r.keyword_score ?? null,
+        rerank: r.rerank_score ?? null,
+      },
       metadata: r.metadata,
     }));
 
@@ -111,6 +161,13 @@ Deno.serve(async (req) => {
       query,
       results: contextChunks,
       total_results: filteredResults.length,
+      retrieval: {
+        mode: retrieval.mode,
+        reranker: retrieval.reranker,
+        mmr: retrieval.mmr_enabled,
+        candidates: candidates.length,
+      },
+      ...(warnings.length > 0 && { warnings }),
       latency_ms: Date.now() - startTime,
     });
 
@@ -123,46 +180,85 @@ Deno.serve(async (req) => {
   }
 });
 
+function truncateForRerank(text) {
+  return (text || '').slice(0, RERANK_TEXT_LIMIT);
+}
+
+function applyRerankScores(candidates, scores) {
+  return candidates
+    .map((candidate, index) => {
+      const rerankScore = scores.get(index) ?? 0;
+      return { ...candidate, score: rerankScore, rerank_score: rerankScore };
+    })
+    .sort((x, y) => y.score - x.score);
+}
+
 /**
- * Query vector database for similar chunks
- * In production, integrate with actual vector DB SDKs
+ * Rerank by asking the LLM to grade each passage against the query
  */
-async function queryVectors(vectorConfig, queryEmbedding, topK, filter) {
-  const { provider, index_name } = vectorConfig;
-  
-  // Mock implementation - replace with actual provider integration
-  console.log(`Querying ${provider}/${index_name} for top ${topK} results`);
-  
-  // Example Pinecone integration:
-  // const pinecone = new Pinecone({ apiKey: Deno.env.get('PINECONE_API_KEY') });
-  // const index = pinecone.Index(index_name);
-  // const queryResponse = await index.query({
-  //   vector: queryEmbedding,
-  //   topK,
-  //   filter,
-  //   includeMetadata: true,
-  // });
-  // return queryResponse.matches;
-  
-  // Mock results
-  return [
-    {
-      id: 'chunk_001',
-      score: 0.92,
-      metadata: {
-        document_id: 'doc_001',
-        text: 'Sample relevant context from knowledge base...',
-        title: 'Sample Document',
-      },
-    },
-    {
-      id: 'chunk_002',
-      score: 0.88,
-      metadata: {
-        document_id: 'doc_002',
-        text: 'Another relevant piece of information...',
-        title: 'Another Document',
-      },
+async function rerankWithLLM(base44, query, candidates) {
+  const passages = candidates
+    .map((candidate, index) => `[${index}] ${truncateForRerank(candidate.metadata?.text)}`)
+    .join('\n\n');
+
+  const response = await base44.integrations.Core.InvokeLLM({
+    prompt: `Rate how relevant each passage is to the query, from 0 (irrelevant) to 10 (directly answers it). Exact matches of product codes and error IDs are highly relevant.
+
+Query: ${query}
+
+Passages:
+${passages}`,
+    response_json_schema: {
+      type: "object",
+      properties: {
+        scores: {
+          type: "array",
+          items: {
+            type: "object",
+            properties: {
+              index: { type: "number" },
+              score: { type: "number" }
+            }
+          }
+        }
+      }
+    }
+  });
+
+  const scores = new Map((response.scores || []).map(s => [s.index, Math.max(0, Math.min(10, s.score)) / 10]));
+  return applyRerankScores(candidates, scores);
+}
+
+/**
+ * Rerank with a cross-encoder service exposing the common `/rerank` API
+ * (query + documents in, `{ index, relevance_score }` results out).
+ */
+async function rerankWithCrossEncoder(query, candidates, model) {
+  const url = Deno.env.get('RERANK_API_URL');
+  if (!url) {
+    throw new Error('RERANK_API_URL not configured');
+  }
+  const apiKey = Deno.env.get('RERANK_API_KEY');
+
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      ...(apiKey && { 'Authorization': `Bearer ${apiKey}` }),
     },
-  ];
-}
\ No newline at end of file
+    body: JSON.stringify({
+      ...(model && { model }),
+      query,
+      documents: candidates.map(candidate => truncateForRerank(candidate.metadata?.text)),
+      top_n: candidates.length,
+    }),
+  });
+
+  if (!response.ok) {
+    throw new Error(`Rerank API error: ${response.status} ${response.statusText}`);
+  }
+
+  const data = await response.json();
+  const scores = new Map((data.results || []).map(r => [r.index, r.relevance_score]));
+  return applyRerankScores(candidates, scores);
+}
@@ -4,6 +4,7 @@
  */
 
 import { createClientFromRequest } from 'npm:@base44/sdk@0.8.4';
+import { publishPlatformEvent } from './_shared/platformEvents.ts';
 
 Deno.serve(async (req) => {
   try {
@@ -116,6 +117,16 @@ Deno.serve(async (req) => {
       });
     }
     
+    await publishPlatformEvent(base44, 'deployment.rolled_back', {
+      workflow_id,
+      workflow_name: workflow.name,
+      previous_version: currentVersion,
+      current_version: target_version,
+      environments: deployments.map(deployment => deployment.name),
+      reason: reason || 'Manual rollback',
+      rolled_back_by: user.email
+    }, workflow.org_id);
+    
     return Response.json({
       success: true,
       workflow_id,
@@ -0,0 +1,59 @@
+/**
+ * @fileoverview Budget Rollover Sweep
+ * @description Starts the next period for budgets whose period has ended,
+ * so idle budgets reset even when nothing spends against them. Intended to
+ * be invoked on a schedule, e.g. hourly.
+ */
+
+import { createClientFromRequest } from 'npm:@base44/sdk@0.8.4';
+import { rollBudget } from './_shared/budgets.ts';
+
+Deno.serve(async (req) => {
+  try {
+    const base44 = createClientFromRequest(req);
+
+    // Allow scheduled invocations (no auth required for internal calls)
+    const body = await req.json().catch(() => ({}));
+    const limit = body.limit || 200;
+    const now = new Date();
+
+    const budgets = [
+      ...await base44.asServiceRole.entities.Budget.filter({ status: 'active' }, 'period_end', limit),
+      ...await base44.asServiceRole.entities.Budget.filter({ status: 'exceeded' }, 'period_end', limit)
+    ];
+    const dueBudgets = budgets.filter(budget => budget.period_end && new Date(budget.period_end) <= now);
+    const results = [];
+
+    for (const budget of dueBudgets) {
+      try {
+        const rolled = await rollBudget(base44, budget, now);
+        results.push({
+          budget_id: budget.id,
+          previous_spend_cents: rolled.previous_spend_cents,
+          period_end: rolled.period_end
+        });
+      } catch (error) {
+        console.error(`[RolloverBudgets] Failed to roll over ${budget.id}:`, error);
+        results.push({ budget_id: budget.id, error: error.message });
+      }
+    }
+
+    return Response.json({
+      success: true,
+      checked: budgets.length,
+      rolled_over: results.filter(r => !r.error).length,
+      failed: results.filter(r => r.error).length,
+      results,
+      timestamp: now.toISOString()
+    });
+
+  } catch (error) {
+    console.error('[RolloverBudgets] Error:', error);
+
+    return Response.json({
+      error: 'Budget rollover failed',
+      message: error.message,
+      trace_id: crypto.randomUUID()
+    }, { status: 500 });
+  }
+});
@@ -1,14 +1,892 @@
+/**
+ * @fileoverview Workflow Run Engine
+ * @description Schedules workflow nodes topologically from spec.edges, runs
+ * independent branches concurrently, feeds each node the output of its
+ * upstream nodes and records per-node state on the Run.
+ *
+ * Control-flow nodes:
+ * - condition: evaluates `config.expression` against the upstream output and
+ *   activates its `true` or `false` outgoing edges. Edges are matched by
+ *   `edge.branch`, then by `edge.label` against `config.true_label` /
+ *   `config.false_label`; unlabelled edges fall back to true-then-false order.
+ * - loop: repeats the sub-graph reached through its `body` edges (count,
+ *   foreach or while) up to `config.max_iterations`, then continues along its
+ *   other edges with the list of iteration outputs.
+ * - parallel: fans out to every outgoing edge; with several inputs it joins
+ *   them into an array in edge order.
+ * - filter: keeps the items of a collection for which `config.expression`
+ *   is truthy.
+ *
+ * Connector nodes call `config.operation_id` on `config.installation_id`
+ * through invokeConnector. Paginated operations are read page by page until
+ * `config.max_items` items have been collected or the pages run out.
+ *
+ * Agent nodes run through executeAgent, and the run and each agent, tool
+ * and connector node are checked through enforcePolicy. Both calls carry
+ * the run's claim token, so they also work for runs without a session.
+ *
+ * Suspending nodes:
+ * - human_input: opens an ApprovalRequest and parks the node until it is
+ *   approved (continue), rejected or expired (fail).
+ * - pause: parks the node until `config.duration` has elapsed.
+ * A run with parked nodes is saved in the `waiting` state together with the
+ * spec it started from. Calling this function again with `resume_run_id`
+ * replays every settled node from the saved state and re-checks the parked
+ * ones, so execution continues from exactly where it stopped. Resumes need
+ * a session from the run's organisation unless the run's `resume_at` has
+ * passed, and each one claims the run before executing anything.
+ *
+ * Webhook triggers: webhookListener passes `webhook_event_id` for a queued
+ * WebhookEvent. The event is claimed before the Run is created, so it
+ * starts at most one run however many callers hand it over. The run starts
+ * from the event's mapped `run_input` and marks the event completed or
+ * failed when it settles.
+ *
+ * Scheduled triggers: triggerScheduledRuns passes `schedule_id` with the
+ * one-time `fire_token` it stored on the ScheduledRun. The run starts the
+ * schedule's workflow with the schedule's `input_data`.
+ */
+
 import { createClientFromRequest } from 'npm:@base44/sdk@0.8.4';
+import { budgetBlocking, budgetMessage } from './_shared/budgets.ts';
+import { evaluateExpression, evaluateNode, parseExpression } from './_shared/expressions.ts';
+import { publishPlatformEvent } from './_shared/platformEvents.ts';
+import { runCallFields } from './_shared/runCalls.ts';
+import { redeemScheduledFire } from './_shared/triggers.ts';
+import { claimWebhookEvent } from './_shared/webhookEvents.ts';
+
+const DEFAULT_MAX_ITERATIONS = 100;
+const MAX_ITERATIONS_LIMIT = 1000;
+// Pre-flight estimate per agent node for policy and budget checks made
+// before its prompt is known; the node is charged its measured usage
+const AGENT_NODE_ESTIMATE_CENTS = 10;
+const DEFAULT_CONNECTOR_MAX_ITEMS = 1000;
+const MAX_CONNECTOR_ITEMS = 10000;
+
+const DURATION_UNITS_MS = {
+  seconds: 1000,
+  minutes: 60 * 1000,
+  hours: 60 * 60 * 1000,
+  days: 24 * 60 * 60 * 1000
+};
+
+const SETTLED_STATUSES = new Set(['completed', 'failed', 'skipped']);
+
+/**
+ * Indexes edges by source and target node.
+ * Returns an error message instead of a graph when an edge points at a
+ * node that does not exist in the spec.
+ */
+function buildGraph(nodes, edges) {
+  const incoming = new Map();
+  const outgoing = new Map();
+
+  for (const node of nodes) {
+    incoming.set(node.id, []);
+    outgoing.set(node.id, []);
+  }
+
+  for (const edge of edges) {
+    if (!incoming.has(edge.from) || !incoming.has(edge.to)) {
+      return { error: `Edge ${edge.id || `${edge.from}->${edge.to}`} references an unknown node` };
+    }
+    outgoing.get(edge.from).push(edge);
+    incoming.get(edge.to).push(edge);
+  }
+
+  return { incoming, outgoing };
+}
+
+/**
+ * Kahn's algorithm. Returns node ids in dependency order, or null when the
+ * graph contains a cycle.
+ */
+function topologicalOrder(nodes, graph) {
+  const inDegree = new Map(nodes.map(n => [n.id, graph.incoming.get(n.id).length]));
+  const queue = nodes.filter(n => inDegree.get(n.id) === 0).map(n => n.id);
+  const order = [];
+
+  while (queue.length > 0) {
+    const nodeId = queue.shift();
+    order.push(nodeId);
+
+    for (const edge of graph.outgoing.get(nodeId)) {
+      inDegree.set(edge.to, inDegree.get(edge.to) - 1);
+      if (inDegree.get(edge.to) === 0) {
+        queue.push(edge.to);
+      }
+    }
+  }
+
+  return order.length === nodes.length ? order : null;
+}
+
+/**
+ * Resolves which branch an outgoing edge of a condition or loop node
+ * belongs to, or null when the edge carries no branch information.
+ */
+function edgeBranch(edge, node) {
+  if (edge.branch) return edge.branch;
+
+  const label = edge.label ?? edge.condition;
+  if (node.type === 'condition') {
+    if (label === 'true' || label === (node.config?.true_label || 'Yes')) return 'true';
+    if (label === 'false' || label === (node.config?.false_label || 'No')) return 'false';
+  }
+  if (node.type === 'loop' && (label === 'body' || label === 'done')) return label;
+  return null;
+}
+
+/**
+ * Computes the body of every loop node: all nodes reachable through its
+ * `body` edges. Bodies may only be entered through those edges, so each
+ * iteration can run the body as a self-contained sub-graph.
+ */
+function collectLoopBodies(nodes, graph) {
+  const loopBodies = new Map();
+
+  for (const node of nodes.filter(n => n.type === 'loop')) {
+    const bodyEdges = graph.outgoing.get(node.id).filter(edge => edgeBranch(edge, node) === 'body');
+    const body = new Set();
+    const queue = bodyEdges.map(edge => edge.to);
+
+    while (queue.length > 0) {
+      const nodeId = queue.shift();
+      if (body.has(nodeId)) continue;
+      body.add(nodeId);
+      queue.push(...graph.outgoing.get(nodeId).map(edge => edge.to));
+    }
+
+    for (const nodeId of body) {
+      const entersFromOutside = graph.incoming.get(nodeId).some(edge =>
+        !body.has(edge.from) && !bodyEdges.includes(edge)
+      );
+      if (entersFromOutside) {
+        return { error: `Loop ${node.label || node.id} body node ${nodeId} must only be reached through the loop's body edges` };
+      }
+    }
+
+    loopBodies.set(node.id, body);
+  }
+
+  return { loopBodies };
+}
+
+function edgeKey(edge) {
+  return edge.id || `${edge.from}->${edge.to}`;
+}
+
+/**
+ * Entry nodes receive the scope input, single-parent nodes receive their
+ * parent's output and join nodes receive outputs keyed by parent node id.
+ */
+function collectNodeInput(upstream, input_data) {
+  if (upstream.length === 0) return input_data;
+  if (upstream.length === 1) return upstream[0].output;
+  return Object.fromEntries(upstream.map(state => [state.node_id, state.output]));
+}
+
+function resolveCollection(node, input, exec) {
+  const items = node.config?.items
+    ? evaluateExpression(node.config.items, { result: input, input: exec.run_input })
+    : input;
+
+  if (!Array.isArray(items)) {
+    throw new Error(`${node.type} node ${node.label || node.id} expects an array, got ${typeof items}`);
+  }
+  return items;
+}
+
+/**
+ * Runs the node's agent through executeAgent, which builds the agent's
+ * prompt and applies its redaction, budgets, fallback chain and metrics.
+ * The node's instructions (its label or id when it has none) are the prompt
+ * and its input the context; an approval granted to the node is passed on.
+ */
+async function executeAgentNode(node, input, exec, _upstream, state) {
+  const { base44, run } = exec;
+  if (!node.config?.agent_id) {
+    throw new Error(`Agent node ${node.label || node.id} has no agent_id`);
+  }
+
+  let response;
+  try {
+    response = await base44.functions.invoke('executeAgent', {
+      agent_id: node.config.agent_id,
+      prompt: node.config.instructions || node.label || node.id,
+      context: input,
+      approval_request_id: state.policy_decision?.approval_request_id,
+      ...runCallFields(run)
+    });
+  } catch (error) {
+    const details = error.response?.data;
+    throw new Error(`Agent ${node.config.agent_id} failed: ${details?.message || error.message}`);
+  }
+
+  const { data } = response.data;
+  return { output: data.result, agent_name: data.agent_name, cost_cents: data.usage.cost_cents };
+}
+
+async function executeToolNode(node) {
+  return { output: { simulated: true, tool: node.config?.tool_id }, cost_cents: 0 };
+}
+
+/**
+ * Yields an operation's results one page at a time through invokeConnector,
+ * passing each response's `next_page` token back until there is none.
+ * Operations without pagination yield their single response.
+ */
+async function* connectorPages(base44, run, { installation_id, operation_id, parameters, approval_request_id }) {
+  let pageToken = null;
+  do {
+    let response;
+    try {
+      response = await base44.functions.invoke('invokeConnector', {
+        installationId: installation_id,
+        operationId: operation_id,
+        parameters,
+        paginate: { max_pages: 1 },
+        page_token: pageToken,
+        approval_request_id,
+        ...runCallFields(run)
+      });
+    } catch (error) {
+      const details = error.response?.data;
+      throw new Error(`Connector ${operation_id} failed: ${details?.message || details?.error || error.message}`);
+    }
+    yield response.data;
+    pageToken = response.data.pagination?.next_page || null;
+  } while (pageToken);
+}
+
+async function executeConnectorNode(node, input, exec, _upstream, state) {
+  const config = node.config || {};
+  if (!config.installation_id || !config.operation_id) {
+    throw new Error(`Connector node ${node.label || node.id} needs an installation_id and operation_id`);
+  }
+
+  const parameters = { ...config.parameters };
+  for (const [name, expression] of Object.entries(config.parameter_expressions || {})) {
+    parameters[name] = evaluateExpression(expression, { result: input, input: exec.run_input });
+  }
+
+  const maxItems = Math.min(config.max_items || DEFAULT_CONNECTOR_MAX_ITEMS, MAX_CONNECTOR_ITEMS);
+  const items = [];
+  const approval_request_id = state.policy_decision?.approval_request_id;
+  for await (const page of connectorPages(exec.base44, exec.run, { ...config, parameters, approval_request_id })) {
+    if (!page.pagination) {
+      return { output: page.data, cost_cents: 0 };
+    }
+    items.push(...page.data);
+    if (items.length >= maxItems) break;
+  }
+
+  return { output: items.slice(0, maxItems), cost_cents: 0 };
+}
+
+async function executePassthroughNode(_node, input) {
+  return { output: input, cost_cents: 0 };
+}
+
+async function executeConditionNode(node, input, exec) {
+  if (!node.config?.expression) {
+    throw new Error(`Condition node ${node.label || node.id} has no expression`);
+  }
+
+  const passed = Boolean(evaluateExpression(node.config.expression, { result: input, input: exec.run_input }));
+  const branch = passed ? 'true' : 'false';
+
+  // Unlabelled edges are treated as true, then false, in declaration order.
+  const outgoing = exec.graph.outgoing.get(node.id);
+  const unlabelled = outgoing.filter(edge => edgeBranch(edge, node) === null);
+  const branchOf = (edge) => edgeBranch(edge, node) ?? (unlabelled.indexOf(edge) === 0 ? 'true' : 'false');
+
+  return {
+    output: input,
+    branch,
+    skip_edges: outgoing.filter(edge => branchOf(edge) !== branch),
+    cost_cents: 0
+  };
+}
+
+async function executeParallelNode(_node, input, _exec, upstream) {
+  // Split: every outgoing edge stays active. Join: collect branch outputs
+  // in the order of the node's incoming edges.
+  if (upstream.length <= 1) {
+    return { output: input, cost_cents: 0 };
+  }
+  return { output: upstream.map(state => state.output), cost_cents: 0 };
+}
+
+async function executeFilterNode(node, input, exec) {
+  if (!node.config?.expression) {
+    throw new Error(`Filter node ${node.label || node.id} has no expression`);
+  }
+
+  const ast = parseExpression(node.config.expression);
+  const items = resolveCollection(node, input, exec);
+  const output = items.filter((item, index) =>
+    evaluateNode(ast, { item, index, result: input, input: exec.run_input })
+  );
+
+  return { output, cost_cents: 0 };
+}
+
+/**
+ * Runs the loop body once per iteration as an isolated sub-graph. Body entry
+ * nodes receive `{ index, item, previous, input }`; the loop's output is the
+ * list of iteration outputs.
+ */
+async function executeLoopNode(node, input, exec) {
+  const body = exec.loopBodies.get(node.id);
+  const maxIterations = Math.min(node.config?.max_iterations || DEFAULT_MAX_ITERATIONS, MAX_ITERATIONS_LIMIT);
+  const loopType = node.config?.loop_type || 'count';
+  const outputs = [];
+  let cost_cents = 0;
+
+  const runIteration = async (index, item) => {
+    const iterationStates = Object.fromEntries(
+      [...body].map(nodeId => [nodeId, { node_id: nodeId, status: 'pending', iteration: index }])
+    );
+    const previous = outputs[outputs.length - 1];
+
+    await executeGraph(body, {
+      ...exec,
+      input_data: { index, item, previous, input },
+      nodeStates: iterationStates
+    });
+
+    Object.assign(exec.nodeStates, iterationStates);
+    exec.persist();
+
+    const states = Object.values(iterationStates);
+    if (states.some(state => state.status === 'waiting')) {
+      throw new Error(`Iteration ${index} tried to wait; human_input and pause nodes cannot run inside a loop body`);
+    }
+    const failed = states.find(state => state.status === 'failed');
+    if (failed) {
+      throw new Error(`Iteration ${index} failed at ${failed.node_id}: ${failed.error}`);
+    }
+
+    cost_cents += states.reduce((sum, state) => sum + (state.cost_cents || 0), 0);
+
+    // The iteration result is the output of the body's sink nodes.
+    const sinks = states.filter(state =>
+      state.status === 'completed' &&
+      !exec.graph.outgoing.get(state.node_id).some(edge => body.has(edge.to))
+    );
+    outputs.push(sinks.length === 1 ? sinks[0].output : collectNodeInput(sinks, item));
+  };
+
+  if (loopType === 'foreach') {
+    const items = resolveCollection(node, input, exec);
+    if (items.length > maxIterations) {
+      throw new Error(`Loop ${node.label || node.id} has ${items.length} items, exceeding max_iterations (${maxIterations})`);
+    }
+    for (let index = 0; index < items.length; index++) {
+      await runIteration(index, items[index]);
+    }
+  } else if (loopType === 'condition') {
+    if (!node.config?.while_condition) {
+      throw new Error(`Loop ${node.label || node.id} has no while_condition`);
+    }
+    const ast = parseExpression(node.config.while_condition);
+    let index = 0;
+    while (evaluateNode(ast, {
+      result: outputs.length > 0 ? outputs[outputs.length - 1] : input,
+      index,
+      input: exec.run_input
+    })) {
+      if (index >= maxIterations) {
+        throw new Error(`Loop ${node.label || node.id} exceeded max_iterations (${maxIterations})`);
+      }
+      await runIteration(index, index);
+      index++;
+    }
+  } else {
+    const iterations = node.config?.iterations ?? 3;
+    if (iterations > maxIterations) {
+      throw new Error(`Loop ${node.label || node.id} requests ${iterations} iterations, exceeding max_iterations (${maxIterations})`);
+    }
+    for (let index = 0; index < iterations; index++) {
+      await runIteration(index, index);
+    }
+  }
+
+  return { output: outputs, iteration_count: outputs.length, cost_cents };
+}
+
+/**
+ * Opens an ApprovalRequest on first execution and suspends. On resume the
+ * request decides the outcome: approved passes the input through, rejected
+ * or expired fails the node, still pending keeps the node waiting.
+ */
+async function executeHumanInputNode(node, input, exec, _upstream, state) {
+  const { base44 } = exec;
+  const approvalId = state.suspension?.approval_request_id;
+
+  if (!approvalId) {
+    if (node.config?.required === false) {
+      return { output: input, cost_cents: 0 };
+    }
+
+    const timeoutMinutes = node.config?.timeout_minutes || 60;
+    const request = await base44.asServiceRole.entities.ApprovalRequest.create({
+      run_id: exec.run.id,
+      workflow_id: exec.run.workflow_id,
+      node_id: node.id,
+      step_name: node.label || node.id,
+      request_data: input,
+      comments: node.config?.message || '',
+      requested_by: exec.actor,
+      status: 'pending',
+      expires_at: new Date(Date.now() + timeoutMinutes * 60 * 1000).toISOString(),
+      org_id: exec.run.org_id
+    });
+    await publishPlatformEvent(base44, 'approval.requested', {
+      approval_request_id: request.id,
+      kind: 'workflow_step',
+      status: 'pending',
+      run_id: exec.run.id,
+      workflow_id: exec.run.workflow_id,
+      node_id: node.id,
+      step_name: request.step_name,
+      expires_at: request.expires_at
+    }, exec.run.org_id);
+
+    return {
+      suspend: { kind: 'approval', approval_request_id: request.id, resume_at: request.expires_at }
+    };
+  }
+
+  const [request] = await base44.asServiceRole.entities.ApprovalRequest.filter({ id: approvalId });
+  if (!request) {
+    throw new Error(`Approval request ${approvalId} no longer exists`);
+  }
+
+  if (request.status === 'approved') {
+    return {
+      output: input,
+      metadata: { approved_by: request.approved_by, approved_at: request.approved_at, comments: request.comments },
+      cost_cents: 0
+    };
+  }
+
+  if (request.status === 'rejected') {
+    throw new Error(`Rejected by ${request.approved_by || 'reviewer'}${request.comments ? `: ${request.comments}` : ''}`);
+  }
+
+  if (request.status === 'expired' || (request.expires_at && new Date(request.expires_at) <= new Date())) {
+    if (request.status !== 'expired') {
+      await base44.asServiceRole.entities.ApprovalRequest.update(request.id, { status: 'expired' });
+      await publishPlatformEvent(base44, 'approval.expired', {
+        approval_request_id: request.id,
+        kind: 'workflow_step',
+        status: 'expired',
+        run_id: exec.run.id,
+        workflow_id: exec.run.workflow_id,
+        node_id: node.id,
+        step_name: request.step_name
+      }, exec.run.org_id);
+    }
+    throw new Error('Approval request expired before a decision was made');
+  }
+
+  return { suspend: state.suspension };
+}
+
+async function executePauseNode(node, input, _exec, _upstream, state) {
+  if (!state.suspension) {
+    const unit = DURATION_UNITS_MS[node.config?.duration_unit] || DURATION_UNITS_MS.minutes;
+    const delayMs = (node.config?.duration ?? 1) * unit;
+    if (delayMs <= 0) {
+      return { output: input, cost_cents: 0 };
+    }
+    return { suspend: { kind: 'timer', resume_at: new Date(Date.now() + delayMs).toISOString() } };
+  }
+
+  if (new Date(state.suspension.resume_at) <= new Date()) {
+    return { output: input, cost_cents: 0 };
+  }
+  return { suspend: state.suspension };
+}
+
+async function nodePolicyContext(node, exec) {
+  const config = node.config || {};
+  const { base44, run } = exec;
+  const spent = Object.values(exec.nodeStates)
+    .filter(nodeState => nodeState.status === 'completed')
+    .reduce((sum, nodeState) => sum + (nodeState.cost_cents || 0), 0);
+  const base = { org_id: run.org_id, workflow_id: run.workflow_id, run_id: run.id, cost_cents: spent };
+
+  if (node.type === 'agent' && config.agent_id) {
+    const [agent] = await base44.asServiceRole.entities.Agent.filter({ id: config.agent_id });
+    return {
+      ...base,
+      scope: 'agent',
+      target: `agent:${config.agent_id}`,
+      agent_id: config.agent_id,
+      provider: agent?.config?.provider || 'openai',
+      model: agent?.config?.model || 'gpt-4o',
+      cost_cents: spent + AGENT_NODE_ESTIMATE_CENTS
+    };
+  }
+  if (node.type === 'tool') {
+    return { ...base, scope: 'tool', target: `tool:${config.tool_id}`, tools: config.tool_id ? [config.tool_id] : [] };
+  }
+  if (node.type === 'connector' && config.installation_id) {
+    const [installation] = await base44.asServiceRole.entities.ConnectorInstallation.filter({
+      id: config.installation_id,
+      org_id: run.org_id
+    });
+    const [connector] = installation
+      ? await base44.asServiceRole.entities.ConnectorDefinition.filter({ id: installation.connector_id })
+      : [];
+    return {
+      ...base,
+      scope: 'connector',
+      target: `connector:${config.installation_id}:${config.operation_id}`,
+      connector_id: connector?.id,
+      tools: connector ? [`${connector.provider || connector.id}.${config.operation_id}`] : []
+    };
+  }
+  return null;
+}
+
+/**
+ * Checks `context` through enforcePolicy on behalf of `run`. `options`
+ * carries the approval_request_id being retried and, in request_approval,
+ * what a new ApprovalRequest is linked to.
+ */
+async function checkPolicy(base44, run, context, options = {}) {
+  let response;
+  try {
+    response = await base44.functions.invoke('enforcePolicy', {
+      action: 'check',
+      context,
+      ...options,
+      ...runCallFields(run)
+    });
+  } catch (error) {
+    const details = error.response?.data;
+    throw new Error(`Policy check failed: ${details?.message || error.message}`);
+  }
+  return response.data.data;
+}
+
+/**
+ * Evaluates policies before an agent, tool or connector node runs. A denial
+ * fails the node. require_approval parks it on an ApprovalRequest, like a
+ * human_input node, and the decision is re-evaluated when the run resumes.
+ * The outcome is kept on the node state as `policy_decision`.
+ */
+async function guardNode(node, exec, state) {
+  const context = await nodePolicyContext(node, exec);
+  if (!context) return {};
+
+  const { base44, run } = exec;
+  const decision = await checkPolicy(base44, run, context, {
+    approval_request_id: state.suspension?.policy_gate ? state.suspension.approval_request_id : null,
+    request_approval: { run_id: run.id, workflow_id: run.workflow_id, node_id: node.id }
+  });
+  state.policy_decision = {
+    decision: decision.decision,
+    policy_id: decision.policy_id,
+    reasons: decision.reasons,
+    redaction_policy_ids: decision.redaction_policy_ids
+  };
+
+  if (decision.decision === 'deny') throw new Error(decision.message);
+  if (decision.decision === 'allow') return {};
+
+  const { approval } = decision;
+  if (approval.status === 'approved') {
+    state.policy_decision.approval_request_id = approval.approval_request_id;
+    return {};
+  }
+  if (approval.status === 'pending') return { suspend: state.suspension };
+  if (approval.status !== 'requested') throw new Error(approval.message);
+
+  await publishPlatformEvent(base44, 'approval.requested', {
+    approval_request_id: approval.approval_request_id,
+    kind: 'policy',
+    status: 'pending',
+    run_id: run.id,
+    workflow_id: run.workflow_id,
+    node_id: node.id,
+    step_name: approval.step_name,
+    policy_id: decision.policy_id,
+    expires_at: approval.expires_at
+  }, run.org_id);
+
+  return {
+    suspend: { kind: 'approval', policy_gate: true, approval_request_id: approval.approval_request_id, resume_at: approval.expires_at }
+  };
+}
+
+const NODE_EXECUTORS = {
+  trigger: executePassthroughNode,
+  agent: executeAgentNode,
+  tool: executeToolNode,
+  connector: executeConnectorNode,
+  condition: executeConditionNode,
+  loop: executeLoopNode,
+  parallel: executeParallelNode,
+  filter: executeFilterNode,
+  human_input: executeHumanInputNode,
+  pause: executePauseNode
+};
+
+/**
+ * Runs every node in scope once all of its upstream nodes have settled. Each
+ * node's promise is memoised, so independent branches proceed concurrently
+ * and a join node waits for all of its parents. Nodes owned by a loop body
+ * are left to the loop. A node whose parents all sit on untaken branches is
+ * skipped, as is anything downstream of a failure; anything downstream of a
+ * waiting node stays pending until the run is resumed. Nodes already settled
+ * in a previous invocation are replayed from their saved state.
+ */
+async function executeGraph(scopeIds, exec) {
+  const ownedByLoops = new Set();
+  for (const nodeId of scopeIds) {
+    for (const bodyNodeId of exec.loopBodies.get(nodeId) || []) {
+      ownedByLoops.add(bodyNodeId);
+    }
+  }
+
+  const scheduled = new Set([...scopeIds].filter(nodeId => !ownedByLoops.has(nodeId)));
+  const inactiveEdges = new Set();
+  const scope = { ...exec, scheduled };
+  const pending = new Map();
+
+  const runNode = (nodeId) => {
+    if (!pending.has(nodeId)) {
+      pending.set(nodeId, (async () => {
+        const node = exec.nodesById.get(nodeId);
+        const state = exec.nodeStates[nodeId];
+
+        if (SETTLED_STATUSES.has(state.status)) {
+          for (const edge of exec.graph.outgoing.get(nodeId)) {
+            if (state.skipped_edges?.includes(edgeKey(edge))) inactiveEdges.add(edge);
+          }
+          return state;
+        }
+
+        const incoming = exec.graph.incoming.get(nodeId).filter(edge => scheduled.has(edge.from));
+        const parents = await Promise.all(
+          incoming.map(async edge => ({ edge, state: await runNode(edge.from) }))
+        );
+
+        if (parents.some(({ state: parent }) => parent.status === 'failed' || parent.reason === 'upstream_failed')) {
+          Object.assign(state, { status: 'skipped', reason: 'upstream_failed' });
+          exec.persist();
+          return state;
+        }
+
+        if (parents.some(({ state: parent }) => !SETTLED_STATUSES.has(parent.status))) {
+          return state;
+        }
+
+        const active = parents.filter(({ edge, state: parent }) =>
+          parent.status === 'completed' && !inactiveEdges.has(edge)
+        );
+
+        if (parents.length > 0 && active.length === 0) {
+          Object.assign(state, { status: 'skipped', reason: 'branch_not_taken' });
+          exec.persist();
+          return state;
+        }
+
+        const executor = NODE_EXECUTORS[node.type] || executePassthroughNode;
+        const startedAt = state.started_at ? new Date(state.started_at).getTime() : Date.now();
+        Object.assign(state, { status: 'running', started_at: new Date(startedAt).toISOString() });
+        exec.persist();
+
+        try {
+          const upstream = active.map(({ state: parent }) => parent);
+          const gate = await guardNode(node, scope, state);
+          const result = gate.suspend
+            ? gate
+            : await executor(node, collectNodeInput(upstream, exec.input_data), scope, upstream, state);
+
+          if (result.suspend) {
+            Object.assign(state, { status: 'waiting', suspension: result.suspend });
+            exec.persist();
+            return state;
+          }
+
+          for (const edge of result.skip_edges || []) {
+            inactiveEdges.add(edge);
+          }
+          Object.assign(state, {
+            status: 'completed',
+            output: result.output,
+            agent_name: result.agent_name,
+            branch: result.branch,
+            skipped_edges: result.skip_edges?.map(edgeKey),
+            iteration_count: result.iteration_count,
+            metadata: result.metadata,
+            cost_cents: result.cost_cents
+          });
+        } catch (error) {
+          console.error(`[RunWorkflow] Node ${nodeId} failed:`, error);
+          Object.assign(state, { status: 'failed', error: error.message });
+        }
+
+        delete state.suspension;
+        state.finished_at = new Date().toISOString();
+        state.duration_ms = Date.now() - startedAt;
+        exec.persist();
+        return state;
+      })());
+    }
+    return pending.get(nodeId);
+  };
+
+  await Promise.all([...scheduled].map(runNode));
+}
+
+/**
+ * Webhook-triggered starts come from webhookListener without a user
+ * session. They must name a queued WebhookEvent that no run has claimed
+ * yet, and run with the input the listener stored on it.
+ */
+async function loadWebhookTrigger(base44, webhookEventId) {
+  const [event] = await base44.asServiceRole.entities.WebhookEvent.filter({ id: webhookEventId });
+  if (!event) {
+    return { error: { status: 404, code: 'NOT_FOUND', message: 'Webhook event not found' } };
+  }
+  if (event.status !== 'queued' || event.workflow_run_id) {
+    return {
+      error: { status: 409, code: 'CONFLICT', message: `Webhook event is ${event.status}; only queued events can start a run` }
+    };
+  }
+
+  const [endpoint] = await base44.asServiceRole.entities.WebhookEndpoint.filter({ id: event.webhook_endpoint_id });
+  if (!endpoint) {
+    return { error: { status: 404, code: 'NOT_FOUND', message: 'Webhook endpoint not found' } };
+  }
+
+  return { event, endpoint };
+}
+
+function isResumeDue(run) {
+  return Boolean(run.resume_at) && new Date(run.resume_at) <= new Date();
+}
+
+/**
+ * Moves a waiting run to `running` for this invocation. An approval and the
+ * resume sweep can both pick up the same run, so the claim stores a fresh
+ * token and re-reads the run; only the caller whose token survived goes on
+ * to execute nodes, and later callers see the run as running.
+ */
+async function claimWaitingRun(base44, run) {
+  const claim_token = crypto.randomUUID();
+  await base44.asServiceRole.entities.Run.update(run.id, {
+    state: 'running',
+    claim_token,
+    claimed_at: new Date().toISOString()
+  });
+
+  const [claimed] = await base44.asServiceRole.entities.Run.filter({ id: run.id });
+  return claimed?.claim_token === claim_token ? claimed : null;
+}
+
+/**
+ * Marks the WebhookEvent that started a run as completed or failed once the
+ * run settles.
+ */
+async function settleWebhookEvent(base44, run, state, error = null) {
+  const eventId = run.metadata?.webhook_event_id;
+  if (!eventId) return;
+
+  try {
+    const [event] = await base44.asServiceRole.entities.WebhookEvent.filter({ id: eventId });
+    await base44.asServiceRole.entities.WebhookEvent.update(eventId, {
+      status: state === 'completed' ? 'completed' : 'failed',
+      error_message: error,
+      ...(event?.created_date && {
+        processing_time_ms: Date.now() - new Date(event.created_date).getTime()
+      })
+    });
+  } catch (updateError) {
+    console.error('[RunWorkflow] Failed to update webhook event:', updateError);
+  }
+}
+
+function workflowPolicyContext(workflow_id, spec, orgId, runId = null) {
+  return {
+    scope: 'workflow',
+    target: `workflow:${workflow_id}`,
+    org_id: orgId,
+    workflow_id,
+    run_id: runId,
+    cost_cents: spec.estimated_cost_cents,
+    tools: (spec.nodes || []).filter(n => n.type === 'tool' && n.config?.tool_id).map(n => n.config.tool_id)
+  };
+}
+
+/**
+ * Settles a run parked by the workflow-level policy check: `approved` once
+ * policies allow it or the ApprovalRequest covers them, `pending` while the
+ * request is open, otherwise the message the run fails with.
+ */
+async function settleRunPolicyGate(base44, run, context) {
+  const decision = await checkPolicy(base44, run, context, { approval_request_id: run.policy_gate.approval_request_id });
+  if (decision.decision === 'deny') return { status: 'denied', decision, message: decision.message };
+  if (decision.decision === 'allow' || decision.approval?.status === 'approved') {
+    return { status: 'approved', decision };
+  }
+  if (decision.approval?.status === 'pending') return { status: 'pending', decision };
+  if (decision.approval?.status === 'rejected') {
+    return { status: 'rejected', decision, message: decision.approval.message };
+  }
+  return { status: 'expired', decision, message: 'Policy approval expired before a decision was made' };
+}
+
+function estimateRunCost(spec) {
+  return spec.estimated_cost_cents ??
+    (spec.nodes || []).filter(n => n.type === 'agent').length * AGENT_NODE_ESTIMATE_CENTS;
+}
+
+/**
+ * Parks a run until the budget blocking it rolls into its next period, when
+ * resumeWaitingRuns picks it up again.
+ */
+async function queueRunForBudget(base44, run, budget) {
+  const waiting_on = [{ kind: 'budget', budget_id: budget.id, resume_at: budget.period_end }];
+  await base44.asServiceRole.entities.Run.update(run.id, {
+    state: 'waiting',
+    waiting_on,
+    resume_at: budget.period_end,
+    budget_hold: { budget_id: budget.id, status: 'queued' }
+  });
+  return waiting_on;
+}
+
+function firstPolicyId(nodeStates) {
+  return Object.values(nodeStates)
+    .map(nodeState => nodeState.policy_decision)
+    .find(decision => decision && decision.decision !== 'allow')?.policy_id || null;
+}
 
 Deno.serve(async (req) => {
   const trace_id = crypto.randomUUID();
-  
+  let activeRun = null;
+  let claimedWebhookEvent = null;
+
   try {
     const base44 = createClientFromRequest(req);
     const user = await base44.auth.me();
 
-    if (!user) {
-      return Response.json({ 
+    const body = await req.json();
+    const { resume_run_id, webhook_event_id, schedule_id } = body;
+    let { input_data } = body;
+
+    // Sessionless calls must name something that can be verified: a run
+    // whose resume time has passed, a queued WebhookEvent or a scheduled fire.
+    if (!user && !resume_run_id && !webhook_event_id && !schedule_id) {
+      return Response.json({
         code: 'UNAUTHORIZED',
         message: 'Authentication required',
         retryable: false,
@@ -16,8 +894,83 @@ Deno.serve(async (req) => {
       }, { status: 401 });
     }
 
-    const body = await req.json();
-    const { workflow_id, input_data, dry_run } = body;
+    let resumedRun = null;
+    let webhookTrigger = null;
+    let scheduleTrigger = null;
+
+    if (resume_run_id) {
+      [resumedRun] = await base44.asServiceRole.entities.Run.filter({ id: resume_run_id });
+      if (!resumedRun) {
+        return Response.json({
+          code: 'NOT_FOUND',
+          message: 'Run not found',
+          retryable: false,
+          trace_id
+        }, { status: 404 });
+      }
+
+      // Approvals resume the run with the approver's session, which must
+      // belong to the run's organisation. resumeWaitingRuns has no session
+      // and may only resume runs whose timer or approval deadline is due.
+      if (user ? user.organization?.id !== resumedRun.org_id : !isResumeDue(resumedRun)) {
+        return Response.json(user ? {
+          code: 'NOT_FOUND',
+          message: 'Run not found',
+          retryable: false,
+          trace_id
+        } : {
+          code: 'UNAUTHORIZED',
+          message: 'Authentication required to resume a run before its resume time',
+          retryable: false,
+          trace_id
+        }, { status: user ? 404 : 401 });
+      }
+
+      if (resumedRun.state !== 'waiting') {
+        return Response.json({
+          code: 'CONFLICT',
+          message: `Run is ${resumedRun.state}; only waiting runs can be resumed`,
+          retryable: false,
+          trace_id
+        }, { status: 409 });
+      }
+
+      resumedRun = await claimWaitingRun(base44, resumedRun);
+      if (!resumedRun) {
+        return Response.json({
+          code: 'CONFLICT',
+          message: 'Run is already being resumed',
+          retryable: false,
+          trace_id
+        }, { status: 409 });
+      }
+      activeRun = resumedRun;
+    }
+
+    if (webhook_event_id && !resumedRun) {
+      webhookTrigger = await loadWebhookTrigger(base44, webhook_event_id);
+      if (webhookTrigger.error) {
+        const { status, ...error } = webhookTrigger.error;
+        return Response.json({ ...error, retryable: false, trace_id }, { status });
+      }
+      input_data = webhookTrigger.event.run_input;
+    } else if (schedule_id && !resumedRun) {
+      scheduleTrigger = await redeemScheduledFire(base44, schedule_id, body.fire_token);
+      if (scheduleTrigger.error) {
+        const { status, ...error } = scheduleTrigger.error;
+        return Response.json({ ...error, retryable: false, trace_id }, { status });
+      }
+      input_data = scheduleTrigger.input_data;
+    }
+
+    const actor = user?.email ||
+      (webhookTrigger ? `webhook:${webhookTrigger.endpoint.name || webhookTrigger.endpoint.id}` : null) ||
+      (scheduleTrigger ? `schedule:${scheduleTrigger.schedule.name || scheduleTrigger.schedule.id}` : 'system');
+    const dry_run = Boolean(body.dry_run) && !webhookTrigger && !scheduleTrigger;
+    const workflow_id = resumedRun
+      ? resumedRun.workflow_id
+      : webhookTrigger ? webhookTrigger.endpoint.workflow_id
+        : scheduleTrigger ? scheduleTrigger.schedule.workflow_id : body.workflow_id;
 
     if (!workflow_id) {
       return Response.json({
@@ -30,7 +983,7 @@ Deno.serve(async (req) => {
 
     // Fetch workflow
     const workflows = await base44.asServiceRole.entities.Workflow.filter({ id: workflow_id });
-    if (!workflows || workflows.length === 0) {
+    if (!resumedRun && (!workflows || workflows.length === 0)) {
       return Response.json({
         code: 'NOT_FOUND',
         message: 'Workflow not found',
@@ -39,102 +992,501 @@ Deno.serve(async (req) => {
       }, { status: 404 });
     }
 
-    const workflow = workflows[0];
-    const spec = workflow.spec || {};
+    const workflow = workflows?.[0];
+
+    // A resumed run continues with the spec it started from, even if the
+    // workflow has been edited since.
+    const spec = resumedRun ? resumedRun.execution_spec || {} : workflow.spec || {};
     const nodes = spec.nodes || [];
     const edges = spec.edges || [];
 
-    // Create run record
-    const run = await base44.asServiceRole.entities.Run.create({
+    // Validate the graph before creating a run
+    const graph = buildGraph(nodes, edges);
+    const order = graph.error ? null : topologicalOrder(nodes, graph);
+    const loops = order ? collectLoopBodies(nodes, graph) : {};
+
+    if (!order || loops.error) {
+      return Response.json({
+        code: 'VALIDATION_ERROR',
+        message: graph.error || loops.error || 'Workflow contains a cycle',
+        hint: 'Workflow edges must form a directed acyclic graph and loop bodies may only be entered through body edges',
+        retryable: false,
+        trace_id
+      }, { status: 422 });
+    }
+
+    const policyContext = workflowPolicyContext(
       workflow_id,
-      agent_id: nodes[0]?.config?.agent_id,
-      state: dry_run ? 'simulated' : 'running',
-      started_at: new Date().toISOString(),
-      input: input_data,
-      org_id: workflow.org_id
-    });
+      spec,
+      resumedRun ? resumedRun.org_id : workflow.org_id,
+      resumedRun?.id
+    );
+
+    if (resumedRun?.policy_gate?.status === 'pending') {
+      const settled = await settleRunPolicyGate(base44, resumedRun, policyContext);
+      if (settled.status === 'pending') {
+        await base44.asServiceRole.entities.Run.update(resumedRun.id, { state: 'waiting' });
+        return Response.json({
+          success: true,
+          data: { run_id: resumedRun.id, state: 'waiting', waiting_on: resumedRun.waiting_on, resume_at: resumedRun.resume_at }
+        }, { headers: { 'X-Trace-Id': trace_id } });
+      }
+
+      const policy_gate = { ...resumedRun.policy_gate, status: settled.status };
+      if (settled.status !== 'approved') {
+        await base44.asServiceRole.entities.Run.update(resumedRun.id, {
+          state: 'failed',
+          finished_at: new Date().toISOString(),
+          waiting_on: [],
+          resume_at: null,
+          policy_gate,
+          error: settled.message
+        });
+        await settleWebhookEvent(base44, resumedRun, 'failed', settled.message);
+        await publishPlatformEvent(base44, 'run.failed', {
+          run_id: resumedRun.id,
+          workflow_id,
+          state: 'failed',
+          triggered_by: resumedRun.triggered_by,
+          error: settled.message
+        }, resumedRun.org_id);
+        return Response.json({
+          success: true,
+          data: { run_id: resumedRun.id, state: 'failed', error: settled.message }
+        }, { headers: { 'X-Trace-Id': trace_id } });
+      }
+      await base44.asServiceRole.entities.Run.update(resumedRun.id, { policy_gate, waiting_on: [] });
+    }
 
-    if (dry_run) {
+    // Hard-limited budgets are checked before any node runs: when the run
+    // starts, and again when it leaves a policy or budget hold
+    const budgetContext = { org_id: policyContext.org_id, workflow_id };
+    const checkBudget = !resumedRun || resumedRun.policy_gate?.status === 'pending' ||
+      resumedRun.budget_hold?.status === 'queued';
+    const blockingBudget = checkBudget ? await budgetBlocking(base44, budgetContext, estimateRunCost(spec)) : null;
+
+    if (resumedRun && blockingBudget) {
+      if (resumedRun.budget_hold?.status === 'queued' || blockingBudget.over_limit_action === 'queue') {
+        const waiting_on = await queueRunForBudget(base44, resumedRun, blockingBudget);
+        return Response.json({
+          success: true,
+          data: { run_id: resumedRun.id, state: 'waiting', waiting_on, resume_at: blockingBudget.period_end }
+        }, { headers: { 'X-Trace-Id': trace_id } });
+      }
+
+      const message = budgetMessage(blockingBudget);
+      await base44.asServiceRole.entities.Run.update(resumedRun.id, {
+        state: 'failed',
+        finished_at: new Date().toISOString(),
+        waiting_on: [],
+        resume_at: null,
+        error: message
+      });
+      await settleWebhookEvent(base44, resumedRun, 'failed', message);
+      await publishPlatformEvent(base44, 'run.failed', {
+        run_id: resumedRun.id,
+        workflow_id,
+        state: 'failed',
+        triggered_by: resumedRun.triggered_by,
+        error: message
+      }, resumedRun.org_id);
       return Response.json({
         success: true,
-        data: {
+        data: { run_id: resumedRun.id, state: 'failed', error: message }
+      }, { headers: { 'X-Trace-Id': trace_id } });
+    }
+    if (resumedRun?.budget_hold?.status === 'queued') {
+      await base44.asServiceRole.entities.Run.update(resumedRun.id, {
+        budget_hold: { ...resumedRun.budget_hold, status: 'released' },
+        waiting_on: []
+      });
+    }
+
+    let run;
+    let nodeStates;
+
+    if (resumedRun) {
+      run = resumedRun;
+      nodeStates = run.node_states || {};
+      await base44.asServiceRole.entities.Run.update(run.id, { resume_at: null });
+    } else {
+      nodeStates = Object.fromEntries(
+        order.map(nodeId => [nodeId, { node_id: nodeId, status: 'pending' }])
+      );
+
+      if (webhookTrigger) {
+        claimedWebhookEvent = await claimWebhookEvent(base44, webhookTrigger.event);
+        if (!claimedWebhookEvent) {
+          return Response.json({
+            code: 'CONFLICT',
+            message: 'Webhook event was already claimed by another run',
+            retryable: false,
+            trace_id
+          }, { status: 409 });
+        }
+      }
+
+      // Create run record
+      run = await base44.asServiceRole.entities.Run.create({
+        workflow_id,
+        agent_id: nodes.find(n => n.id === order[0])?.config?.agent_id,
+        state: dry_run ? 'simulated' : 'running',
+        started_at: new Date().toISOString(),
+        input: input_data,
+        execution_spec: { nodes, edges },
+        node_states: nodeStates,
+        triggered_by: actor,
+        // Presented as run_token on the calls made for this run
+        claim_token: crypto.randomUUID(),
+        claimed_at: new Date().toISOString(),
+        ...(webhookTrigger && {
+          metadata: {
+            trigger: 'webhook',
+            webhook_id: webhookTrigger.endpoint.id,
+            webhook_event_id: webhookTrigger.event.id,
+            event_type: webhookTrigger.event.event_type
+          }
+        }),
+        ...(scheduleTrigger && {
+          metadata: {
+            trigger: 'schedule',
+            schedule_id: scheduleTrigger.schedule.id,
+            scheduled_for: scheduleTrigger.input_data.scheduled_for
+          }
+        }),
+        org_id: workflow.org_id
+      });
+      activeRun = run;
+
+      // Organisation policies are checked for the workflow as a whole before
+      // any node runs, then per agent, tool and connector node as it executes
+      policyContext.run_id = run.id;
+      const policyDecision = await checkPolicy(base44, run, policyContext, {
+        request_approval: dry_run ? null : { run_id: run.id, workflow_id }
+      });
+      if (policyDecision.decision !== 'allow') {
+        await base44.asServiceRole.entities.Run.update(run.id, {
+          policy_id: policyDecision.policy_id,
+          policy_decision: {
+            decision: policyDecision.decision,
+            policy_id: policyDecision.policy_id,
+            reasons: policyDecision.reasons
+          }
+        });
+      }
+
+      if (dry_run) {
+        return Response.json({
+          success: true,
+          data: {
+            run_id: run.id,
+            mode: 'dry_run',
+            workflow_name: workflow.name,
+            nodes_count: nodes.length,
+            execution_order: order,
+            estimated_cost_cents: estimateRunCost(spec),
+            policy_decision: policyDecision,
+            blocked_by_budget: blockingBudget
+              ? { budget_id: blockingBudget.id, message: budgetMessage(blockingBudget) }
+              : null
+          }
+        }, { headers: { 'X-Trace-Id': trace_id } });
+      }
+
+      if (webhookTrigger) {
+        const { event, endpoint } = webhookTrigger;
+        await base44.asServiceRole.entities.WebhookEvent.update(event.id, { workflow_run_id: run.id });
+        await base44.asServiceRole.entities.Event.create({
           run_id: run.id,
-          mode: 'dry_run',
+          agent_id: run.agent_id,
+          event_type: 'webhook.triggered',
+          message: `Workflow triggered by webhook: ${event.event_type}`,
+          metadata: { webhook_id: endpoint.id, event_type: event.event_type },
+          org_id: run.org_id
+        });
+      }
+
+      if (policyDecision.decision === 'deny') {
+        const { message } = policyDecision;
+        await base44.asServiceRole.entities.Run.update(run.id, {
+          state: 'failed',
+          finished_at: new Date().toISOString(),
+          error: message
+        });
+        await settleWebhookEvent(base44, run, 'failed', message);
+        await publishPlatformEvent(base44, 'run.failed', {
+          run_id: run.id,
+          workflow_id,
           workflow_name: workflow.name,
-          nodes_count: nodes.length,
-          estimated_cost_cents: spec.estimated_cost_cents || nodes.length * 10
-        }
-      }, { headers: { 'X-Trace-Id': trace_id } });
+          state: 'failed',
+          triggered_by: actor,
+          error: message
+        }, run.org_id);
+        return Response.json({
+          code: 'POLICY_DENIED',
+          message,
+          policy_id: policyDecision.policy_id,
+          reasons: policyDecision.reasons,
+          run_id: run.id,
+          retryable: false,
+          trace_id
+        }, { status: 403 });
+      }
+
+      if (policyDecision.decision === 'require_approval') {
+        const { approval } = policyDecision;
+        const waiting_on = [{ kind: 'approval', policy_gate: true, approval_request_id: approval.approval_request_id, resume_at: approval.expires_at }];
+        await base44.asServiceRole.entities.Run.update(run.id, {
+          state: 'waiting',
+          waiting_on,
+          resume_at: approval.expires_at,
+          policy_gate: { approval_request_id: approval.approval_request_id, policy_id: policyDecision.policy_id, status: 'pending' }
+        });
+        await publishPlatformEvent(base44, 'approval.requested', {
+          approval_request_id: approval.approval_request_id,
+          kind: 'policy',
+          status: 'pending',
+          run_id: run.id,
+          workflow_id,
+          step_name: approval.step_name,
+          policy_id: policyDecision.policy_id,
+          expires_at: approval.expires_at
+        }, run.org_id);
+
+        return Response.json({
+          success: true,
+          data: {
+            run_id: run.id,
+            workflow_name: workflow.name,
+            state: 'waiting',
+            waiting_on,
+            resume_at: approval.expires_at,
+            policy_decision: policyDecision
+          }
+        }, { headers: { 'X-Trace-Id': trace_id } });
+      }
+
+      if (blockingBudget?.over_limit_action === 'queue') {
+        const waiting_on = await queueRunForBudget(base44, run, blockingBudget);
+        return Response.json({
+          success: true,
+          data: {
+            run_id: run.id,
+            workflow_name: workflow.name,
+            state: 'waiting',
+            waiting_on,
+            resume_at: blockingBudget.period_end
+          }
+        }, { headers: { 'X-Trace-Id': trace_id } });
+      }
+
+      if (blockingBudget) {
+        const message = budgetMessage(blockingBudget);
+        await base44.asServiceRole.entities.Run.update(run.id, {
+          state: 'failed',
+          finished_at: new Date().toISOString(),
+          error: message
+        });
+        await settleWebhookEvent(base44, run, 'failed', message);
+        await publishPlatformEvent(base44, 'run.failed', {
+          run_id: run.id,
+          workflow_id,
+          workflow_name: workflow.name,
+          state: 'failed',
+          triggered_by: actor,
+          error: message
+        }, run.org_id);
+        return Response.json({
+          code: 'BUDGET_EXCEEDED',
+          message,
+          budget_id: blockingBudget.id,
+          resets_at: blockingBudget.period_end,
+          run_id: run.id,
+          retryable: false,
+          trace_id
+        }, { status: 402 });
+      }
     }
 
-    // Execute nodes in order (simplified - real impl would handle DAG)
-    const results = [];
-    let totalCost = 0;
-    const startTime = Date.now();
+    // Node state writes are serialised so a slower update can never
+    // overwrite a newer snapshot.
+    let persistChain = Promise.resolve();
+    const persist = () => {
+      const snapshot = structuredClone(nodeStates);
+      persistChain = persistChain
+        .then(() => base44.asServiceRole.entities.Run.update(run.id, { node_states: snapshot }))
+        .catch(error => console.error('[RunWorkflow] Failed to persist node state:', error));
+    };
 
-    for (const node of nodes) {
-      if (node.type === 'agent' && node.config?.agent_id) {
-        const agents = await base44.asServiceRole.entities.Agent.filter({ id: node.config.agent_id });
-        if (agents.length > 0) {
-          const agent = agents[0];
-          
-          const nodeResult = await base44.integrations.Core.InvokeLLM({
-            prompt: `${node.config?.instructions || node.label}\n\nContext: ${JSON.stringify(input_data)}`,
-          });
+    await executeGraph(order, {
+      base44,
+      run,
+      actor: run.triggered_by || actor,
+      graph,
+      loopBodies: loops.loopBodies,
+      nodesById: new Map(nodes.map(n => [n.id, n])),
+      run_input: run.input,
+      input_data: run.input,
+      nodeStates,
+      persist
+    });
 
-          results.push({
-            node_id: node.id,
-            agent_name: agent.name,
-            output: nodeResult,
-            status: 'completed'
-          });
+    const orderedStates = order.map(nodeId => nodeStates[nodeId]);
+    const waitingStates = orderedStates.filter(nodeState => nodeState.status === 'waiting');
+    const failedNodes = orderedStates.filter(nodeState => nodeState.status === 'failed');
 
-          totalCost += 10;
+    let state = 'completed';
+    if (failedNodes.length > 0) state = 'failed';
+    else if (waitingStates.length > 0) state = 'waiting';
+
+    // Nodes never reached, such as the body of a skipped loop, or parked
+    // behind a failure elsewhere in the run
+    if (state !== 'waiting') {
+      for (const nodeState of orderedStates) {
+        if (nodeState.status === 'pending' || nodeState.status === 'waiting') {
+          delete nodeState.suspension;
+          Object.assign(nodeState, { status: 'skipped', reason: 'not_reached' });
         }
-      } else if (node.type === 'tool') {
-        results.push({
-          node_id: node.id,
-          output: { simulated: true, tool: node.config?.tool_id },
-          status: 'completed'
-        });
       }
     }
+    await persistChain;
+
+    const duration_ms = Date.now() - new Date(run.started_at).getTime();
+    const ownedByLoops = new Set([...loops.loopBodies.values()].flatMap(body => [...body]));
+    // Node costs are fractional cents; rounding drops float noise from the sum
+    const totalCost = Math.round(orderedStates
+      .filter(nodeState => !ownedByLoops.has(nodeState.node_id))
+      .reduce((sum, nodeState) => sum + (nodeState.cost_cents || 0), 0) * 1e4) / 1e4;
+
+    const results = orderedStates
+      .filter(nodeState => nodeState.status === 'completed')
+      .map(nodeState => ({
+        node_id: nodeState.node_id,
+        agent_name: nodeState.agent_name,
+        output: nodeState.output,
+        status: nodeState.status
+      }));
+
+    if (state === 'waiting') {
+      const waiting_on = waitingStates.map(nodeState => ({ node_id: nodeState.node_id, ...nodeState.suspension }));
+      const resume_at = waiting_on
+        .map(entry => entry.resume_at)
+        .filter(Boolean)
+        .sort()[0] || null;
+
+      await base44.asServiceRole.entities.Run.update(run.id, {
+        state,
+        cost_cents: totalCost,
+        node_states: nodeStates,
+        waiting_on,
+        resume_at,
+        policy_id: run.policy_id || firstPolicyId(nodeStates)
+      });
+
+      await base44.asServiceRole.entities.Audit.create({
+        entity_type: 'workflow',
+        entity_id: workflow_id,
+        action: 'suspend',
+        actor,
+        metadata: { run_id: run.id, waiting_on },
+        org_id: run.org_id
+      });
+
+      return Response.json({
+        success: true,
+        data: {
+          run_id: run.id,
+          workflow_name: workflow?.name,
+          state,
+          waiting_on,
+          resume_at,
+          cost_cents: totalCost,
+          node_states: nodeStates,
+          results
+        }
+      }, { headers: { 'X-Trace-Id': trace_id } });
+    }
 
-    const duration_ms = Date.now() - startTime;
+    const runError = failedNodes.length > 0
+      ? failedNodes.map(nodeState => `${nodeState.node_id}: ${nodeState.error}`).join('; ')
+      : null;
 
     // Update run with results
     await base44.asServiceRole.entities.Run.update(run.id, {
-      state: 'completed',
+      state,
       finished_at: new Date().toISOString(),
       duration_ms,
       cost_cents: totalCost,
-      output: { node_results: results }
+      node_states: nodeStates,
+      waiting_on: [],
+      policy_id: run.policy_id || firstPolicyId(nodeStates),
+      output: { node_results: results },
+      ...(runError && { error: runError })
     });
 
+    await settleWebhookEvent(base44, run, state, runError);
+    await publishPlatformEvent(base44, `run.${state}`, {
+      run_id: run.id,
+      workflow_id,
+      workflow_name: workflow?.name,
+      state,
+      triggered_by: run.triggered_by,
+      duration_ms,
+      cost_cents: totalCost,
+      error: runError
+    }, run.org_id);
+
     // Audit
     await base44.asServiceRole.entities.Audit.create({
       entity_type: 'workflow',
       entity_id: workflow_id,
       action: 'run',
-      actor: user.email,
-      metadata: { run_id: run.id, duration_ms, cost_cents: totalCost },
-      org_id: workflow.org_id
+      actor,
+      metadata: { run_id: run.id, state, duration_ms, cost_cents: totalCost, resumed: Boolean(resumedRun) },
+      org_id: run.org_id
     });
 
     return Response.json({
       success: true,
       data: {
         run_id: run.id,
-        workflow_name: workflow.name,
-        state: 'completed',
+        workflow_name: workflow?.name,
+        state,
         duration_ms,
         cost_cents: totalCost,
+        execution_order: order,
+        node_states: nodeStates,
         results
       }
     }, { headers: { 'X-Trace-Id': trace_id } });
 
   } catch (error) {
     console.error('Workflow run error:', error);
+    if (activeRun) {
+      // The run was claimed or created by this call; left as it is, it
+      // would stay running with nothing executing it
+      const base44 = createClientFromRequest(req);
+      await base44.asServiceRole.entities.Run.update(activeRun.id, {
+        state: 'failed',
+        finished_at: new Date().toISOString(),
+        waiting_on: [],
+        resume_at: null,
+        error: error.message
+      }).catch(updateError => console.error('[RunWorkflow] Failed to update run:', updateError));
+      await settleWebhookEvent(base44, activeRun, 'failed', error.message);
+      await publishPlatformEvent(base44, 'run.failed', {
+        run_id: activeRun.id,
+        workflow_id: activeRun.workflow_id,
+        state: 'failed',
+        triggered_by: activeRun.triggered_by,
+        error: error.message
+      }, activeRun.org_id);
+    } else if (claimedWebhookEvent) {
+      // Claimed but failed before its run took over; leave it for retries
+      await createClientFromRequest(req).asServiceRole.entities.WebhookEvent
+        .update(claimedWebhookEvent.id, { status: 'failed', error_message: error.message })
+        .catch(updateError => console.error('[RunWorkflow] Failed to update webhook event:', updateError));
+    }
     return Response.json({
       code: 'SERVER_ERROR',
       message: error.message || 'Workflow execution failed',
@@ -142,4 +1494,4 @@ Deno.serve(async (req) => {
       trace_id
     }, { status: 500 });
   }
-});
\ No newline at end of file
+});
@@ -48,11 +48,38 @@ Deno.serve(async (req) => {
           oauth_authorize_url: 'https://app.hubspot.com/oauth/authorize',
           oauth_token_url: 'https://api.hubapi.com/oauth/v1/token',
           oauth_scopes: ['crm.objects.contacts.read', 'crm.objects.contacts.write', 'crm.objects.deals.read'],
+          base_url: 'https://api.hubapi.com',
         },
         operations: [
-          { id: 'list_contacts', name: 'List Contacts', method: 'GET' },
+          {
+            id: 'list_contacts',
+            name: 'List Contacts',
+            method: 'GET',
+            endpoint: '/crm/v3/objects/contacts',
+            pagination: {
+              type: 'cursor',
+              cursor_param: 'after',
+              next_cursor_path: 'paging.next.after',
+              items_path: 'results',
+              limit_param: 'limit',
+              page_size: 100,
+            },
+          },
           { id: 'create_contact', name: 'Create Contact', method: 'POST' },
-          { id: 'list_deals', name: 'List Deals', method: 'GET' },
+          {
+            id: 'list_deals',
+            name: 'List Deals',
+            method: 'GET',
+            endpoint: '/crm/v3/objects/deals',
+            pagination: {
+              type: 'cursor',
+              cursor_param: 'after',
+              next_cursor_path: 'paging.next.after',
+              items_path: 'results',
+              limit_param: 'limit',
+              page_size: 100,
+            },
+          },
           { id: 'create_deal', name: 'Create Deal', method: 'POST' },
           { id: 'get_company', name: 'Get Company', method: 'GET' },
         ],
@@ -68,7 +95,20 @@ Deno.serve(async (req) => {
         is_official: true,
         auth_type: 'api_key',
         operations: [
-          { id: 'list_issues', name: 'List Issues', method: 'GET' },
+          {
+            id: 'list_issues',
+            name: 'List Issues',
+            method: 'GET',
+            endpoint: '/rest/api/3/search',
+            pagination: {
+              type: 'offset',
+              offset_param: 'startAt',
+              limit_param: 'maxResults',
+              page_size: 50,
+              total_path: 'total',
+              items_path: 'issues',
+            },
+          },
           { id: 'create_issue', name: 'Create Issue', method: 'POST' },
           { id: 'get_issue', name: 'Get Issue', method: 'GET' },
           { id: 'update_issue', name: 'Update Issue', method: 'PUT' },
@@ -90,10 +130,24 @@ Deno.serve(async (req) => {
           oauth_authorize_url: 'https://slack.com/oauth/v2/authorize',
           oauth_token_url: 'https://slack.com/api/oauth.v2.access',
           oauth_scopes: ['chat:write', 'channels:read', 'users:read'],
+          base_url: 'https://slack.com/api',
         },
         operations: [
           { id: 'send_message', name: 'Send Message', method: 'POST' },
-          { id: 'list_channels', name: 'List Channels', method: 'GET' },
+          {
+            id: 'list_channels',
+            name: 'List Channels',
+            method: 'GET',
+            endpoint: '/conversations.list',
+            pagination: {
+              type: 'cursor',
+              cursor_param: 'cursor',
+              next_cursor_path: 'response_metadata.next_cursor',
+              items_path: 'channels',
+              limit_param: 'limit',
+              page_size: 200,
+            },
+          },
           { id: 'get_user', name: 'Get User', method: 'GET' },
           { id: 'upload_file', name: 'Upload File', method: 'POST' },
         ],
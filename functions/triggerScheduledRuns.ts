@@ -0,0 +1,219 @@
+/**
+ * @fileoverview Scheduled Run Trigger
+ * @description Fires due ScheduledRun records. Intended to be invoked every
+ * minute by a scheduled automation.
+ *
+ * Each enabled schedule whose `next_run` has passed is claimed by moving it
+ * to the next fire time computed from its cron expression in its timezone,
+ * then triggers `runWorkflow` (or `executeAgent` for agent-only schedules)
+ * with a one-time fire token per fire. Runs are started without waiting for
+ * them; each records its outcome on the schedule when it returns.
+ *
+ * Fires missed while the scheduler was down are handled by the schedule's
+ * `catch_up_policy`:
+ * - skip: drop missed fires; only fire if the latest one is within the
+ *   misfire grace period
+ * - run_once (default): fire once for all missed fires
+ * - run_all: fire once per missed fire, replaying at most the latest
+ *   MAX_CATCH_UP_FIRES and counting the rest as missed
+ *
+ * `{ action: 'preview', cron_expression, timezone }` validates an expression
+ * and returns its upcoming fire times without touching any schedule.
+ */
+
+import { createClientFromRequest } from 'npm:@base44/sdk@0.8.4';
+import { dueFireTimes, nextFireTime, parseCron, upcomingFireTimes, zonedParts } from './_shared/cron.ts';
+import { openScheduledFires } from './_shared/triggers.ts';
+
+async function triggerSchedule(base44, schedule, fireToken) {
+  // The callees have no session to check; they redeem this token instead
+  const trigger = { schedule_id: schedule.id, fire_token: fireToken };
+
+  let response;
+  try {
+    response = schedule.workflow_id
+      ? await base44.asServiceRole.functions.invoke('runWorkflow', trigger)
+      : await base44.asServiceRole.functions.invoke('executeAgent', trigger);
+  } catch (error) {
+    throw new Error(error.response?.data?.message || error.message);
+  }
+
+  const result = response?.data;
+  if (result && result.success === false) {
+    throw new Error(result.message || 'Scheduled execution failed');
+  }
+  if (result?.data?.state === 'failed') {
+    throw new Error(`Run ${result.data.run_id} failed`);
+  }
+  return result?.data || {};
+}
+
+/**
+ * Moves a due schedule on to `next_run`. The claim stores a fresh token and
+ * re-reads the schedule; only the tick whose token survived fires it, and a
+ * tick that finds `next_run` already moved leaves it alone.
+ */
+async function claimSchedule(base44, schedule, next_run) {
+  const [current] = await base44.asServiceRole.entities.ScheduledRun.filter({ id: schedule.id });
+  if (!current?.enabled || current.next_run !== schedule.next_run) return null;
+
+  const claim_token = crypto.randomUUID();
+  await base44.asServiceRole.entities.ScheduledRun.update(schedule.id, {
+    next_run,
+    claim_token,
+    claimed_at: new Date().toISOString()
+  });
+
+  const [claimed] = await base44.asServiceRole.entities.ScheduledRun.filter({ id: schedule.id });
+  return claimed?.claim_token === claim_token ? claimed : null;
+}
+
+/**
+ * Records how a fire's run ended on its schedule, read fresh because
+ * fires of one schedule finish independently
+ */
+async function recordFireOutcome(base44, scheduleId, outcome) {
+  const [schedule] = await base44.asServiceRole.entities.ScheduledRun.filter({ id: scheduleId });
+  if (!schedule) return;
+
+  await base44.asServiceRole.entities.ScheduledRun.update(scheduleId, outcome.error
+    ? {
+      last_status: 'failed',
+      last_error: outcome.error,
+      failure_count: (schedule.failure_count || 0) + 1,
+      consecutive_failures: (schedule.consecutive_failures || 0) + 1
+    }
+    : {
+      last_status: 'success',
+      last_error: null,
+      last_run_id: outcome.run_id || schedule.last_run_id,
+      consecutive_failures: 0
+    });
+}
+
+/**
+ * Starts a fire without waiting for its run, so one tick does not execute
+ * workflows back to back. The outcome is recorded when the run returns.
+ */
+function dispatch(base44, schedule, fireToken) {
+  triggerSchedule(base44, schedule, fireToken)
+    .then(result => recordFireOutcome(base44, schedule.id, { run_id: result.run_id }))
+    .catch(error => {
+      console.error(`[TriggerScheduledRuns] Schedule ${schedule.id} failed:`, error);
+      return recordFireOutcome(base44, schedule.id, { error: error.message });
+    })
+    .catch(error => console.error(`[TriggerScheduledRuns] Failed to record outcome for ${schedule.id}:`, error));
+}
+
+Deno.serve(async (req) => {
+  const trace_id = crypto.randomUUID();
+
+  try {
+    const base44 = createClientFromRequest(req);
+
+    // Allow scheduled invocations (no auth required for internal calls)
+    const body = await req.json().catch(() => ({}));
+    const now = new Date();
+
+    if (body.action === 'preview') {
+      try {
+        const timezone = body.timezone || 'UTC';
+        const cron = parseCron(body.cron_expression);
+        zonedParts(now, timezone);
+
+        const next_runs = upcomingFireTimes(cron, now, timezone, body.count || 5)
+          .map(date => date.toISOString());
+
+        return Response.json({ success: true, data: { valid: true, timezone, next_runs } });
+      } catch (error) {
+        return Response.json({
+          code: 'VALIDATION_ERROR',
+          message: error.message,
+          retryable: false,
+          trace_id
+        }, { status: 422 });
+      }
+    }
+
+    const schedules = await base44.asServiceRole.entities.ScheduledRun.filter({ enabled: true });
+    const results = [];
+
+    for (const schedule of schedules) {
+      const timezone = schedule.timezone || 'UTC';
+      let cron;
+
+      try {
+        cron = parseCron(schedule.cron_expression);
+        zonedParts(now, timezone);
+      } catch (error) {
+        await base44.asServiceRole.entities.ScheduledRun.update(schedule.id, {
+          last_status: 'invalid',
+          last_error: error.message,
+          next_run: null
+        });
+        results.push({ schedule_id: schedule.id, status: 'invalid', error: error.message });
+        continue;
+      }
+
+      // New schedules get their first fire time without firing
+      if (!schedule.next_run) {
+        const next_run = nextFireTime(cron, now, timezone)?.toISOString() || null;
+        await base44.asServiceRole.entities.ScheduledRun.update(schedule.id, { next_run });
+        results.push({ schedule_id: schedule.id, status: 'initialized', next_run });
+        continue;
+      }
+
+      if (new Date(schedule.next_run) > now) {
+        continue;
+      }
+
+      const { fires, skipped } = dueFireTimes(schedule, cron, timezone, now);
+      const next_run = nextFireTime(cron, now, timezone)?.toISOString() || null;
+
+      // An overlapping tick that read the same next_run loses the claim
+      const claimed = await claimSchedule(base44, schedule, next_run);
+      if (!claimed) {
+        continue;
+      }
+
+      const fireTokens = fires.length > 0 ? await openScheduledFires(base44, claimed, fires) : [];
+      await base44.asServiceRole.entities.ScheduledRun.update(schedule.id, {
+        last_run: fires.length > 0 ? now.toISOString() : claimed.last_run,
+        run_count: (claimed.run_count || 0) + fires.length,
+        missed_count: (claimed.missed_count || 0) + skipped,
+        ...(fires.length === 0 && skipped > 0 && { last_status: 'skipped' })
+      });
+
+      for (const fireToken of fireTokens) {
+        dispatch(base44, claimed, fireToken);
+      }
+
+      results.push({
+        schedule_id: schedule.id,
+        status: fires.length > 0 ? 'dispatched' : 'skipped',
+        fired: fires.length,
+        skipped,
+        next_run
+      });
+    }
+
+    return Response.json({
+      success: true,
+      data: {
+        checked: schedules.length,
+        fired: results.reduce((sum, r) => sum + (r.fired || 0), 0),
+        results,
+        timestamp: now.toISOString()
+      }
+    }, { headers: { 'X-Trace-Id': trace_id } });
+
+  } catch (error) {
+    console.error('[TriggerScheduledRuns] Error:', error);
+    return Response.json({
+      code: 'SERVER_ERROR',
+      message: error.message || 'Scheduled run trigger failed',
+      retryable: true,
+      trace_id
+    }, { status: 500 });
+  }
+});
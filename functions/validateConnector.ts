@@ -1,4 +1,7 @@
 import { createClientFromRequest } from 'npm:@base44/sdk@0.8.6';
+import { loadCredentials } from './_shared/vault.ts';
+import { OAuthError, freshOAuthCredentials } from './_shared/oauthTokens.ts';
+import { recordCredentialAccess } from './_shared/secretUsage.ts';
 
 Deno.serve(async (req) => {
   try {
@@ -9,7 +12,22 @@ Deno.serve(async (req) => {
       return Response.json({ error: 'Unauthorized' }, { status: 401 });
     }
 
-    const { connectorId, credentials } = await req.json();
+    const body = await req.json();
+    const { installationId } = body;
+    let { connectorId, credentials } = body;
+
+    // Installed connectors are re-tested with their stored credentials, which
+    // are decrypted here rather than sent back from the browser
+    let installation = null;
+    if (installationId) {
+      [installation] = await base44.entities.ConnectorInstallation.filter({ id: installationId });
+      if (!installation) {
+        return Response.json({ error: 'Installation not found' }, { status: 404 });
+      }
+      connectorId = installation.connector_id;
+      credentials = loadCredentials('ConnectorInstallation', installation);
+      await recordCredentialAccess(base44, 'ConnectorInstallation', installation);
+    }
 
     if (!connectorId || !credentials) {
       return Response.json({ error: 'Missing required parameters' }, { status: 400 });
@@ -24,6 +42,24 @@ Deno.serve(async (req) => {
 
     const connectorDef = connector[0];
 
+    if (installation && connectorDef.auth_type === 'oauth2') {
+      try {
+        credentials = await freshOAuthCredentials(base44, installation, connectorDef, credentials);
+      } catch (error) {
+        if (!(error instanceof OAuthError)) throw error;
+        return Response.json({
+          valid: false,
+          error: error.message,
+          needs_reauth: error.code === 'NEEDS_REAUTH',
+          connector: {
+            id: connectorDef.id,
+            name: connectorDef.name,
+            provider: connectorDef.provider,
+          },
+        });
+      }
+    }
+
     // Validate credentials based on auth type
     let validationResult = { valid: false, error: null };
 
@@ -82,12 +118,27 @@ async function validateApiKey(connector, credentials) {
 
 async function validateOAuth(connector, credentials) {
   if (!credentials.accessToken) {
-    return { valid: false, error: 'Access token is required' };
+    return { valid: false, error: 'Connector has not been authorized' };
   }
 
-  // OAuth tokens are assumed valid if provided
-  // Actual validation happens during first API call
-  return { valid: true, error: null };
+  // Call a read operation with the token when the connector has one
+  try {
+    const testOperation = connector.operations?.find(op => op.method === 'GET');
+    if (testOperation) {
+      const response = await fetch(connector.auth_config?.base_url + testOperation.endpoint, {
+        headers: {
+          'Authorization': `Bearer ${credentials.accessToken}`,
+        },
+      });
+      if (response.status === 401 || response.status === 403) {
+        return { valid: false, error: 'Access token was rejected' };
+      }
+      return { valid: response.ok, error: response.ok ? null : `Test request failed with ${response.status}` };
+    }
+    return { valid: true, error: null };
+  } catch (error) {
+    return { valid: false, error: 'Failed to validate access token: ' + error.message };
+  }
 }
 
 async function validateBasicAuth(connector, credentials) {
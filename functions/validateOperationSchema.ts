@@ -1,4 +1,26 @@
 import { createClientFromRequest } from 'npm:@base44/sdk@0.8.6';
+import { coerceToSchema, operationParameters, validateSchema } from './_shared/operationSchema.ts';
+
+function checkInput(operation, input) {
+  const parameters = operationParameters(operation);
+  const errors = [];
+  for (const parameter of parameters) {
+    const value = input[parameter.name];
+    if (value === undefined) {
+      if (parameter.required) errors.push({ path: `$.${parameter.name}`, message: 'is required' });
+      continue;
+    }
+    errors.push(...validateSchema(parameter.schema, coerceToSchema(parameter.schema, value), `$.${parameter.name}`));
+  }
+  if (Array.isArray(operation.parameters)) {
+    for (const name of Object.keys(input)) {
+      if (!parameters.some((parameter) => parameter.name === name)) {
+        errors.push({ path: `$.${name}`, message: 'is not a parameter of this operation' });
+      }
+    }
+  }
+  return errors;
+}
 
 Deno.serve(async (req) => {
   try {
@@ -9,12 +31,28 @@ Deno.serve(async (req) => {
       return Response.json({ error: 'Unauthorized' }, { status: 401 });
     }
 
-    const { operation, context } = await req.json();
+    const { operation, context, input, output } = await req.json();
 
     if (!operation) {
       return Response.json({ error: 'Operation is required' }, { status: 400 });
     }
 
+    // With sample data, check it the way invokeConnector will instead of
+    // asking for a review
+    if (input !== undefined || output !== undefined) {
+      const input_errors = input !== undefined ? checkInput(operation, input || {}) : [];
+      const output_errors = output !== undefined ? validateSchema(operation.output_schema, output) : [];
+      return Response.json({
+        success: true,
+        data: {
+          valid: input_errors.length === 0 && output_errors.length === 0,
+          parameters: operationParameters(operation),
+          input_errors,
+          output_errors,
+        },
+      });
+    }
+
     const prompt = `You are an API schema expert. Review this operation definition and provide feedback.
 
 **Operation:**
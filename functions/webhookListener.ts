@@ -1,5 +1,6 @@
 import { createClientFromRequest } from 'npm:@base44/sdk@0.8.4';
-import { createHmac } from 'node:crypto';
+import { findDelivery, mapWebhookInput, triggerWebhookEvent } from './_shared/webhookEvents.ts';
+import { DEFAULT_TOLERANCE_SECONDS, SIGNATURE_SCHEMES } from './_shared/webhookSignatures.ts';
 
 Deno.serve(async (req) => {
   const startTime = Date.now();
@@ -40,28 +41,55 @@ Deno.serve(async (req) => {
     }
 
     // Verify webhook signature if secret exists
+    const scheme = webhook.signature_scheme || 'generic';
+    let verification = {};
     if (webhook.secret_key) {
-      const signature = headers['x-webhook-signature'] || headers['x-hub-signature-256'];
-      if (!signature) {
-        return Response.json({ error: 'Missing signature' }, { status: 401 });
+      const verify = SIGNATURE_SCHEMES[scheme];
+      if (!verify) {
+        return Response.json({ error: `Unsupported signature scheme: ${scheme}` }, { status: 500 });
       }
 
-      const expectedSignature = createHmac('sha256', webhook.secret_key)
-        .update(body)
-        .digest('hex');
-
-      const providedSignature = signature.replace('sha256=', '');
-      
-      if (expectedSignature !== providedSignature) {
-        return Response.json({ error: 'Invalid signature' }, { status: 401 });
+      verification = verify({
+        secret: webhook.secret_key,
+        body,
+        headers,
+        payload,
+        now: Date.now() / 1000,
+        tolerance: webhook.signature_tolerance_seconds || DEFAULT_TOLERANCE_SECONDS,
+        requireTimestamp: Boolean(webhook.require_timestamp)
+      });
+      if (verification.error) {
+        return Response.json({ error: verification.error }, { status: 401 });
       }
     }
 
+    // Slack confirms a new request URL before sending any events
+    if (scheme === 'slack' && payload.type === 'url_verification') {
+      return Response.json({ challenge: payload.challenge });
+    }
+
     // Get event type
-    const eventType = payload.event_type || payload.type || headers['x-event-type'] || 'webhook.received';
+    const eventType = verification.eventType || payload.event_type || payload.type || headers['x-event-type'] || 'webhook.received';
+    const receivedAt = new Date().toISOString();
+    const deliveryId = verification.deliveryId || headers['idempotency-key'] || headers['x-idempotency-key'] || null;
+
+    // A redelivery is acknowledged without running again, unless the
+    // earlier attempt failed before a run was started
+    if (deliveryId) {
+      const previous = await findDelivery(base44, webhookId, deliveryId);
+      if (previous) {
+        return Response.json({
+          success: true,
+          duplicate: true,
+          webhook_event_id: previous.id,
+          workflow_run_id: previous.workflow_run_id || null,
+          status: previous.status,
+          processing_time_ms: Date.now() - startTime
+        });
+      }
+    }
 
-    // Create webhook event record
-    const webhookEvent = await base44.asServiceRole.entities.WebhookEvent.create({
+    const eventRecord = {
       webhook_endpoint_id: webhookId,
       event_type: eventType,
       payload,
@@ -70,97 +98,84 @@ Deno.serve(async (req) => {
         'user-agent': headers['user-agent']
       },
       source_ip: req.headers.get('x-forwarded-for') || 'unknown',
-      status: 'processing',
+      delivery_id: deliveryId,
+      signature_scheme: webhook.secret_key ? scheme : null,
+      signature_verified: Boolean(webhook.secret_key),
       org_id: webhook.org_id
-    });
+    };
 
-    // Trigger workflow
-    let runId = null;
-    let errorMessage = null;
+    // Events outside the endpoint's filter are recorded but never run
+    if (webhook.events?.length && !webhook.events.includes(eventType)) {
+      const ignored = await base44.asServiceRole.entities.WebhookEvent.create({
+        ...eventRecord,
+        status: 'ignored',
+        processing_time_ms: Date.now() - startTime
+      });
+      return Response.json({
+        success: true,
+        webhook_event_id: ignored.id,
+        status: 'ignored',
+        processing_time_ms: Date.now() - startTime
+      });
+    }
 
+    let runInput;
     try {
-      // Get workflow
-      const workflows = await base44.asServiceRole.entities.Workflow.filter({ id: webhook.workflow_id });
-      if (workflows && workflows.length > 0) {
-        const workflow = workflows[0];
-
-        // Get first available agent
-        const agents = await base44.asServiceRole.entities.Agent.filter({ org_id: webhook.org_id, status: 'active' });
-        const agent = agents[0];
-
-        if (!agent) {
-          throw new Error('No active agents available');
-        }
-
-        // Create workflow run
-        const run = await base44.asServiceRole.entities.Run.create({
-          workflow_id: webhook.workflow_id,
-          agent_id: agent.id,
-          state: 'running',
-          started_at: new Date().toISOString(),
-          input_data: payload,
-          metadata: {
-            trigger: 'webhook',
-            webhook_id: webhookId,
-            webhook_event_id: webhookEvent.id,
-            event_type: eventType
-          },
-          org_id: webhook.org_id,
-          cost_cents: 0,
-          tokens_in: 0,
-          tokens_out: 0
-        });
+      runInput = mapWebhookInput(webhook.input_mapping, {
+        payload,
+        headers,
+        event_type: eventType,
+        webhook_id: webhookId,
+        received_at: receivedAt
+      });
+    } catch (err) {
+      return Response.json({ error: `Invalid input mapping: ${err.message}` }, { status: 422 });
+    }
+
+    // runWorkflow starts webhook runs from the stored run_input, never from
+    // input supplied by its caller
+    const webhookEvent = await base44.asServiceRole.entities.WebhookEvent.create({
+      ...eventRecord,
+      run_input: runInput,
+      status: 'queued'
+    });
 
-        runId = run.id;
-
-        // Log event
-        await base44.asServiceRole.entities.Event.create({
-          run_id: runId,
-          agent_id: agent.id,
-          event_type: 'webhook.triggered',
-          message: `Workflow triggered by webhook: ${eventType}`,
-          metadata: {
-            webhook_id: webhookId,
-            event_type: eventType
-          },
-          org_id: webhook.org_id
+    // Two copies of a delivery can pass the check above concurrently; only
+    // the first one recorded runs
+    if (deliveryId) {
+      const first = await findDelivery(base44, webhookId, deliveryId);
+      if (first && first.id !== webhookEvent.id) {
+        await base44.asServiceRole.entities.WebhookEvent.update(webhookEvent.id, {
+          status: 'duplicate',
+          processing_time_ms: Date.now() - startTime
+        });
+        return Response.json({
+          success: true,
+          duplicate: true,
+          webhook_event_id: first.id,
+          status: first.status,
+          processing_time_ms: Date.now() - startTime
         });
-      } else {
-        throw new Error('Workflow not found');
       }
+    }
 
-      // Update webhook event as completed
-      await base44.asServiceRole.entities.WebhookEvent.update(webhookEvent.id, {
-        status: 'completed',
-        workflow_run_id: runId,
-        processing_time_ms: Date.now() - startTime
-      });
-
-      // Update webhook endpoint stats
-      await base44.asServiceRole.entities.WebhookEndpoint.update(webhookId, {
-        last_triggered: new Date().toISOString(),
-        trigger_count: (webhook.trigger_count || 0) + 1
-      });
+    await base44.asServiceRole.entities.WebhookEndpoint.update(webhookId, {
+      last_triggered: receivedAt,
+      trigger_count: (webhook.trigger_count || 0) + 1
+    });
 
-    } catch (err) {
-      errorMessage = err.message;
-      
-      // Update webhook event as failed
-      await base44.asServiceRole.entities.WebhookEvent.update(webhookEvent.id, {
-        status: 'failed',
-        error_message: errorMessage,
-        processing_time_ms: Date.now() - startTime
-      });
-    }
+    // The provider only needs to know the event was accepted. The run goes
+    // on in its own runWorkflow invocation; an event that never gets claimed
+    // is failed and retried by replayWebhookEvents.
+    triggerWebhookEvent(base44, webhook, webhookEvent.id)
+      .catch(error => console.error('[WebhookListener] Failed to start run:', error));
 
-    // Return success response
     return Response.json({
-      success: !errorMessage,
+      success: true,
       webhook_event_id: webhookEvent.id,
-      workflow_run_id: runId,
-      error: errorMessage,
+      status: 'queued',
       processing_time_ms: Date.now() - startTime
-    }, { status: errorMessage ? 500 : 200 });
+    }, { status: 202 });
 
   } catch (error) {
     console.error('Webhook processing error:', error);
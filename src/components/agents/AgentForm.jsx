@@ -14,6 +14,7 @@ import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@
 import { Agent } from '@/entities/Agent';
 import { useAuth } from '@/components/contexts/AuthContext';
 import { RBACGuard } from '../shared/RBACGuard';
+import FallbackChainEditor from './FallbackChainEditor';
 import { handleError } from '../utils/api-client';
 import { validateAgentConfig } from '../utils/validation';
 import { createAuditLog, redactSensitiveData, AuditActions, AuditEntities } from '../utils/audit-logger';
@@ -163,6 +164,9 @@ export default function AgentForm({ open, onOpenChange, agent, onSave }) {
               <SelectContent className="bg-slate-900 border-slate-800 text-white">
                 <SelectItem value="openai" className="focus:bg-slate-800">OpenAI</SelectItem>
                 <SelectItem value="anthropic" className="focus:bg-slate-800">Anthropic</SelectItem>
+                <SelectItem value="azure" className="focus:bg-slate-800">Azure OpenAI</SelectItem>
+                <SelectItem value="local" className="focus:bg-slate-800">Local (OpenAI-compatible)</SelectItem>
+                <SelectItem value="mock" className="focus:bg-slate-800">Mock (testing)</SelectItem>
               </SelectContent>
             </Select>
           </div>
@@ -178,6 +182,63 @@ export default function AgentForm({ open, onOpenChange, agent, onSave }) {
               disabled={!canEdit}
             />
           </div>
+          {formData.config.provider === 'azure' && (
+            <div>
+              <Label htmlFor="deployment" className="text-slate-400">Deployment</Label>
+              <Input
+                id="deployment"
+                value={formData.config.deployment || ''}
+                onChange={(e) => handleConfigChange('deployment', e.target.value || undefined)}
+                className="bg-slate-800 border-slate-700"
+                placeholder="Defaults to the model name"
+                disabled={!canEdit}
+              />
+            </div>
+          )}
+          {formData.config.provider === 'local' && (
+            <div>
+              <Label htmlFor="base_url" className="text-slate-400">Base URL</Label>
+              <Input
+                id="base_url"
+                value={formData.config.base_url || ''}
+                onChange={(e) => handleConfigChange('base_url', e.target.value || undefined)}
+                className="bg-slate-800 border-slate-700"
+                placeholder="e.g., http://localhost:11434/v1"
+                disabled={!canEdit}
+              />
+            </div>
+          )}
+          <div className="grid grid-cols-2 gap-4">
+            <div>
+              <Label htmlFor="temperature" className="text-slate-400">Temperature</Label>
+              <Input
+                id="temperature"
+                type="number"
+                min="0"
+                max="2"
+                step="0.1"
+                value={formData.config.temperature ?? ''}
+                onChange={(e) => handleConfigChange('temperature', e.target.value === '' ? undefined : Number(e.target.value))}
+                className="bg-slate-800 border-slate-700"
+                disabled={!canEdit}
+              />
+            </div>
+            <div>
+              <Label htmlFor="max_tokens" className="text-slate-400">Max Tokens</Label>
+              <Input
+                id="max_tokens"
+                type="number"
+                min="1"
+                max="100000"
+                value={formData.config.max_tokens ?? ''}
+                onChange={(e) => handleConfigChange('max_tokens', e.target.value === '' ? undefined : Number(e.target.value))}
+                className="bg-slate-800 border-slate-700"
+                placeholder="Provider default"
+                disabled={!canEdit}
+              />
+            </div>
+          </div>
+          <FallbackChainEditor config={formData.config} onChange={handleConfigChange} disabled={!canEdit} />
           <DialogFooter>
             <Button
               type="button"
@@ -0,0 +1,135 @@
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Checkbox } from '@/components/ui/checkbox';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
+import { ArrowDown, Plus, Trash2 } from 'lucide-react';
+
+const PROVIDERS = [
+  { value: 'openai', label: 'OpenAI' },
+  { value: 'anthropic', label: 'Anthropic' },
+  { value: 'azure', label: 'Azure OpenAI' },
+  { value: 'local', label: 'Local' },
+  { value: 'mock', label: 'Mock' },
+];
+
+const TRIGGERS = [
+  { value: 'rate_limit', label: 'Rate limit' },
+  { value: 'server_error', label: '5xx / network' },
+  { value: 'timeout', label: 'Timeout' },
+  { value: 'content_filter', label: 'Content filter' },
+];
+
+const DEFAULT_TRIGGERS = ['rate_limit', 'server_error', 'timeout'];
+
+/**
+ * Edits `config.fallback_chain`, the models tried in order after the
+ * agent's own, and `config.fallback_on`, the failures that move to the
+ * next one.
+ */
+export default function FallbackChainEditor({ config, onChange, disabled }) {
+  const chain = config.fallback_chain || [];
+  const triggers = config.fallback_on || DEFAULT_TRIGGERS;
+
+  const updateStep = (index, field, value) => {
+    onChange('fallback_chain', chain.map((step, i) => (i === index ? { ...step, [field]: value } : step)));
+  };
+
+  const toggleTrigger = (value, checked) => {
+    onChange('fallback_on', checked ? [...triggers, value] : triggers.filter((trigger) => trigger !== value));
+  };
+
+  return (
+    <div className="space-y-2">
+      <div className="flex items-center justify-between gap-2">
+        <Label className="text-slate-400">Fallback Models</Label>
+        <Input
+          type="number"
+          min="1000"
+          step="1000"
+          value={config.timeout_ms ?? ''}
+          onChange={(e) => onChange('timeout_ms', e.target.value === '' ? undefined : Number(e.target.value))}
+          className="w-40 h-8 bg-slate-800 border-slate-700"
+          placeholder="Primary timeout ms"
+          disabled={disabled}
+        />
+      </div>
+      {chain.map((step, index) => (
+        <div key={index} className="space-y-1">
+          <ArrowDown className="w-3 h-3 text-slate-500 mx-auto" />
+          <div className="flex items-center gap-2">
+            <Select
+              value={step.provider || config.provider}
+              onValueChange={(value) => updateStep(index, 'provider', value)}
+              disabled={disabled}
+            >
+              <SelectTrigger className="w-36 bg-slate-800 border-slate-700">
+                <SelectValue />
+              </SelectTrigger>
+              <SelectContent className="bg-slate-900 border-slate-800 text-white">
+                {PROVIDERS.map((provider) => (
+                  <SelectItem key={provider.value} value={provider.value} className="focus:bg-slate-800">
+                    {provider.label}
+                  </SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+            <Input
+              value={step.model || ''}
+              onChange={(e) => updateStep(index, 'model', e.target.value)}
+              className="bg-slate-800 border-slate-700"
+              placeholder="Model"
+              required
+              disabled={disabled}
+            />
+            <Input
+              type="number"
+              min="1000"
+              step="1000"
+              value={step.timeout_ms ?? ''}
+              onChange={(e) => updateStep(index, 'timeout_ms', e.target.value === '' ? undefined : Number(e.target.value))}
+              className="w-28 bg-slate-800 border-slate-700"
+              placeholder="Timeout ms"
+              disabled={disabled}
+            />
+            <Button
+              type="button"
+              variant="ghost"
+              size="icon"
+              onClick={() => onChange('fallback_chain', chain.filter((_, i) => i !== index))}
+              disabled={disabled}
+            >
+              <Trash2 className="w-4 h-4 text-red-400" />
+            </Button>
+          </div>
+        </div>
+      ))}
+      <Button
+        type="button"
+        variant="outline"
+        size="sm"
+        onClick={() => onChange('fallback_chain', [...chain, { provider: config.provider, model: '' }])}
+        className="border-slate-700 text-slate-200 hover:bg-slate-800"
+        disabled={disabled || chain.length >= 5}
+      >
+        <Plus className="w-4 h-4 mr-1" />
+        Add Fallback
+      </Button>
+      {chain.length > 0 && (
+        <div className="flex flex-wrap gap-3 pt-1">
+          <span className="text-xs text-slate-500">Fall back on:</span>
+          {TRIGGERS.map((trigger) => (
+            <label key={trigger.value} className="flex items-center gap-1 text-xs text-slate-300">
+              <Checkbox
+                checked={triggers.includes(trigger.value)}
+                onCheckedChange={(checked) => toggleTrigger(trigger.value, checked)}
+                disabled={disabled}
+              />
+              {trigger.label}
+            </label>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -76,18 +76,27 @@ export default function ApprovalCenter() {
                 }`}
               >
                 <div className="flex items-start justify-between mb-3">
-                  <div>
-                    <div className="font-medium mb-1">Workflow ID: {request.workflow_id.slice(0, 12)}...</div>
-                    <div className="text-sm text-slate-400">
-                      Version: <Badge variant="outline">{request.version}</Badge>
-                      {' → '}
-                      <Badge className={
-                        request.environment === 'production' ? 'bg-red-600' : 'bg-amber-600'
-                      }>
-                        {request.environment}
-                      </Badge>
+                  {request.run_id ? (
+                    <div>
+                      <div className="font-medium mb-1">Workflow Step: {request.step_name}</div>
+                      <div className="text-sm text-slate-400">
+                        Run: <span className="font-mono">{request.run_id.slice(0, 12)}...</span>
+                      </div>
                     </div>
-                  </div>
+                  ) : (
+                    <div>
+                      <div className="font-medium mb-1">Workflow ID: {request.workflow_id.slice(0, 12)}...</div>
+                      <div className="text-sm text-slate-400">
+                        Version: <Badge variant="outline">{request.version}</Badge>
+                        {' → '}
+                        <Badge className={
+                          request.environment === 'production' ? 'bg-red-600' : 'bg-amber-600'
+                        }>
+                          {request.environment}
+                        </Badge>
+                      </div>
+                    </div>
+                  )}
                   {isExpired && (
                     <Badge variant="destructive">Expired</Badge>
                   )}
@@ -118,6 +127,11 @@ export default function ApprovalCenter() {
 
                     {isSelected && (
                       <div className="space-y-3 pt-3 border-t border-slate-700">
+                        {request.run_id && request.request_data !== undefined && (
+                          <pre className="p-2 bg-slate-950 rounded text-xs text-slate-300 font-mono overflow-x-auto max-h-48">
+                            {JSON.stringify(request.request_data, null, 2)}
+                          </pre>
+                        )}
                         <Textarea
                           value={comments}
                           onChange={(e) => setComments(e.target.value)}
@@ -13,9 +13,10 @@ import {
   SelectTrigger,
   SelectValue,
 } from '@/components/ui/select';
-import { Code, Save, Zap } from 'lucide-react';
+import { Code, FileUp, Save, Zap } from 'lucide-react';
 import { toast } from 'sonner';
 import ConnectorDevTools from './ConnectorDevTools';
+import SpecImportDialog from './SpecImportDialog';
 
 /**
  * Interactive Connector Builder
@@ -41,6 +42,19 @@ export default function ConnectorBuilder() {
 
   const [_testResult, _setTestResult] = useState(null);
   const [generatedCode, setGeneratedCode] = useState('');
+  const [showImport, setShowImport] = useState(false);
+
+  const handleImported = (definition) => {
+    setConnector({
+      name: definition.name,
+      description: definition.description,
+      provider: definition.provider,
+      category: definition.category || 'custom',
+      auth_type: definition.auth_type,
+      operations: definition.operations,
+    });
+    setGeneratedCode('');
+  };
 
   const addOperation = () => {
     if (!currentOperation.id || !currentOperation.name) {
@@ -162,14 +176,20 @@ async function ${op.id}(client, params = {}) {
   return (
     <div className="space-y-6">
       <Card className="bg-slate-900 border-slate-800">
-        <CardHeader>
-          <CardTitle className="text-white flex items-center gap-2">
-            <Zap className="w-5 h-5 text-purple-400" />
-            Custom Connector Builder
-          </CardTitle>
-          <p className="text-sm text-slate-400">
-            Build your own connector using the Archon SDK
-          </p>
+        <CardHeader className="flex flex-row items-start justify-between">
+          <div>
+            <CardTitle className="text-white flex items-center gap-2">
+              <Zap className="w-5 h-5 text-purple-400" />
+              Custom Connector Builder
+            </CardTitle>
+            <p className="text-sm text-slate-400">
+              Build your own connector using the Archon SDK
+            </p>
+          </div>
+          <Button variant="outline" onClick={() => setShowImport(true)} className="border-slate-700">
+            <FileUp className="w-4 h-4 mr-2" />
+            Import OpenAPI / Postman
+          </Button>
         </CardHeader>
         <CardContent>
           <Tabs defaultValue="basic">
@@ -338,6 +358,8 @@ async function ${op.id}(client, params = {}) {
           </Tabs>
         </CardContent>
       </Card>
+
+      <SpecImportDialog open={showImport} onOpenChange={setShowImport} onImported={handleImported} />
     </div>
   );
 }
\ No newline at end of file
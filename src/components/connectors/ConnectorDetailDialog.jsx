@@ -100,6 +100,21 @@ export default function ConnectorDetailDialog({ connector, open, onClose }) {
                         <span className="text-slate-400">Endpoint:</span>
                         <code className="ml-2 text-white font-mono">{op.endpoint}</code>
                       </div>
+                      {op.parameters?.length > 0 && (
+                        <div>
+                          <span className="text-slate-400">Parameters:</span>
+                          <div className="mt-1 space-y-1">
+                            {op.parameters.map((param) => (
+                              <div key={`${param.in}-${param.name}`} className="flex items-center gap-2 text-xs">
+                                <Badge variant="outline" className="text-slate-400 w-14 justify-center">{param.in}</Badge>
+                                <code className="text-white font-mono">{param.name}</code>
+                                {param.required && <span className="text-red-400">required</span>}
+                                {param.description && <span className="text-slate-500 truncate">{param.description}</span>}
+                              </div>
+                            ))}
+                          </div>
+                        </div>
+                      )}
                       <div>
                         <span className="text-slate-400">Input Schema:</span>
                         <pre className="mt-1 text-xs bg-slate-950/50 p-2 rounded overflow-x-auto text-slate-200">
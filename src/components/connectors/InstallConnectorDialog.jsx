@@ -12,9 +12,30 @@ import { Input } from '@/components/ui/input';
 import { Label } from '@/components/ui/label';
 import { Loader2 } from 'lucide-react';
 import { toast } from 'sonner';
+import { createPageUrl } from '@/utils';
+
+/**
+ * Sends the browser to the provider to authorize an OAuth2 installation.
+ * The provider redirects back to the marketplace, which completes the flow.
+ */
+export async function authorizeInstallation(installationId) {
+  const { data } = await base44.functions.invoke('connectorOAuth', {
+    action: 'authorize',
+    installation_id: installationId,
+    redirect_uri: `${window.location.origin}${createPageUrl('ConnectorMarketplace')}`,
+  });
+  window.location.assign(data.data.authorization_url);
+}
 
 export default function InstallConnectorDialog({ connector, open, onClose, onSuccess }) {
-  const [formData, setFormData] = useState({ name: `${connector.name} Connection` });
+  const [formData, setFormData] = useState({
+    name: `${connector.name} Connection`,
+    api_key: '',
+    username: '',
+    password: '',
+    client_id: connector.auth_config?.oauth_client_id || '',
+    client_secret: '',
+  });
   const [isInstalling, setIsInstalling] = useState(false);
 
   const handleInstall = async (e) => {
@@ -30,6 +51,11 @@ export default function InstallConnectorDialog({ connector, open, onClose, onSuc
       return;
     }
 
+    if (connector.auth_type === 'oauth2' && !formData.client_id?.trim()) {
+      toast.error('Please enter a client ID');
+      return;
+    }
+
     setIsInstalling(true);
 
     try {
@@ -43,8 +69,8 @@ export default function InstallConnectorDialog({ connector, open, onClose, onSuc
           credentials = { apiKey: formData.api_key };
           break;
         case 'oauth2':
-          // OAuth flow would be handled separately
-          credentials = { accessToken: 'OAUTH_TOKEN_PLACEHOLDER' };
+          // Tokens are obtained by connectorOAuth once the user authorizes
+          credentials = { clientId: formData.client_id.trim(), clientSecret: formData.client_secret || '' };
           break;
         case 'basic':
           credentials = { username: formData.username || '', password: formData.password || '' };
@@ -53,35 +79,50 @@ export default function InstallConnectorDialog({ connector, open, onClose, onSuc
           credentials = {};
       }
 
+      const isOAuth = connector.auth_type === 'oauth2';
+
       // Validate connector credentials
-      const validation = await base44.functions.invoke('validateConnector', {
-        connectorId: connector.id,
-        credentials,
-      });
+      if (!isOAuth) {
+        const validation = await base44.functions.invoke('validateConnector', {
+          connectorId: connector.id,
+          credentials,
+        });
 
-      if (!validation.data?.valid) {
-        toast.error('Invalid credentials: ' + (validation.data?.error || 'Unknown error'));
-        setIsInstalling(false);
-        return;
+        if (!validation.data?.valid) {
+          toast.error('Invalid credentials: ' + (validation.data?.error || 'Unknown error'));
+          setIsInstalling(false);
+          return;
+        }
       }
 
-      // Create installation record with encrypted credentials
-      await base44.entities.ConnectorInstallation.create({
+      // Create the installation, then hand the credentials to the vault
+      const installation = await base44.entities.ConnectorInstallation.create({
         connector_id: connector.id,
         name: formData.name,
-        credentials_encrypted: JSON.stringify(credentials),
         config: {},
-        status: 'active',
+        status: isOAuth ? 'pending_authorization' : 'active',
         installed_by: user.email,
-        last_tested: new Date().toISOString(),
+        ...(!isOAuth && { last_tested: new Date().toISOString() }),
         org_id: user.organization.id,
       });
+      await base44.functions.invoke('manageCredentials', {
+        action: 'store',
+        entity: 'ConnectorInstallation',
+        record_id: installation.id,
+        credentials,
+        replace: true,
+      });
 
       // Update installation count
       await base44.entities.ConnectorDefinition.update(connector.id, {
         installation_count: (connector.installation_count || 0) + 1,
       });
 
+      if (isOAuth) {
+        await authorizeInstallation(installation.id);
+        return;
+      }
+
       toast.success(`${connector.name} installed successfully`);
       onSuccess();
       onClose();
@@ -133,9 +174,31 @@ export default function InstallConnectorDialog({ connector, open, onClose, onSuc
           )}
 
           {connector.auth_type === 'oauth2' && (
-            <div className="p-3 bg-blue-900/20 border border-blue-700/50 rounded text-sm text-blue-300">
-              <p>After clicking install, you'll be redirected to {connector.name} to authorize access.</p>
-            </div>
+            <>
+              <div>
+                <Label>Client ID</Label>
+                <Input
+                  value={formData.client_id}
+                  onChange={(e) => setFormData({ ...formData, client_id: e.target.value })}
+                  placeholder="OAuth app client ID"
+                  className="bg-slate-800 border-slate-700"
+                  required
+                />
+              </div>
+              <div>
+                <Label>Client Secret</Label>
+                <Input
+                  type="password"
+                  value={formData.client_secret || ''}
+                  onChange={(e) => setFormData({ ...formData, client_secret: e.target.value })}
+                  placeholder="Leave blank for public clients"
+                  className="bg-slate-800 border-slate-700"
+                />
+              </div>
+              <div className="p-3 bg-blue-900/20 border border-blue-700/50 rounded text-sm text-blue-300">
+                <p>After clicking install, you'll be redirected to {connector.name} to authorize access.</p>
+              </div>
+            </>
           )}
 
           <div className="flex justify-end gap-2 pt-4">
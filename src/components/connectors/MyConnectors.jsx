@@ -1,8 +1,9 @@
 import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
 import { Button } from '@/components/ui/button';
-import { CheckCircle2, XCircle, AlertTriangle, Settings, Trash2, RefreshCw } from 'lucide-react';
+import { CheckCircle2, XCircle, AlertTriangle, Settings, Trash2, RefreshCw, KeyRound } from 'lucide-react';
 import { base44 } from '@/api/base44Client';
 import { toast } from 'sonner';
+import { authorizeInstallation } from './InstallConnectorDialog';
 
 export default function MyConnectors({ installations, connectors, onRefresh }) {
   const handleDelete = async (installationId) => {
@@ -25,6 +26,14 @@ export default function MyConnectors({ installations, connectors, onRefresh }) {
     }
   };
 
+  const handleAuthorize = async (installation) => {
+    try {
+      await authorizeInstallation(installation.id);
+    } catch (error) {
+      toast.error('Failed to start authorization: ' + (error.response?.data?.message || error.message));
+    }
+  };
+
   const handleTest = async (installation) => {
     try {
       toast.info('Testing connector connection...');
@@ -39,12 +48,9 @@ export default function MyConnectors({ installations, connectors, onRefresh }) {
         return;
       }
 
-      const connector = connectorList[0];
-      const credentials = JSON.parse(installation.credentials_encrypted);
-
+      // Stored credentials are decrypted by validateConnector, never here
       const validation = await base44.functions.invoke('validateConnector', {
-        connectorId: connector.id,
-        credentials,
+        installationId: installation.id,
       });
 
       if (validation.data?.valid) {
@@ -55,6 +61,10 @@ export default function MyConnectors({ installations, connectors, onRefresh }) {
         });
         toast.success('Connection test successful!');
         onRefresh();
+      } else if (validation.data?.needs_reauth) {
+        // validateConnector already marked the installation
+        toast.error('Authorization expired, reconnect to continue');
+        onRefresh();
       } else {
         await base44.entities.ConnectorInstallation.update(installation.id, {
           status: 'error',
@@ -85,6 +95,8 @@ export default function MyConnectors({ installations, connectors, onRefresh }) {
     error: { icon: XCircle, color: 'text-red-400', bg: 'bg-red-900/20' },
     expired: { icon: AlertTriangle, color: 'text-yellow-400', bg: 'bg-yellow-900/20' },
     revoked: { icon: XCircle, color: 'text-slate-400', bg: 'bg-slate-800' },
+    needs_reauth: { icon: AlertTriangle, color: 'text-yellow-400', bg: 'bg-yellow-900/20' },
+    pending_authorization: { icon: KeyRound, color: 'text-blue-400', bg: 'bg-blue-900/20' },
   };
 
   return (
@@ -93,7 +105,8 @@ export default function MyConnectors({ installations, connectors, onRefresh }) {
         const connector = connectors.find(c => c.id === installation.connector_id);
         if (!connector) return null;
 
-        const config = statusConfig[installation.status];
+        const config = statusConfig[installation.status] || statusConfig.error;
+        const canAuthorize = connector.auth_type === 'oauth2';
         const StatusIcon = config.icon;
 
         return (
@@ -113,6 +126,17 @@ export default function MyConnectors({ installations, connectors, onRefresh }) {
                   </div>
                 </div>
                 <div className="flex gap-2">
+                  {canAuthorize && (
+                    <Button
+                      variant="ghost"
+                      size="icon"
+                      onClick={() => handleAuthorize(installation)}
+                      className="text-yellow-400 hover:text-yellow-300"
+                      title={installation.status === 'active' ? 'Reauthorize' : 'Authorize'}
+                    >
+                      <KeyRound className="w-4 h-4" />
+                    </Button>
+                  )}
                   <Button
                     variant="ghost"
                     size="icon"
@@ -138,7 +162,7 @@ export default function MyConnectors({ installations, connectors, onRefresh }) {
               <div className="grid grid-cols-3 gap-4 text-sm">
                 <div>
                   <p className="text-slate-500">Status</p>
-                  <p className={`font-medium ${config.color} capitalize`}>{installation.status}</p>
+                  <p className={`font-medium ${config.color} capitalize`}>{installation.status.replace('_', ' ')}</p>
                 </div>
                 <div>
                   <p className="text-slate-500">Usage</p>
@@ -0,0 +1,198 @@
+import { useState, useEffect } from 'react';
+import { base44 } from '@/api/base44Client';
+import { Dialog, DialogContent, DialogDescription, DialogHeader, DialogTitle, DialogFooter } from '@/components/ui/dialog';
+import { Button } from '@/components/ui/button';
+import { Badge } from '@/components/ui/badge';
+import { Label } from '@/components/ui/label';
+import { Textarea } from '@/components/ui/textarea';
+import { AlertTriangle, FileUp, Loader2, Minus, Pencil, Plus } from 'lucide-react';
+import { toast } from 'sonner';
+
+const FORMAT_LABELS = {
+  openapi3: 'OpenAPI 3',
+  swagger2: 'Swagger 2.0',
+  postman: 'Postman collection',
+};
+
+function OperationRow({ op, icon: Icon, color, children = null }) {
+  return (
+    <div className="p-2 bg-slate-800 rounded text-sm">
+      <div className="flex items-center gap-2">
+        <Icon className={`w-3 h-3 ${color}`} />
+        <Badge variant="outline" className="text-xs">{op.method}</Badge>
+        <span className="font-mono text-slate-300">{op.endpoint}</span>
+        <span className="text-slate-500 ml-auto">{op.id}</span>
+      </div>
+      {children}
+    </div>
+  );
+}
+
+/**
+ * Imports an OpenAPI / Swagger document or Postman collection through
+ * importConnectorSpec. Without `connector` a new definition is created;
+ * with one, its operations are replaced after showing what changed.
+ */
+export default function SpecImportDialog({ open, onOpenChange, connector = null, onImported }) {
+  const [source, setSource] = useState('');
+  const [preview, setPreview] = useState(null);
+  const [isWorking, setIsWorking] = useState(false);
+
+  useEffect(() => {
+    if (open) {
+      setSource('');
+      setPreview(null);
+    }
+  }, [open]);
+
+  const invoke = async (action) => {
+    const { data } = await base44.functions.invoke('importConnectorSpec', {
+      action,
+      source,
+      connector_id: connector?.id,
+    });
+    return data.data;
+  };
+
+  const handleFile = async (e) => {
+    const file = e.target.files?.[0];
+    if (!file) return;
+    setSource(await file.text());
+    setPreview(null);
+  };
+
+  const handlePreview = async () => {
+    setIsWorking(true);
+    try {
+      setPreview(await invoke('preview'));
+    } catch (error) {
+      toast.error('Could not read specification: ' + (error.response?.data?.message || error.message));
+    } finally {
+      setIsWorking(false);
+    }
+  };
+
+  const handleImport = async () => {
+    setIsWorking(true);
+    try {
+      const result = await invoke('import');
+      toast.success(connector ? 'Connector updated from specification' : 'Connector created from specification');
+      onImported?.(result.connector);
+      onOpenChange(false);
+    } catch (error) {
+      toast.error('Import failed: ' + (error.response?.data?.message || error.message));
+    } finally {
+      setIsWorking(false);
+    }
+  };
+
+  const definition = preview?.definition;
+  const diff = preview?.diff;
+  const hasChanges = diff && (diff.added.length + diff.removed.length + diff.changed.length > 0);
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent className="bg-slate-900 border-slate-800 text-white max-w-3xl max-h-[85vh] overflow-y-auto">
+        <DialogHeader className="mb-2">
+          <DialogTitle>{connector ? `Re-import ${connector.name}` : 'Import API Specification'}</DialogTitle>
+          <DialogDescription className="text-slate-400">
+            OpenAPI 3.x or Swagger 2.0 (JSON or YAML), or a Postman collection v2
+          </DialogDescription>
+        </DialogHeader>
+
+        <div className="space-y-4">
+          <div>
+            <Label className="text-slate-400">Specification file</Label>
+            <label className="mt-1 flex items-center gap-2 p-3 border border-dashed border-slate-700 rounded cursor-pointer hover:border-slate-500 text-sm text-slate-400">
+              <FileUp className="w-4 h-4" />
+              Choose a .json, .yaml or .yml file
+              <input type="file" accept=".json,.yaml,.yml" onChange={handleFile} className="hidden" />
+            </label>
+          </div>
+
+          <div>
+            <Label className="text-slate-400">Or paste it</Label>
+            <Textarea
+              value={source}
+              onChange={(e) => { setSource(e.target.value); setPreview(null); }}
+              placeholder="openapi: 3.0.0"
+              className="bg-slate-950 border-slate-700 font-mono text-xs h-32"
+            />
+          </div>
+
+          {definition && (
+            <div className="space-y-3">
+              <div className="flex flex-wrap items-center gap-2 text-sm">
+                <Badge variant="outline" className="text-slate-300">{FORMAT_LABELS[preview.format]}</Badge>
+                <span className="text-white font-medium">{definition.spec_source.title}</span>
+                {definition.spec_source.version && <span className="text-slate-500">v{definition.spec_source.version}</span>}
+                <Badge variant="outline" className="ml-auto">{definition.auth_type}</Badge>
+              </div>
+              <p className="text-xs text-slate-400 font-mono">{definition.auth_config.base_url || 'No base URL'}</p>
+
+              {preview.warnings.length > 0 && (
+                <div className="p-3 bg-yellow-900/20 border border-yellow-700/50 rounded text-xs text-yellow-300 space-y-1">
+                  {preview.warnings.map((warning) => (
+                    <p key={warning} className="flex items-start gap-2">
+                      <AlertTriangle className="w-3 h-3 mt-0.5 flex-shrink-0" />
+                      {warning}
+                    </p>
+                  ))}
+                </div>
+              )}
+
+              {diff ? (
+                <div className="space-y-2">
+                  <p className="text-sm text-slate-300">
+                    {diff.added.length} added · {diff.changed.length} changed · {diff.removed.length} removed · {diff.unchanged.length} unchanged
+                  </p>
+                  {diff.added.map((op) => (
+                    <OperationRow key={`a-${op.id}`} op={op} icon={Plus} color="text-green-400" />
+                  ))}
+                  {diff.changed.map((op) => (
+                    <OperationRow key={`c-${op.id}`} op={op} icon={Pencil} color="text-yellow-400">
+                      <ul className="mt-1 ml-5 text-xs text-slate-400 list-disc">
+                        {op.changes.map((change) => <li key={change}>{change}</li>)}
+                      </ul>
+                    </OperationRow>
+                  ))}
+                  {diff.removed.map((op) => (
+                    <OperationRow key={`r-${op.id}`} op={op} icon={Minus} color="text-red-400" />
+                  ))}
+                </div>
+              ) : (
+                <div className="space-y-2">
+                  <p className="text-sm text-slate-300">{definition.operations.length} operations</p>
+                  {definition.operations.map((op) => (
+                    <OperationRow key={op.id} op={op} icon={Plus} color="text-green-400" />
+                  ))}
+                </div>
+              )}
+            </div>
+          )}
+        </div>
+
+        <DialogFooter className="pt-2">
+          <Button variant="outline" onClick={() => onOpenChange(false)}>
+            Cancel
+          </Button>
+          {!preview ? (
+            <Button onClick={handlePreview} disabled={!source.trim() || isWorking} className="bg-blue-600 hover:bg-blue-700">
+              {isWorking && <Loader2 className="w-4 h-4 mr-2 animate-spin" />}
+              Preview
+            </Button>
+          ) : (
+            <Button
+              onClick={handleImport}
+              disabled={isWorking || (diff && !hasChanges)}
+              className="bg-green-600 hover:bg-green-700"
+            >
+              {isWorking && <Loader2 className="w-4 h-4 mr-2 animate-spin" />}
+              {connector ? (hasChanges ? 'Apply Changes' : 'No Changes') : 'Create Connector'}
+            </Button>
+          )}
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  );
+}
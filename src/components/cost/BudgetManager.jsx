@@ -101,7 +101,9 @@ function BudgetCard({ budget, _onRefresh }) {
           </div>
           <div className="text-sm text-slate-400 mt-1">
             {budget.enforce_hard_limit && (
-              <span className="text-red-400 text-xs">Hard limit enforced • </span>
+              <span className="text-red-400 text-xs">
+                {budget.over_limit_action === 'queue' ? 'Hard limit, runs queued' : 'Hard limit enforced'} •{' '}
+              </span>
             )}
             {new Date(budget.period_start).toLocaleDateString()} - {new Date(budget.period_end).toLocaleDateString()}
           </div>
@@ -126,6 +128,26 @@ function BudgetCard({ budget, _onRefresh }) {
         </div>
       </div>
 
+      {budget.alert_thresholds?.length > 0 && (
+        <div className="flex flex-wrap items-center gap-1 mt-2">
+          <span className="text-xs text-slate-500 mr-1">Alerts at</span>
+          {budget.alert_thresholds.map((t) => (
+            <span
+              key={t.percent}
+              className={`text-xs px-1.5 py-0.5 rounded ${t.alerted ? 'bg-yellow-900/40 text-yellow-300' : 'bg-slate-800 text-slate-400'}`}
+            >
+              {t.percent}%
+            </span>
+          ))}
+        </div>
+      )}
+
+      {budget.previous_spend_cents !== undefined && budget.previous_spend_cents !== null && (
+        <div className="text-xs text-slate-500 mt-2">
+          Previous period: ${(budget.previous_spend_cents / 100).toFixed(2)}
+        </div>
+      )}
+
       {budget.alert_thresholds && budget.alert_thresholds.some(t => t.alerted) && (
         <div className="mt-3 p-2 bg-yellow-900/20 border border-yellow-700/50 rounded text-xs text-yellow-400">
           <AlertTriangle className="w-3 h-3 inline mr-1" />
@@ -136,6 +158,15 @@ function BudgetCard({ budget, _onRefresh }) {
   );
 }
 
+// "50, 80, 100" -> [50, 80, 100]
+function parseThresholds(text) {
+  return [...new Set(
+    text.split(',')
+      .map((part) => Number(part.trim()))
+      .filter((percent) => Number.isFinite(percent) && percent > 0)
+  )].sort((a, b) => a - b);
+}
+
 function CreateBudgetForm({ onSuccess }) {
   const [formData, setFormData] = useState({
     name: '',
@@ -143,7 +174,9 @@ function CreateBudgetForm({ onSuccess }) {
     scope_id: null,
     period: 'monthly',
     limit_cents: 10000,
+    alert_thresholds: '80, 100',
     enforce_hard_limit: false,
+    over_limit_action: 'reject',
   });
   const [isCreating, setIsCreating] = useState(false);
 
@@ -169,13 +202,15 @@ function CreateBudgetForm({ onSuccess }) {
       await base44.entities.Budget.create({
         name: formData.name,
         scope: formData.scope,
-        scope_id: formData.scope_id,
+        scope_id: formData.scope === 'organization' ? null : formData.scope_id,
         period: formData.period,
         limit_cents: formData.limit_cents,
         current_spend_cents: 0,
         period_start: now.toISOString(),
         period_end: periodEnd.toISOString(),
+        alert_thresholds: parseThresholds(formData.alert_thresholds).map((percent) => ({ percent, alerted: false })),
         enforce_hard_limit: formData.enforce_hard_limit,
+        over_limit_action: formData.over_limit_action,
         status: 'active',
         org_id: user.organization.id,
       });
@@ -240,6 +275,19 @@ function CreateBudgetForm({ onSuccess }) {
         </div>
       </div>
 
+      {formData.scope !== 'organization' && (
+        <div>
+          <Label>{formData.scope === 'agent' ? 'Agent ID' : 'Workflow ID'}</Label>
+          <Input
+            value={formData.scope_id || ''}
+            onChange={(e) => setFormData({ ...formData, scope_id: e.target.value })}
+            placeholder={formData.scope === 'agent' ? 'agent_abc123' : 'workflow_123'}
+            className="bg-slate-800 border-slate-700"
+            required
+          />
+        </div>
+      )}
+
       <div>
         <Label>Budget Limit ($)</Label>
         <Input
@@ -253,6 +301,16 @@ function CreateBudgetForm({ onSuccess }) {
         />
       </div>
 
+      <div>
+        <Label>Alert thresholds (% of limit)</Label>
+        <Input
+          value={formData.alert_thresholds}
+          onChange={(e) => setFormData({ ...formData, alert_thresholds: e.target.value })}
+          placeholder="50, 80, 100"
+          className="bg-slate-800 border-slate-700"
+        />
+      </div>
+
       <div className="flex items-center gap-2">
         <input
           type="checkbox"
@@ -266,6 +324,24 @@ function CreateBudgetForm({ onSuccess }) {
         </Label>
       </div>
 
+      {formData.enforce_hard_limit && (
+        <div>
+          <Label>When a workflow run would exceed the limit</Label>
+          <Select
+            value={formData.over_limit_action}
+            onValueChange={(value) => setFormData({ ...formData, over_limit_action: value })}
+          >
+            <SelectTrigger className="bg-slate-800 border-slate-700">
+              <SelectValue />
+            </SelectTrigger>
+            <SelectContent className="bg-slate-800 border-slate-700">
+              <SelectItem value="reject">Reject the run</SelectItem>
+              <SelectItem value="queue">Queue it until the next period</SelectItem>
+            </SelectContent>
+          </Select>
+        </div>
+      )}
+
       <div className="flex justify-end gap-2 pt-4">
         <Button type="submit" disabled={isCreating} className="bg-green-600 hover:bg-green-700">
           {isCreating && <Loader2 className="w-4 h-4 mr-2 animate-spin" />}
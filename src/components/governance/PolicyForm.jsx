@@ -13,7 +13,8 @@ import { Label } from '@/components/ui/label';
 import { Textarea } from '@/components/ui/textarea';
 import { Switch } from '@/components/ui/switch';
 import { Policy } from '@/entities/Policy';
-import { Loader2 } from 'lucide-react';
+import { base44 } from '@/api/base44Client';
+import { AlertTriangle, Loader2 } from 'lucide-react';
 
 const emptyPolicy = {
   key: '',
@@ -28,6 +29,7 @@ export default function PolicyForm({ open, onOpenChange, policy, onSave }) {
   const [ruleText, setRuleText] = useState('');
   const [isSaving, setIsSaving] = useState(false);
   const [error, setError] = useState('');
+  const [warnings, setWarnings] = useState([]);
 
   useEffect(() => {
     if (policy) {
@@ -37,12 +39,32 @@ export default function PolicyForm({ open, onOpenChange, policy, onSave }) {
       setFormData(emptyPolicy);
       setRuleText('{}');
     }
+    setError('');
+    setWarnings([]);
   }, [policy, open]);
 
   const handleInputChange = (field, value) => {
     setFormData((prev) => ({ ...prev, [field]: value }));
   };
 
+  // Checks the rule against the policy language enforcePolicy evaluates.
+  // Errors block saving; warnings flag keys the evaluator ignores.
+  const validateRule = async (rule) => {
+    const { data } = await base44.functions.invoke('enforcePolicy', { action: 'validate', rule });
+    setWarnings(data.data.warnings);
+    setError(data.data.errors.join('; '));
+    return data.data.errors.length === 0;
+  };
+
+  const handleRuleBlur = async () => {
+    try {
+      await validateRule(JSON.parse(ruleText));
+    } catch (error) {
+      setWarnings([]);
+      setError(error instanceof SyntaxError ? 'Invalid JSON format in rule field' : '');
+    }
+  };
+
   const handleSubmit = async (e) => {
     e.preventDefault();
     
@@ -53,6 +75,7 @@ export default function PolicyForm({ open, onOpenChange, policy, onSave }) {
       const dataToSave = { ...formData, rule: parsedRule };
       
       setIsSaving(true);
+      if (!(await validateRule(parsedRule))) return;
       if (formData.id) {
         await Policy.update(formData.id, dataToSave);
       } else {
@@ -109,11 +132,22 @@ export default function PolicyForm({ open, onOpenChange, policy, onSave }) {
                   id="rule"
                   value={ruleText}
                   onChange={(e) => setRuleText(e.target.value)}
+                  onBlur={handleRuleBlur}
                   className="bg-slate-800 border-slate-700 font-mono text-sm"
                   rows={6}
-                  placeholder='{"limit_cents": 500}'
+                  placeholder='{"allowed_models": ["gpt-4o*"], "max_cost_cents_per_run": 500}'
                 />
+                <p className="text-xs text-slate-500">
+                  Supports scopes, effect, allowed_models, allowed_providers, max_cost_cents_per_run,
+                  forbidden_tools, require_redaction and time_windows. See API.md for the rule language.
+                </p>
                 {error && <p className="text-red-400 text-sm">{error}</p>}
+                {warnings.map((warning) => (
+                  <p key={warning} className="flex items-start gap-2 text-yellow-300 text-xs">
+                    <AlertTriangle className="w-3 h-3 mt-0.5 flex-shrink-0" />
+                    {warning}
+                  </p>
+                ))}
               </div>
             </div>
             <div className="grid grid-cols-4 items-center gap-4">
@@ -1,6 +1,6 @@
 /**
  * @fileoverview Approvals Hook
- * @description React hook for managing deployment approvals.
+ * @description React hook for managing deployment and workflow step approvals.
  */
 
 import { useState, useEffect, useCallback } from 'react';
@@ -56,6 +56,11 @@ export function useApprovals(options = {}) {
     }
   }, [loadRequests, options.autoRefresh, options.refreshInterval]);
 
+  // Step approvals come from human_input nodes and carry the waiting run
+  const isStepRequest = useCallback((requestId) => {
+    return Boolean(requests.find(r => r.id === requestId)?.run_id);
+  }, [requests]);
+
   const approve = useCallback(async (requestId, comments) => {
     if (!canApprove) {
       toast.error('You do not have permission to approve deployments');
@@ -64,14 +69,14 @@ export function useApprovals(options = {}) {
 
     setProcessing(true);
     try {
-      const result = await approvalService.processApproval({
-        request_id: requestId,
-        action: 'approve',
-        comments
-      });
+      const isStep = isStepRequest(requestId);
+      const params = { request_id: requestId, action: 'approve', comments };
+      const result = isStep
+        ? await approvalService.processStepApproval(params)
+        : await approvalService.processApproval(params);
 
       if (result.ok) {
-        toast.success('Deployment approved');
+        toast.success(isStep ? 'Workflow step approved' : 'Deployment approved');
         await loadRequests();
         return true;
       } else {
@@ -85,7 +90,7 @@ export function useApprovals(options = {}) {
     } finally {
       setProcessing(false);
     }
-  }, [canApprove, loadRequests]);
+  }, [canApprove, loadRequests, isStepRequest]);
 
   const reject = useCallback(async (requestId, comments) => {
     if (!canApprove) {
@@ -100,14 +105,14 @@ export function useApprovals(options = {}) {
 
     setProcessing(true);
     try {
-      const result = await approvalService.processApproval({
-        request_id: requestId,
-        action: 'reject',
-        comments
-      });
+      const isStep = isStepRequest(requestId);
+      const params = { request_id: requestId, action: 'reject', comments };
+      const result = isStep
+        ? await approvalService.processStepApproval(params)
+        : await approvalService.processApproval(params);
 
       if (result.ok) {
-        toast.success('Deployment rejected');
+        toast.success(isStep ? 'Workflow step rejected' : 'Deployment rejected');
         await loadRequests();
         return true;
       } else {
@@ -121,7 +126,7 @@ export function useApprovals(options = {}) {
     } finally {
       setProcessing(false);
     }
-  }, [canApprove, loadRequests]);
+  }, [canApprove, loadRequests, isStepRequest]);
 
   return {
     requests,
@@ -1,6 +1,6 @@
 /**
  * @fileoverview Approvals Hook
- * @description React hook for managing deployment approvals.
+ * @description React hook for managing deployment and workflow step approvals.
  */
 
 import { useState, useEffect, useCallback } from 'react';
@@ -64,6 +64,11 @@ export function useApprovals(options: UseApprovalsOptions = {}) {
     }
   }, [loadRequests, options.autoRefresh, options.refreshInterval]);
 
+  // Step approvals come from human_input nodes and carry the waiting run
+  const isStepRequest = useCallback((requestId: UUID) => {
+    return Boolean(requests.find(r => r.id === requestId)?.run_id);
+  }, [requests]);
+
   const approve = useCallback(async (requestId: UUID, comments?: string) => {
     if (!canApprove) {
       toast.error('You do not have permission to approve deployments');
@@ -72,14 +77,14 @@ export function useApprovals(options: UseApprovalsOptions = {}) {
 
     setProcessing(true);
     try {
-      const result = await approvalService.processApproval({
-        request_id: requestId,
-        action: 'approve',
-        comments
-      });
+      const isStep = isStepRequest(requestId);
+      const params = { request_id: requestId, action: 'approve', comments } as const;
+      const result = isStep
+        ? await approvalService.processStepApproval(params)
+        : await approvalService.processApproval(params);
 
       if (result.ok) {
-        toast.success('Deployment approved');
+        toast.success(isStep ? 'Workflow step approved' : 'Deployment approved');
         await loadRequests();
         return true;
       } else {
@@ -93,7 +98,7 @@ export function useApprovals(options: UseApprovalsOptions = {}) {
     } finally {
       setProcessing(false);
     }
-  }, [canApprove, loadRequests]);
+  }, [canApprove, loadRequests, isStepRequest]);
 
   const reject = useCallback(async (requestId: UUID, comments: string) => {
     if (!canApprove) {
@@ -108,14 +113,14 @@ export function useApprovals(options: UseApprovalsOptions = {}) {
 
     setProcessing(true);
     try {
-      const result = await approvalService.processApproval({
-        request_id: requestId,
-        action: 'reject',
-        comments
-      });
+      const isStep = isStepRequest(requestId);
+      const params = { request_id: requestId, action: 'reject', comments } as const;
+      const result = isStep
+        ? await approvalService.processStepApproval(params)
+        : await approvalService.processApproval(params);
 
       if (result.ok) {
-        toast.success('Deployment rejected');
+        toast.success(isStep ? 'Workflow step rejected' : 'Deployment rejected');
         await loadRequests();
         return true;
       } else {
@@ -129,7 +134,7 @@ export function useApprovals(options: UseApprovalsOptions = {}) {
     } finally {
       setProcessing(false);
     }
-  }, [canApprove, loadRequests]);
+  }, [canApprove, loadRequests, isStepRequest]);
 
   return {
     requests,
@@ -83,10 +83,11 @@ export default function ExternalConnectionForm({ open, onOpenChange, connection,
 
   useEffect(() => {
     if (connection) {
+      // Stored credentials stay encrypted on the server; only new values are sent
       setFormData({
         name: connection.name,
         service: connection.service,
-        credentials: connection.credentials || {},
+        credentials: {},
         config: connection.config || {}
       });
     } else {
@@ -108,19 +109,28 @@ export default function ExternalConnectionForm({ open, onOpenChange, connection,
     }
 
     try {
+      const { credentials, ...fields } = formData;
       const data = {
-        ...formData,
+        ...fields,
         status: 'active',
         org_id: organization.id
       };
 
-      if (connection) {
-        await base44.entities.ExternalConnection.update(connection.id, data);
-        toast.success('Connection updated');
-      } else {
-        await base44.entities.ExternalConnection.create(data);
-        toast.success('Connection created');
+      const saved = connection
+        ? await base44.entities.ExternalConnection.update(connection.id, data)
+        : await base44.entities.ExternalConnection.create(data);
+
+      if (Object.values(credentials).some(Boolean)) {
+        await base44.functions.invoke('manageCredentials', {
+          action: 'store',
+          entity: 'ExternalConnection',
+          record_id: connection?.id || saved.id,
+          credentials,
+          // A service change invalidates the previously stored fields
+          replace: !connection || connection.service !== formData.service
+        });
       }
+      toast.success(connection ? 'Connection updated' : 'Connection created');
 
       onSuccess?.();
       onOpenChange(false);
@@ -132,6 +142,11 @@ export default function ExternalConnectionForm({ open, onOpenChange, connection,
 
   const serviceConfig = SERVICE_CONFIGS[formData.service];
 
+  const isStored = (field) =>
+    field.type === 'password' &&
+    connection?.service === formData.service &&
+    (connection.credential_fields || Object.keys(connection.credentials || {})).includes(field.name);
+
   return (
     <Dialog open={open} onOpenChange={onOpenChange}>
       <DialogContent className="bg-slate-900 border-slate-800 max-w-2xl max-h-[80vh] overflow-y-auto">
@@ -197,9 +212,9 @@ export default function ExternalConnectionForm({ open, onOpenChange, connection,
                         }
                       });
                     }}
-                    placeholder={field.placeholder}
+                    placeholder={isStored(field) ? '•••••••• (stored, leave blank to keep)' : field.placeholder}
                     className="bg-slate-800 border-slate-700 text-white"
-                    required={field.required}
+                    required={field.required && !isStored(field)}
                   />
                   {field.type === 'password' && (
                     <Button
@@ -1,8 +1,59 @@
+import { useState, useEffect } from 'react';
 import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
 import { Badge } from '@/components/ui/badge';
-import { Activity, CheckCircle2, AlertTriangle } from 'lucide-react';
+import { Activity, CheckCircle2, AlertTriangle, Shuffle } from 'lucide-react';
+import { base44 } from '@/api/base44Client';
 
 export default function AgentHealthMonitor({ agents }) {
+  const [metrics, setMetrics] = useState([]);
+  const agentIds = agents.map((agent) => agent.id).join(',');
+
+  useEffect(() => {
+    if (!agentIds) return;
+    loadMetrics();
+    const interval = setInterval(loadMetrics, 30000);
+    return () => clearInterval(interval);
+  }, [agentIds]);
+
+  const loadMetrics = async () => {
+    try {
+      const recentMetrics = await base44.entities.AgentMetric.filter(
+        { agent_id: { $in: agentIds.split(',') } },
+        '-timestamp',
+        500
+      );
+      setMetrics(recentMetrics);
+    } catch (error) {
+      console.error('Failed to load metrics:', error);
+    }
+  };
+
+  // A fallback fired when a call moved past its configured model, whether a
+  // later step answered or the whole chain failed. Failed calls list their
+  // own last attempt too, so they need more than one.
+  const getFallbackStats = (agentId) => {
+    const agentMetrics = metrics.filter((m) => m.agent_id === agentId);
+    const fired = agentMetrics.filter((m) =>
+      (m.fallback_attempts?.length || 0) > (m.status === 'error' ? 1 : 0)
+    );
+    const exhausted = fired.filter((m) => m.status === 'error').length;
+    const reasons = {};
+    fired.forEach((m) => m.fallback_attempts.forEach((attempt) => {
+      reasons[attempt.reason] = (reasons[attempt.reason] || 0) + 1;
+    }));
+    const topReason = Object.entries(reasons).sort((a, b) => b[1] - a[1])[0]?.[0];
+    const lastFallback = fired.find((m) => m.status === 'success');
+
+    return {
+      calls: agentMetrics.length,
+      fired: fired.length,
+      rate: agentMetrics.length > 0 ? (fired.length / agentMetrics.length) * 100 : 0,
+      exhausted,
+      topReason,
+      lastModel: lastFallback?.model
+    };
+  };
+
   return (
     <Card className="bg-slate-900 border-slate-800">
       <CardHeader>
@@ -15,6 +66,7 @@ export default function AgentHealthMonitor({ agents }) {
         <div className="space-y-3">
           {agents.map((agent) => {
             const isHealthy = agent.status === 'active';
+            const fallbacks = getFallbackStats(agent.id);
             return (
               <div key={agent.id} className="p-3 bg-slate-950 rounded-lg border border-slate-800">
                 <div className="flex items-center justify-between">
@@ -27,13 +79,32 @@ export default function AgentHealthMonitor({ agents }) {
                     <span className="text-white font-medium">{agent.name}</span>
                   </div>
                   <Badge variant="outline" className={
-                    isHealthy 
+                    isHealthy
                       ? 'bg-green-500/20 text-green-400 border-green-500/30'
                       : 'bg-yellow-500/20 text-yellow-400 border-yellow-500/30'
                   }>
                     {isHealthy ? 'Healthy' : 'Degraded'}
                   </Badge>
                 </div>
+                {fallbacks.calls > 0 && (
+                  <div className="mt-2 flex items-center gap-2 text-xs text-slate-400">
+                    <Shuffle className="w-3 h-3" />
+                    <span>
+                      Fallbacks: {fallbacks.fired}/{fallbacks.calls} calls ({fallbacks.rate.toFixed(1)}%)
+                    </span>
+                    {fallbacks.topReason && (
+                      <Badge variant="outline" className="text-slate-400 border-slate-700">
+                        {fallbacks.topReason.replace('_', ' ')}
+                      </Badge>
+                    )}
+                    {fallbacks.exhausted > 0 && (
+                      <span className="text-red-400">{fallbacks.exhausted} exhausted</span>
+                    )}
+                    {fallbacks.lastModel && (
+                      <span className="truncate">last served by {fallbacks.lastModel}</span>
+                    )}
+                  </div>
+                )}
               </div>
             );
           })}
@@ -41,4 +112,4 @@ export default function AgentHealthMonitor({ agents }) {
       </CardContent>
     </Card>
   );
-}
\ No newline at end of file
+}
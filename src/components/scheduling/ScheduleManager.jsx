@@ -9,7 +9,8 @@ import { Switch } from '@/components/ui/switch';
 import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from '@/components/ui/table';
 import { Badge } from '@/components/ui/badge';
 import { ScheduledRun, Workflow, Agent } from '@/entities/all';
-import { Play, Pause, Trash2, Calendar, Plus } from 'lucide-react';
+import { base44 } from '@/api/base44Client';
+import { Play, Pause, Trash2, Calendar, Plus, AlertCircle } from 'lucide-react';
 import { format } from 'date-fns';
 import {
   Dialog,
@@ -27,25 +28,91 @@ const cronPresets = [
   { label: 'First day of month', value: '0 9 1 * *' },
 ];
 
+const browserTimezone = Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+
+const timezones = Array.from(new Set([
+  browserTimezone,
+  'UTC',
+  'America/New_York',
+  'America/Chicago',
+  'America/Denver',
+  'America/Los_Angeles',
+  'Europe/London',
+  'Europe/Berlin',
+  'Asia/Kolkata',
+  'Asia/Singapore',
+  'Asia/Tokyo',
+  'Australia/Sydney',
+]));
+
+const catchUpPolicies = [
+  { label: 'Skip missed runs', value: 'skip' },
+  { label: 'Run once for missed runs', value: 'run_once' },
+  { label: 'Run every missed run', value: 'run_all' },
+];
+
+const statusStyles = {
+  success: 'bg-green-500/20 text-green-400 border-green-500/30',
+  failed: 'bg-red-500/20 text-red-400 border-red-500/30',
+  invalid: 'bg-red-500/20 text-red-400 border-red-500/30',
+  skipped: 'bg-yellow-500/20 text-yellow-400 border-yellow-500/30',
+};
+
+const emptySchedule = {
+  name: '',
+  workflow_id: '',
+  agent_id: '',
+  cron_expression: '',
+  timezone: browserTimezone,
+  catch_up_policy: 'run_once',
+  enabled: true,
+  org_id: 'org_acme'
+};
+
 export default function ScheduleManager() {
   const [schedules, setSchedules] = useState([]);
   const [workflows, setWorkflows] = useState([]);
   const [agents, setAgents] = useState([]);
-  const [_isLoading, _setIsLoading] = useState(true);
+  const [_isLoading, setIsLoading] = useState(true);
   const [showCreateDialog, setShowCreateDialog] = useState(false);
-  const [newSchedule, setNewSchedule] = useState({
-    name: '',
-    workflow_id: '',
-    agent_id: '',
-    cron_expression: '',
-    enabled: true,
-    org_id: 'org_acme'
-  });
+  const [newSchedule, setNewSchedule] = useState(emptySchedule);
+  const [preview, setPreview] = useState({ nextRuns: [], error: null });
 
   useEffect(() => {
     loadData();
   }, []);
 
+  useEffect(() => {
+    const { cron_expression, timezone } = newSchedule;
+    if (!showCreateDialog || !cron_expression.trim()) {
+      setPreview({ nextRuns: [], error: null });
+      return;
+    }
+
+    let cancelled = false;
+    const timer = setTimeout(async () => {
+      try {
+        const response = await base44.functions.invoke('triggerScheduledRuns', {
+          action: 'preview',
+          cron_expression,
+          timezone
+        });
+        if (!cancelled) {
+          setPreview({ nextRuns: response.data?.data?.next_runs || [], error: null });
+        }
+      } catch (error) {
+        if (!cancelled) {
+          setPreview({ nextRuns: [], error: error.response?.data?.message || error.message });
+        }
+      }
+    }, 300);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [showCreateDialog, newSchedule.cron_expression, newSchedule.timezone]);
+
   const loadData = async () => {
     setIsLoading(true);
     try {
@@ -66,13 +133,16 @@ export default function ScheduleManager() {
 
   const handleCreate = async (e) => {
     e.preventDefault();
+    if (preview.error || preview.nextRuns.length === 0) {
+      return;
+    }
     try {
       await ScheduledRun.create({
         ...newSchedule,
-        next_run: calculateNextRun(newSchedule.cron_expression)
+        next_run: preview.nextRuns[0]
       });
       setShowCreateDialog(false);
-      setNewSchedule({ name: '', workflow_id: '', agent_id: '', cron_expression: '', enabled: true, org_id: 'org_acme' });
+      setNewSchedule(emptySchedule);
       loadData();
     } catch (error) {
       console.error('Failed to create schedule:', error);
@@ -99,13 +169,6 @@ export default function ScheduleManager() {
     }
   };
 
-  const calculateNextRun = (_cronExpression) => {
-    // Simple implementation - in real app would use a proper cron library
-    const now = new Date();
-    now.setMinutes(now.getMinutes() + 5); // Next run in 5 minutes for demo
-    return now.toISOString();
-  };
-
   const getWorkflowName = (id) => workflows.find(w => w.id === id)?.name || 'Unknown';
   const getAgentName = (id) => agents.find(a => a.id === id)?.name || 'Unknown';
 
@@ -139,6 +202,7 @@ export default function ScheduleManager() {
                   <TableHead className="text-slate-400">Agent</TableHead>
                   <TableHead className="text-slate-400">Cron Expression</TableHead>
                   <TableHead className="text-slate-400">Next Run</TableHead>
+                  <TableHead className="text-slate-400">Last Run</TableHead>
                   <TableHead className="text-slate-400">Status</TableHead>
                   <TableHead><span className="sr-only">Actions</span></TableHead>
                 </TableRow>
@@ -156,10 +220,33 @@ export default function ScheduleManager() {
                     </TableCell>
                     <TableCell className="text-slate-300">{getWorkflowName(schedule.workflow_id)}</TableCell>
                     <TableCell className="text-slate-300">{getAgentName(schedule.agent_id)}</TableCell>
-                    <TableCell className="font-mono text-sm text-slate-400">{schedule.cron_expression}</TableCell>
+                    <TableCell>
+                      <div className="font-mono text-sm text-slate-400">{schedule.cron_expression}</div>
+                      <div className="text-xs text-slate-500">{schedule.timezone || 'UTC'}</div>
+                    </TableCell>
                     <TableCell className="text-slate-300">
                       {schedule.next_run ? format(new Date(schedule.next_run), 'MMM d, h:mm a') : 'Not scheduled'}
                     </TableCell>
+                    <TableCell>
+                      {schedule.last_run ? (
+                        <div className="space-y-1">
+                          <div className="text-slate-300">{format(new Date(schedule.last_run), 'MMM d, h:mm a')}</div>
+                          {schedule.last_status && (
+                            <Badge variant="outline" className={statusStyles[schedule.last_status] || statusStyles.skipped}>
+                              {schedule.last_status}
+                            </Badge>
+                          )}
+                        </div>
+                      ) : (
+                        <span className="text-slate-500">Never</span>
+                      )}
+                      {schedule.last_error && (
+                        <div className="flex items-center gap-1 text-xs text-red-400 mt-1" title={schedule.last_error}>
+                          <AlertCircle className="w-3 h-3" />
+                          <span className="truncate max-w-[160px]">{schedule.last_error}</span>
+                        </div>
+                      )}
+                    </TableCell>
                     <TableCell>
                       <Badge variant="outline" className={schedule.enabled ? 
                         'bg-green-500/20 text-green-400 border-green-500/30' : 
@@ -247,11 +334,11 @@ export default function ScheduleManager() {
             <div>
               <Label className="text-slate-400">Schedule</Label>
               <Select
-                value={newSchedule.cron_expression}
+                value={cronPresets.some(p => p.value === newSchedule.cron_expression) ? newSchedule.cron_expression : ''}
                 onValueChange={(value) => setNewSchedule({...newSchedule, cron_expression: value})}
               >
                 <SelectTrigger className="bg-slate-800 border-slate-700 text-white">
-                  <SelectValue placeholder="Select schedule" />
+                  <SelectValue placeholder="Select preset or enter a cron expression" />
                 </SelectTrigger>
                 <SelectContent className="bg-slate-800 border-slate-700">
                   {cronPresets.map(preset => (
@@ -259,6 +346,58 @@ export default function ScheduleManager() {
                   ))}
                 </SelectContent>
               </Select>
+              <Input
+                value={newSchedule.cron_expression}
+                onChange={(e) => setNewSchedule({...newSchedule, cron_expression: e.target.value})}
+                className="bg-slate-800 border-slate-700 text-white font-mono mt-2"
+                placeholder="*/15 9-17 * * MON-FRI"
+                required
+              />
+              {preview.error && (
+                <p className="text-xs text-red-400 mt-1">{preview.error}</p>
+              )}
+              {preview.nextRuns.length > 0 && (
+                <div className="text-xs text-slate-400 mt-2 space-y-0.5">
+                  <div>Next runs:</div>
+                  {preview.nextRuns.map(run => (
+                    <div key={run} className="font-mono">{format(new Date(run), 'EEE MMM d, yyyy h:mm a')}</div>
+                  ))}
+                </div>
+              )}
+            </div>
+            <div className="grid grid-cols-2 gap-4">
+              <div>
+                <Label className="text-slate-400">Timezone</Label>
+                <Select
+                  value={newSchedule.timezone}
+                  onValueChange={(value) => setNewSchedule({...newSchedule, timezone: value})}
+                >
+                  <SelectTrigger className="bg-slate-800 border-slate-700 text-white">
+                    <SelectValue />
+                  </SelectTrigger>
+                  <SelectContent className="bg-slate-800 border-slate-700">
+                    {timezones.map(tz => (
+                      <SelectItem key={tz} value={tz}>{tz}</SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+              </div>
+              <div>
+                <Label className="text-slate-400">Missed Runs</Label>
+                <Select
+                  value={newSchedule.catch_up_policy}
+                  onValueChange={(value) => setNewSchedule({...newSchedule, catch_up_policy: value})}
+                >
+                  <SelectTrigger className="bg-slate-800 border-slate-700 text-white">
+                    <SelectValue />
+                  </SelectTrigger>
+                  <SelectContent className="bg-slate-800 border-slate-700">
+                    {catchUpPolicies.map(policy => (
+                      <SelectItem key={policy.value} value={policy.value}>{policy.label}</SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+              </div>
             </div>
             <div className="flex items-center gap-2">
               <Switch
@@ -271,7 +410,9 @@ export default function ScheduleManager() {
               <Button type="button" variant="outline" onClick={() => setShowCreateDialog(false)}>
                 Cancel
               </Button>
-              <Button type="submit">Create Schedule</Button>
+              <Button type="submit" disabled={!!preview.error || preview.nextRuns.length === 0}>
+                Create Schedule
+              </Button>
             </div>
           </form>
         </DialogContent>
@@ -1,86 +1,142 @@
 /**
  * @fileoverview Secret Management Client (Frontend)
  * @description Interface for backend secret operations.
- * Actual secrets are stored in AWS Secrets Manager via backend functions.
- * 
+ * Secret values are encrypted by the manageCredentials function and are
+ * never returned to the browser; everything here works with metadata.
+ *
  * @module components/security/SecretManager
- * @version 1.0.0
+ * @version 2.0.0
  */
 
 import { base44 } from '@/api/base44Client';
-import { APIError, ErrorCodes } from '../shared/constants';
+import { APIError } from '../utils/api-client';
+import { ErrorCodes } from '../shared/constants';
 
 /**
  * Secret reference (not the actual secret).
  */
 export class SecretReference {
-  constructor(name, arn, metadata = {}) {
+  constructor(name, id, metadata = {}) {
     this.name = name;
-    this.arn = arn;
+    this.id = id;
     this.metadata = metadata;
   }
 }
 
+/**
+ * Lists health for every secret the caller can see: named secrets plus the
+ * credentials stored on connector installations and external connections.
+ *
+ * @returns {Promise<{secrets: Object[], summary: Object}>}
+ */
+export async function listSecretHealth() {
+  try {
+    const { data } = await base44.functions.invoke('getSecretHealth', {});
+    return data.data;
+  } catch (error) {
+    throw new APIError(
+      error.response?.status === 403 ? ErrorCodes.FORBIDDEN : ErrorCodes.SERVER_ERROR,
+      error.response?.data?.message || 'Failed to load secret health',
+      { retryable: error.response?.status !== 403 }
+    );
+  }
+}
+
 /**
  * Fetches secret metadata (not values) for UI display.
  */
 export async function listSecretReferences() {
+  const { secrets } = await listSecretHealth();
+  return secrets
+    .filter(s => s.kind === 'secret')
+    .map(s => new SecretReference(s.name, s.id, s));
+}
+
+/**
+ * Creates a new secret (admin only). The value goes straight to the vault.
+ */
+export async function createSecret(name, description, value, rotationPolicy = {}) {
   try {
-    const { data } = await base44.functions.invoke('listSecrets');
-    return data.map(s => new SecretReference(s.name, s.arn, s.metadata));
-  } catch (_error) {
+    const user = await base44.auth.me();
+    const secret = await base44.entities.Secret.create({
+      name,
+      description,
+      rotation_policy: rotationPolicy,
+      org_id: user.organization?.id
+    });
+    await base44.functions.invoke('manageCredentials', {
+      action: 'store',
+      entity: 'Secret',
+      record_id: secret.id,
+      credentials: { value }
+    });
+    return new SecretReference(secret.name, secret.id);
+  } catch (error) {
     throw new APIError(
       ErrorCodes.SERVER_ERROR,
-      'Failed to list secrets',
-      { retryable: true }
+      error.response?.data?.message || error.message || 'Failed to create secret',
+      { retryable: false }
     );
   }
 }
 
 /**
- * Creates a new secret (admin only).
+ * Rotates a secret (admin only). `entry` is an item from listSecretHealth;
+ * `credentials` holds the new values, `{ value }` for a named secret.
+ * Installations and connections that reference a named secret are updated
+ * with it.
+ *
+ * @returns {Promise<{success: boolean, dependentsUpdated: number}>}
  */
-export async function createSecret(name, description) {
+export async function rotateSecret(entry, credentials) {
   try {
-    const { data } = await base44.functions.invoke('createSecret', {
-      name,
-      description
+    const { data } = await base44.functions.invoke('manageCredentials', {
+      action: 'store',
+      entity: entry.entity,
+      record_id: entry.id,
+      credentials
     });
-    return new SecretReference(data.name, data.arn);
+    return { success: true, dependentsUpdated: data.data.dependents_updated?.length || 0 };
   } catch (error) {
     throw new APIError(
       ErrorCodes.SERVER_ERROR,
-      error.message || 'Failed to create secret',
-      { retryable: false }
+      error.response?.data?.message || 'Failed to rotate secret',
+      { retryable: true }
     );
   }
 }
 
 /**
- * Initiates secret rotation (admin only).
+ * Updates how often a secret must be rotated and whether overdue
+ * credentials are refused.
  */
-export async function rotateSecret(name) {
+export async function updateRotationPolicy(entry, rotationPolicy) {
   try {
-    await base44.functions.invoke('rotateSecret', { name });
+    await base44.entities[entry.entity].update(entry.id, { rotation_policy: rotationPolicy });
     return { success: true };
-  } catch (error) {
+  } catch (_error) {
     throw new APIError(
       ErrorCodes.SERVER_ERROR,
-      error.message || 'Failed to rotate secret',
+      'Failed to update rotation policy',
       { retryable: true }
     );
   }
 }
 
 /**
- * Deletes a secret with recovery window (admin only).
+ * Deletes a named secret (admin only). Secrets still referenced by an
+ * installation or connection cannot be deleted.
  */
-export async function deleteSecret(name, recoveryWindowInDays = 30) {
+export async function deleteSecret(entry) {
+  if (entry.dependents?.length > 0) {
+    throw new APIError(
+      ErrorCodes.CONFLICT,
+      `Secret is used by ${entry.dependents.map(d => d.name).join(', ')}`,
+      { retryable: false }
+    );
+  }
   try {
-    await base44.functions.invoke('deleteSecret', {
-      name,
-      recoveryWindowInDays
-    });
+    await base44.entities.Secret.delete(entry.id);
     return { success: true };
   } catch (error) {
     throw new APIError(
@@ -99,10 +155,13 @@ export async function getSecretHealth(name) {
     const { data } = await base44.functions.invoke('getSecretHealth', { name });
     return {
       name: data.name,
+      status: data.status,
       rotationEnabled: data.rotation_enabled,
       lastRotated: data.last_rotated_date,
       lastAccessed: data.last_accessed_date,
-      needsRotation: data.needs_rotation
+      rotationDue: data.rotation_due_at,
+      needsRotation: data.needs_rotation,
+      unused: data.unused
     };
   } catch (_error) {
     throw new APIError(
@@ -111,4 +170,4 @@ export async function getSecretHealth(name) {
       { retryable: true }
     );
   }
-}
\ No newline at end of file
+}
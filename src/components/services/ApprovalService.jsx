@@ -1,13 +1,13 @@
 /**
  * @fileoverview Approval Service
- * @description Service layer for deployment approval workflows.
+ * @description Service layer for deployment and workflow step approvals.
  */
 
 import { base44 } from '@/api/base44Client';
 import { APIError, ErrorCodes } from '../utils/api-client';
 
 /**
- * Approval Service - handles deployment approval workflows.
+ * Approval Service - handles deployment and workflow step approvals.
  */
 export class ApprovalService {
   /**
@@ -120,6 +120,27 @@ export class ApprovalService {
     }
   }
 
+  /**
+   * Approve or reject a workflow step opened by a human_input node.
+   * The backend resumes the waiting run once the decision is recorded.
+   */
+  async processStepApproval(params) {
+    try {
+      const response = await base44.functions.invoke('approveWorkflowStep', params);
+      return { ok: true, value: response };
+    } catch (error) {
+      const message = error instanceof Error ? error.message : 'Failed to process step approval';
+      return { 
+        ok: false, 
+        error: new APIError(
+          ErrorCodes.SERVER_ERROR,
+          message,
+          { context: { request_id: params.request_id, action: params.action } }
+        )
+      };
+    }
+  }
+
   /**
    * Check if a request has expired.
    */
@@ -1,6 +1,6 @@
 /**
  * @fileoverview Approval Service
- * @description Service layer for deployment approval workflows.
+ * @description Service layer for deployment and workflow step approvals.
  */
 
 import { base44 } from '@/api/base44Client';
@@ -26,7 +26,7 @@ export interface ApprovalActionParams {
 }
 
 /**
- * Approval Service - handles deployment approval workflows.
+ * Approval Service - handles deployment and workflow step approvals.
  */
 export class ApprovalService {
   /**
@@ -129,6 +129,24 @@ export class ApprovalService {
     }
   }
 
+  /**
+   * Approve or reject a workflow step opened by a human_input node.
+   * The backend resumes the waiting run once the decision is recorded.
+   */
+  async processStepApproval(params: ApprovalActionParams): Promise<Result<{ success: boolean; status: string }, APIError>> {
+    try {
+      const response = await base44.functions.invoke('approveWorkflowStep', params);
+      return Ok(response);
+    } catch (error: unknown) {
+      const message = error instanceof Error ? error.message : 'Failed to process step approval';
+      return Err(new APIError(
+        ErrorCodes.SERVER_ERROR,
+        message,
+        { context: { request_id: params.request_id, action: params.action } }
+      ));
+    }
+  }
+
   /**
    * Check if a request has expired.
    */
@@ -1,14 +1,44 @@
 import { useState, useEffect } from 'react';
-import { Secret } from '@/entities/Secret';
+import { formatDistanceToNow } from 'date-fns';
 import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
 import { Button } from '@/components/ui/button';
-import { Key, Plus, Trash2, Eye, EyeOff } from 'lucide-react';
+import { Badge } from '@/components/ui/badge';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Switch } from '@/components/ui/switch';
+import { Dialog, DialogContent, DialogHeader, DialogTitle, DialogFooter } from '@/components/ui/dialog';
+import { Key, Plus, Trash2, RefreshCw, RotateCw } from 'lucide-react';
 import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from '@/components/ui/table';
+import { toast } from 'sonner';
+import { listSecretHealth, createSecret, rotateSecret, deleteSecret } from '@/components/security/SecretManager';
+
+const STATUS_STYLES = {
+  overdue: 'bg-red-500/20 text-red-400 border-red-500/30',
+  missing: 'bg-red-500/20 text-red-400 border-red-500/30',
+  due_soon: 'bg-yellow-500/20 text-yellow-400 border-yellow-500/30',
+  unused: 'bg-slate-500/20 text-slate-400 border-slate-500/30',
+  ok: 'bg-green-500/20 text-green-400 border-green-500/30'
+};
+
+const KIND_LABELS = {
+  secret: 'Secret',
+  connector_installation: 'Connector',
+  external_connection: 'Connection'
+};
+
+const EMPTY_SECRET = { name: '', description: '', value: '', interval_days: 90, enforce: false };
+
+const ago = (date) => (date ? formatDistanceToNow(new Date(date), { addSuffix: true }) : 'Never');
 
 export default function SecretManager() {
   const [secrets, setSecrets] = useState([]);
-  const [_isLoading, _setIsLoading] = useState(true);
-  const [revealedSecrets, setRevealedSecrets] = useState({});
+  const [summary, setSummary] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [showCreate, setShowCreate] = useState(false);
+  const [newSecret, setNewSecret] = useState(EMPTY_SECRET);
+  const [rotating, setRotating] = useState(null);
+  const [rotationValues, setRotationValues] = useState({});
+  const [isSaving, setIsSaving] = useState(false);
 
   useEffect(() => {
     loadSecrets();
@@ -17,51 +47,148 @@ export default function SecretManager() {
   const loadSecrets = async () => {
     setIsLoading(true);
     try {
-      const data = await Secret.list();
-      setSecrets(data);
+      const data = await listSecretHealth();
+      setSecrets(data.secrets);
+      setSummary(data.summary);
     } catch (error) {
       console.error("Failed to load secrets:", error);
+      toast.error(error.message);
     } finally {
       setIsLoading(false);
     }
   };
 
-  const toggleReveal = (id) => {
-    setRevealedSecrets(prev => ({...prev, [id]: !prev[id]}));
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    setIsSaving(true);
+    try {
+      await createSecret(newSecret.name, newSecret.description, newSecret.value, {
+        interval_days: Number(newSecret.interval_days) || 90,
+        enforce: newSecret.enforce
+      });
+      toast.success('Secret created');
+      setShowCreate(false);
+      setNewSecret(EMPTY_SECRET);
+      loadSecrets();
+    } catch (error) {
+      toast.error(error.message);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const openRotate = (entry) => {
+    setRotating(entry);
+    setRotationValues({});
+  };
+
+  const rotationFields = (entry) =>
+    entry.kind === 'secret' ? ['value'] : (entry.credential_fields || []).filter(f => !entry.secret_refs?.[f]);
+
+  const handleRotate = async (e) => {
+    e.preventDefault();
+    setIsSaving(true);
+    try {
+      const { dependentsUpdated } = await rotateSecret(rotating, rotationValues);
+      toast.success(
+        dependentsUpdated > 0
+          ? `Rotated ${rotating.name} and updated ${dependentsUpdated} dependent credential${dependentsUpdated === 1 ? '' : 's'}`
+          : `Rotated ${rotating.name}`
+      );
+      setRotating(null);
+      loadSecrets();
+    } catch (error) {
+      toast.error(error.message);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleDelete = async (entry) => {
+    if (!confirm(`Delete secret "${entry.name}"?`)) return;
+    try {
+      await deleteSecret(entry);
+      toast.success('Secret deleted');
+      loadSecrets();
+    } catch (error) {
+      toast.error(error.message);
+    }
   };
 
   return (
     <Card className="bg-slate-900 border-slate-800">
       <CardHeader className="flex flex-row items-center justify-between">
         <CardTitle className="text-white flex items-center gap-2"><Key className="w-5 h-5" /> Secret Management</CardTitle>
-        <Button className="bg-blue-600 hover:bg-blue-700"><Plus className="w-4 h-4 mr-2" />Add Secret</Button>
+        <div className="flex gap-2">
+          <Button variant="outline" onClick={loadSecrets} disabled={isLoading} className="border-slate-700">
+            <RefreshCw className={`w-4 h-4 ${isLoading ? 'animate-spin' : ''}`} />
+          </Button>
+          <Button onClick={() => setShowCreate(true)} className="bg-blue-600 hover:bg-blue-700"><Plus className="w-4 h-4 mr-2" />Add Secret</Button>
+        </div>
       </CardHeader>
-      <CardContent>
+      <CardContent className="space-y-4">
+        {summary && (
+          <div className="flex flex-wrap gap-2">
+            <Badge variant="outline" className="text-slate-300 border-slate-700">{summary.total} total</Badge>
+            {summary.overdue > 0 && <Badge variant="outline" className={STATUS_STYLES.overdue}>{summary.overdue} overdue</Badge>}
+            {summary.due_soon > 0 && <Badge variant="outline" className={STATUS_STYLES.due_soon}>{summary.due_soon} due soon</Badge>}
+            {summary.unused > 0 && <Badge variant="outline" className={STATUS_STYLES.unused}>{summary.unused} unused</Badge>}
+            {summary.missing > 0 && <Badge variant="outline" className={STATUS_STYLES.missing}>{summary.missing} missing</Badge>}
+            {summary.blocked > 0 && <Badge variant="outline" className={STATUS_STYLES.overdue}>{summary.blocked} blocked by policy</Badge>}
+          </div>
+        )}
+
         <div className="rounded-lg border border-slate-700">
           <Table>
             <TableHeader>
               <TableRow className="border-b-slate-700 hover:bg-slate-900">
                 <TableHead className="text-slate-400">Name</TableHead>
-                <TableHead className="text-slate-400">Value</TableHead>
-                <TableHead className="text-slate-400">Last Updated</TableHead>
+                <TableHead className="text-slate-400">Status</TableHead>
+                <TableHead className="text-slate-400">Last Rotated</TableHead>
+                <TableHead className="text-slate-400">Last Used</TableHead>
+                <TableHead className="text-slate-400">Rotation Due</TableHead>
+                <TableHead className="text-slate-400">Used By</TableHead>
                 <TableHead><span className="sr-only">Actions</span></TableHead>
               </TableRow>
             </TableHeader>
             <TableBody>
-              {secrets.map(secret => (
-                <TableRow key={secret.id} className="border-b-slate-700">
-                  <TableCell className="font-mono text-white">{secret.name}</TableCell>
-                  <TableCell className="font-mono text-sm text-slate-400">
-                    {revealedSecrets[secret.id] ? secret.value : '••••••••••••••••••••'}
+              {secrets.length === 0 && !isLoading && (
+                <TableRow className="border-b-slate-700">
+                  <TableCell colSpan={7} className="text-center text-slate-500 py-6">No secrets stored yet</TableCell>
+                </TableRow>
+              )}
+              {secrets.map(entry => (
+                <TableRow key={`${entry.entity}:${entry.id}`} className="border-b-slate-700">
+                  <TableCell>
+                    <div className="font-mono text-white">{entry.name}</div>
+                    <div className="text-xs text-slate-500">{KIND_LABELS[entry.kind] || entry.kind}</div>
+                  </TableCell>
+                  <TableCell>
+                    <Badge variant="outline" className={STATUS_STYLES[entry.status]}>{entry.status.replace('_', ' ')}</Badge>
+                    {entry.blocked && <div className="text-xs text-red-400 mt-1">Blocked until rotated</div>}
                   </TableCell>
-                  <TableCell className="text-slate-400">{secret.updated_date}</TableCell>
-                  <TableCell className="text-right">
-                    <Button variant="ghost" size="icon" onClick={() => toggleReveal(secret.id)} className="mr-2">
-                        {revealedSecrets[secret.id] ? <EyeOff className="w-4 h-4"/> : <Eye className="w-4 h-4"/>}
+                  <TableCell className="text-slate-400">{ago(entry.last_rotated_at)}</TableCell>
+                  <TableCell className="text-slate-400">{ago(entry.last_accessed_at)}</TableCell>
+                  <TableCell className="text-slate-400">{entry.rotation_due_at ? ago(entry.rotation_due_at) : '—'}</TableCell>
+                  <TableCell className="text-slate-400">
+                    {entry.dependents?.length > 0 ? entry.dependents.map(d => d.name).join(', ') : '—'}
+                  </TableCell>
+                  <TableCell className="text-right whitespace-nowrap">
+                    <Button variant="ghost" size="icon" onClick={() => openRotate(entry)} className="mr-2" title="Rotate">
+                      <RotateCw className="w-4 h-4"/>
                     </Button>
-                    <Button variant="ghost" size="icon" className="text-red-500 hover:text-red-400">
+                    {entry.kind === 'secret' && (
+                      <Button
+                        variant="ghost"
+                        size="icon"
+                        onClick={() => handleDelete(entry)}
+                        disabled={entry.dependents?.length > 0}
+                        title={entry.dependents?.length > 0 ? 'In use' : 'Delete'}
+                        className="text-red-500 hover:text-red-400"
+                      >
                         <Trash2 className="w-4 h-4"/>
-                    </Button>
+                      </Button>
+                    )}
                   </TableCell>
                 </TableRow>
               ))}
@@ -69,6 +196,103 @@ export default function SecretManager() {
           </Table>
         </div>
       </CardContent>
+
+      <Dialog open={showCreate} onOpenChange={setShowCreate}>
+        <DialogContent className="bg-slate-900 border-slate-800">
+          <DialogHeader className="mb-2">
+            <DialogTitle className="text-white">Add Secret</DialogTitle>
+          </DialogHeader>
+          <form onSubmit={handleCreate} className="space-y-4">
+            <div>
+              <Label className="text-slate-400">Name</Label>
+              <Input
+                value={newSecret.name}
+                onChange={(e) => setNewSecret({ ...newSecret, name: e.target.value })}
+                placeholder="e.g., SLACK_BOT_TOKEN"
+                className="bg-slate-800 border-slate-700 text-white font-mono"
+                required
+              />
+            </div>
+            <div>
+              <Label className="text-slate-400">Description</Label>
+              <Input
+                value={newSecret.description}
+                onChange={(e) => setNewSecret({ ...newSecret, description: e.target.value })}
+                className="bg-slate-800 border-slate-700 text-white"
+              />
+            </div>
+            <div>
+              <Label className="text-slate-400">Value</Label>
+              <Input
+                type="password"
+                value={newSecret.value}
+                onChange={(e) => setNewSecret({ ...newSecret, value: e.target.value })}
+                className="bg-slate-800 border-slate-700 text-white font-mono"
+                autoComplete="off"
+                required
+              />
+            </div>
+            <div className="grid grid-cols-2 gap-4 items-end">
+              <div>
+                <Label className="text-slate-400">Rotate every (days)</Label>
+                <Input
+                  type="number"
+                  min={1}
+                  value={newSecret.interval_days}
+                  onChange={(e) => setNewSecret({ ...newSecret, interval_days: e.target.value })}
+                  className="bg-slate-800 border-slate-700 text-white"
+                />
+              </div>
+              <label className="flex items-center gap-2 text-sm text-slate-300 pb-2">
+                <Switch
+                  checked={newSecret.enforce}
+                  onCheckedChange={(enforce) => setNewSecret({ ...newSecret, enforce })}
+                />
+                Block use when overdue
+              </label>
+            </div>
+            <DialogFooter className="pt-2">
+              <Button type="button" variant="outline" onClick={() => setShowCreate(false)}>Cancel</Button>
+              <Button type="submit" disabled={isSaving} className="bg-blue-600 hover:bg-blue-700">Create Secret</Button>
+            </DialogFooter>
+          </form>
+        </DialogContent>
+      </Dialog>
+
+      <Dialog open={!!rotating} onOpenChange={(open) => !open && setRotating(null)}>
+        <DialogContent className="bg-slate-900 border-slate-800">
+          <DialogHeader className="mb-2">
+            <DialogTitle className="text-white">Rotate {rotating?.name}</DialogTitle>
+          </DialogHeader>
+          {rotating && (
+            <form onSubmit={handleRotate} className="space-y-4">
+              {rotationFields(rotating).map(field => (
+                <div key={field}>
+                  <Label className="text-slate-400">New {field}</Label>
+                  <Input
+                    type="password"
+                    value={rotationValues[field] || ''}
+                    onChange={(e) => setRotationValues({ ...rotationValues, [field]: e.target.value })}
+                    placeholder={rotating.kind === 'secret' ? '' : 'Leave blank to keep'}
+                    className="bg-slate-800 border-slate-700 text-white font-mono"
+                    autoComplete="off"
+                    required={rotating.kind === 'secret'}
+                  />
+                </div>
+              ))}
+              {rotating.dependents?.length > 0 && (
+                <p className="text-sm text-slate-400">
+                  {rotating.dependents.map(d => d.name).join(', ')} will be re-encrypted with the new value.
+                </p>
+              )}
+              <DialogFooter className="pt-2">
+                <Button type="button" variant="outline" onClick={() => setRotating(null)}>Cancel</Button>
+                <Button type="submit" disabled={isSaving} className="bg-blue-600 hover:bg-blue-700">Rotate</Button>
+              </DialogFooter>
+            </form>
+          )}
+        </DialogContent>
+      </Dialog>
     </Card>
   );
-}
\ No newline at end of file
+}
@@ -250,6 +250,11 @@ export interface ApprovalRequest {
   approved_at?: ISODateTime;
   expires_at?: ISODateTime;
   metadata?: Record<string, unknown>;
+  /** Set on step approvals opened by a workflow human_input node */
+  run_id?: UUID;
+  node_id?: string;
+  step_name?: string;
+  request_data?: unknown;
   org_id: UUID;
   created_date: ISODateTime;
 }
@@ -448,11 +448,30 @@ export const WorkflowNameSchema = Schema.string({
   patternMessage: 'Must start with letter/number, can contain spaces, underscores, hyphens'
 });
 
+const AGENT_PROVIDERS = ['openai', 'anthropic', 'azure', 'local', 'mock'];
+const FALLBACK_REASONS = ['rate_limit', 'server_error', 'timeout', 'content_filter', 'auth', 'bad_request'];
+
+const FallbackStepSchema = Schema.object({
+  provider: Schema.string({ enum: AGENT_PROVIDERS, optional: true }),
+  model: Schema.string({ minLength: 1, maxLength: 50 }),
+  deployment: Schema.string({ maxLength: 64, optional: true }),
+  base_url: Schema.string({ url: true, optional: true }),
+  temperature: Schema.number({ min: 0, max: 2, optional: true }),
+  max_tokens: Schema.number({ integer: true, min: 1, max: 100000, optional: true }),
+  timeout_ms: Schema.number({ integer: true, min: 1000, max: 600000, optional: true }),
+  fallback_on: Schema.array(Schema.string({ enum: FALLBACK_REASONS }), { optional: true })
+});
+
 export const AgentConfigSchema = Schema.object({
-  provider: Schema.string({ enum: ['openai', 'anthropic'] }),
+  provider: Schema.string({ enum: AGENT_PROVIDERS }),
   model: Schema.string({ minLength: 1, maxLength: 50 }),
+  deployment: Schema.string({ maxLength: 64, optional: true }),
+  base_url: Schema.string({ url: true, optional: true }),
   temperature: Schema.number({ min: 0, max: 2, optional: true, default: 0.7 }),
   max_tokens: Schema.number({ integer: true, min: 1, max: 100000, optional: true, default: 2000 }),
+  timeout_ms: Schema.number({ integer: true, min: 1000, max: 600000, optional: true }),
+  fallback_on: Schema.array(Schema.string({ enum: FALLBACK_REASONS }), { optional: true }),
+  fallback_chain: Schema.array(FallbackStepSchema, { optional: true, maxLength: 5 }),
   capabilities: Schema.array(Schema.string({ maxLength: 50 }), { optional: true, default: [] })
 });
 
@@ -11,7 +11,8 @@ import {
   sanitizeInput,
   detectPromptInjection,
   checkRateLimit,
-  resetRateLimit
+  resetRateLimit,
+  validateAgentConfig
 } from './validation';
 
 describe('Validation Utilities', () => {
@@ -112,6 +113,63 @@ describe('Validation Utilities', () => {
     });
   });
 
+  describe('validateAgentConfig', () => {
+    it('should accept every supported provider', () => {
+      for (const provider of ['openai', 'anthropic', 'azure', 'local', 'mock']) {
+        expect(validateAgentConfig({ provider, model: 'some-model' }).valid).toBe(true);
+      }
+    });
+
+    it('should reject unknown providers and a missing model', () => {
+      expect(validateAgentConfig({ provider: 'cohere', model: 'command-r' }).errors)
+        .toEqual(['Must be one of: openai, anthropic, azure, local, mock']);
+      expect(validateAgentConfig({ provider: 'openai' }).valid).toBe(false);
+    });
+
+    it('should validate provider settings', () => {
+      expect(validateAgentConfig({ provider: 'azure', model: 'gpt-4o', deployment: 'prod-gpt4o' }).valid).toBe(true);
+      expect(validateAgentConfig({ provider: 'local', model: 'llama3', base_url: 'http://localhost:11434/v1' }).valid).toBe(true);
+      expect(validateAgentConfig({ provider: 'local', model: 'llama3', base_url: 'localhost:11434' }).errors).toEqual(['Invalid URL']);
+      expect(validateAgentConfig({ provider: 'azure', model: 'gpt-4o', deployment: 'd'.repeat(65) }).valid).toBe(false);
+    });
+
+    it('should accept a fallback chain', () => {
+      const result = validateAgentConfig({
+        provider: 'openai',
+        model: 'gpt-4o',
+        fallback_on: ['rate_limit', 'timeout'],
+        fallback_chain: [
+          { model: 'gpt-4o-mini', timeout_ms: 10000 },
+          { provider: 'anthropic', model: 'claude-3-5-haiku-latest', temperature: 0.2, max_tokens: 500, fallback_on: ['content_filter'] },
+          { provider: 'local', model: 'llama3', base_url: 'http://localhost:11434/v1' }
+        ]
+      });
+      expect(result.valid).toBe(true);
+    });
+
+    it('should allow at most 5 fallback steps', () => {
+      const step = { model: 'gpt-4o-mini' };
+      expect(validateAgentConfig({ provider: 'openai', model: 'gpt-4o', fallback_chain: Array(5).fill(step) }).valid).toBe(true);
+      expect(validateAgentConfig({ provider: 'openai', model: 'gpt-4o', fallback_chain: Array(6).fill(step) }).errors)
+        .toEqual(['Maximum 5 items allowed']);
+    });
+
+    it('should reject invalid fallback steps', () => {
+      const withStep = (step) => validateAgentConfig({ provider: 'openai', model: 'gpt-4o', fallback_chain: [step] });
+      expect(withStep({ provider: 'openai' }).valid).toBe(false);
+      expect(withStep({ provider: 'cohere', model: 'command-r' }).valid).toBe(false);
+      expect(withStep({ model: 'gpt-4o-mini', timeout_ms: 500 }).errors).toEqual(['Minimum value is 1000']);
+      expect(withStep({ model: 'gpt-4o-mini', temperature: 3 }).valid).toBe(false);
+      expect(withStep({ model: 'gpt-4o-mini', base_url: 'not-a-url' }).errors).toEqual(['Invalid URL']);
+      expect(withStep({ model: 'gpt-4o-mini', fallback_on: ['quota'] }).valid).toBe(false);
+    });
+
+    it('should reject unknown fallback reasons on the agent', () => {
+      expect(validateAgentConfig({ provider: 'openai', model: 'gpt-4o', fallback_on: ['rate_limit', 'quota'] }).errors)
+        .toEqual(['Must be one of: rate_limit, server_error, timeout, content_filter, auth, bad_request']);
+    });
+  });
+
   describe('checkRateLimit', () => {
     beforeEach(() => {
       // Reset rate limit before each test
@@ -0,0 +1,130 @@
+import { useState, useEffect } from 'react';
+import { base44 } from '@/api/base44Client';
+import { Dialog, DialogContent, DialogHeader, DialogTitle } from '@/components/ui/dialog';
+import { Badge } from '@/components/ui/badge';
+import { Button } from '@/components/ui/button';
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from '@/components/ui/table';
+import { CheckCircle, XCircle, Clock, RefreshCw, AlertCircle } from 'lucide-react';
+import { format } from 'date-fns';
+import { toast } from 'sonner';
+
+const STATUS_CONFIG = {
+  pending: { icon: Clock, color: 'bg-blue-500/20 text-blue-400 border-blue-500/30', label: 'Pending' },
+  retrying: { icon: RefreshCw, color: 'bg-yellow-500/20 text-yellow-400 border-yellow-500/30', label: 'Retrying' },
+  delivered: { icon: CheckCircle, color: 'bg-green-500/20 text-green-400 border-green-500/30', label: 'Delivered' },
+  failed: { icon: XCircle, color: 'bg-red-500/20 text-red-400 border-red-500/30', label: 'Failed' }
+};
+
+export default function WebhookDeliveryLog({ open, onOpenChange, subscription }) {
+  const [deliveries, setDeliveries] = useState([]);
+  const [isLoading, setIsLoading] = useState(false);
+
+  useEffect(() => {
+    if (open && subscription) {
+      loadDeliveries();
+    }
+  }, [open, subscription]);
+
+  const loadDeliveries = async () => {
+    setIsLoading(true);
+    try {
+      const data = await base44.entities.WebhookDelivery.filter(
+        { subscription_id: subscription.id },
+        '-created_date',
+        50
+      );
+      setDeliveries(data);
+    } catch (error) {
+      console.error('Failed to load deliveries:', error);
+      toast.error('Failed to load deliveries');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const getStatusBadge = (status) => {
+    const config = STATUS_CONFIG[status] ||
+      { icon: AlertCircle, color: 'bg-slate-500/20 text-slate-400 border-slate-500/30', label: status };
+    const Icon = config.icon;
+    return (
+      <Badge variant="outline" className={config.color}>
+        <Icon className="w-3 h-3 mr-1" />
+        {config.label}
+      </Badge>
+    );
+  };
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent className="bg-slate-900 border-slate-800 max-w-4xl">
+        <DialogHeader className="flex flex-row items-center justify-between">
+          <DialogTitle className="text-white">Deliveries: {subscription?.name}</DialogTitle>
+          <Button variant="outline" size="sm" onClick={loadDeliveries} className="border-slate-700 mr-6">
+            <RefreshCw className="w-4 h-4 mr-2" />
+            Refresh
+          </Button>
+        </DialogHeader>
+
+        {isLoading ? (
+          <div className="text-center py-8 text-slate-400">Loading deliveries...</div>
+        ) : deliveries.length === 0 ? (
+          <div className="text-center py-8 text-slate-400">No deliveries yet</div>
+        ) : (
+          <div className="rounded-lg border border-slate-700 max-h-[60vh] overflow-y-auto">
+            <Table>
+              <TableHeader>
+                <TableRow className="border-b-slate-700 hover:bg-slate-900">
+                  <TableHead className="text-slate-400">Time</TableHead>
+                  <TableHead className="text-slate-400">Event</TableHead>
+                  <TableHead className="text-slate-400">Status</TableHead>
+                  <TableHead className="text-slate-400">Response</TableHead>
+                  <TableHead className="text-slate-400">Attempts</TableHead>
+                </TableRow>
+              </TableHeader>
+              <TableBody>
+                {deliveries.map(delivery => (
+                  <TableRow key={delivery.id} className="border-b-slate-700">
+                    <TableCell className="text-slate-300 text-sm">
+                      {format(new Date(delivery.created_date), 'MMM d, h:mm:ss a')}
+                    </TableCell>
+                    <TableCell>
+                      <code className="text-sm bg-slate-950 px-2 py-1 rounded text-blue-400">
+                        {delivery.event}
+                      </code>
+                      {delivery.is_test && <span className="text-xs text-slate-500 ml-2">test</span>}
+                    </TableCell>
+                    <TableCell>
+                      {getStatusBadge(delivery.status)}
+                      {delivery.status === 'retrying' && delivery.next_attempt_at && (
+                        <div className="text-xs text-slate-500 mt-1">
+                          Next at {format(new Date(delivery.next_attempt_at), 'h:mm:ss a')}
+                        </div>
+                      )}
+                    </TableCell>
+                    <TableCell className="text-sm">
+                      {delivery.response_status && (
+                        <span className="text-slate-300">{delivery.response_status}</span>
+                      )}
+                      {delivery.last_error && (
+                        <div className="text-xs text-red-400">{delivery.last_error}</div>
+                      )}
+                      {!delivery.response_status && !delivery.last_error && <span className="text-slate-600">-</span>}
+                    </TableCell>
+                    <TableCell className="text-slate-400 text-sm">
+                      {delivery.attempt_count || 0}
+                      {delivery.attempts?.length > 0 && (
+                        <span className="text-xs text-slate-500 ml-1">
+                          (last {delivery.attempts.at(-1).duration_ms}ms)
+                        </span>
+                      )}
+                    </TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          </div>
+        )}
+      </DialogContent>
+    </Dialog>
+  );
+}
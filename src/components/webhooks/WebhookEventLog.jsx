@@ -3,23 +3,35 @@ import { base44 } from '@/api/base44Client';
 import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
 import { Badge } from '@/components/ui/badge';
 import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Textarea } from '@/components/ui/textarea';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
+import { Dialog, DialogContent, DialogHeader, DialogTitle } from '@/components/ui/dialog';
 import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from '@/components/ui/table';
-import { CheckCircle, XCircle, Clock, AlertCircle, ExternalLink, RefreshCw } from 'lucide-react';
+import { CheckCircle, XCircle, Clock, AlertCircle, ExternalLink, RefreshCw, RotateCcw, Inbox } from 'lucide-react';
 import { format } from 'date-fns';
 import { toast } from 'sonner';
 
 export default function WebhookEventLog() {
   const [events, setEvents] = useState([]);
   const [isLoading, setIsLoading] = useState(true);
+  const [view, setView] = useState('all');
+  const [replayingEvent, setReplayingEvent] = useState(null);
+  const [replayPayload, setReplayPayload] = useState('');
+  const [isReplaying, setIsReplaying] = useState(false);
+  const [bulkFilter, setBulkFilter] = useState({ from: '', to: '', event_type: 'all' });
 
   useEffect(() => {
     loadEvents();
-  }, []);
+  }, [view]);
 
   const loadEvents = async () => {
     setIsLoading(true);
     try {
-      const data = await base44.entities.WebhookEvent.list('-created_date', 50);
+      const data = view === 'dead_letter'
+        ? await base44.entities.WebhookEvent.filter({ status: 'dead_letter' }, '-created_date', 200)
+        : await base44.entities.WebhookEvent.list('-created_date', 50);
       setEvents(data);
     } catch (error) {
       console.error('Failed to load events:', error);
@@ -29,12 +41,74 @@ export default function WebhookEventLog() {
     }
   };
 
+  const openReplay = (event) => {
+    setReplayingEvent(event);
+    setReplayPayload(JSON.stringify(event.payload, null, 2));
+  };
+
+  const replay = async (request) => {
+    setIsReplaying(true);
+    try {
+      const { data } = await base44.functions.invoke('replayWebhookEvents', { action: 'replay', ...request });
+      const { replayed, failed, remaining } = data.data;
+      if (failed > 0) {
+        toast.error(`Replayed ${replayed} events, ${failed} failed`);
+      } else {
+        toast.success(`Replayed ${replayed} event${replayed === 1 ? '' : 's'}${remaining ? ` (${remaining} more match; run again)` : ''}`);
+      }
+      setReplayingEvent(null);
+      loadEvents();
+    } catch (error) {
+      console.error('Replay failed:', error);
+      toast.error(error.response?.data?.message || 'Failed to replay events');
+    } finally {
+      setIsReplaying(false);
+    }
+  };
+
+  const handleReplaySubmit = () => {
+    let payload;
+    try {
+      payload = JSON.parse(replayPayload);
+    } catch {
+      toast.error('Payload must be valid JSON');
+      return;
+    }
+    const edited = JSON.stringify(payload) !== JSON.stringify(replayingEvent.payload);
+    replay({ event_ids: [replayingEvent.id], ...(edited && { payload }) });
+  };
+
+  const eventTypes = [...new Set(events.map(e => e.event_type))].sort();
+  const bulkMatches = events.filter(event => {
+    const created = new Date(event.created_date).getTime();
+    if (bulkFilter.from && created < new Date(bulkFilter.from).getTime()) return false;
+    if (bulkFilter.to && created > new Date(bulkFilter.to).getTime()) return false;
+    return bulkFilter.event_type === 'all' || event.event_type === bulkFilter.event_type;
+  });
+
+  const handleBulkReplay = () => {
+    if (!confirm(`Replay ${bulkMatches.length} dead-lettered events?`)) return;
+    replay({
+      filter: {
+        status: 'dead_letter',
+        ...(bulkFilter.from && { from: new Date(bulkFilter.from).toISOString() }),
+        ...(bulkFilter.to && { to: new Date(bulkFilter.to).toISOString() }),
+        ...(bulkFilter.event_type !== 'all' && { event_type: bulkFilter.event_type })
+      }
+    });
+  };
+
   const getStatusBadge = (status) => {
     const config = {
       received: { icon: Clock, color: 'bg-blue-500/20 text-blue-400 border-blue-500/30', label: 'Received' },
+      queued: { icon: Clock, color: 'bg-blue-500/20 text-blue-400 border-blue-500/30', label: 'Queued' },
       processing: { icon: Clock, color: 'bg-yellow-500/20 text-yellow-400 border-yellow-500/30', label: 'Processing' },
       completed: { icon: CheckCircle, color: 'bg-green-500/20 text-green-400 border-green-500/30', label: 'Completed' },
-      failed: { icon: XCircle, color: 'bg-red-500/20 text-red-400 border-red-500/30', label: 'Failed' }
+      failed: { icon: XCircle, color: 'bg-red-500/20 text-red-400 border-red-500/30', label: 'Failed' },
+      dead_letter: { icon: Inbox, color: 'bg-purple-500/20 text-purple-400 border-purple-500/30', label: 'Dead Letter' },
+      replayed: { icon: RotateCcw, color: 'bg-slate-500/20 text-slate-400 border-slate-500/30', label: 'Replayed' },
+      ignored: { icon: AlertCircle, color: 'bg-slate-500/20 text-slate-400 border-slate-500/30', label: 'Filtered' },
+      duplicate: { icon: AlertCircle, color: 'bg-slate-500/20 text-slate-400 border-slate-500/30', label: 'Duplicate' }
     }[status] || { icon: AlertCircle, color: 'bg-slate-500/20 text-slate-400 border-slate-500/30', label: status };
 
     const Icon = config.icon;
@@ -46,29 +120,115 @@ export default function WebhookEventLog() {
     );
   };
 
+  const getRetryInfo = (event) => {
+    if (event.status === 'failed' && event.next_retry_at) {
+      return `Retry ${(event.retry_count || 0) + 1} at ${format(new Date(event.next_retry_at), 'h:mm:ss a')}`;
+    }
+    if (event.status === 'dead_letter') {
+      return `${event.retry_count || 0} retries • ${(event.dead_letter_reason || '').replace(/_/g, ' ')}`;
+    }
+    if (event.replay_of) {
+      return event.payload_edited ? 'Replay (edited payload)' : 'Replay';
+    }
+    return null;
+  };
+
   return (
     <Card className="bg-slate-900 border-slate-800">
       <CardHeader className="flex flex-row items-center justify-between">
         <CardTitle className="text-white">Webhook Event Log</CardTitle>
-        <Button
-          variant="outline"
-          size="sm"
-          onClick={loadEvents}
-          className="border-slate-700"
-        >
-          <RefreshCw className="w-4 h-4 mr-2" />
-          Refresh
-        </Button>
+        <div className="flex gap-2">
+          <Button
+            variant={view === 'all' ? 'default' : 'outline'}
+            size="sm"
+            onClick={() => setView('all')}
+            className={view === 'all' ? 'bg-blue-600 hover:bg-blue-700' : 'border-slate-700'}
+          >
+            All Events
+          </Button>
+          <Button
+            variant={view === 'dead_letter' ? 'default' : 'outline'}
+            size="sm"
+            onClick={() => setView('dead_letter')}
+            className={view === 'dead_letter' ? 'bg-purple-600 hover:bg-purple-700' : 'border-slate-700'}
+          >
+            <Inbox className="w-4 h-4 mr-2" />
+            Dead Letter
+          </Button>
+          <Button
+            variant="outline"
+            size="sm"
+            onClick={loadEvents}
+            className="border-slate-700"
+          >
+            <RefreshCw className="w-4 h-4 mr-2" />
+            Refresh
+          </Button>
+        </div>
       </CardHeader>
 
-      <CardContent>
+      <CardContent className="space-y-4">
+        {view === 'dead_letter' && events.length > 0 && (
+          <div className="p-3 bg-slate-800 rounded-lg border border-slate-700 grid grid-cols-4 gap-3 items-end">
+            <div>
+              <Label className="text-slate-400 text-xs">From</Label>
+              <Input
+                type="datetime-local"
+                value={bulkFilter.from}
+                onChange={(e) => setBulkFilter({ ...bulkFilter, from: e.target.value })}
+                className="bg-slate-900 border-slate-700 text-white"
+              />
+            </div>
+            <div>
+              <Label className="text-slate-400 text-xs">To</Label>
+              <Input
+                type="datetime-local"
+                value={bulkFilter.to}
+                onChange={(e) => setBulkFilter({ ...bulkFilter, to: e.target.value })}
+                className="bg-slate-900 border-slate-700 text-white"
+              />
+            </div>
+            <div>
+              <Label className="text-slate-400 text-xs">Event Type</Label>
+              <Select
+                value={bulkFilter.event_type}
+                onValueChange={(value) => setBulkFilter({ ...bulkFilter, event_type: value })}
+              >
+                <SelectTrigger className="bg-slate-900 border-slate-700 text-white">
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent className="bg-slate-800 border-slate-700">
+                  <SelectItem value="all">All types</SelectItem>
+                  {eventTypes.map(type => (
+                    <SelectItem key={type} value={type}>{type}</SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            </div>
+            <Button
+              onClick={handleBulkReplay}
+              disabled={isReplaying || bulkMatches.length === 0}
+              className="bg-purple-600 hover:bg-purple-700"
+            >
+              <RotateCcw className="w-4 h-4 mr-2" />
+              Replay {bulkMatches.length} Events
+            </Button>
+          </div>
+        )}
+
         {isLoading ? (
           <div className="text-center py-8 text-slate-400">Loading events...</div>
         ) : events.length === 0 ? (
           <div className="text-center py-12 text-slate-400">
             <Clock className="w-12 h-12 mx-auto mb-4 text-slate-600" />
-            <p>No webhook events yet</p>
-            <p className="text-sm mt-2">Events will appear here when webhooks are triggered</p>
+            {view === 'dead_letter' ? (
+              <p>No dead-lettered events</p>
+            ) : (
+              <>
+                <p>No webhook events yet</p>
+                <p className="text-sm mt-2">Events will appear here when webhooks are triggered</p>
+              </>
+            )}
           </div>
         ) : (
           <div className="rounded-lg border border-slate-700">
@@ -81,6 +241,7 @@ export default function WebhookEventLog() {
                   <TableHead className="text-slate-400">Status</TableHead>
                   <TableHead className="text-slate-400">Processing Time</TableHead>
                   <TableHead className="text-slate-400">Run</TableHead>
+                  <TableHead className="text-slate-400"></TableHead>
                 </TableRow>
               </TableHeader>
               <TableBody>
@@ -99,25 +260,46 @@ export default function WebhookEventLog() {
                     </TableCell>
                     <TableCell>
                       {getStatusBadge(event.status)}
+                      {getRetryInfo(event) && (
+                        <div className="text-xs text-slate-500 mt-1">{getRetryInfo(event)}</div>
+                      )}
                     </TableCell>
                     <TableCell className="text-slate-400 text-sm">
                       {event.processing_time_ms ? `${event.processing_time_ms}ms` : '-'}
                     </TableCell>
                     <TableCell>
                       {event.workflow_run_id ? (
+                        <div className="flex flex-col items-start">
+                          <Button
+                            variant="ghost"
+                            size="sm"
+                            onClick={() => window.location.href = `/runs/${event.workflow_run_id}`}
+                            className="text-blue-400 hover:text-blue-300"
+                          >
+                            <ExternalLink className="w-3 h-3 mr-1" />
+                            View Run
+                          </Button>
+                          {event.status === 'failed' && event.error_message && (
+                            <span className="text-xs text-red-400 px-3">{event.error_message}</span>
+                          )}
+                        </div>
+                      ) : ['failed', 'dead_letter'].includes(event.status) && event.error_message ? (
+                        <span className="text-xs text-red-400">{event.error_message}</span>
+                      ) : (
+                        <span className="text-slate-600 text-sm">-</span>
+                      )}
+                    </TableCell>
+                    <TableCell>
+                      {!['ignored', 'duplicate'].includes(event.status) && (
                         <Button
                           variant="ghost"
                           size="sm"
-                          onClick={() => window.location.href = `/runs/${event.workflow_run_id}`}
-                          className="text-blue-400 hover:text-blue-300"
+                          onClick={() => openReplay(event)}
+                          className="text-slate-400 hover:text-white"
+                          title="Replay event"
                         >
-                          <ExternalLink className="w-3 h-3 mr-1" />
-                          View Run
+                          <RotateCcw className="w-4 h-4" />
                         </Button>
-                      ) : event.status === 'failed' && event.error_message ? (
-                        <span className="text-xs text-red-400">{event.error_message}</span>
-                      ) : (
-                        <span className="text-slate-600 text-sm">-</span>
                       )}
                     </TableCell>
                   </TableRow>
@@ -127,6 +309,35 @@ export default function WebhookEventLog() {
           </div>
         )}
       </CardContent>
+
+      <Dialog open={Boolean(replayingEvent)} onOpenChange={(open) => !open && setReplayingEvent(null)}>
+        <DialogContent className="bg-slate-900 border-slate-800 max-w-2xl">
+          <DialogHeader className="mb-2">
+            <DialogTitle className="text-white">Replay {replayingEvent?.event_type}</DialogTitle>
+          </DialogHeader>
+          <div className="space-y-2">
+            <Label className="text-slate-400">Payload</Label>
+            <Textarea
+              value={replayPayload}
+              onChange={(e) => setReplayPayload(e.target.value)}
+              className="bg-slate-950 border-slate-700 text-white font-mono text-xs"
+              rows={14}
+            />
+            <p className="text-xs text-slate-500">
+              The event is re-delivered to its endpoint&apos;s workflow as a new event. Edits apply to the replay only.
+            </p>
+          </div>
+          <div className="flex justify-end gap-2">
+            <Button variant="outline" onClick={() => setReplayingEvent(null)}>
+              Cancel
+            </Button>
+            <Button onClick={handleReplaySubmit} disabled={isReplaying} className="bg-blue-600 hover:bg-blue-700">
+              <RotateCcw className="w-4 h-4 mr-2" />
+              Replay
+            </Button>
+          </div>
+        </DialogContent>
+      </Dialog>
     </Card>
   );
-}
\ No newline at end of file
+}
@@ -3,12 +3,48 @@ import { Dialog, DialogContent, DialogHeader, DialogTitle, DialogFooter } from '
 import { Button } from '@/components/ui/button';
 import { Input } from '@/components/ui/input';
 import { Label } from '@/components/ui/label';
+import { Textarea } from '@/components/ui/textarea';
 import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
 import { base44 } from '@/api/base44Client';
 import { useAuth } from '@/components/contexts/AuthContext';
 import { toast } from 'sonner';
 import { Copy, Key, RefreshCw } from 'lucide-react';
 
+// Verification presets implemented by webhookListener. Providers other than
+// GitHub issue the signing secret themselves, so it is pasted in.
+const SIGNATURE_SCHEMES = [
+  {
+    value: 'generic',
+    label: 'Archon (HMAC-SHA256)',
+    generatesSecret: true,
+    help: 'Send sha256=<hmac_sha256(body, secret)> in x-webhook-signature. Add x-webhook-timestamp and sign "<timestamp>.<body>" to enable replay protection.'
+  },
+  {
+    value: 'github',
+    label: 'GitHub',
+    generatesSecret: true,
+    help: 'Paste this secret into the GitHub webhook settings. Deliveries are verified with X-Hub-Signature-256 and deduplicated by X-GitHub-Delivery.'
+  },
+  {
+    value: 'stripe',
+    label: 'Stripe',
+    generatesSecret: false,
+    help: 'Paste the endpoint signing secret (whsec_...) from the Stripe dashboard. Stripe-Signature timestamps are checked against the tolerance.'
+  },
+  {
+    value: 'slack',
+    label: 'Slack',
+    generatesSecret: false,
+    help: 'Paste the Slack app signing secret. URL verification challenges are answered automatically.'
+  },
+  {
+    value: 'svix',
+    label: 'Svix / Standard Webhooks',
+    generatesSecret: false,
+    help: 'Paste the endpoint secret (whsec_...). Deliveries are verified with svix-signature and deduplicated by svix-id.'
+  }
+];
+
 export default function WebhookForm({ open, onOpenChange, webhook, onSuccess }) {
   const { organization } = useAuth();
   const [workflows, setWorkflows] = useState([]);
@@ -16,10 +52,14 @@ export default function WebhookForm({ open, onOpenChange, webhook, onSuccess })
     name: '',
     workflow_id: '',
     events: [],
-    enabled: true
+    enabled: true,
+    signature_scheme: 'generic',
+    signature_tolerance_seconds: 300,
+    require_timestamp: false
   });
   const [generatedUrl, setGeneratedUrl] = useState('');
   const [secretKey, setSecretKey] = useState('');
+  const [inputMapping, setInputMapping] = useState('');
 
   useEffect(() => {
     loadWorkflows();
@@ -28,10 +68,14 @@ export default function WebhookForm({ open, onOpenChange, webhook, onSuccess })
         name: webhook.name,
         workflow_id: webhook.workflow_id,
         events: webhook.events || [],
-        enabled: webhook.enabled
+        enabled: webhook.enabled,
+        signature_scheme: webhook.signature_scheme || 'generic',
+        signature_tolerance_seconds: webhook.signature_tolerance_seconds || 300,
+        require_timestamp: Boolean(webhook.require_timestamp)
       });
       setGeneratedUrl(webhook.endpoint_url);
       setSecretKey(webhook.secret_key);
+      setInputMapping(webhook.input_mapping ? JSON.stringify(webhook.input_mapping, null, 2) : '');
     } else {
       generateSecretKey();
     }
@@ -59,6 +103,25 @@ export default function WebhookForm({ open, onOpenChange, webhook, onSuccess })
       return;
     }
 
+    if (!secretKey.trim()) {
+      toast.error(`Enter the ${scheme.label} signing secret`);
+      return;
+    }
+
+    let input_mapping = null;
+    if (inputMapping.trim()) {
+      try {
+        input_mapping = JSON.parse(inputMapping);
+      } catch {
+        toast.error('Input mapping must be valid JSON');
+        return;
+      }
+      if (typeof input_mapping !== 'object' || Array.isArray(input_mapping) || input_mapping === null) {
+        toast.error('Input mapping must be a JSON object');
+        return;
+      }
+    }
+
     try {
       const webhookId = webhook?.id || crypto.randomUUID();
       const endpointUrl = webhook?.endpoint_url || 
@@ -68,6 +131,7 @@ export default function WebhookForm({ open, onOpenChange, webhook, onSuccess })
         ...formData,
         endpoint_url: endpointUrl,
         secret_key: secretKey,
+        input_mapping,
         org_id: organization.id
       };
 
@@ -88,6 +152,18 @@ export default function WebhookForm({ open, onOpenChange, webhook, onSuccess })
     }
   };
 
+  const scheme = SIGNATURE_SCHEMES.find(s => s.value === formData.signature_scheme) || SIGNATURE_SCHEMES[0];
+
+  const handleSchemeChange = (value) => {
+    const next = SIGNATURE_SCHEMES.find(s => s.value === value);
+    setFormData({ ...formData, signature_scheme: value });
+    // A generated secret is useless for providers that issue their own
+    if (next.generatesSecret !== scheme.generatesSecret) {
+      if (next.generatesSecret) generateSecretKey();
+      else setSecretKey('');
+    }
+  };
+
   const copyToClipboard = (text) => {
     navigator.clipboard.writeText(text);
     toast.success('Copied to clipboard');
@@ -149,6 +225,21 @@ export default function WebhookForm({ open, onOpenChange, webhook, onSuccess })
             </p>
           </div>
 
+          <div>
+            <Label className="text-slate-400">Input Mapping (optional)</Label>
+            <Textarea
+              value={inputMapping}
+              onChange={(e) => setInputMapping(e.target.value)}
+              placeholder={'{\n  "repository": "payload.repository.full_name",\n  "commit": "payload.commits[0].id",\n  "event": "event_type"\n}'}
+              className="bg-slate-800 border-slate-700 text-white font-mono text-sm"
+              rows={5}
+            />
+            <p className="text-xs text-slate-500 mt-1">
+              Maps workflow input keys to paths in <code>payload</code>, <code>headers</code>, <code>event_type</code> or{' '}
+              <code>received_at</code>; other JSON values are passed as constants. Leave empty to use the whole payload as input.
+            </p>
+          </div>
+
           {(generatedUrl || webhook) && (
             <div>
               <Label className="text-slate-400">Webhook URL</Label>
@@ -173,24 +264,67 @@ export default function WebhookForm({ open, onOpenChange, webhook, onSuccess })
             </div>
           )}
 
+          <div className="grid grid-cols-2 gap-4">
+            <div>
+              <Label className="text-slate-400">Signature Verification</Label>
+              <Select value={formData.signature_scheme} onValueChange={handleSchemeChange}>
+                <SelectTrigger className="bg-slate-800 border-slate-700 text-white">
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent className="bg-slate-800 border-slate-700">
+                  {SIGNATURE_SCHEMES.map(s => (
+                    <SelectItem key={s.value} value={s.value}>{s.label}</SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            </div>
+            <div>
+              <Label className="text-slate-400">Timestamp Tolerance (seconds)</Label>
+              <Input
+                type="number"
+                min={30}
+                value={formData.signature_tolerance_seconds}
+                onChange={(e) => setFormData({ ...formData, signature_tolerance_seconds: Number(e.target.value) || 300 })}
+                className="bg-slate-800 border-slate-700 text-white"
+                disabled={formData.signature_scheme === 'github'}
+              />
+            </div>
+          </div>
+
+          {formData.signature_scheme === 'generic' && (
+            <div className="flex items-center gap-2">
+              <input
+                type="checkbox"
+                checked={formData.require_timestamp}
+                onChange={(e) => setFormData({ ...formData, require_timestamp: e.target.checked })}
+                className="rounded"
+              />
+              <Label className="text-slate-400">Reject deliveries without a signed x-webhook-timestamp</Label>
+            </div>
+          )}
+
           <div>
             <div className="flex items-center justify-between mb-2">
-              <Label className="text-slate-400">Secret Key</Label>
-              <Button
-                type="button"
-                variant="ghost"
-                size="sm"
-                onClick={generateSecretKey}
-                className="text-slate-500 hover:text-white"
-              >
-                <RefreshCw className="w-3 h-3 mr-1" />
-                Regenerate
-              </Button>
+              <Label className="text-slate-400">{scheme.generatesSecret ? 'Secret Key' : 'Signing Secret'}</Label>
+              {scheme.generatesSecret && (
+                <Button
+                  type="button"
+                  variant="ghost"
+                  size="sm"
+                  onClick={generateSecretKey}
+                  className="text-slate-500 hover:text-white"
+                >
+                  <RefreshCw className="w-3 h-3 mr-1" />
+                  Regenerate
+                </Button>
+              )}
             </div>
             <div className="flex gap-2">
               <Input
                 value={secretKey}
-                readOnly
+                readOnly={scheme.generatesSecret}
+                onChange={(e) => setSecretKey(e.target.value.trim())}
+                placeholder={scheme.generatesSecret ? undefined : `${scheme.label} signing secret`}
                 className="bg-slate-950 border-slate-700 text-white font-mono text-sm"
               />
               <Button
@@ -202,18 +336,14 @@ export default function WebhookForm({ open, onOpenChange, webhook, onSuccess })
                 <Copy className="w-4 h-4" />
               </Button>
             </div>
-            <p className="text-xs text-slate-500 mt-1">
-              Use this secret to verify webhook signatures (x-webhook-signature header)
-            </p>
           </div>
 
           <div className="p-3 bg-blue-500/10 rounded border border-blue-500/30">
             <p className="text-sm text-blue-400 flex items-start gap-2">
               <Key className="w-4 h-4 mt-0.5 flex-shrink-0" />
               <span>
-                Configure your external service to send POST requests to the webhook URL with the 
-                signature in the <code className="bg-slate-950 px-1 rounded">x-webhook-signature</code> header.
-                Signature format: <code className="bg-slate-950 px-1 rounded">sha256=&lt;hmac_sha256(body, secret)&gt;</code>
+                {scheme.help} Repeated deliveries with the same delivery ID or{' '}
+                <code className="bg-slate-950 px-1 rounded">Idempotency-Key</code> header only run once.
               </span>
             </p>
           </div>
@@ -2,12 +2,14 @@ import { useState, useEffect } from 'react';
 import { base44 } from '@/api/base44Client';
 import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
 import { Button } from '@/components/ui/button';
-import { Plus, Plug, Copy, Trash2, Activity, Clock } from 'lucide-react';
+import { Plus, Plug, Copy, Trash2, Activity, Clock, Send, Key, History, Pencil } from 'lucide-react';
 import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from '@/components/ui/table';
 import { Switch } from '@/components/ui/switch';
 import { toast } from 'sonner';
 import { format } from 'date-fns';
 import WebhookForm from './WebhookForm';
+import WebhookSubscriptionForm from './WebhookSubscriptionForm';
+import WebhookDeliveryLog from './WebhookDeliveryLog';
 
 export default function WebhookManager() {
   const [webhooks, setWebhooks] = useState([]);
@@ -15,6 +17,11 @@ export default function WebhookManager() {
   const [isLoading, setIsLoading] = useState(true);
   const [showForm, setShowForm] = useState(false);
   const [editingWebhook, setEditingWebhook] = useState(null);
+  const [subscriptions, setSubscriptions] = useState([]);
+  const [showSubscriptionForm, setShowSubscriptionForm] = useState(false);
+  const [editingSubscription, setEditingSubscription] = useState(null);
+  const [deliveryLogSubscription, setDeliveryLogSubscription] = useState(null);
+  const [testingId, setTestingId] = useState(null);
 
   useEffect(() => {
     loadData();
@@ -23,12 +30,14 @@ export default function WebhookManager() {
   const loadData = async () => {
     setIsLoading(true);
     try {
-      const [webhookData, workflowData] = await Promise.all([
+      const [webhookData, workflowData, subscriptionData] = await Promise.all([
         base44.entities.WebhookEndpoint.list('-updated_date'),
-        base44.entities.Workflow.list()
+        base44.entities.Workflow.list(),
+        base44.entities.WebhookSubscription.list('-updated_date')
       ]);
       setWebhooks(webhookData);
       setWorkflows(workflowData);
+      setSubscriptions(subscriptionData);
     } catch (error) {
       console.error("Failed to load data:", error);
       toast.error('Failed to load webhooks');
@@ -71,13 +80,73 @@ export default function WebhookManager() {
     setShowForm(true);
   };
 
+  const handleToggleSubscription = async (subscription) => {
+    try {
+      await base44.entities.WebhookSubscription.update(subscription.id, {
+        enabled: !subscription.enabled
+      });
+      toast.success(`Subscription ${!subscription.enabled ? 'enabled' : 'disabled'}`);
+      loadData();
+    } catch {
+      toast.error('Failed to update subscription');
+    }
+  };
+
+  const handleDeleteSubscription = async (subscription) => {
+    if (!confirm(`Delete subscription "${subscription.name}"?`)) return;
+
+    try {
+      await base44.entities.WebhookSubscription.delete(subscription.id);
+      toast.success('Subscription deleted');
+      loadData();
+    } catch {
+      toast.error('Failed to delete subscription');
+    }
+  };
+
+  const handleSendTest = async (subscription) => {
+    setTestingId(subscription.id);
+    try {
+      const { data } = await base44.functions.invoke('deliverWebhooks', {
+        action: 'test',
+        subscription_id: subscription.id
+      });
+      const result = data.data;
+      if (result.status === 'delivered') {
+        toast.success(`Test event delivered (HTTP ${result.status_code})`);
+      } else {
+        toast.error(`Test delivery failed: ${result.error}`);
+      }
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to send test event');
+    } finally {
+      setTestingId(null);
+    }
+  };
+
+  const handleRotateSecret = async (subscription) => {
+    if (!confirm(`Rotate the signing secret for "${subscription.name}"? The current secret stays valid for 24 hours.`)) return;
+
+    try {
+      const { data } = await base44.functions.invoke('deliverWebhooks', {
+        action: 'rotate_secret',
+        subscription_id: subscription.id
+      });
+      navigator.clipboard.writeText(data.data.secret);
+      toast.success('Secret rotated and the new secret copied to clipboard');
+      loadData();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to rotate secret');
+    }
+  };
+
   const getWorkflowName = (workflowId) => {
     const workflow = workflows.find(w => w.id === workflowId);
     return workflow?.name || 'Unknown Workflow';
   };
 
   return (
-    <>
+    <div className="space-y-6">
       <Card className="bg-slate-900 border-slate-800">
         <CardHeader className="flex flex-row items-center justify-between">
           <CardTitle className="text-white flex items-center gap-2">
@@ -196,12 +265,156 @@ export default function WebhookManager() {
         </CardContent>
       </Card>
 
+      <Card className="bg-slate-900 border-slate-800">
+        <CardHeader className="flex flex-row items-center justify-between">
+          <CardTitle className="text-white flex items-center gap-2">
+            <Send className="w-5 h-5"/> Outbound Subscriptions
+          </CardTitle>
+          <Button
+            onClick={() => {
+              setEditingSubscription(null);
+              setShowSubscriptionForm(true);
+            }}
+            className="bg-blue-600 hover:bg-blue-700"
+          >
+            <Plus className="w-4 h-4 mr-2" />
+            Add Subscription
+          </Button>
+        </CardHeader>
+        <CardContent>
+          {isLoading ? (
+            <div className="text-center py-8 text-slate-400">Loading subscriptions...</div>
+          ) : subscriptions.length === 0 ? (
+            <div className="text-center py-12">
+              <Send className="w-12 h-12 text-slate-600 mx-auto mb-4" />
+              <p className="text-slate-400">No outbound subscriptions</p>
+              <p className="text-sm text-slate-500 mt-2">
+                Notify external systems when runs finish, approvals change, anomalies are detected or deployments roll back
+              </p>
+            </div>
+          ) : (
+            <div className="rounded-lg border border-slate-700">
+              <Table>
+                <TableHeader>
+                  <TableRow className="border-b-slate-700 hover:bg-slate-900">
+                    <TableHead className="text-slate-400">Name</TableHead>
+                    <TableHead className="text-slate-400">Events</TableHead>
+                    <TableHead className="text-slate-400">Last Delivery</TableHead>
+                    <TableHead className="text-slate-400">Status</TableHead>
+                    <TableHead><span className="sr-only">Actions</span></TableHead>
+                  </TableRow>
+                </TableHeader>
+                <TableBody>
+                  {subscriptions.map(subscription => (
+                    <TableRow key={subscription.id} className="border-b-slate-700">
+                      <TableCell>
+                        <div className="font-medium text-white">{subscription.name}</div>
+                        <code className="text-xs text-slate-400">{subscription.url}</code>
+                      </TableCell>
+                      <TableCell className="text-slate-300 text-sm">
+                        {subscription.events?.length ? subscription.events.join(', ') : 'All events'}
+                      </TableCell>
+                      <TableCell className="text-slate-400 text-sm">
+                        {subscription.last_delivery_at ? (
+                          <div>
+                            <div className="flex items-center gap-1">
+                              <Clock className="w-3 h-3" />
+                              {format(new Date(subscription.last_delivery_at), 'MMM d, h:mm a')}
+                            </div>
+                            <span className={subscription.last_delivery_status === 'delivered' ? 'text-green-400' : 'text-red-400'}>
+                              {subscription.last_delivery_status}
+                              {subscription.consecutive_failures > 0 && ` (${subscription.consecutive_failures} failed in a row)`}
+                            </span>
+                          </div>
+                        ) : (
+                          'Never'
+                        )}
+                      </TableCell>
+                      <TableCell>
+                        <Switch
+                          checked={subscription.enabled}
+                          onCheckedChange={() => handleToggleSubscription(subscription)}
+                        />
+                      </TableCell>
+                      <TableCell className="text-right">
+                        <div className="flex gap-1 justify-end">
+                          <Button
+                            variant="ghost"
+                            size="sm"
+                            onClick={() => handleSendTest(subscription)}
+                            disabled={testingId === subscription.id}
+                            className="text-slate-400 hover:text-white"
+                          >
+                            <Send className="w-4 h-4 mr-1" />
+                            {testingId === subscription.id ? 'Sending...' : 'Send Test'}
+                          </Button>
+                          <Button
+                            variant="ghost"
+                            size="icon"
+                            onClick={() => setDeliveryLogSubscription(subscription)}
+                            className="text-slate-400 hover:text-white"
+                            title="Delivery log"
+                          >
+                            <History className="w-4 h-4" />
+                          </Button>
+                          <Button
+                            variant="ghost"
+                            size="icon"
+                            onClick={() => handleRotateSecret(subscription)}
+                            className="text-slate-400 hover:text-white"
+                            title="Rotate secret"
+                          >
+                            <Key className="w-4 h-4" />
+                          </Button>
+                          <Button
+                            variant="ghost"
+                            size="icon"
+                            onClick={() => {
+                              setEditingSubscription(subscription);
+                              setShowSubscriptionForm(true);
+                            }}
+                            className="text-slate-400 hover:text-white"
+                          >
+                            <Pencil className="w-4 h-4" />
+                          </Button>
+                          <Button
+                            variant="ghost"
+                            size="icon"
+                            onClick={() => handleDeleteSubscription(subscription)}
+                            className="text-red-500 hover:text-red-400"
+                          >
+                            <Trash2 className="w-4 h-4"/>
+                          </Button>
+                        </div>
+                      </TableCell>
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+            </div>
+          )}
+        </CardContent>
+      </Card>
+
       <WebhookForm
         open={showForm}
         onOpenChange={setShowForm}
         webhook={editingWebhook}
         onSuccess={loadData}
       />
-    </>
+
+      <WebhookSubscriptionForm
+        open={showSubscriptionForm}
+        onOpenChange={setShowSubscriptionForm}
+        subscription={editingSubscription}
+        onSuccess={loadData}
+      />
+
+      <WebhookDeliveryLog
+        open={Boolean(deliveryLogSubscription)}
+        onOpenChange={(open) => !open && setDeliveryLogSubscription(null)}
+        subscription={deliveryLogSubscription}
+      />
+    </div>
   );
 }
\ No newline at end of file
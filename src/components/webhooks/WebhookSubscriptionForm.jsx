@@ -0,0 +1,216 @@
+import { useState, useEffect } from 'react';
+import { Dialog, DialogContent, DialogHeader, DialogTitle, DialogFooter } from '@/components/ui/dialog';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Checkbox } from '@/components/ui/checkbox';
+import { base44 } from '@/api/base44Client';
+import { useAuth } from '@/components/contexts/AuthContext';
+import { toast } from 'sonner';
+import { Copy, Key } from 'lucide-react';
+
+// Events published by the backend functions through publishPlatformEvent
+export const PLATFORM_EVENTS = [
+  { value: 'run.completed', label: 'Run completed' },
+  { value: 'run.failed', label: 'Run failed' },
+  { value: 'approval.requested', label: 'Approval requested' },
+  { value: 'approval.approved', label: 'Approval approved' },
+  { value: 'approval.rejected', label: 'Approval rejected' },
+  { value: 'approval.expired', label: 'Approval expired' },
+  { value: 'anomaly.detected', label: 'Workflow anomaly detected' },
+  { value: 'alert.created', label: 'Alert created' },
+  { value: 'deployment.rolled_back', label: 'Deployment rolled back' }
+];
+
+const generateSecret = () => crypto.randomUUID().replace(/-/g, '') + crypto.randomUUID().replace(/-/g, '');
+
+export default function WebhookSubscriptionForm({ open, onOpenChange, subscription, onSuccess }) {
+  const { organization } = useAuth();
+  const [formData, setFormData] = useState({
+    name: '',
+    url: '',
+    events: [],
+    enabled: true,
+    max_attempts: 5
+  });
+  const [secret, setSecret] = useState('');
+
+  useEffect(() => {
+    if (subscription) {
+      setFormData({
+        name: subscription.name,
+        url: subscription.url,
+        events: subscription.events || [],
+        enabled: subscription.enabled,
+        max_attempts: subscription.retry_policy?.max_attempts ?? 5
+      });
+      setSecret(subscription.secret);
+    } else {
+      setFormData({ name: '', url: '', events: [], enabled: true, max_attempts: 5 });
+      setSecret(generateSecret());
+    }
+  }, [subscription, open]);
+
+  const toggleEvent = (event, checked) => {
+    setFormData({
+      ...formData,
+      events: checked ? [...formData.events, event] : formData.events.filter(e => e !== event)
+    });
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (!organization?.id) {
+      toast.error('Organization not found');
+      return;
+    }
+
+    let url;
+    try {
+      url = new URL(formData.url);
+    } catch {
+      toast.error('Enter a valid URL');
+      return;
+    }
+    if (!['http:', 'https:'].includes(url.protocol)) {
+      toast.error('URL must use http or https');
+      return;
+    }
+
+    const { max_attempts, ...fields } = formData;
+    const data = {
+      ...fields,
+      retry_policy: { ...(subscription?.retry_policy || {}), max_attempts },
+      org_id: organization.id
+    };
+
+    try {
+      // Saved server-side so the destination URL is checked before it is stored
+      await base44.functions.invoke('deliverWebhooks', {
+        action: 'save_subscription',
+        subscription_id: subscription?.id,
+        subscription: subscription ? data : { ...data, secret }
+      });
+      toast.success(subscription ? 'Subscription updated' : 'Subscription created');
+
+      onSuccess?.();
+      onOpenChange(false);
+    } catch (error) {
+      console.error('Failed to save subscription:', error);
+      toast.error(error.response?.data?.message || 'Failed to save subscription');
+    }
+  };
+
+  const copyToClipboard = (text) => {
+    navigator.clipboard.writeText(text);
+    toast.success('Copied to clipboard');
+  };
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent className="bg-slate-900 border-slate-800 max-w-2xl">
+        <DialogHeader className="mb-2">
+          <DialogTitle className="text-white">
+            {subscription ? 'Edit Subscription' : 'Create Outbound Subscription'}
+          </DialogTitle>
+        </DialogHeader>
+
+        <form onSubmit={handleSubmit} className="space-y-4">
+          <div className="grid grid-cols-2 gap-4">
+            <div>
+              <Label className="text-slate-400">Name</Label>
+              <Input
+                value={formData.name}
+                onChange={(e) => setFormData({ ...formData, name: e.target.value })}
+                placeholder="e.g., PagerDuty bridge"
+                className="bg-slate-800 border-slate-700 text-white"
+                required
+              />
+            </div>
+            <div>
+              <Label className="text-slate-400">Max attempts</Label>
+              <Input
+                type="number"
+                min={1}
+                max={10}
+                value={formData.max_attempts}
+                onChange={(e) => setFormData({ ...formData, max_attempts: Math.max(1, Number(e.target.value) || 1) })}
+                className="bg-slate-800 border-slate-700 text-white"
+              />
+            </div>
+          </div>
+
+          <div>
+            <Label className="text-slate-400">Destination URL</Label>
+            <Input
+              value={formData.url}
+              onChange={(e) => setFormData({ ...formData, url: e.target.value.trim() })}
+              placeholder="https://example.com/hooks/archon"
+              className="bg-slate-800 border-slate-700 text-white font-mono text-sm"
+              required
+            />
+          </div>
+
+          <div>
+            <Label className="text-slate-400">Events</Label>
+            <div className="grid grid-cols-2 gap-2 mt-2">
+              {PLATFORM_EVENTS.map(event => (
+                <label key={event.value} className="flex items-center gap-2 text-sm text-slate-300">
+                  <Checkbox
+                    checked={formData.events.includes(event.value)}
+                    onCheckedChange={(checked) => toggleEvent(event.value, checked)}
+                  />
+                  {event.label}
+                  <code className="text-xs text-slate-500">{event.value}</code>
+                </label>
+              ))}
+            </div>
+            <p className="text-xs text-slate-500 mt-1">
+              Leave all unchecked to receive every event.
+            </p>
+          </div>
+
+          <div>
+            <Label className="text-slate-400">Signing Secret</Label>
+            <div className="flex gap-2">
+              <Input
+                value={secret}
+                readOnly
+                className="bg-slate-950 border-slate-700 text-white font-mono text-sm"
+              />
+              <Button
+                type="button"
+                variant="outline"
+                onClick={() => copyToClipboard(secret)}
+                className="border-slate-700"
+              >
+                <Copy className="w-4 h-4" />
+              </Button>
+            </div>
+          </div>
+
+          <div className="p-3 bg-blue-500/10 rounded border border-blue-500/30">
+            <p className="text-sm text-blue-400 flex items-start gap-2">
+              <Key className="w-4 h-4 mt-0.5 flex-shrink-0" />
+              <span>
+                Each delivery carries{' '}
+                <code className="bg-slate-950 px-1 rounded">X-Archon-Signature: t=&lt;unix&gt;,v1=&lt;hmac_sha256(&quot;t.body&quot;, secret)&gt;</code>.
+                After a rotation the previous secret keeps signing for 24 hours, so accept any matching <code>v1</code>.
+              </span>
+            </p>
+          </div>
+
+          <DialogFooter className="pt-2">
+            <Button type="button" variant="outline" onClick={() => onOpenChange(false)}>
+              Cancel
+            </Button>
+            <Button type="submit" className="bg-blue-600 hover:bg-blue-700">
+              {subscription ? 'Update' : 'Create'} Subscription
+            </Button>
+          </DialogFooter>
+        </form>
+      </DialogContent>
+    </Dialog>
+  );
+}
@@ -102,7 +102,11 @@ export default function AdvancedVersioning({ workflow, onLoadVersion, _onCreateB
       setComparing({ a: versionA, b: null });
       toast.info('Select another version to compare');
     } else {
-      setComparing({ a: comparing.a, b: versionA });
+      // Always diff older -> newer regardless of click order
+      const [older, newer] = [comparing.a, versionA].sort(
+        (x, y) => new Date(x.created_date).getTime() - new Date(y.created_date).getTime()
+      );
+      setComparing({ a: older, b: newer });
       setShowComparison(true);
     }
   };
@@ -113,23 +117,6 @@ export default function AdvancedVersioning({ workflow, onLoadVersion, _onCreateB
     return parts.join('.');
   };
 
-  const _compareVersions = (v1, v2) => {
-    const diff = {
-      nodesAdded: 0,
-      nodesRemoved: 0,
-      nodesModified: 0,
-      edgesChanged: 0
-    };
-
-    const v1Nodes = new Set(v1.spec?.nodes?.map(n => n.id) || []);
-    const v2Nodes = new Set(v2.spec?.nodes?.map(n => n.id) || []);
-
-    diff.nodesAdded = v2.spec?.nodes?.filter(n => !v1Nodes.has(n.id)).length || 0;
-    diff.nodesRemoved = v1.spec?.nodes?.filter(n => !v2Nodes.has(n.id)).length || 0;
-
-    return diff;
-  };
-
   return (
     <div className="space-y-4">
       <BranchManager
@@ -16,7 +16,8 @@ import {
   Sparkles,
   Clock,
   Filter,
-  Webhook
+  Webhook,
+  Plug
 } from 'lucide-react';
 
 const NODE_CATEGORIES = [
@@ -44,7 +45,8 @@ const NODE_CATEGORIES = [
     nodes: [
       { type: 'human_input', label: 'Human Review', icon: MessageSquare, color: 'bg-pink-500', description: 'Wait for human approval' },
       { type: 'pause', label: 'Wait/Delay', icon: Clock, color: 'bg-slate-500', description: 'Pause execution for a duration' },
-      { type: 'webhook', label: 'Webhook', icon: Webhook, color: 'bg-indigo-500', description: 'Trigger external webhook' }
+      { type: 'webhook', label: 'Webhook', icon: Webhook, color: 'bg-indigo-500', description: 'Trigger external webhook' },
+      { type: 'connector', label: 'Connector', icon: Plug, color: 'bg-sky-500', description: 'Call an installed connector, following pages' }
     ]
   },
   {
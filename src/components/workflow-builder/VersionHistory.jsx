@@ -11,14 +11,17 @@ import {
   User,
   RotateCcw,
   ChevronRight,
-  FileJson
+  FileJson,
+  GitCompare
 } from 'lucide-react';
 import { format } from 'date-fns';
+import VersionComparison from '../workflows/VersionComparison';
 
 export default function VersionHistory({ workflowId, onLoadVersion }) {
   const [versions, setVersions] = useState([]);
   const [isLoading, setIsLoading] = useState(false);
   const [selectedVersion, setSelectedVersion] = useState(null);
+  const [showComparison, setShowComparison] = useState(false);
 
   useEffect(() => {
     if (workflowId) {
@@ -96,7 +99,10 @@ export default function VersionHistory({ workflowId, onLoadVersion }) {
                   {versions.map((version, index) => (
                     <button
                       key={version.id}
-                      onClick={() => setSelectedVersion(version)}
+                      onClick={() => {
+                        setSelectedVersion(version);
+                        setShowComparison(false);
+                      }}
                       className={`
                         w-full p-4 text-left transition-colors
                         ${selectedVersion?.id === version.id 
@@ -206,6 +212,16 @@ export default function VersionHistory({ workflowId, onLoadVersion }) {
                       <RotateCcw className="w-4 h-4 mr-2" />
                       Restore This Version
                     </Button>
+                    {selectedVersion.id !== versions[0]?.id && (
+                      <Button
+                        variant="outline"
+                        onClick={() => setShowComparison(true)}
+                        className="border-slate-700"
+                      >
+                        <GitCompare className="w-4 h-4 mr-2" />
+                        Compare with Latest
+                      </Button>
+                    )}
                   </div>
                 </div>
               ) : (
@@ -216,6 +232,16 @@ export default function VersionHistory({ workflowId, onLoadVersion }) {
               )}
             </CardContent>
           </Card>
+
+          {showComparison && selectedVersion && versions[0] && (
+            <div className="lg:col-span-2">
+              <VersionComparison
+                versionIdA={selectedVersion.id}
+                versionIdB={versions[0].id}
+                onClose={() => setShowComparison(false)}
+              />
+            </div>
+          )}
         </div>
       )}
     </div>
@@ -8,6 +8,7 @@ import {
   RotateCw,
   Play,
   Pause,
+  Plug,
   Circle,
   CheckCircle2,
   AlertCircle,
@@ -22,7 +23,8 @@ const NODE_ICONS = {
   human_input: MessageSquare,
   loop: RotateCw,
   trigger: Play,
-  pause: Pause
+  pause: Pause,
+  connector: Plug
 };
 
 const NODE_COLORS = {
@@ -33,7 +35,8 @@ const NODE_COLORS = {
   human_input: { bg: 'bg-pink-500', border: 'border-pink-400', shadow: 'shadow-pink-500/20' },
   loop: { bg: 'bg-orange-500', border: 'border-orange-400', shadow: 'shadow-orange-500/20' },
   trigger: { bg: 'bg-emerald-500', border: 'border-emerald-400', shadow: 'shadow-emerald-500/20' },
-  pause: { bg: 'bg-slate-500', border: 'border-slate-400', shadow: 'shadow-slate-500/20' }
+  pause: { bg: 'bg-slate-500', border: 'border-slate-400', shadow: 'shadow-slate-500/20' },
+  connector: { bg: 'bg-sky-500', border: 'border-sky-400', shadow: 'shadow-sky-500/20' }
 };
 
 const EXECUTION_STATUS = {
@@ -104,7 +104,58 @@ function WorkflowSettingsPanel({ workflow, onWorkflowChange }) {
   );
 }
 
-function NodeConfigPanel({ node, agents, skills, onNodeChange, onNodeDelete }) {
+const BRANCH_OPTIONS = {
+  condition: [
+    { value: 'true', label: 'True branch' },
+    { value: 'false', label: 'False branch' }
+  ],
+  loop: [
+    { value: 'body', label: 'Loop body' },
+    { value: 'done', label: 'After loop' }
+  ]
+};
+
+function BranchAssignment({ node, nodes, edges, onEdgesChange }) {
+  const outgoing = edges.filter(e => e.from === node.id);
+  const options = BRANCH_OPTIONS[node.type];
+
+  if (outgoing.length === 0) {
+    return (
+      <p className="text-xs text-slate-500">Connect this node to assign its outgoing branches</p>
+    );
+  }
+
+  return (
+    <div className="space-y-2">
+      <Label className="text-slate-300">Outgoing Branches</Label>
+      {outgoing.map(edge => {
+        const target = nodes.find(n => n.id === edge.to);
+        return (
+          <div key={edge.id || `${edge.from}-${edge.to}`} className="flex items-center gap-2">
+            <span className="flex-1 text-sm text-slate-400 truncate">→ {target?.label || edge.to}</span>
+            <Select
+              value={edge.branch || ''}
+              onValueChange={(value) => onEdgesChange(
+                edges.map(e => e === edge ? { ...e, branch: value } : e)
+              )}
+            >
+              <SelectTrigger className="w-36 bg-slate-950 border-slate-700">
+                <SelectValue placeholder="Unassigned" />
+              </SelectTrigger>
+              <SelectContent>
+                {options.map(option => (
+                  <SelectItem key={option.value} value={option.value}>{option.label}</SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+          </div>
+        );
+      })}
+    </div>
+  );
+}
+
+function NodeConfigPanel({ node, nodes, edges, agents, skills, onNodeChange, onEdgesChange, onNodeDelete }) {
   const renderAgentConfig = () => (
     <div className="space-y-4">
       <div>
@@ -263,6 +314,8 @@ function NodeConfigPanel({ node, agents, skills, onNodeChange, onNodeDelete }) {
           className="bg-slate-950 border-slate-700 mt-1"
         />
       </div>
+
+      <BranchAssignment node={node} nodes={nodes} edges={edges} onEdgesChange={onEdgesChange} />
     </div>
   );
 
@@ -310,6 +363,57 @@ function NodeConfigPanel({ node, agents, skills, onNodeChange, onNodeDelete }) {
           />
         </div>
       )}
+
+      {node.config?.loop_type === 'foreach' && (
+        <div>
+          <Label className="text-slate-300">Items Expression</Label>
+          <Input
+            value={node.config?.items || ''}
+            onChange={(e) => onNodeChange({ config: { ...node.config, items: e.target.value } })}
+            placeholder="result.records (defaults to upstream output)"
+            className="bg-slate-950 border-slate-700 mt-1 font-mono"
+          />
+        </div>
+      )}
+
+      <div>
+        <Label className="text-slate-300">Max Iterations</Label>
+        <Input
+          type="number"
+          value={node.config?.max_iterations || 100}
+          onChange={(e) => onNodeChange({ config: { ...node.config, max_iterations: parseInt(e.target.value) } })}
+          className="bg-slate-950 border-slate-700 mt-1"
+          min={1}
+          max={1000}
+        />
+      </div>
+
+      <BranchAssignment node={node} nodes={nodes} edges={edges} onEdgesChange={onEdgesChange} />
+    </div>
+  );
+
+  const renderFilterConfig = () => (
+    <div className="space-y-4">
+      <div>
+        <Label className="text-slate-300">Items Expression</Label>
+        <Input
+          value={node.config?.items || ''}
+          onChange={(e) => onNodeChange({ config: { ...node.config, items: e.target.value } })}
+          placeholder="result.records (defaults to upstream output)"
+          className="bg-slate-950 border-slate-700 mt-1 font-mono"
+        />
+      </div>
+
+      <div>
+        <Label className="text-slate-300">Keep Items Where</Label>
+        <Textarea
+          value={node.config?.expression || ''}
+          onChange={(e) => onNodeChange({ config: { ...node.config, expression: e.target.value } })}
+          placeholder="item.status === 'open' && item.priority > 2"
+          className="bg-slate-950 border-slate-700 mt-1 font-mono text-sm"
+          rows={3}
+        />
+      </div>
     </div>
   );
 
@@ -349,6 +453,97 @@ function NodeConfigPanel({ node, agents, skills, onNodeChange, onNodeDelete }) {
     </div>
   );
 
+  const renderPauseConfig = () => (
+    <div className="space-y-4">
+      <div className="grid grid-cols-2 gap-2">
+        <div>
+          <Label className="text-slate-300">Wait For</Label>
+          <Input
+            type="number"
+            value={node.config?.duration ?? 1}
+            onChange={(e) => onNodeChange({ config: { ...node.config, duration: parseFloat(e.target.value) } })}
+            className="bg-slate-950 border-slate-700 mt-1"
+            min={0}
+          />
+        </div>
+        <div>
+          <Label className="text-slate-300">Unit</Label>
+          <Select
+            value={node.config?.duration_unit || 'minutes'}
+            onValueChange={(value) => onNodeChange({ config: { ...node.config, duration_unit: value } })}
+          >
+            <SelectTrigger className="bg-slate-950 border-slate-700 mt-1">
+              <SelectValue />
+            </SelectTrigger>
+            <SelectContent>
+              <SelectItem value="seconds">Seconds</SelectItem>
+              <SelectItem value="minutes">Minutes</SelectItem>
+              <SelectItem value="hours">Hours</SelectItem>
+              <SelectItem value="days">Days</SelectItem>
+            </SelectContent>
+          </Select>
+        </div>
+      </div>
+      <p className="text-xs text-slate-500">The run is saved and resumes here once the delay has passed</p>
+    </div>
+  );
+
+  const handleParametersBlur = (e) => {
+    try {
+      onNodeChange({ config: { ...node.config, parameters: JSON.parse(e.target.value || '{}') } });
+    } catch {
+      e.target.value = JSON.stringify(node.config?.parameters || {}, null, 2);
+    }
+  };
+
+  const renderConnectorConfig = () => (
+    <div className="space-y-4">
+      <div>
+        <Label className="text-slate-300">Installation ID</Label>
+        <Input
+          value={node.config?.installation_id || ''}
+          onChange={(e) => onNodeChange({ config: { ...node.config, installation_id: e.target.value } })}
+          placeholder="From My Connectors"
+          className="bg-slate-950 border-slate-700 mt-1 font-mono"
+        />
+      </div>
+
+      <div>
+        <Label className="text-slate-300">Operation ID</Label>
+        <Input
+          value={node.config?.operation_id || ''}
+          onChange={(e) => onNodeChange({ config: { ...node.config, operation_id: e.target.value } })}
+          placeholder="list_issues"
+          className="bg-slate-950 border-slate-700 mt-1 font-mono"
+        />
+      </div>
+
+      <div>
+        <Label className="text-slate-300">Parameters (JSON)</Label>
+        <Textarea
+          key={node.id}
+          defaultValue={JSON.stringify(node.config?.parameters || {}, null, 2)}
+          onBlur={handleParametersBlur}
+          className="bg-slate-950 border-slate-700 mt-1 font-mono text-sm"
+          rows={4}
+        />
+      </div>
+
+      <div>
+        <Label className="text-slate-300">Max Items</Label>
+        <Input
+          type="number"
+          value={node.config?.max_items || 1000}
+          onChange={(e) => onNodeChange({ config: { ...node.config, max_items: parseInt(e.target.value) } })}
+          className="bg-slate-950 border-slate-700 mt-1"
+          min={1}
+          max={10000}
+        />
+      </div>
+      <p className="text-xs text-slate-500">Paginated operations are read page by page until this many items are collected</p>
+    </div>
+  );
+
   const renderDefaultConfig = () => (
     <div>
       <Label className="text-slate-300">Description</Label>
@@ -367,7 +562,10 @@ function NodeConfigPanel({ node, agents, skills, onNodeChange, onNodeDelete }) {
     skill: renderSkillConfig,
     condition: renderConditionConfig,
     loop: renderLoopConfig,
-    human_input: renderHumanInputConfig
+    filter: renderFilterConfig,
+    human_input: renderHumanInputConfig,
+    pause: renderPauseConfig,
+    connector: renderConnectorConfig
   };
 
   return (
@@ -398,10 +596,13 @@ function NodeConfigPanel({ node, agents, skills, onNodeChange, onNodeDelete }) {
 export default function WorkflowProperties({
   workflow,
   selectedNode,
+  nodes = [],
+  edges = [],
   agents,
   skills,
   onWorkflowChange,
   onNodeChange,
+  onEdgesChange,
   onNodeDelete,
   onDuplicate,
   onExport
@@ -441,9 +642,12 @@ export default function WorkflowProperties({
               {selectedNode ? (
                 <NodeConfigPanel
                   node={selectedNode}
+                  nodes={nodes}
+                  edges={edges}
                   agents={agents}
                   skills={skills}
                   onNodeChange={onNodeChange}
+                  onEdgesChange={onEdgesChange}
                   onNodeDelete={onNodeDelete}
                 />
               ) : (
@@ -17,6 +17,7 @@ export default function BranchManager({ workflowId, currentBranchId, onBranchCha
   const [showCreateDialog, setShowCreateDialog] = useState(false);
   const [showMergeDialog, setShowMergeDialog] = useState(false);
   const [mergingBranch, setMergingBranch] = useState(null);
+  const [mergeConflicts, setMergeConflicts] = useState([]);
   const [formData, setFormData] = useState({
     name: '',
     description: '',
@@ -75,7 +76,7 @@ export default function BranchManager({ workflowId, currentBranchId, onBranchCha
     }
   };
 
-  const handleMerge = async () => {
+  const handleMerge = async (strategy = 'auto') => {
     if (!mergingBranch) return;
 
     const targetBranch = branches.find(b => b.is_default);
@@ -88,24 +89,38 @@ export default function BranchManager({ workflowId, currentBranchId, onBranchCha
       const result = await base44.functions.invoke('mergeBranch', {
         source_branch_id: mergingBranch.id,
         target_branch_id: targetBranch.id,
-        merge_strategy: 'auto'
+        merge_strategy: strategy
       });
 
-      if (result.status === 'conflicts') {
-        toast.error('Merge conflicts detected - resolution required');
-        // In production, show conflict resolution UI
+      if (result.data?.status === 'up_to_date') {
+        toast.info('Branch is already merged');
       } else {
         toast.success('Branch merged successfully');
-        setShowMergeDialog(false);
-        setMergingBranch(null);
-        loadBranches();
       }
+      closeMergeDialog();
+      loadBranches();
     } catch (error) {
+      const data = error.response?.data;
+      if (data?.status === 'conflicts') {
+        setMergeConflicts(data.conflicts || []);
+        toast.error('Merge conflicts detected - resolution required');
+        return;
+      }
       console.error('Merge failed:', error);
       toast.error('Failed to merge branch');
     }
   };
 
+  const closeMergeDialog = () => {
+    setShowMergeDialog(false);
+    setMergingBranch(null);
+    setMergeConflicts([]);
+  };
+
+  const formatConflictValue = (value) => (
+    value === null || value === undefined ? '(deleted)' : JSON.stringify(value)
+  );
+
   const handleArchive = async (branch) => {
     if (!confirm(`Archive branch "${branch.name}"?`)) return;
 
@@ -267,7 +282,7 @@ export default function BranchManager({ workflowId, currentBranchId, onBranchCha
       </Dialog>
 
       {/* Merge Dialog */}
-      <Dialog open={showMergeDialog} onOpenChange={setShowMergeDialog}>
+      <Dialog open={showMergeDialog} onOpenChange={(open) => !open && closeMergeDialog()}>
         <DialogContent className="bg-slate-900 border-slate-800">
           <DialogHeader>
             <DialogTitle className="text-white">Merge Branch</DialogTitle>
@@ -284,16 +299,52 @@ export default function BranchManager({ workflowId, currentBranchId, onBranchCha
                 </p>
               </div>
             )}
+            {mergeConflicts.length > 0 && (
+              <div className="space-y-2">
+                <p className="text-sm text-red-400">
+                  Both branches changed the same fields since they diverged:
+                </p>
+                <div className="max-h-64 overflow-y-auto space-y-2">
+                  {mergeConflicts.map(conflict => (
+                    <div key={conflict.key} className="p-2 bg-slate-800 rounded border border-slate-700 text-xs">
+                      <div className="font-mono text-white">{conflict.key}</div>
+                      {conflict.type === 'dangling_edge' ? (
+                        <div className="text-slate-400">
+                          Edge points at deleted node {conflict.missing_nodes?.join(', ')}
+                        </div>
+                      ) : (
+                        <>
+                          <div className="text-slate-400">{mergingBranch?.name}: {formatConflictValue(conflict.source)}</div>
+                          <div className="text-slate-400">default: {formatConflictValue(conflict.target)}</div>
+                        </>
+                      )}
+                    </div>
+                  ))}
+                </div>
+              </div>
+            )}
           </div>
 
           <DialogFooter>
-            <Button variant="outline" onClick={() => setShowMergeDialog(false)}>
+            <Button variant="outline" onClick={closeMergeDialog}>
               Cancel
             </Button>
-            <Button onClick={handleMerge} className="bg-green-600 hover:bg-green-700">
-              <GitMerge className="w-4 h-4 mr-2" />
-              Merge
-            </Button>
+            {mergeConflicts.length > 0 ? (
+              <>
+                <Button variant="outline" onClick={() => handleMerge('ours')}>
+                  Keep Default
+                </Button>
+                <Button onClick={() => handleMerge('theirs')} className="bg-green-600 hover:bg-green-700">
+                  <GitMerge className="w-4 h-4 mr-2" />
+                  Take {mergingBranch?.name}
+                </Button>
+              </>
+            ) : (
+              <Button onClick={() => handleMerge()} className="bg-green-600 hover:bg-green-700">
+                <GitMerge className="w-4 h-4 mr-2" />
+                Merge
+              </Button>
+            )}
           </DialogFooter>
         </DialogContent>
       </Dialog>
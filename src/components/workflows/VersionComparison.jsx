@@ -3,9 +3,52 @@ import { base44 } from '@/api/base44Client';
 import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
 import { Badge } from '@/components/ui/badge';
 import { Button } from '@/components/ui/button';
-import { Plus, Minus, Edit, ArrowRight, GitCompare } from 'lucide-react';
+import { Plus, Minus, Edit, ArrowRight, GitCompare, Move } from 'lucide-react';
 import { toast } from 'sonner';
 
+const formatValue = (value) => (value === undefined ? '—' : JSON.stringify(value, null, 2));
+
+/**
+ * Before/after columns for one changed field. Prompt-like text is shown as
+ * an aligned line diff.
+ */
+function FieldChange({ change }) {
+  if (change.text_diff) {
+    return (
+      <div>
+        <div className="text-slate-500 font-mono mb-1">{change.path}</div>
+        <div className="grid grid-cols-2 gap-2 font-mono">
+          {['before', 'after'].map(side => (
+            <div key={side} className="bg-slate-950 rounded p-2 overflow-x-auto">
+              {change.text_diff.map((line, idx) => {
+                const hidden = (side === 'before' && line.op === 'added') || (side === 'after' && line.op === 'removed');
+                const style = line.op === 'removed' ? 'bg-red-500/10 text-red-400'
+                  : line.op === 'added' ? 'bg-green-500/10 text-green-400'
+                  : 'text-slate-400';
+                return (
+                  <div key={idx} className={`whitespace-pre-wrap min-h-[1rem] ${hidden ? '' : style}`}>
+                    {hidden ? '' : line.text}
+                  </div>
+                );
+              })}
+            </div>
+          ))}
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div>
+      <div className="text-slate-500 font-mono mb-1">{change.path}</div>
+      <div className="grid grid-cols-2 gap-2 font-mono">
+        <pre className="bg-red-500/10 text-red-400 rounded p-2 whitespace-pre-wrap break-all">{formatValue(change.before)}</pre>
+        <pre className="bg-green-500/10 text-green-400 rounded p-2 whitespace-pre-wrap break-all">{formatValue(change.after)}</pre>
+      </div>
+    </div>
+  );
+}
+
 export default function VersionComparison({ versionIdA, versionIdB, onClose }) {
   const [comparison, setComparison] = useState(null);
   const [isLoading, setIsLoading] = useState(true);
@@ -23,7 +66,7 @@ export default function VersionComparison({ versionIdA, versionIdB, onClose }) {
         version_id_a: versionIdA,
         version_id_b: versionIdB
       });
-      setComparison(result);
+      setComparison(result.data);
     } catch (error) {
       console.error('Comparison failed:', error);
       toast.error('Failed to compare versions');
@@ -47,6 +90,9 @@ export default function VersionComparison({ versionIdA, versionIdB, onClose }) {
   }
 
   const { version_a, version_b, diff } = comparison;
+  const movedNodes = diff.nodes.moved || [];
+  const modifiedEdges = diff.edges.modified || [];
+  const settings = diff.settings || [];
 
   return (
     <Card className="bg-slate-900 border-slate-800">
@@ -83,7 +129,7 @@ export default function VersionComparison({ versionIdA, versionIdB, onClose }) {
 
       <CardContent className="space-y-6">
         {/* Summary */}
-        <div className="grid grid-cols-5 gap-2">
+        <div className="grid grid-cols-6 gap-2">
           <div className="p-3 bg-slate-800 rounded text-center">
             <div className="text-2xl font-bold text-white">{diff.summary.total_changes}</div>
             <div className="text-xs text-slate-400">Total Changes</div>
@@ -100,9 +146,13 @@ export default function VersionComparison({ versionIdA, versionIdB, onClose }) {
             <div className="text-2xl font-bold text-blue-400">{diff.summary.nodes_modified}</div>
             <div className="text-xs text-blue-400">Nodes Modified</div>
           </div>
+          <div className="p-3 bg-amber-500/10 rounded text-center border border-amber-500/30">
+            <div className="text-2xl font-bold text-amber-400">{diff.summary.nodes_moved || 0}</div>
+            <div className="text-xs text-amber-400">Nodes Moved</div>
+          </div>
           <div className="p-3 bg-purple-500/10 rounded text-center border border-purple-500/30">
             <div className="text-2xl font-bold text-purple-400">
-              {diff.summary.edges_added + diff.summary.edges_removed}
+              {diff.summary.edges_added + diff.summary.edges_removed + (diff.summary.edges_modified || 0)}
             </div>
             <div className="text-xs text-purple-400">Edge Changes</div>
           </div>
@@ -166,16 +216,17 @@ export default function VersionComparison({ versionIdA, versionIdB, onClose }) {
                   <div className="flex items-center gap-2 mb-2">
                     <Badge className="bg-blue-500/20 text-blue-400">{mod.after.type}</Badge>
                     <span className="text-white">{mod.after.label}</span>
+                    {mod.moved && (
+                      <Badge variant="outline" className="text-amber-400 border-amber-500/30">moved</Badge>
+                    )}
+                  </div>
+                  <div className="grid grid-cols-2 gap-2 text-xs text-slate-500 mb-1">
+                    <span>Version {version_a.version}</span>
+                    <span>Version {version_b.version}</span>
                   </div>
-                  <div className="space-y-1 text-xs">
-                    {mod.changes.map((change, cidx) => (
-                      <div key={cidx} className="flex items-start gap-2">
-                        <span className="text-slate-500">{change.field}:</span>
-                        <div className="flex-1">
-                          <div className="text-red-400">- {JSON.stringify(change.before)}</div>
-                          <div className="text-green-400">+ {JSON.stringify(change.after)}</div>
-                        </div>
-                      </div>
+                  <div className="space-y-3 text-xs">
+                    {mod.changes.map((change) => (
+                      <FieldChange key={change.path} change={change} />
                     ))}
                   </div>
                 </div>
@@ -184,8 +235,26 @@ export default function VersionComparison({ versionIdA, versionIdB, onClose }) {
           </div>
         )}
 
+        {/* Moved Nodes */}
+        {movedNodes.length > 0 && (
+          <div>
+            <div className="flex items-center gap-2 mb-3">
+              <Move className="w-4 h-4 text-amber-400" />
+              <h3 className="text-white font-medium">Moved Nodes ({movedNodes.length})</h3>
+            </div>
+            <div className="space-y-1 text-sm">
+              {movedNodes.map(node => (
+                <div key={node.id} className="p-2 bg-slate-800 rounded text-slate-400">
+                  <span className="text-white">{node.label || node.id}</span>
+                  {' '}({node.before?.x}, {node.before?.y}) → ({node.after?.x}, {node.after?.y})
+                </div>
+              ))}
+            </div>
+          </div>
+        )}
+
         {/* Edge Changes */}
-        {(diff.edges.added.length > 0 || diff.edges.removed.length > 0) && (
+        {(diff.edges.added.length > 0 || diff.edges.removed.length > 0 || modifiedEdges.length > 0) && (
           <div>
             <h3 className="text-white font-medium mb-3">Connection Changes</h3>
             <div className="space-y-2">
@@ -197,6 +266,21 @@ export default function VersionComparison({ versionIdA, versionIdB, onClose }) {
                   </span>
                 </div>
               ))}
+              {modifiedEdges.map(edge => (
+                <div key={edge.id} className="p-2 bg-blue-500/10 rounded border border-blue-500/30 text-sm">
+                  <div className="mb-2">
+                    <Edit className="w-3 h-3 inline text-blue-400 mr-2" />
+                    <span className="text-white">
+                      {edge.after.from} → {edge.after.to}
+                    </span>
+                  </div>
+                  <div className="space-y-2 text-xs">
+                    {edge.changes.map(change => (
+                      <FieldChange key={change.path} change={change} />
+                    ))}
+                  </div>
+                </div>
+              ))}
               {diff.edges.removed.map((edge, idx) => (
                 <div key={idx} className="p-2 bg-red-500/10 rounded border border-red-500/30 text-sm">
                   <Minus className="w-3 h-3 inline text-red-400 mr-2" />
@@ -209,6 +293,18 @@ export default function VersionComparison({ versionIdA, versionIdB, onClose }) {
           </div>
         )}
 
+        {/* Workflow Settings */}
+        {settings.length > 0 && (
+          <div>
+            <h3 className="text-white font-medium mb-3">Workflow Settings</h3>
+            <div className="space-y-2 text-xs">
+              {settings.map(change => (
+                <FieldChange key={change.path} change={change} />
+              ))}
+            </div>
+          </div>
+        )}
+
         {diff.summary.total_changes === 0 && (
           <div className="text-center py-8 text-slate-400">
             No differences found between these versions
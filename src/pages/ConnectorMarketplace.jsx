@@ -29,11 +29,36 @@ export default function ConnectorMarketplace() {
   const [selectedCategory, setSelectedCategory] = useState('all');
   const [isLoading, setIsLoading] = useState(true);
   const [selectedConnector, setSelectedConnector] = useState(null);
+  const [activeTab, setActiveTab] = useState('marketplace');
 
   useEffect(() => {
-    loadData();
+    const params = new URLSearchParams(window.location.search);
+    if (params.get('state') && (params.get('code') || params.get('error'))) {
+      completeAuthorization(params).finally(loadData);
+    } else {
+      loadData();
+    }
   }, []);
 
+  // The OAuth provider redirects back here with ?code&state once the user
+  // has authorized an installation
+  const completeAuthorization = async (params) => {
+    window.history.replaceState(null, '', window.location.pathname);
+    setActiveTab('installed');
+    try {
+      await base44.functions.invoke('connectorOAuth', {
+        action: 'callback',
+        state: params.get('state'),
+        code: params.get('code'),
+        error: params.get('error'),
+        error_description: params.get('error_description'),
+      });
+      toast.success('Connector authorized');
+    } catch (error) {
+      toast.error('Authorization failed: ' + (error.response?.data?.message || error.message));
+    }
+  };
+
   const loadData = async () => {
     try {
       setIsLoading(true);
@@ -142,7 +167,7 @@ export default function ConnectorMarketplace() {
       </div>
 
       {/* Tabs */}
-      <Tabs defaultValue="marketplace" className="space-y-4">
+      <Tabs value={activeTab} onValueChange={setActiveTab} className="space-y-4">
         <TabsList className="bg-slate-800">
           <TabsTrigger value="marketplace">
             <Plug className="w-4 h-4 mr-2" />
@@ -19,11 +19,13 @@ import {
   Clock,
   AlertTriangle,
   MessageSquare,
+  FileUp,
 } from 'lucide-react';
 import { toast } from 'sonner';
 import ConnectorDetailDialog from '../components/connectors/ConnectorDetailDialog';
 import ConnectorTestDialog from '../components/connectors/ConnectorTestDialog';
 import ReviewFeedbackDialog from '../components/connectors/ReviewFeedbackDialog';
+import SpecImportDialog from '../components/connectors/SpecImportDialog';
 
 export default function MyConnectorSubmissions() {
   const navigate = useNavigate();
@@ -33,6 +35,7 @@ export default function MyConnectorSubmissions() {
   const [selectedConnector, setSelectedConnector] = useState(null);
   const [testingConnector, setTestingConnector] = useState(null);
   const [reviewDialogConnector, setReviewDialogConnector] = useState(null);
+  const [reimportConnector, setReimportConnector] = useState(null);
 
   useEffect(() => {
     loadData();
@@ -220,6 +223,14 @@ export default function MyConnectorSubmissions() {
               >
                 <Edit className="w-4 h-4" />
               </Button>
+              <Button
+                size="sm"
+                variant="outline"
+                onClick={() => setReimportConnector(connector)}
+                title="Re-import from specification"
+              >
+                <FileUp className="w-4 h-4" />
+              </Button>
               <Button
                 size="sm"
                 variant="outline"
@@ -391,6 +402,13 @@ export default function MyConnectorSubmissions() {
           onClose={() => setReviewDialogConnector(null)}
         />
       )}
+
+      <SpecImportDialog
+        open={!!reimportConnector}
+        onOpenChange={(open) => !open && setReimportConnector(null)}
+        connector={reimportConnector}
+        onImported={loadData}
+      />
     </div>
   );
 }
\ No newline at end of file
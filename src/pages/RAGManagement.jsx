@@ -24,6 +24,7 @@ import {
   SelectValue,
 } from '@/components/ui/select';
 import { Label } from '@/components/ui/label';
+import { Switch } from '@/components/ui/switch';
 import { toast } from 'sonner';
 import {
   Dialog,
@@ -34,6 +35,67 @@ import {
   DialogTrigger,
 } from '@/components/ui/dialog';
 
+// Providers with a vector store adapter in embedDocument/retrieveContext
+const VECTOR_PROVIDERS = [
+  { value: 'local', label: 'Local (file-backed)' },
+  { value: 'pgvector', label: 'Postgres (pgvector)' },
+  { value: 'supabase', label: 'Supabase (pgvector)' },
+  { value: 'qdrant', label: 'Qdrant' },
+];
+
+// Providers from before the adapters existed; the functions use the local store for them
+const LEGACY_VECTOR_PROVIDERS = ['pinecone', 'weaviate'];
+
+// Prefixed models select a non-OpenAI embedding provider in embedDocument/retrieveContext
+const EMBEDDING_MODELS = [
+  { value: 'text-embedding-3-small', label: 'OpenAI text-embedding-3-small (1536d)', dimensions: 1536 },
+  { value: 'text-embedding-3-large', label: 'OpenAI text-embedding-3-large (3072d)', dimensions: 3072 },
+  { value: 'text-embedding-ada-002', label: 'OpenAI text-embedding-ada-002 (legacy)', dimensions: 1536 },
+  { value: 'cohere:embed-english-v3.0', label: 'Cohere embed-english-v3.0 (1024d)', dimensions: 1024 },
+  { value: 'ollama:nomic-embed-text', label: 'Ollama nomic-embed-text (768d)', dimensions: 768 },
+  { value: 'local:hash-384', label: 'Local hashing, offline/dev (384d)', dimensions: 384 },
+];
+
+// Formats parsed by embedDocument; pdf and docx must be uploaded as files
+const DOCUMENT_FORMATS = [
+  { value: 'text', label: 'Text', extensions: ['txt'] },
+  { value: 'markdown', label: 'Markdown', extensions: ['md', 'markdown', 'mdx'] },
+  { value: 'html', label: 'HTML', extensions: ['html', 'htm', 'xhtml'] },
+  { value: 'code', label: 'Code', extensions: ['js', 'jsx', 'mjs', 'ts', 'tsx', 'py', 'go', 'rs', 'java', 'kt', 'cs', 'rb', 'php', 'swift', 'scala', 'c', 'h', 'cpp', 'hpp', 'sh', 'sql'] },
+  { value: 'pdf', label: 'PDF', extensions: ['pdf'] },
+  { value: 'docx', label: 'Word (DOCX)', extensions: ['docx'] },
+];
+
+const BINARY_DOCUMENT_FORMATS = ['pdf', 'docx'];
+
+function formatForFile(fileName) {
+  const extension = fileName.split('.').pop().toLowerCase();
+  return DOCUMENT_FORMATS.find(format => format.extensions.includes(extension))?.value || 'text';
+}
+
+const RETRIEVAL_MODES = [
+  { value: 'vector', label: 'Vector only' },
+  { value: 'keyword', label: 'Keyword (BM25) only' },
+  { value: 'hybrid', label: 'Hybrid (reciprocal-rank fusion)' },
+];
+
+const RERANKERS = [
+  { value: 'none', label: 'None' },
+  { value: 'llm', label: 'LLM grading' },
+  { value: 'cross_encoder', label: 'Cross-encoder API' },
+];
+
+// Mirrors the defaults in retrieveContext for knowledge bases without a retrieval_config
+const DEFAULT_RETRIEVAL_CONFIG = {
+  mode: 'vector',
+  candidate_k: null,
+  rrf_k: 60,
+  reranker: 'none',
+  rerank_model: null,
+  mmr_enabled: false,
+  mmr_lambda: 0.5,
+};
+
 export default function RAGManagement() {
   const [knowledgeBases, setKnowledgeBases] = useState([]);
   const [documents, setDocuments] = useState([]);
@@ -53,6 +115,7 @@ export default function RAGManagement() {
         base44.entities.Document.list('-created_date', 100),
       ]);
       setKnowledgeBases(kbs);
+      setSelectedKB(current => (current && kbs.find(kb => kb.id === current.id)) || current);
       setDocuments(docs);
     } catch (error) {
       console.error('Failed to load data:', error);
@@ -213,7 +276,7 @@ function CreateKnowledgeBaseForm({ onSuccess }) {
   const [formData, setFormData] = useState({
     name: '',
     description: '',
-    provider: 'pinecone',
+    provider: 'local',
     index_name: '',
     embedding_model: 'text-embedding-3-small',
     distance_metric: 'cosine',
@@ -237,7 +300,7 @@ function CreateKnowledgeBaseForm({ onSuccess }) {
           provider: formData.provider,
           index_name: formData.index_name,
           embedding_model: formData.embedding_model,
-          dimensions: formData.embedding_model === 'text-embedding-3-small' ? 1536 : 3072,
+          dimensions: EMBEDDING_MODELS.find(m => m.value === formData.embedding_model)?.dimensions,
           distance_metric: formData.distance_metric,
         },
         chunking_config: {
@@ -245,6 +308,7 @@ function CreateKnowledgeBaseForm({ onSuccess }) {
           chunk_size: formData.chunk_size,
           chunk_overlap: formData.chunk_overlap,
         },
+        retrieval_config: { ...DEFAULT_RETRIEVAL_CONFIG, mode: 'hybrid' },
         tags: [],
         org_id: user.organization.id,
       });
@@ -293,11 +357,9 @@ function CreateKnowledgeBaseForm({ onSuccess }) {
               <SelectValue />
             </SelectTrigger>
             <SelectContent className="bg-slate-800 border-slate-700">
-              <SelectItem value="pinecone">Pinecone</SelectItem>
-              <SelectItem value="weaviate">Weaviate</SelectItem>
-              <SelectItem value="qdrant">Qdrant</SelectItem>
-              <SelectItem value="chroma">Chroma</SelectItem>
-              <SelectItem value="supabase">Supabase</SelectItem>
+              {VECTOR_PROVIDERS.map(provider => (
+                <SelectItem key={provider.value} value={provider.value}>{provider.label}</SelectItem>
+              ))}
             </SelectContent>
           </Select>
         </div>
@@ -325,9 +387,9 @@ function CreateKnowledgeBaseForm({ onSuccess }) {
               <SelectValue />
             </SelectTrigger>
             <SelectContent className="bg-slate-800 border-slate-700">
-              <SelectItem value="text-embedding-3-small">text-embedding-3-small (1536d)</SelectItem>
-              <SelectItem value="text-embedding-3-large">text-embedding-3-large (3072d)</SelectItem>
-              <SelectItem value="text-embedding-ada-002">text-embedding-ada-002 (legacy)</SelectItem>
+              {EMBEDDING_MODELS.map(model => (
+                <SelectItem key={model.value} value={model.value}>{model.label}</SelectItem>
+              ))}
             </SelectContent>
           </Select>
         </div>
@@ -451,21 +513,21 @@ function DocumentCard({ document, knowledgeBase, onRefresh }) {
   const handleIndex = async () => {
     setIsIndexing(true);
     try {
-      const response = await base44.functions.invoke('embedDocument', {
+      const { data } = await base44.functions.invoke('embedDocument', {
         document_id: document.id,
         knowledge_base_id: knowledgeBase.id,
       });
 
-      if (response.success) {
-        toast.success(`Document indexed: ${response.chunks_created} chunks created`);
-        onRefresh();
+      if (data?.success) {
+        toast.success(`Document indexed: ${data.vectors_stored} vectors stored in ${data.provider}`);
       } else {
         toast.error('Failed to index document');
       }
     } catch (error) {
       console.error('Index error:', error);
-      toast.error('Failed to index document');
+      toast.error(error.response?.data?.error || 'Failed to index document');
     } finally {
+      onRefresh();
       setIsIndexing(false);
     }
   };
@@ -483,13 +545,31 @@ function DocumentCard({ document, knowledgeBase, onRefresh }) {
         <div className="flex-1">
           <div className="font-medium text-white">{document.title}</div>
           <div className="text-xs text-slate-400 mt-1">
-            {document.chunk_count || 0} chunks • {document.content_type}
+            {document.chunk_count || 0} chunks • {document.ingestion?.format || document.content_type}
+            {document.ingestion?.page_count ? ` • ${document.ingestion.page_count} pages` : ''}
+            {document.file_name ? ` • ${document.file_name}` : ''}
           </div>
+          {document.status === 'failed' && document.error_message && (
+            <div className="text-xs text-red-400 mt-1">
+              {document.ingestion_error ? `Ingestion failed (${document.ingestion_error.stage}): ` : ''}
+              {document.error_message}
+            </div>
+          )}
+          {document.status === 'indexed' && document.ingestion?.warnings?.length > 0 && (
+            <div className="text-xs text-amber-400 mt-1 space-y-0.5">
+              {document.ingestion.warnings.map((warning, i) => (
+                <div key={i} className="flex items-start gap-1">
+                  <AlertCircle className="w-3 h-3 mt-0.5 shrink-0" />
+                  {warning}
+                </div>
+              ))}
+            </div>
+          )}
         </div>
         <div className="flex items-center gap-2">
           <div className={`w-2 h-2 rounded-full ${statusConfig[document.status].color}`} />
           <span className="text-xs text-slate-400">{statusConfig[document.status].text}</span>
-          {document.status === 'pending' && (
+          {document.status !== 'processing' && (
             <Button
               size="sm"
               variant="outline"
@@ -497,7 +577,7 @@ function DocumentCard({ document, knowledgeBase, onRefresh }) {
               disabled={isIndexing}
               className="ml-2"
             >
-              {isIndexing ? <Loader2 className="w-3 h-3 animate-spin" /> : 'Index'}
+              {isIndexing ? <Loader2 className="w-3 h-3 animate-spin" /> : document.status === 'pending' ? 'Index' : 'Reindex'}
             </Button>
           )}
         </div>
@@ -512,19 +592,45 @@ function UploadDocumentForm({ knowledgeBase, onSuccess }) {
     content: '',
     content_type: 'text',
   });
+  const [file, setFile] = useState(null);
   const [isUploading, setIsUploading] = useState(false);
 
+  const handleFileChange = (e) => {
+    const selected = e.target.files?.[0] || null;
+    setFile(selected);
+    if (selected) {
+      setFormData({
+        ...formData,
+        title: formData.title || selected.name.replace(/\.[^.]+$/, ''),
+        content: '',
+        content_type: formatForFile(selected.name),
+      });
+    }
+  };
+
   const handleSubmit = async (e) => {
     e.preventDefault();
+
+    if (!file && BINARY_DOCUMENT_FORMATS.includes(formData.content_type)) {
+      toast.error('Choose a file to upload for PDF and DOCX documents');
+      return;
+    }
+
     setIsUploading(true);
 
     try {
       const user = await base44.auth.me();
+      const upload = file ? await base44.integrations.Core.UploadFile({ file }) : null;
       await base44.entities.Document.create({
         knowledge_base_id: knowledgeBase.id,
         title: formData.title,
-        content: formData.content,
+        content: file ? '' : formData.content,
         content_type: formData.content_type,
+        ...(upload && {
+          file_url: upload.file_url,
+          file_name: file.name,
+          file_size: file.size,
+        }),
         status: 'pending',
         metadata: {},
         org_id: user.organization.id,
@@ -554,16 +660,31 @@ function UploadDocumentForm({ knowledgeBase, onSuccess }) {
       </div>
 
       <div>
-        <Label>Content</Label>
-        <Textarea
-          value={formData.content}
-          onChange={(e) => setFormData({ ...formData, content: e.target.value })}
-          placeholder="Document content..."
-          className="bg-slate-800 border-slate-700 min-h-[200px]"
-          required
+        <Label>File</Label>
+        <Input
+          type="file"
+          accept={DOCUMENT_FORMATS.flatMap(format => format.extensions.map(ext => `.${ext}`)).join(',')}
+          onChange={handleFileChange}
+          className="bg-slate-800 border-slate-700"
         />
+        <p className="text-xs text-slate-500 mt-1">
+          PDF, Word, HTML, Markdown, text or source code. Headings and page numbers are kept with each chunk.
+        </p>
       </div>
 
+      {!file && (
+        <div>
+          <Label>Content</Label>
+          <Textarea
+            value={formData.content}
+            onChange={(e) => setFormData({ ...formData, content: e.target.value })}
+            placeholder="...or paste document content"
+            className="bg-slate-800 border-slate-700 min-h-[200px]"
+            required
+          />
+        </div>
+      )}
+
       <div>
         <Label>Content Type</Label>
         <Select
@@ -574,10 +695,11 @@ function UploadDocumentForm({ knowledgeBase, onSuccess }) {
             <SelectValue />
           </SelectTrigger>
           <SelectContent className="bg-slate-800 border-slate-700">
-            <SelectItem value="text">Text</SelectItem>
-            <SelectItem value="markdown">Markdown</SelectItem>
-            <SelectItem value="html">HTML</SelectItem>
-            <SelectItem value="code">Code</SelectItem>
+            {DOCUMENT_FORMATS
+              .filter(format => file || !BINARY_DOCUMENT_FORMATS.includes(format.value))
+              .map(format => (
+                <SelectItem key={format.value} value={format.value}>{format.label}</SelectItem>
+              ))}
           </SelectContent>
         </Select>
       </div>
@@ -592,7 +714,66 @@ function UploadDocumentForm({ knowledgeBase, onSuccess }) {
   );
 }
 
-function KnowledgeBaseConfig({ knowledgeBase, _onUpdate }) {
+function KnowledgeBaseConfig({ knowledgeBase, onUpdate }) {
+  const [retrieval, setRetrieval] = useState({ ...DEFAULT_RETRIEVAL_CONFIG, ...knowledgeBase.retrieval_config });
+  const [isSaving, setIsSaving] = useState(false);
+  const [embeddingModel, setEmbeddingModel] = useState(knowledgeBase.vector_config.embedding_model);
+  const [isReembedding, setIsReembedding] = useState(false);
+
+  useEffect(() => {
+    setRetrieval({ ...DEFAULT_RETRIEVAL_CONFIG, ...knowledgeBase.retrieval_config });
+    setEmbeddingModel(knowledgeBase.vector_config.embedding_model);
+  }, [knowledgeBase.id]);
+
+  const needsReembed = Boolean(knowledgeBase.indexed_embedding_model) &&
+    knowledgeBase.indexed_embedding_model !== knowledgeBase.vector_config.embedding_model;
+
+  const handleReembed = async () => {
+    if (!confirm(`Re-embed all documents with ${embeddingModel}? Retrieval may be incomplete until it finishes.`)) {
+      return;
+    }
+
+    setIsReembedding(true);
+    try {
+      if (embeddingModel !== knowledgeBase.vector_config.embedding_model) {
+        await base44.entities.KnowledgeBase.update(knowledgeBase.id, {
+          vector_config: { ...knowledgeBase.vector_config, embedding_model: embeddingModel },
+        });
+      }
+      const { data } = await base44.functions.invoke('embedDocument', {
+        knowledge_base_id: knowledgeBase.id,
+        action: 'reembed',
+      });
+      if (data.documents_failed > 0) {
+        toast.error(`Re-embedded ${data.documents_reembedded} documents, ${data.documents_failed} failed`);
+      } else {
+        toast.success(`Re-embedded ${data.documents_reembedded} documents with ${data.embedding_model}`);
+      }
+    } catch (error) {
+      console.error('Re-embedding failed:', error);
+      toast.error(error.response?.data?.error || 'Failed to re-embed knowledge base');
+    } finally {
+      setIsReembedding(false);
+      onUpdate?.();
+    }
+  };
+
+  const updateRetrieval = (changes) => setRetrieval({ ...retrieval, ...changes });
+
+  const handleSaveRetrieval = async () => {
+    setIsSaving(true);
+    try {
+      await base44.entities.KnowledgeBase.update(knowledgeBase.id, { retrieval_config: retrieval });
+      toast.success('Retrieval settings saved');
+      onUpdate?.();
+    } catch (error) {
+      console.error('Failed to save retrieval settings:', error);
+      toast.error('Failed to save retrieval settings');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
   return (
     <Card className="bg-slate-900 border-slate-800">
       <CardHeader>
@@ -605,6 +786,14 @@ function KnowledgeBaseConfig({ knowledgeBase, _onUpdate }) {
             <div>
               <Label className="text-xs text-slate-500">Provider</Label>
               <div className="text-white">{knowledgeBase.vector_config.provider}</div>
+              {!VECTOR_PROVIDERS.some(p => p.value === knowledgeBase.vector_config.provider) && (
+                <div className="flex items-center gap-1 text-xs text-amber-400 mt-1">
+                  <AlertCircle className="w-3 h-3" />
+                  {LEGACY_VECTOR_PROVIDERS.includes(knowledgeBase.vector_config.provider)
+                    ? 'Legacy provider; documents are stored in the local vector store'
+                    : 'No adapter for this provider; indexing will fail'}
+                </div>
+              )}
             </div>
             <div>
               <Label className="text-xs text-slate-500">Index</Label>
@@ -612,7 +801,32 @@ function KnowledgeBaseConfig({ knowledgeBase, _onUpdate }) {
             </div>
             <div>
               <Label className="text-xs text-slate-500">Embedding Model</Label>
-              <div className="text-white">{knowledgeBase.vector_config.embedding_model}</div>
+              <div className="flex items-center gap-2">
+                <Select value={embeddingModel} onValueChange={setEmbeddingModel}>
+                  <SelectTrigger className="bg-slate-800 border-slate-700">
+                    <SelectValue />
+                  </SelectTrigger>
+                  <SelectContent className="bg-slate-800 border-slate-700">
+                    {EMBEDDING_MODELS.map(model => (
+                      <SelectItem key={model.value} value={model.value}>{model.label}</SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+                <Button
+                  size="sm"
+                  variant="outline"
+                  onClick={handleReembed}
+                  disabled={isReembedding || (!needsReembed && embeddingModel === knowledgeBase.vector_config.embedding_model)}
+                >
+                  {isReembedding ? <Loader2 className="w-3 h-3 animate-spin" /> : 'Re-embed'}
+                </Button>
+              </div>
+              {needsReembed && (
+                <div className="flex items-center gap-1 text-xs text-amber-400 mt-1">
+                  <AlertCircle className="w-3 h-3" />
+                  Indexed with {knowledgeBase.indexed_embedding_model}; re-embed to use the new model
+                </div>
+              )}
             </div>
             <div>
               <Label className="text-xs text-slate-500">Distance Metric</Label>
@@ -638,6 +852,98 @@ function KnowledgeBaseConfig({ knowledgeBase, _onUpdate }) {
             </div>
           </div>
         </div>
+
+        <div>
+          <h3 className="text-sm font-medium text-slate-400 mb-2">Retrieval</h3>
+          <div className="grid grid-cols-2 gap-4">
+            <div>
+              <Label className="text-xs text-slate-500">Search Mode</Label>
+              <Select value={retrieval.mode} onValueChange={(value) => updateRetrieval({ mode: value })}>
+                <SelectTrigger className="bg-slate-800 border-slate-700">
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent className="bg-slate-800 border-slate-700">
+                  {RETRIEVAL_MODES.map(mode => (
+                    <SelectItem key={mode.value} value={mode.value}>{mode.label}</SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            </div>
+            <div>
+              <Label className="text-xs text-slate-500">Candidates (blank = 4 × top_k)</Label>
+              <Input
+                type="number"
+                min={1}
+                value={retrieval.candidate_k ?? ''}
+                onChange={(e) => updateRetrieval({ candidate_k: e.target.value ? parseInt(e.target.value) : null })}
+                className="bg-slate-800 border-slate-700"
+              />
+            </div>
+            <div>
+              <Label className="text-xs text-slate-500">Reranker</Label>
+              <Select value={retrieval.reranker} onValueChange={(value) => updateRetrieval({ reranker: value })}>
+                <SelectTrigger className="bg-slate-800 border-slate-700">
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent className="bg-slate-800 border-slate-700">
+                  {RERANKERS.map(reranker => (
+                    <SelectItem key={reranker.value} value={reranker.value}>{reranker.label}</SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            </div>
+            {retrieval.reranker === 'cross_encoder' && (
+              <div>
+                <Label className="text-xs text-slate-500">Rerank Model</Label>
+                <Input
+                  value={retrieval.rerank_model || ''}
+                  onChange={(e) => updateRetrieval({ rerank_model: e.target.value || null })}
+                  placeholder="rerank-english-v3.0"
+                  className="bg-slate-800 border-slate-700"
+                />
+              </div>
+            )}
+            {retrieval.mode === 'hybrid' && (
+              <div>
+                <Label className="text-xs text-slate-500">RRF k</Label>
+                <Input
+                  type="number"
+                  min={1}
+                  value={retrieval.rrf_k}
+                  onChange={(e) => updateRetrieval({ rrf_k: parseInt(e.target.value) || 60 })}
+                  className="bg-slate-800 border-slate-700"
+                />
+              </div>
+            )}
+            <div className="flex items-center gap-2">
+              <Switch
+                checked={retrieval.mmr_enabled}
+                onCheckedChange={(checked) => updateRetrieval({ mmr_enabled: checked })}
+              />
+              <Label className="text-xs text-slate-500">MMR diversity</Label>
+            </div>
+            {retrieval.mmr_enabled && (
+              <div>
+                <Label className="text-xs text-slate-500">MMR λ (1 = relevance only)</Label>
+                <Input
+                  type="number"
+                  min={0}
+                  max={1}
+                  step={0.1}
+                  value={retrieval.mmr_lambda}
+                  onChange={(e) => updateRetrieval({ mmr_lambda: parseFloat(e.target.value) })}
+                  className="bg-slate-800 border-slate-700"
+                />
+              </div>
+            )}
+          </div>
+          <div className="flex justify-end mt-4">
+            <Button size="sm" onClick={handleSaveRetrieval} disabled={isSaving} className="bg-purple-600 hover:bg-purple-700">
+              {isSaving && <Loader2 className="w-4 h-4 mr-2 animate-spin" />}
+              Save Retrieval Settings
+            </Button>
+          </div>
+        </div>
       </CardContent>
     </Card>
   );
@@ -629,9 +629,12 @@ export default function VisualWorkflowBuilder() {
         <WorkflowProperties
           workflow={workflow}
           selectedNode={selectedNode}
+          nodes={nodes}
+          edges={edges}
           agents={agents}
           skills={skills}
           onWorkflowChange={setWorkflow}
+          onEdgesChange={handleEdgesChange}
           onNodeChange={(updates) => {
             setNodes(nodes.map(n => n.id === selectedNode.id ? { ...n, ...updates } : n));
             setSelectedNode({ ...selectedNode, ...updates });